@@ -39,6 +39,8 @@ module.exports = function (grunt) {
             'input':            { 'description': 'Input Manager + Mouse and Touch Support',     'optional': false, 'stub': false },
             'gamepad':          { 'description': 'Gamepad Input',                               'optional': true, 'stub': false },
             'keyboard':         { 'description': 'Keyboard Input',                              'optional': true, 'stub': false },
+            'strokes':          { 'description': 'Stroke Recognizer for Pointer Drawn Shapes',  'optional': true, 'stub': false },
+            'focus':            { 'description': 'Keyboard and Gamepad Focus for Buttons',      'optional': true, 'stub': false },
             'components':       { 'description': 'Game Object Components',                      'optional': false, 'stub': false },
             'gameobjects':      { 'description': 'Core Game Objects',                           'optional': false, 'stub': false },
             'bitmapdata':       { 'description': 'BitmapData Game Object',                      'optional': true, 'stub': false },
@@ -49,9 +51,14 @@ module.exports = function (grunt) {
             'retrofont':        { 'description': 'Retro Fonts Game Object',                     'optional': true, 'stub': false },
             'rope':             { 'description': 'Rope and Strip Game Object',                  'optional': true, 'stub': false },
             'tilesprite':       { 'description': 'Tile Sprite Game Object',                     'optional': true, 'stub': true },
+            'virtualpad':       { 'description': 'Virtual Joystick and Buttons',                'optional': true, 'stub': false },
+            'textinput':        { 'description': 'Text Input Game Object',                      'optional': true, 'stub': false },
+            'dialogue':         { 'description': 'Dialogue Box Game Object',                    'optional': true, 'stub': false },
             'system':           { 'description': 'System Classes',                              'optional': false, 'stub': false },
             'math':             { 'description': 'Math, QuadTree and RND',                      'optional': false, 'stub': false },
             'net':              { 'description': 'Network Class',                               'optional': true, 'stub': true },
+            'storage':          { 'description': 'Storage Manager (localStorage save slots)',   'optional': true, 'stub': true },
+            'i18n':             { 'description': 'I18n Manager (string tables and plurals)',    'optional': true, 'stub': true },
             'tweens':           { 'description': 'Tween Manager',                               'optional': true, 'stub': true },
             'time':             { 'description': 'Time and Clock Manager',                      'optional': false, 'stub': false },
             'animation':        { 'description': 'Animation and Frame Manager',                 'optional': false, 'stub': false },
@@ -59,6 +66,7 @@ module.exports = function (grunt) {
             'sound':            { 'description': 'Sound Support (Web Audio and HTML Audio)',    'optional': true, 'stub': true },
             'scale':            { 'description': 'Scale and Full Screen Manager',               'optional': true, 'stub': true },
             'debug':            { 'description': 'Debug Class',                                 'optional': true, 'stub': true },
+            'assert':           { 'description': 'Assertions for Testing',                      'optional': true, 'stub': false },
             'dom':              { 'description': 'DOM Utilities',                               'optional': true, 'stub': true },
             'utils':            { 'description': 'Core Utilities',                              'optional': false, 'stub': false },
             'create':           { 'description': 'Create Support',                              'optional': true, 'stub': true },
@@ -176,6 +184,18 @@ module.exports = function (grunt) {
                     grunt.log.writeln("Warning: RetroFonts rely on RenderTextures. Excluding from build.");
                     excludes.push('retrofont');
                 }
+
+                if (excludedKeys['text'] && !excludedKeys['textinput'])
+                {
+                    grunt.log.writeln("Warning: Text Inputs rely on Text. Excluding from build.");
+                    excludes.push('textinput');
+                }
+
+                if (excludedKeys['text'] && !excludedKeys['dialogue'])
+                {
+                    grunt.log.writeln("Warning: Dialogue Boxes rely on Text. Excluding from build.");
+                    excludes.push('dialogue');
+                }
             }
 
             /////////////////////////////////////////////////////////////////////////
@@ -554,7 +574,7 @@ module.exports = function (grunt) {
 
     grunt.registerTask('minimum', 'Phaser without any optional modules', function() {
 
-        grunt.option('exclude', 'gamepad,keyboard,bitmapdata,graphics,rendertexture,text,bitmaptext,retrofont,net,tweens,sound,debug,arcade,ninja,p2,tilemaps,particles,creature,video,rope,tilesprite,weapon');
+        grunt.option('exclude', 'gamepad,keyboard,strokes,focus,bitmapdata,graphics,rendertexture,text,bitmaptext,retrofont,net,storage,i18n,tweens,sound,debug,assert,arcade,ninja,p2,tilemaps,particles,creature,video,rope,tilesprite,virtualpad,textinput,dialogue,weapon');
         grunt.option('filename', 'phaser-minimum');
         grunt.option('sourcemap', true);
         grunt.option('copy', false);
@@ -185,6 +185,21 @@ Phaser.Game = function (width, height, renderer, parent, state, transparent, ant
     */
     this.net = null;
 
+    /**
+    * @property {Phaser.Storage} storage - Reference to the storage manager, used for save slots and other persistent data.
+    */
+    this.storage = null;
+
+    /**
+    * @property {Phaser.I18n} i18n - Reference to the i18n manager, which holds the translated strings of the game.
+    */
+    this.i18n = null;
+
+    /**
+    * @property {Phaser.Interpolator} interpolator - Reference to the interpolator, which smooths rendering in fixed-timestep mode.
+    */
+    this.interpolator = null;
+
     /**
     * @property {Phaser.ScaleManager} scale - The game scale manager.
     */
@@ -379,6 +394,39 @@ Phaser.Game = function (width, height, renderer, parent, state, transparent, ant
     */
     this.forceSingleUpdate = true;
 
+    /**
+    * Should the game loop run in fixed-timestep mode? You can toggle it on the fly, or set it with the `fixedStep` property of a Game configuration object.
+    *
+    * In fixed-timestep mode the elapsed time is accumulated and the logic, including physics, is updated once for every
+    * whole `1000 / Time.desiredFps` ms that has passed (scaled by `Time.slowMotion`), no matter what the display refresh rate is.
+    * This may mean no logic updates on some frames and several on others. The frame is then rendered with the positions of
+    * display objects interpolated between the last two logic updates, via `Game.interpolator`, so movement stays smooth.
+    *
+    * The physics systems always step by `Time.physicsElapsed`, so they are fully deterministic in this mode. For the same to be
+    * true of your Tweens, set `Tween.frameBased` to true. `forceSingleUpdate` is ignored while this is enabled.
+    *
+    * @property {boolean} fixedStep
+    * @default
+    */
+    this.fixedStep = false;
+
+    /**
+    * @property {integer} maxFixedSteps - The maximum number of logic updates per frame in fixed-timestep mode. If the game falls further behind than this the extra time is dropped and `fpsProblemNotifier` is dispatched.
+    * @default
+    */
+    this.maxFixedSteps = 5;
+
+    /**
+    * If true the game is driven by a manual clock instead of `requestAnimationFrame`, so time only moves forward when you
+    * call `Game.tick`. Used for running games in tests, such as headless under Node, where the results must not depend
+    * on how long each frame really took. It can only be set with the `manualClock` property of a Game configuration object.
+    *
+    * @property {boolean} manualClock
+    * @readonly
+    * @default
+    */
+    this.manualClock = false;
+
     /**
     * @property {number} _nextNotification - The soonest game.time.time value that the next fpsProblemNotifier can be dispatched.
     * @private
@@ -497,6 +545,16 @@ Phaser.Game.prototype = {
             this.physicsConfig = config['physicsConfig'];
         }
 
+        if (config['fixedStep'] !== undefined)
+        {
+            this.fixedStep = config['fixedStep'];
+        }
+
+        if (config['manualClock'])
+        {
+            this.manualClock = true;
+        }
+
         var seed = [(Date.now() * Math.random()).toString()];
 
         if (config['seed'])
@@ -560,6 +618,9 @@ Phaser.Game.prototype = {
         this.create = new Phaser.Create(this);
         this.plugins = new Phaser.PluginManager(this);
         this.net = new Phaser.Net(this);
+        this.storage = new Phaser.Storage(this);
+        this.i18n = new Phaser.I18n(this);
+        this.interpolator = new Phaser.Interpolator(this);
 
         this.time.boot();
         this.stage.boot();
@@ -567,6 +628,8 @@ Phaser.Game.prototype = {
         this.scale.boot();
         this.input.boot();
         this.sound.boot();
+        this.storage.boot();
+        this.i18n.boot();
         this.state.boot();
 
         if (this.config['enableDebug'])
@@ -602,7 +665,10 @@ Phaser.Game.prototype = {
             }
         }
 
-        this.raf.start();
+        if (!this.manualClock)
+        {
+            this.raf.start();
+        }
 
     },
 
@@ -703,8 +769,11 @@ Phaser.Game.prototype = {
         {
             if (this.device.canvas)
             {
-                //  They requested Canvas and their browser supports it
-                this.renderType = Phaser.CANVAS;
+                //  They requested Canvas and their browser supports it. Headless games keep a Canvas Renderer, but never render.
+                if (this.renderType !== Phaser.HEADLESS)
+                {
+                    this.renderType = Phaser.CANVAS;
+                }
 
                 this.renderer = new PIXI.CanvasRenderer(this);
 
@@ -787,6 +856,8 @@ Phaser.Game.prototype = {
 
         if (this._kickstart)
         {
+            this.interpolator.reset();
+
             this.updateLogic(this.time.desiredFpsMult);
 
             // call the game render update exactly once every frame
@@ -797,6 +868,13 @@ Phaser.Game.prototype = {
             return;
         }
 
+        if (this.fixedStep)
+        {
+            this.updateFixedStep();
+
+            return;
+        }
+
         // if the logic time is spiraling upwards, skip a frame entirely
         if (this._spiraling > 1 && !this.forceSingleUpdate)
         {
@@ -874,6 +952,95 @@ Phaser.Game.prototype = {
 
     },
 
+    /**
+    * Moves the manual clock forward and runs the game loop, for games created with `manualClock` enabled.
+    *
+    * The time is split into frames of `1000 / Time.desiredFps` ms, plus any remainder, and `Game.update` is called
+    * once per frame, just as if the browser had called it. So `tick(1000)` runs one second of the game, which is
+    * 60 logic updates at the default frame rate, and `tick()` runs a single frame.
+    *
+    * @method Phaser.Game#tick
+    * @param {number} [ms] - The number of milliseconds to move the clock forward by. Defaults to the length of one frame.
+    */
+    tick: function (ms) {
+
+        if (!this.manualClock || !this.isBooted)
+        {
+            console.warn('Phaser.Game.tick: The Game must be booted with manualClock enabled');
+            return;
+        }
+
+        var step = 1000 / this.time.desiredFps;
+
+        if (ms === undefined) { ms = step; }
+
+        //  The small tolerance stops floating point error from adding a sliver of a frame
+        var frames = Math.floor(ms / step + 0.000001);
+        var remainder = ms - (frames * step);
+
+        for (var i = 0; i < frames && this.isBooted; i++)
+        {
+            this.time.advance(step);
+            this.update(this.time.dateNow());
+        }
+
+        if (remainder > 0.000001 && this.isBooted)
+        {
+            this.time.advance(remainder);
+            this.update(this.time.dateNow());
+        }
+
+    },
+
+    /**
+    * Runs the logic updates and render for a single frame in fixed-timestep mode. Called automatically by Game.update when `fixedStep` is enabled.
+    *
+    * @method Phaser.Game#updateFixedStep
+    * @protected
+    */
+    updateFixedStep: function () {
+
+        // step size taking into account the slow motion speed
+        var step = this.time.slowMotion * 1000.0 / this.time.desiredFps;
+
+        this._deltaTime += Math.max(this.time.elapsed, 0);
+
+        this.updatesThisFrame = Math.min(Math.floor(this._deltaTime / step), this.maxFixedSteps);
+
+        var count = 0;
+
+        while (this._deltaTime >= step && count < this.maxFixedSteps)
+        {
+            this._deltaTime -= step;
+            this.currentUpdateID = count;
+
+            this.interpolator.capture();
+
+            this.updateLogic(this.time.desiredFpsMult);
+
+            count++;
+
+            this.time.refresh();
+        }
+
+        if (this._deltaTime >= step)
+        {
+            //  We can't keep up, so drop the backlog but keep the fractional step for interpolation
+            this._deltaTime %= step;
+
+            if (this.time.time > this._nextFpsNotification)
+            {
+                // only permit one fps notification per 10 seconds
+                this._nextFpsNotification = this.time.time + 10000;
+
+                this.fpsProblemNotifier.dispatch();
+            }
+        }
+
+        this.updateRender(this._deltaTime / step);
+
+    },
+
     /**
     * Updates all logic subsystems in Phaser. Called automatically by Game.update.
     *
@@ -894,6 +1061,7 @@ Phaser.Game.prototype = {
             this.debug.preUpdate();
             this.camera.preUpdate();
             this.physics.preUpdate();
+            this.input.preUpdate();
             this.state.preUpdate(timeStep);
             this.plugins.preUpdate(timeStep);
             this.stage.preUpdate();
@@ -926,6 +1094,7 @@ Phaser.Game.prototype = {
     * Runs the Render cycle.
     * It starts by calling State.preRender. In here you can do any last minute adjustments of display objects as required.
     * It then calls the renderer, which renders the entire display list, starting from the Stage object and working down.
+    * In fixed-timestep mode the display objects are interpolated by `Game.interpolator` while the renderer runs.
     * It then calls plugin.render on any loaded plugins, in the order in which they were enabled.
     * After this State.render is called. Any rendering that happens here will take place on-top of the display list.
     * Finally plugin.postRender is called on any loaded plugins, in the order in which they were enabled.
@@ -948,7 +1117,16 @@ Phaser.Game.prototype = {
 
         if (this.renderType !== Phaser.HEADLESS)
         {
-            this.renderer.render(this.stage);
+            if (this.fixedStep)
+            {
+                this.interpolator.apply(elapsedTime);
+                this.renderer.render(this.stage);
+                this.interpolator.restore();
+            }
+            else
+            {
+                this.renderer.render(this.stage);
+            }
 
             this.plugins.render(elapsedTime);
 
@@ -1019,6 +1197,9 @@ Phaser.Game.prototype = {
         this.input.destroy();
         this.physics.destroy();
         this.plugins.destroy();
+        this.storage.destroy();
+        this.i18n.destroy();
+        this.interpolator.destroy();
 
         this.state = null;
         this.sound = null;
@@ -1027,6 +1208,9 @@ Phaser.Game.prototype = {
         this.input = null;
         this.physics = null;
         this.plugins = null;
+        this.storage = null;
+        this.i18n = null;
+        this.interpolator = null;
 
         this.cache = null;
         this.load = null;
@@ -0,0 +1,250 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Interpolator smooths out rendering when the game is running in fixed-timestep mode (see `Game.fixedStep`).
+*
+* In fixed-timestep mode the logic, including physics, is updated at exactly `Time.desiredFps`, which rarely matches
+* the refresh rate of the display. Without interpolation objects would appear to stutter, as some frames would
+* show two logic updates worth of movement and others none.
+*
+* Before each logic update the Interpolator records the position and rotation of the World and every visible
+* display object within it. When the frame is rendered each object is drawn part way between its recorded and current
+* values, based on how far the game clock is between logic updates. The real values are restored straight after
+* rendering, so your game code only ever sees the results of the logic updates. As the World itself is included, the
+* Camera scroll is smoothed as well.
+*
+* Set `interpolate = false` on a display object to exclude it. If you teleport an object, call `snap` on it to stop
+* it being drawn sliding between its old and new positions.
+*
+* @class Phaser.Interpolator
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.Interpolator = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * @property {boolean} enabled - Interpolate positions when rendering in fixed-timestep mode? If false objects are drawn at their current positions.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {number} alpha - How far between the previous and current logic updates the last frame was rendered, from 0 to 1.
+    * @readonly
+    */
+    this.alpha = 1;
+
+    /**
+    * @property {array} _objects - The display objects recorded in the last capture.
+    * @private
+    */
+    this._objects = [];
+
+    /**
+    * @property {number[]} _previous - The x, y and rotation values of each recorded display object, before the logic update.
+    * @private
+    */
+    this._previous = [];
+
+    /**
+    * @property {number[]} _current - The x, y and rotation values of each recorded display object, saved while rendering.
+    * @private
+    */
+    this._current = [];
+
+    /**
+    * @property {boolean} _applied - Are the interpolated values currently applied?
+    * @private
+    */
+    this._applied = false;
+
+};
+
+Phaser.Interpolator.prototype = {
+
+    /**
+    * Records the position and rotation of the World and all visible display objects within it.
+    * This is called automatically by Phaser.Game before each fixed-timestep logic update.
+    *
+    * @method Phaser.Interpolator#capture
+    * @protected
+    */
+    capture: function () {
+
+        this.reset();
+
+        if (this.enabled && this.game.renderType !== Phaser.HEADLESS)
+        {
+            this.captureObject(this.game.world);
+        }
+
+    },
+
+    /**
+    * Records the given display object, and then its children.
+    *
+    * @method Phaser.Interpolator#captureObject
+    * @private
+    * @param {DisplayObject} displayObject - The display object to record.
+    */
+    captureObject: function (displayObject) {
+
+        if (!displayObject.visible)
+        {
+            return;
+        }
+
+        if (displayObject.interpolate !== false)
+        {
+            this._objects.push(displayObject);
+            this._previous.push(displayObject.position.x, displayObject.position.y, displayObject.rotation);
+        }
+
+        if (displayObject.children)
+        {
+            for (var i = 0; i < displayObject.children.length; i++)
+            {
+                this.captureObject(displayObject.children[i]);
+            }
+        }
+
+    },
+
+    /**
+    * Moves each recorded display object part way between its recorded and current values, ready for rendering.
+    * This is called automatically by Phaser.Game.
+    *
+    * @method Phaser.Interpolator#apply
+    * @protected
+    * @param {number} alpha - How far between the previous and current logic updates to draw the objects, from 0 to 1.
+    */
+    apply: function (alpha) {
+
+        this.alpha = Phaser.Math.clamp(alpha, 0, 1);
+
+        if (!this.enabled || this._applied || this._objects.length === 0)
+        {
+            return;
+        }
+
+        this._current.length = 0;
+
+        for (var i = 0; i < this._objects.length; i++)
+        {
+            var displayObject = this._objects[i];
+            var p = i * 3;
+
+            this._current.push(displayObject.position.x, displayObject.position.y, displayObject.rotation);
+
+            if (!displayObject.parent)
+            {
+                //  Removed from the display list since the capture
+                continue;
+            }
+
+            displayObject.position.x = this._previous[p] + (displayObject.position.x - this._previous[p]) * this.alpha;
+            displayObject.position.y = this._previous[p + 1] + (displayObject.position.y - this._previous[p + 1]) * this.alpha;
+
+            if (displayObject.rotation !== this._previous[p + 2])
+            {
+                //  Take the shortest path between the two angles
+                displayObject.rotation = this._previous[p + 2] + Phaser.Math.wrapAngle(displayObject.rotation - this._previous[p + 2], true) * this.alpha;
+            }
+        }
+
+        this._applied = true;
+
+        this.game.stage.updateTransform();
+
+    },
+
+    /**
+    * Puts the current values back on every display object after rendering.
+    * This is called automatically by Phaser.Game.
+    *
+    * @method Phaser.Interpolator#restore
+    * @protected
+    */
+    restore: function () {
+
+        if (!this._applied)
+        {
+            return;
+        }
+
+        for (var i = 0; i < this._objects.length; i++)
+        {
+            var displayObject = this._objects[i];
+            var p = i * 3;
+
+            displayObject.position.x = this._current[p];
+            displayObject.position.y = this._current[p + 1];
+            displayObject.rotation = this._current[p + 2];
+        }
+
+        this._applied = false;
+
+        this.game.stage.updateTransform();
+
+    },
+
+    /**
+    * Stops the given display object from being interpolated until the next logic update, so it's drawn at its current position.
+    * Call this after teleporting an object, such as when re-spawning a player.
+    *
+    * @method Phaser.Interpolator#snap
+    * @param {DisplayObject} displayObject - The display object to snap.
+    */
+    snap: function (displayObject) {
+
+        var i = this._objects.indexOf(displayObject);
+
+        if (i !== -1 && !this._applied)
+        {
+            this._previous[i * 3] = displayObject.position.x;
+            this._previous[i * 3 + 1] = displayObject.position.y;
+            this._previous[i * 3 + 2] = displayObject.rotation;
+        }
+
+    },
+
+    /**
+    * Clears the recorded values, so nothing is interpolated until the next logic update.
+    *
+    * @method Phaser.Interpolator#reset
+    */
+    reset: function () {
+
+        this.restore();
+
+        this._objects.length = 0;
+        this._previous.length = 0;
+        this._current.length = 0;
+
+    },
+
+    /**
+    * Clears the recorded values and the game reference.
+    *
+    * @method Phaser.Interpolator#destroy
+    */
+    destroy: function () {
+
+        this.reset();
+
+        this.game = null;
+
+    }
+
+};
+
+Phaser.Interpolator.prototype.constructor = Phaser.Interpolator;
@@ -61,6 +61,36 @@ Phaser.StateManager = function (game, pendingState) {
     */
     this._args = [];
 
+    /**
+    * @property {array} _stack - The States launched on top of the current State, in the order they are updated and rendered.
+    * @private
+    */
+    this._stack = [];
+
+    /**
+    * @property {array} _queue - The launch and stop requests to be processed in the next frame.
+    * @private
+    */
+    this._queue = [];
+
+    /**
+    * @property {object} _loadingLayer - The launched State that is currently running its preload, if any.
+    * @private
+    */
+    this._loadingLayer = null;
+
+    /**
+    * @property {boolean} _currentPaused - Has the current State been paused via StateManager.pauseState?
+    * @private
+    */
+    this._currentPaused = false;
+
+    /**
+    * @property {string|object} _pendingTransition - The transition to use when switching to the pending State.
+    * @private
+    */
+    this._pendingTransition = null;
+
     /**
     * @property {string} current - The current active State object.
     * @default
@@ -81,6 +111,22 @@ Phaser.StateManager = function (game, pendingState) {
     */
     this.onStateChange = new Phaser.Signal();
 
+    /**
+    * The State Serializer is used by `StateManager.serialize` and `StateManager.restore` to create and restore
+    * snapshots of the World display list. You can modify its `properties` and `creators` to control what is saved.
+    *
+    * @property {Phaser.StateSerializer} serializer
+    */
+    this.serializer = new Phaser.StateSerializer(game);
+
+    /**
+    * The State Transition animates the switch between States started with `StateManager.startTransition`.
+    * You can set its properties to change the default transition, and listen to its `onTransitionStart` and `onTransitionComplete` signals.
+    *
+    * @property {Phaser.StateTransition} transition
+    */
+    this.transition = new Phaser.StateTransition(game);
+
     /**
     * @property {function} onInitCallback - This is called when the state is set as the active state.
     * @default
@@ -235,6 +281,13 @@ Phaser.StateManager.prototype = {
     */
     remove: function (key) {
 
+        var layer = this.getLayer(key);
+
+        if (layer)
+        {
+            this.shutdownLayer(layer);
+        }
+
         if (this.current === key)
         {
             this.callbackContext = null;
@@ -279,6 +332,7 @@ Phaser.StateManager.prototype = {
             this._pendingState = key;
             this._clearWorld = clearWorld;
             this._clearCache = clearCache;
+            this._pendingTransition = null;
 
             if (arguments.length > 3)
             {
@@ -288,6 +342,42 @@ Phaser.StateManager.prototype = {
 
     },
 
+    /**
+    * Start the given State with an animated transition from the current State.
+    *
+    * The current State is captured to a RenderTexture and then shut down as normal. The new State runs its preload and
+    * create methods behind the capture, which is then animated away to reveal it. See {@link Phaser.StateTransition}
+    * for the available transition types.
+    *
+    * If no State is running yet the new State is started without a transition.
+    *
+    * @method Phaser.StateManager#startTransition
+    * @param {string} key - The key of the state you want to start.
+    * @param {string|object} [transition] - The transition type, such as `Phaser.StateTransition.FADE`, or an object overriding any of the `StateManager.transition` defaults, i.e. `{ type: 'slide', duration: 800, ease: Phaser.Easing.Cubic.Out, direction: Phaser.RIGHT }`.
+    * @param {boolean} [clearWorld=true] - Clear everything in the world? This clears the World display list fully (but not the Stage, so if you've added your own objects to the Stage they will need managing directly)
+    * @param {boolean} [clearCache=false] - Clear the Game.Cache? This purges out all loaded assets. The default is false and you must have clearWorld=true if you want to clearCache as well.
+    * @param {...*} parameter - Additional parameters that will be passed to the State.init function (if it has one).
+    */
+    startTransition: function (key, transition, clearWorld, clearCache) {
+
+        var args = [ key, clearWorld, clearCache ].concat(Array.prototype.slice.call(arguments, 4));
+
+        this.start.apply(this, args);
+
+        if (this._pendingState === key)
+        {
+            if (Phaser.RenderTexture)
+            {
+                this._pendingTransition = (transition === undefined) ? {} : transition;
+            }
+            else
+            {
+                console.warn('Phaser.StateManager.startTransition: RenderTexture support is required for transitions');
+            }
+        }
+
+    },
+
     /**
     * Restarts the current State. State.shutDown will be called (if it exists) before the State is restarted.
     *
@@ -305,6 +395,7 @@ Phaser.StateManager.prototype = {
         this._pendingState = this.current;
         this._clearWorld = clearWorld;
         this._clearCache = clearCache;
+        this._pendingTransition = null;
 
         if (arguments.length > 2)
         {
@@ -313,6 +404,524 @@ Phaser.StateManager.prototype = {
 
     },
 
+    /**
+    * Launches the given State so that it runs in parallel with, and on top of, the current State.
+    * This is useful for HUDs, pause menus and dialogs that you want to keep separate from your gameplay State.
+    *
+    * A launched State gets its own Group within the World, which is available as its `world` property. Its `add`
+    * factory creates Game Objects in this Group, so they render above those of the current State and any States
+    * launched before it, and take priority for input. The State callbacks (init, preload, create, update, preRender,
+    * render, resize, paused, resumed, pauseUpdate and shutdown) are called after those of the States beneath it.
+    *
+    * Launching is done in sync with the game loop, so the State won't start until the next frame. If it has a `preload`
+    * method it will wait until the Loader is free before it starts.
+    *
+    * When the current State is changed, via `start` or `restart`, all launched States are stopped.
+    *
+    * @method Phaser.StateManager#launch
+    * @param {string} key - The key of the state you want to launch.
+    * @param {boolean} [pauseBelow=false] - Pause the State directly beneath this one while it runs? It is resumed again when this State is stopped.
+    * @param {...*} parameter - Additional parameters that will be passed to the State.init function (if it has one).
+    * @return {boolean} True if the State was queued for launch, otherwise false.
+    */
+    launch: function (key, pauseBelow) {
+
+        if (pauseBelow === undefined) { pauseBelow = false; }
+
+        if (!this.checkState(key))
+        {
+            return false;
+        }
+
+        for (var i = 0; i < this._queue.length; i++)
+        {
+            if (this._queue[i].key === key && this._queue[i].launch)
+            {
+                console.warn('Phaser.StateManager.launch: State "' + key + '" is already queued for launch');
+                return false;
+            }
+        }
+
+        if (key === this.current || (this.getLayer(key) && !this.isStopping(key)))
+        {
+            console.warn('Phaser.StateManager.launch: State "' + key + '" is already running');
+            return false;
+        }
+
+        this._queue.push({
+            key: key,
+            launch: true,
+            pauseBelow: pauseBelow,
+            args: (arguments.length > 2) ? Array.prototype.slice.call(arguments, 2) : []
+        });
+
+        return true;
+
+    },
+
+    /**
+    * Stops a State that was started with `StateManager.launch`. Its shutdown method is called (if it exists)
+    * and its World Group is destroyed, along with everything in it. If it paused the State beneath it when
+    * launched then that State is resumed.
+    *
+    * Like launching, stopping is done in sync with the game loop, so the State isn't stopped until the next frame.
+    *
+    * To change the current State use `StateManager.start` instead.
+    *
+    * @method Phaser.StateManager#stop
+    * @param {string} key - The key of the launched state you want to stop.
+    * @return {boolean} True if the State was queued to be stopped, otherwise false.
+    */
+    stop: function (key) {
+
+        //  Launched in this frame? Then just remove it from the queue
+        for (var i = this._queue.length - 1; i >= 0; i--)
+        {
+            if (this._queue[i].key === key && this._queue[i].launch)
+            {
+                this._queue.splice(i, 1);
+                return true;
+            }
+        }
+
+        if (!this.getLayer(key))
+        {
+            console.warn('Phaser.StateManager.stop: State "' + key + '" has not been launched');
+            return false;
+        }
+
+        if (!this.isStopping(key))
+        {
+            this._queue.push({ key: key, launch: false });
+        }
+
+        return true;
+
+    },
+
+    /**
+    * Pauses the given State, which can be either the current State or a launched one.
+    *
+    * A paused State doesn't have its update, preRender or loadUpdate methods called. The Game Objects in its World
+    * are not updated, so their animations and physics bodies freeze, and they don't receive any input events.
+    * It is still rendered.
+    *
+    * Global systems such as the Tween Manager, Time and the Keyboard are shared by all States and are not paused.
+    *
+    * @method Phaser.StateManager#pauseState
+    * @param {string} key - The key of the State to pause.
+    */
+    pauseState: function (key) {
+
+        if (key === this.current)
+        {
+            this._currentPaused = true;
+        }
+        else if (this.getLayer(key))
+        {
+            this.getLayer(key).paused = true;
+        }
+
+    },
+
+    /**
+    * Resumes a State that was paused with `StateManager.pauseState`.
+    *
+    * @method Phaser.StateManager#resumeState
+    * @param {string} key - The key of the State to resume.
+    */
+    resumeState: function (key) {
+
+        if (key === this.current)
+        {
+            this._currentPaused = false;
+        }
+        else if (this.getLayer(key))
+        {
+            this.getLayer(key).paused = false;
+        }
+
+    },
+
+    /**
+    * Checks if the given State has been paused with `StateManager.pauseState`.
+    *
+    * @method Phaser.StateManager#isPaused
+    * @param {string} key - The key of the State to check.
+    * @return {boolean} True if the State is running and paused, otherwise false.
+    */
+    isPaused: function (key) {
+
+        if (key === this.current)
+        {
+            return this._currentPaused;
+        }
+
+        var layer = this.getLayer(key);
+
+        return (layer !== null && layer.paused);
+
+    },
+
+    /**
+    * Checks if the given State is running, either as the current State or as one launched on top of it.
+    *
+    * @method Phaser.StateManager#isRunning
+    * @param {string} key - The key of the State to check.
+    * @return {boolean} True if the State is running, otherwise false.
+    */
+    isRunning: function (key) {
+
+        return (key === this.current || this.getLayer(key) !== null);
+
+    },
+
+    /**
+    * Returns the keys of all running States, starting with the current State and followed by
+    * each launched State, in the order in which they are updated and rendered.
+    *
+    * @method Phaser.StateManager#getRunning
+    * @return {string[]} An array of State keys.
+    */
+    getRunning: function () {
+
+        var output = [];
+
+        if (this.current)
+        {
+            output.push(this.current);
+        }
+
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            output.push(this._stack[i].key);
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Returns the Group that acts as the World for the given State. For the current State this is `Game.world`.
+    * For a launched State it is the Group created for it within the World.
+    *
+    * @method Phaser.StateManager#getWorld
+    * @param {string} key - The key of the State.
+    * @return {Phaser.Group} The Group, or null if the State isn't running.
+    */
+    getWorld: function (key) {
+
+        if (key === this.current)
+        {
+            return this.game.world;
+        }
+
+        var layer = this.getLayer(key);
+
+        return (layer) ? layer.group : null;
+
+    },
+
+    /**
+    * Returns the key of the State the given display object belongs to, based on which State World Group it is in.
+    *
+    * @method Phaser.StateManager#getStateKey
+    * @param {DisplayObject} displayObject - The display object to check.
+    * @return {string|null} The State key, or null if the display object isn't in the World.
+    */
+    getStateKey: function (displayObject) {
+
+        var world = this.game.world;
+
+        while (displayObject && displayObject.parent !== world)
+        {
+            displayObject = displayObject.parent;
+        }
+
+        if (!displayObject)
+        {
+            return null;
+        }
+
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            if (this._stack[i].group === displayObject)
+            {
+                return this._stack[i].key;
+            }
+        }
+
+        return this.current;
+
+    },
+
+    /**
+    * Checks if the given display object can receive input. Objects belonging to a paused State can't.
+    * This is called automatically by Phaser.InputHandler.
+    *
+    * @method Phaser.StateManager#acceptsInput
+    * @protected
+    * @param {DisplayObject} displayObject - The display object to check.
+    * @return {boolean} True if the display object can receive input.
+    */
+    acceptsInput: function (displayObject) {
+
+        if (this._stack.length === 0 && !this._currentPaused)
+        {
+            return true;
+        }
+
+        return !this.isPaused(this.getStateKey(displayObject));
+
+    },
+
+    /**
+    * Returns the internal data of a launched State.
+    *
+    * @method Phaser.StateManager#getLayer
+    * @private
+    * @param {string} key - The key of the launched State.
+    * @return {object} The layer data, or null if the State hasn't been launched.
+    */
+    getLayer: function (key) {
+
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            if (this._stack[i].key === key)
+            {
+                return this._stack[i];
+            }
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Checks if the given launched State has been queued to stop.
+    *
+    * @method Phaser.StateManager#isStopping
+    * @private
+    * @param {string} key - The key of the launched State.
+    * @return {boolean} True if a stop request is queued.
+    */
+    isStopping: function (key) {
+
+        for (var i = 0; i < this._queue.length; i++)
+        {
+            if (this._queue[i].key === key && !this._queue[i].launch)
+            {
+                return true;
+            }
+        }
+
+        return false;
+
+    },
+
+    /**
+    * Processes the queued launch and stop requests. Launches of States that need to preload
+    * will wait, along with everything queued after them, until the Loader is free.
+    *
+    * @method Phaser.StateManager#processQueue
+    * @private
+    */
+    processQueue: function () {
+
+        while (this._queue.length > 0)
+        {
+            var request = this._queue[0];
+
+            if (request.launch && !this.states[request.key])
+            {
+                //  The State was removed after being queued
+                this._queue.shift();
+                continue;
+            }
+
+            if (request.launch && this.states[request.key].preload && (this.game.load.isLoading || this._loadingLayer))
+            {
+                break;
+            }
+
+            this._queue.shift();
+
+            if (request.launch)
+            {
+                this.launchLayer(request.key, request.pauseBelow, request.args);
+            }
+            else if (this.getLayer(request.key))
+            {
+                this.shutdownLayer(this.getLayer(request.key));
+            }
+        }
+
+        this.sortLayers();
+
+    },
+
+    /**
+    * Starts a launched State, creating its World Group and calling its init and preload methods.
+    *
+    * @method Phaser.StateManager#launchLayer
+    * @private
+    * @param {string} key - The key of the State.
+    * @param {boolean} pauseBelow - Pause the State beneath it?
+    * @param {any[]} args - The arguments for the init method.
+    */
+    launchLayer: function (key, pauseBelow, args) {
+
+        var state = this.states[key];
+        var below = (this._stack.length > 0) ? this._stack[this._stack.length - 1].key : this.current;
+
+        var layer = {
+            key: key,
+            state: state,
+            group: new Phaser.Group(this.game, this.game.world, key),
+            created: false,
+            paused: false,
+            pausedBelow: null
+        };
+
+        this._stack.push(layer);
+
+        this.link(key);
+
+        state.world = layer.group;
+        state.add = new Phaser.GameObjectFactory(this.game);
+        state.add.world = layer.group;
+
+        if (pauseBelow && below && !this.isPaused(below))
+        {
+            this.pauseState(below);
+            layer.pausedBelow = below;
+        }
+
+        if (state.init)
+        {
+            state.init.apply(state, args);
+        }
+
+        if (state.preload)
+        {
+            this.game.load.reset(true);
+            state.preload.call(state, this.game);
+
+            if (this.game.load.totalQueuedFiles() === 0 && this.game.load.totalQueuedPacks() === 0)
+            {
+                this.createLayer(layer);
+            }
+            else
+            {
+                this._loadingLayer = layer;
+                this.game.load.start();
+            }
+        }
+        else
+        {
+            this.createLayer(layer);
+        }
+
+    },
+
+    /**
+    * Calls the create method of a launched State.
+    *
+    * @method Phaser.StateManager#createLayer
+    * @private
+    * @param {object} layer - The launched State.
+    */
+    createLayer: function (layer) {
+
+        if (layer.state.loadUpdate)
+        {
+            layer.state.loadUpdate.call(layer.state, this.game);
+        }
+
+        layer.created = true;
+
+        if (layer.state.create)
+        {
+            layer.state.create.call(layer.state, this.game);
+        }
+
+    },
+
+    /**
+    * Immediately stops a launched State, calling its shutdown method and destroying its World Group.
+    *
+    * @method Phaser.StateManager#shutdownLayer
+    * @private
+    * @param {object} layer - The launched State.
+    */
+    shutdownLayer: function (layer) {
+
+        this._stack.splice(this._stack.indexOf(layer), 1);
+
+        if (this._loadingLayer === layer)
+        {
+            this._loadingLayer = null;
+            this.game.load.reset(true);
+        }
+
+        if (layer.state.shutdown)
+        {
+            layer.state.shutdown.call(layer.state, this.game);
+        }
+
+        layer.group.destroy();
+
+        if (layer.pausedBelow)
+        {
+            this.resumeState(layer.pausedBelow);
+        }
+
+        this.unlink(layer.key);
+
+    },
+
+    /**
+    * Immediately stops all launched States, from the top down.
+    *
+    * @method Phaser.StateManager#shutdownLayers
+    * @private
+    */
+    shutdownLayers: function () {
+
+        while (this._stack.length > 0)
+        {
+            this.shutdownLayer(this._stack[this._stack.length - 1]);
+        }
+
+    },
+
+    /**
+    * Makes sure the World Groups of the launched States are the top-most children of the World, in stack order.
+    * Objects added directly to the World by the current State would otherwise appear above them.
+    *
+    * @method Phaser.StateManager#sortLayers
+    * @private
+    */
+    sortLayers: function () {
+
+        var world = this.game.world;
+        var offset = world.children.length - this._stack.length;
+
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            if (world.children[offset + i] !== this._stack[i].group)
+            {
+                for (var j = i; j < this._stack.length; j++)
+                {
+                    world.bringToTop(this._stack[j].group);
+                }
+
+                return;
+            }
+        }
+
+    },
+
     /**
     * Used by onInit and onShutdown when those functions don't exist on the state
     * @method Phaser.StateManager#dummy
@@ -332,6 +941,13 @@ Phaser.StateManager.prototype = {
         {
             var previousStateKey = this.current;
 
+            if (this._pendingTransition && this.current)
+            {
+                this.transition.capture(this._pendingState, this.current, this._pendingTransition);
+            }
+
+            this._pendingTransition = null;
+
             //  Already got a state running?
             this.clearCurrentState();
 
@@ -373,6 +989,11 @@ Phaser.StateManager.prototype = {
             }
         }
 
+        if (this._queue.length > 0 && this.game.isBooted)
+        {
+            this.processQueue();
+        }
+
     },
 
     /**
@@ -385,6 +1006,8 @@ Phaser.StateManager.prototype = {
 
         if (this.current)
         {
+            this.shutdownLayers();
+
             if (this.onShutDownCallback)
             {
                 this.onShutDownCallback.call(this.callbackContext, this.game);
@@ -552,6 +1175,7 @@ Phaser.StateManager.prototype = {
 
         this.current = key;
         this._created = false;
+        this._currentPaused = false;
 
         //  At this point key and pendingState should equal each other
         this.onInitCallback.apply(this.callbackContext, this._args);
@@ -577,12 +1201,60 @@ Phaser.StateManager.prototype = {
         return this.states[this.current];
     },
 
+    /**
+    * Creates a snapshot of the World display list, or of the given Group, as a plain object that can be safely
+    * passed to `JSON.stringify`. This is useful for creating save-games.
+    *
+    * Sprites, Images, Text, TileSprites and Groups are captured, along with their transforms, frames, animation state,
+    * Arcade Physics Body motion and Health and LifeSpan values. See {@link Phaser.StateSerializer} for full details.
+    *
+    * @method Phaser.StateManager#serialize
+    * @param {string[]} [properties] - An array of additional property names to capture from each Game Object, such as `[ 'data' ]`.
+    * @param {Phaser.Group} [root=game.world] - The Group to start serializing from.
+    * @return {object} The snapshot.
+    */
+    serialize: function (properties, root) {
+
+        return this.serializer.serialize(root, properties);
+
+    },
+
+    /**
+    * Restores a snapshot previously created by `StateManager.serialize`.
+    *
+    * By default all of the supported Game Objects in the World are destroyed and re-created from the snapshot.
+    * Set `rebuild` to `false` to patch the existing Game Objects instead, which is required if they are custom classes.
+    *
+    * The snapshot should be restored while the same State that created it is running, i.e. from its `create` method.
+    *
+    * @method Phaser.StateManager#restore
+    * @param {object|string} snapshot - The snapshot object, or a JSON string of it.
+    * @param {boolean} [rebuild=true] - Destroy and re-create the Game Objects (true) or patch the existing ones (false)?
+    * @param {Phaser.Group} [root=game.world] - The Group to restore the snapshot in to.
+    * @return {Phaser.Group} The root Group, or `null` if the snapshot was invalid.
+    */
+    restore: function (snapshot, rebuild, root) {
+
+        return this.serializer.restore(snapshot, root, rebuild);
+
+    },
+
     /**
     * @method Phaser.StateManager#loadComplete
     * @protected
     */
     loadComplete: function () {
 
+        if (this._loadingLayer)
+        {
+            var layer = this._loadingLayer;
+
+            this._loadingLayer = null;
+            this.createLayer(layer);
+
+            return;
+        }
+
         //  Make sure to do load-update one last time before state is set to _created
         if (this._created === false && this.onLoadUpdateCallback)
         {
@@ -612,6 +1284,16 @@ Phaser.StateManager.prototype = {
             this.onPausedCallback.call(this.callbackContext, this.game);
         }
 
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            var state = this._stack[i].state;
+
+            if (this._stack[i].created && state.paused)
+            {
+                state.paused.call(state, this.game);
+            }
+        }
+
     },
 
     /**
@@ -625,6 +1307,16 @@ Phaser.StateManager.prototype = {
             this.onResumedCallback.call(this.callbackContext, this.game);
         }
 
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            var state = this._stack[i].state;
+
+            if (this._stack[i].created && state.resumed)
+            {
+                state.resumed.call(state, this.game);
+            }
+        }
+
     },
 
     /**
@@ -633,21 +1325,47 @@ Phaser.StateManager.prototype = {
     */
     update: function () {
 
-        if (this._created)
+        this.transition.update();
+
+        if (!this._currentPaused)
         {
-            if (this.onUpdateCallback)
+            if (this._created)
+            {
+                if (this.onUpdateCallback)
+                {
+                    this.onUpdateCallback.call(this.callbackContext, this.game);
+                }
+            }
+            else
             {
-                this.onUpdateCallback.call(this.callbackContext, this.game);
+                if (this.onLoadUpdateCallback)
+                {
+                    this.onLoadUpdateCallback.call(this.callbackContext, this.game);
+                }
             }
         }
-        else
+
+        for (var i = 0; i < this._stack.length; i++)
         {
-            if (this.onLoadUpdateCallback)
+            var state = this._stack[i].state;
+
+            if (this._stack[i].paused)
             {
-                this.onLoadUpdateCallback.call(this.callbackContext, this.game);
+                continue;
+            }
+
+            if (this._stack[i].created && state.update)
+            {
+                state.update.call(state, this.game);
+            }
+            else if (!this._stack[i].created && state.loadUpdate)
+            {
+                state.loadUpdate.call(state, this.game);
             }
         }
 
+        this.sortLayers();
+
     },
 
     /**
@@ -671,6 +1389,20 @@ Phaser.StateManager.prototype = {
             }
         }
 
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            var state = this._stack[i].state;
+
+            if (this._stack[i].created && state.pauseUpdate)
+            {
+                state.pauseUpdate.call(state, this.game);
+            }
+            else if (!this._stack[i].created && state.loadUpdate)
+            {
+                state.loadUpdate.call(state, this.game);
+            }
+        }
+
     },
 
     /**
@@ -680,11 +1412,21 @@ Phaser.StateManager.prototype = {
     */
     preRender: function (elapsedTime) {
 
-        if (this._created && this.onPreRenderCallback)
+        if (this._created && this.onPreRenderCallback && !this._currentPaused)
         {
             this.onPreRenderCallback.call(this.callbackContext, this.game, elapsedTime);
         }
 
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            var state = this._stack[i].state;
+
+            if (this._stack[i].created && !this._stack[i].paused && state.preRender)
+            {
+                state.preRender.call(state, this.game, elapsedTime);
+            }
+        }
+
     },
 
     /**
@@ -698,6 +1440,16 @@ Phaser.StateManager.prototype = {
             this.onResizeCallback.call(this.callbackContext, width, height);
         }
 
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            var state = this._stack[i].state;
+
+            if (state.resize)
+            {
+                state.resize.call(state, width, height);
+            }
+        }
+
     },
 
     /**
@@ -731,6 +1483,29 @@ Phaser.StateManager.prototype = {
             }
         }
 
+        for (var i = 0; i < this._stack.length; i++)
+        {
+            var state = this._stack[i].state;
+            var callback = (this._stack[i].created) ? state.render : state.loadRender;
+
+            if (!callback)
+            {
+                continue;
+            }
+
+            if (this.game.renderType === Phaser.CANVAS)
+            {
+                this.game.context.save();
+                this.game.context.setTransform(1, 0, 0, 1, 0, 0);
+                callback.call(state, this.game);
+                this.game.context.restore();
+            }
+            else
+            {
+                callback.call(state, this.game);
+            }
+        }
+
     },
 
     /**
@@ -760,9 +1535,15 @@ Phaser.StateManager.prototype = {
         this.onResumedCallback = null;
         this.onPauseUpdateCallback = null;
 
+        this.serializer = null;
+
+        this.transition.destroy();
+        this.transition = null;
+
         this.game = null;
         this.states = {};
         this._pendingState = null;
+        this._queue = [];
         this.current = '';
 
     }
@@ -0,0 +1,722 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The State Serializer takes a snapshot of the display list held by the World (or any Group within it)
+* and turns it into a plain JavaScript object that can be safely passed to `JSON.stringify`, for example
+* to create a save-game. The snapshot can later be handed back to `restore` to either rebuild the display list
+* from scratch or patch the Game Objects that already exist.
+*
+* The following Game Objects are supported: Phaser.Sprite, Phaser.Image, Phaser.Text, Phaser.TileSprite and Phaser.Group
+* (including the World itself). Any other type of display object is skipped when serializing and left untouched when restoring.
+*
+* For every supported object the transform (position, scale, anchor, angle, alpha, visibility), texture key and frame,
+* current animation state, Arcade Physics Body motion and the Health and LifeSpan component values are captured.
+* You can also whitelist your own properties via the `properties` array. Their values must be JSON safe.
+*
+* You don't normally create an instance of this class directly, but use `game.state.serialize` and `game.state.restore` instead.
+*
+* @class Phaser.StateSerializer
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.StateSerializer = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * An array of property names that are captured from, and restored to, every serialized Game Object that has them.
+    * This is in addition to the properties given to the `serialize` method. For example: `[ 'score', 'data' ]`.
+    * The values of these properties must be JSON safe (strings, numbers, booleans, arrays or plain objects).
+    *
+    * @property {string[]} properties
+    */
+    this.properties = [];
+
+    /**
+    * When restoring a snapshot new Game Objects are created by the function stored in this object that matches
+    * the objects `type` constant, such as `Phaser.SPRITE`. Each function is sent two arguments: a reference to the Game,
+    * and the snapshot node being restored, and must return a new (un-parented) Game Object.
+    *
+    * You can replace these functions if you need a custom class created instead, for example:
+    *
+    * `game.state.serializer.creators[Phaser.SPRITE] = function (game, node) { return new Enemy(game, node.x, node.y, node.key, node.frame); }`
+    *
+    * Whitelisted properties are available in `node.props` should you need to pick a class based on them.
+    *
+    * @property {object} creators
+    */
+    this.creators = {};
+
+    this.creators[Phaser.SPRITE] = function (game, node) {
+        return new Phaser.Sprite(game, node.x, node.y, node.key, node.frame);
+    };
+
+    this.creators[Phaser.IMAGE] = function (game, node) {
+        return new Phaser.Image(game, node.x, node.y, node.key, node.frame);
+    };
+
+    this.creators[Phaser.TEXT] = function (game, node) {
+        return new Phaser.Text(game, node.x, node.y, node.text, node.style);
+    };
+
+    this.creators[Phaser.TILESPRITE] = function (game, node) {
+        return new Phaser.TileSprite(game, node.x, node.y, node.width, node.height, node.key, node.frame);
+    };
+
+    this.creators[Phaser.GROUP] = function (game, node) {
+        return new Phaser.Group(game, null, node.name);
+    };
+
+};
+
+/**
+* The version of the snapshot format created by `serialize`. Restoring a snapshot with a different version will fail.
+* @constant
+* @type {integer}
+*/
+Phaser.StateSerializer.VERSION = 1;
+
+Phaser.StateSerializer.prototype = {
+
+    /**
+    * Creates a snapshot of the given Group and all of its supported descendants.
+    *
+    * @method Phaser.StateSerializer#serialize
+    * @param {Phaser.Group} [root=game.world] - The Group to start serializing from.
+    * @param {string[]} [properties] - An array of additional property names to capture from each Game Object, on top of `StateSerializer.properties`.
+    * @return {object} A plain object snapshot, safe to pass to `JSON.stringify`.
+    */
+    serialize: function (root, properties) {
+
+        if (root === undefined || root === null) { root = this.game.world; }
+
+        var whitelist = this.properties;
+
+        if (Array.isArray(properties))
+        {
+            whitelist = whitelist.concat(properties);
+        }
+
+        var snapshot = {
+            version: Phaser.StateSerializer.VERSION,
+            state: this.game.state.current,
+            root: this.serializeNode(root, whitelist)
+        };
+
+        if (root === this.game.world)
+        {
+            snapshot.camera = { x: this.game.camera.x, y: this.game.camera.y };
+        }
+
+        return snapshot;
+
+    },
+
+    /**
+    * Serializes a single Game Object, and any children it may have, into a snapshot node.
+    *
+    * @method Phaser.StateSerializer#serializeNode
+    * @param {DisplayObject} object - The Game Object to serialize.
+    * @param {string[]} whitelist - The custom property names to capture.
+    * @return {object|null} The snapshot node, or `null` if the object type isn't supported.
+    */
+    serializeNode: function (object, whitelist) {
+
+        if (!this.isSupported(object))
+        {
+            return null;
+        }
+
+        var type = this.getType(object);
+
+        var node = {
+            type: type,
+            name: object.name,
+            x: object.x,
+            y: object.y,
+            rotation: object.rotation,
+            scale: [ object.scale.x, object.scale.y ],
+            alpha: object.alpha,
+            visible: object.visible,
+            exists: object.exists,
+            alive: object.alive
+        };
+
+        if (type === Phaser.TEXT)
+        {
+            node.anchor = [ object.anchor.x, object.anchor.y ];
+            node.text = object.text;
+            node.style = this.copy(object.style);
+        }
+        else if (type !== Phaser.GROUP)
+        {
+            node.anchor = [ object.anchor.x, object.anchor.y ];
+            node.key = (typeof object.key === 'string') ? object.key : null;
+            node.frame = (typeof object.frameName === 'string' && object.frameName !== '') ? object.frameName : object.frame;
+
+            if (typeof node.frame !== 'string' && typeof node.frame !== 'number')
+            {
+                node.frame = null;
+            }
+
+            node.animation = this.serializeAnimation(object.animations);
+        }
+
+        if (type === Phaser.TILESPRITE)
+        {
+            node.width = object.width;
+            node.height = object.height;
+            node.tilePosition = [ object.tilePosition.x, object.tilePosition.y ];
+            node.tileScale = [ object.tileScale.x, object.tileScale.y ];
+        }
+
+        if (object.components)
+        {
+            if (object.components.Health)
+            {
+                node.health = object.health;
+                node.maxHealth = object.maxHealth;
+            }
+
+            if (object.components.LifeSpan)
+            {
+                node.lifespan = object.lifespan;
+            }
+
+            if (object.components.PhysicsBody && object.body && object.body.type === Phaser.Physics.ARCADE)
+            {
+                node.body = this.serializeBody(object.body);
+            }
+        }
+
+        var props = null;
+
+        for (var i = 0; i < whitelist.length; i++)
+        {
+            var key = whitelist[i];
+
+            if (object[key] !== undefined && typeof object[key] !== 'function')
+            {
+                if (props === null)
+                {
+                    props = {};
+                }
+
+                props[key] = this.copy(object[key]);
+            }
+        }
+
+        if (props)
+        {
+            node.props = props;
+        }
+
+        if (type === Phaser.GROUP)
+        {
+            node.children = [];
+
+            for (var c = 0; c < object.children.length; c++)
+            {
+                if (this.isLayer(object.children[c]))
+                {
+                    continue;
+                }
+
+                var child = this.serializeNode(object.children[c], whitelist);
+
+                if (child)
+                {
+                    node.children.push(child);
+                }
+            }
+        }
+
+        return node;
+
+    },
+
+    /**
+    * Captures the state of the current animation in an AnimationManager.
+    *
+    * @method Phaser.StateSerializer#serializeAnimation
+    * @param {Phaser.AnimationManager} animations - The AnimationManager to serialize.
+    * @return {object|null} The animation snapshot, or `null` if there is no current animation.
+    */
+    serializeAnimation: function (animations) {
+
+        var anim = animations.currentAnim;
+
+        if (!anim)
+        {
+            return null;
+        }
+
+        return {
+            name: anim.name,
+            index: anim._frameIndex,
+            speed: anim.speed,
+            loop: anim.loop,
+            playing: anim.isPlaying,
+            paused: anim.isPaused,
+            reversed: anim.isReversed,
+            killOnComplete: anim.killOnComplete
+        };
+
+    },
+
+    /**
+    * Captures the motion values of an Arcade Physics Body.
+    *
+    * @method Phaser.StateSerializer#serializeBody
+    * @param {Phaser.Physics.Arcade.Body} body - The Body to serialize.
+    * @return {object} The body snapshot.
+    */
+    serializeBody: function (body) {
+
+        return {
+            enable: body.enable,
+            velocity: [ body.velocity.x, body.velocity.y ],
+            acceleration: [ body.acceleration.x, body.acceleration.y ],
+            angularVelocity: body.angularVelocity,
+            angularAcceleration: body.angularAcceleration,
+            allowGravity: body.allowGravity,
+            immovable: body.immovable,
+            moves: body.moves
+        };
+
+    },
+
+    /**
+    * Restores a snapshot previously created by `serialize`.
+    *
+    * When `rebuild` is `true` all of the supported Game Objects in the root Group are destroyed and then re-created from
+    * the snapshot, using the functions in `StateSerializer.creators`. Unsupported display objects (such as Tilemap Layers) are left alone.
+    *
+    * When `rebuild` is `false` the existing Game Objects are patched instead. Snapshot nodes are matched to existing children
+    * by `name`, or by position in the Group if no child with that name and type exists. Any nodes that can't be matched are created.
+    * This is the mode to use if your Game Objects are custom classes created by your own State.
+    *
+    * @method Phaser.StateSerializer#restore
+    * @param {object|string} snapshot - The snapshot object, or a JSON string of it.
+    * @param {Phaser.Group} [root=game.world] - The Group to restore the snapshot in to.
+    * @param {boolean} [rebuild=true] - Destroy and re-create the Game Objects (true) or patch the existing ones (false)?
+    * @return {Phaser.Group} The root Group, or `null` if the snapshot was invalid.
+    */
+    restore: function (snapshot, root, rebuild) {
+
+        if (root === undefined || root === null) { root = this.game.world; }
+        if (rebuild === undefined) { rebuild = true; }
+
+        if (typeof snapshot === 'string')
+        {
+            snapshot = JSON.parse(snapshot);
+        }
+
+        if (!snapshot || !snapshot.root || snapshot.root.type !== Phaser.GROUP)
+        {
+            console.warn('Phaser.StateSerializer.restore: Invalid snapshot given');
+            return null;
+        }
+
+        if (snapshot.version !== Phaser.StateSerializer.VERSION)
+        {
+            console.warn('Phaser.StateSerializer.restore: Snapshot version ' + snapshot.version + ' does not match ' + Phaser.StateSerializer.VERSION);
+            return null;
+        }
+
+        if (rebuild)
+        {
+            this.clearGroup(root);
+        }
+
+        this.applyNode(root, snapshot.root, rebuild);
+
+        if (snapshot.camera && root === this.game.world)
+        {
+            this.game.camera.setPosition(snapshot.camera.x, snapshot.camera.y);
+        }
+
+        return root;
+
+    },
+
+    /**
+    * Destroys all of the supported Game Objects within the given Group.
+    *
+    * @method Phaser.StateSerializer#clearGroup
+    * @private
+    * @param {Phaser.Group} group - The Group to clear.
+    */
+    clearGroup: function (group) {
+
+        var i = group.children.length;
+
+        while (i--)
+        {
+            var child = group.children[i];
+
+            if (this.isSupported(child) && !this.isLayer(child))
+            {
+                group.remove(child, true, true);
+            }
+        }
+
+    },
+
+    /**
+    * Creates a brand new Game Object from the given snapshot node, using the matching function in `StateSerializer.creators`.
+    *
+    * @method Phaser.StateSerializer#createNode
+    * @param {object} node - The snapshot node.
+    * @param {Phaser.Group} parent - The Group the new Game Object will be added to.
+    * @return {DisplayObject|null} The new Game Object, or `null` if no creator exists for the node type.
+    */
+    createNode: function (node, parent) {
+
+        var creator = this.creators[node.type];
+
+        if (typeof creator !== 'function')
+        {
+            console.warn('Phaser.StateSerializer: No creator for type ' + node.type);
+            return null;
+        }
+
+        var object = creator.call(this, this.game, node);
+
+        if (object)
+        {
+            parent.add(object, true);
+        }
+
+        return object;
+
+    },
+
+    /**
+    * Finds the existing child of the Group that best matches the given snapshot node.
+    *
+    * @method Phaser.StateSerializer#findChild
+    * @private
+    * @param {Phaser.Group} group - The Group to search.
+    * @param {object} node - The snapshot node.
+    * @param {integer} index - The index of the node in the snapshot children array.
+    * @param {array} used - The children that have already been matched to another node.
+    * @return {DisplayObject|null} The matching child, if any.
+    */
+    findChild: function (group, node, index, used) {
+
+        var candidate;
+        var i;
+
+        if (node.name)
+        {
+            for (i = 0; i < group.children.length; i++)
+            {
+                candidate = group.children[i];
+
+                if (this.getType(candidate) === node.type && candidate.name === node.name && used.indexOf(candidate) === -1 && !this.isLayer(candidate))
+                {
+                    return candidate;
+                }
+            }
+        }
+
+        var count = 0;
+
+        for (i = 0; i < group.children.length; i++)
+        {
+            candidate = group.children[i];
+
+            if (this.isSupported(candidate) && !this.isLayer(candidate))
+            {
+                if (count === index && this.getType(candidate) === node.type && used.indexOf(candidate) === -1)
+                {
+                    return candidate;
+                }
+
+                count++;
+            }
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Applies a snapshot node to the given Game Object, restoring its children if it's a Group.
+    *
+    * @method Phaser.StateSerializer#applyNode
+    * @param {DisplayObject} object - The Game Object to apply the snapshot to.
+    * @param {object} node - The snapshot node.
+    * @param {boolean} rebuild - If `true` children are always created, otherwise existing children are patched where possible.
+    */
+    applyNode: function (object, node, rebuild) {
+
+        var type = this.getType(object);
+
+        object.position.set(node.x, node.y);
+        object.rotation = node.rotation;
+        object.scale.set(node.scale[0], node.scale[1]);
+        object.alpha = node.alpha;
+        object.visible = node.visible;
+        object.exists = node.exists;
+
+        if (node.name !== undefined)
+        {
+            object.name = node.name;
+        }
+
+        if (node.alive !== undefined)
+        {
+            object.alive = node.alive;
+        }
+
+        if (node.anchor)
+        {
+            object.anchor.set(node.anchor[0], node.anchor[1]);
+        }
+
+        if (type === Phaser.TEXT)
+        {
+            object.setStyle(this.copy(node.style));
+            object.text = node.text;
+        }
+        else if (type !== Phaser.GROUP)
+        {
+            this.applyTexture(object, node);
+        }
+
+        if (type === Phaser.TILESPRITE)
+        {
+            object.width = node.width;
+            object.height = node.height;
+            object.tilePosition.set(node.tilePosition[0], node.tilePosition[1]);
+            object.tileScale.set(node.tileScale[0], node.tileScale[1]);
+        }
+
+        if (node.health !== undefined)
+        {
+            object.maxHealth = node.maxHealth;
+            object.health = node.health;
+        }
+
+        if (node.lifespan !== undefined)
+        {
+            object.lifespan = node.lifespan;
+        }
+
+        if (node.body)
+        {
+            this.applyBody(object, node.body);
+        }
+
+        if (node.props)
+        {
+            for (var key in node.props)
+            {
+                object[key] = this.copy(node.props[key]);
+            }
+        }
+
+        if (node.children)
+        {
+            var used = [];
+
+            for (var i = 0; i < node.children.length; i++)
+            {
+                var childNode = node.children[i];
+                var child = (rebuild) ? null : this.findChild(object, childNode, i, used);
+
+                if (!child)
+                {
+                    child = this.createNode(childNode, object);
+                }
+
+                if (child)
+                {
+                    used.push(child);
+                    this.applyNode(child, childNode, rebuild);
+                }
+            }
+        }
+
+    },
+
+    /**
+    * Restores the texture frame and animation state of a Game Object.
+    *
+    * @method Phaser.StateSerializer#applyTexture
+    * @private
+    * @param {DisplayObject} object - The Game Object to restore.
+    * @param {object} node - The snapshot node.
+    */
+    applyTexture: function (object, node) {
+
+        if (node.key !== null && node.key !== object.key)
+        {
+            object.loadTexture(node.key, node.frame);
+        }
+        else if (typeof node.frame === 'string')
+        {
+            object.frameName = node.frame;
+        }
+        else if (typeof node.frame === 'number')
+        {
+            object.frame = node.frame;
+        }
+
+        var data = node.animation;
+
+        if (!data)
+        {
+            return;
+        }
+
+        var anim = object.animations.getAnimation(data.name);
+
+        if (!anim)
+        {
+            return;
+        }
+
+        anim.loop = data.loop;
+        anim.speed = data.speed;
+        anim.killOnComplete = data.killOnComplete;
+        anim.reversed = data.reversed;
+
+        if (data.playing)
+        {
+            object.animations.play(data.name);
+        }
+        else
+        {
+            object.animations.currentAnim = anim;
+        }
+
+        if (data.index < anim.frameTotal)
+        {
+            anim.frame = data.index;
+        }
+
+        anim.paused = data.paused;
+
+    },
+
+    /**
+    * Restores the motion values of an Arcade Physics Body, enabling one on the Game Object first if required.
+    *
+    * @method Phaser.StateSerializer#applyBody
+    * @private
+    * @param {DisplayObject} object - The Game Object to restore the Body on.
+    * @param {object} data - The body snapshot.
+    */
+    applyBody: function (object, data) {
+
+        if (!object.body && this.game.physics.arcade)
+        {
+            this.game.physics.arcade.enable(object, false);
+        }
+
+        var body = object.body;
+
+        if (!body || body.type !== Phaser.Physics.ARCADE)
+        {
+            return;
+        }
+
+        body.reset(object.x, object.y);
+
+        body.enable = data.enable;
+        body.velocity.set(data.velocity[0], data.velocity[1]);
+        body.acceleration.set(data.acceleration[0], data.acceleration[1]);
+        body.angularVelocity = data.angularVelocity;
+        body.angularAcceleration = data.angularAcceleration;
+        body.allowGravity = data.allowGravity;
+        body.immovable = data.immovable;
+        body.moves = data.moves;
+
+    },
+
+    /**
+    * Checks if the given display object is of a type the serializer can handle.
+    *
+    * @method Phaser.StateSerializer#isSupported
+    * @param {DisplayObject} object - The display object to check.
+    * @return {boolean} True if the object can be serialized, otherwise false.
+    */
+    isSupported: function (object) {
+
+        if (!object)
+        {
+            return false;
+        }
+
+        var type = this.getType(object);
+
+        return (type === Phaser.SPRITE || type === Phaser.IMAGE || type === Phaser.TEXT || type === Phaser.TILESPRITE || type === Phaser.GROUP);
+
+    },
+
+    /**
+    * Checks if the given display object is the World Group of a State launched via `StateManager.launch`.
+    * These belong to the launched States, so are never captured or cleared along with the current States objects.
+    *
+    * @method Phaser.StateSerializer#isLayer
+    * @private
+    * @param {DisplayObject} object - The display object to check.
+    * @return {boolean} True if the object is the World Group of a launched State.
+    */
+    isLayer: function (object) {
+
+        return (object.parent === this.game.world && this.game.state.getStateKey(object) !== this.game.state.current);
+
+    },
+
+    /**
+    * Returns the Game Object type constant used in snapshots for the given display object.
+    * Text objects are detected by class, as they share the `Phaser.SPRITE` type value with Sprites.
+    *
+    * @method Phaser.StateSerializer#getType
+    * @param {DisplayObject} object - The display object to check.
+    * @return {integer} The type constant, such as `Phaser.SPRITE`.
+    */
+    getType: function (object) {
+
+        if (Phaser.Text && object instanceof Phaser.Text)
+        {
+            return Phaser.TEXT;
+        }
+
+        return object.type;
+
+    },
+
+    /**
+    * Returns a JSON safe deep copy of the given value.
+    *
+    * @method Phaser.StateSerializer#copy
+    * @private
+    * @param {any} value - The value to copy.
+    * @return {any} The copied value.
+    */
+    copy: function (value) {
+
+        if (value === null || typeof value !== 'object')
+        {
+            return value;
+        }
+
+        return JSON.parse(JSON.stringify(value));
+
+    }
+
+};
+
+Phaser.StateSerializer.prototype.constructor = Phaser.StateSerializer;
@@ -0,0 +1,524 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The State Transition animates the switch from one State to another. It's used by `StateManager.startTransition`
+* and is available via `game.state.transition`.
+*
+* When a transition begins the World of the outgoing State is captured to a RenderTexture, which is displayed on top of
+* the World. The new State then runs its preload and create methods as normal, hidden behind the capture. Once the new
+* State has been created the capture is animated away, revealing the new State beneath it.
+*
+* The built-in transition types are:
+*
+* `Phaser.StateTransition.FADE` - The outgoing State fades out.
+* `Phaser.StateTransition.SLIDE` - The outgoing State slides off the screen in the given `direction`.
+* `Phaser.StateTransition.WIPE` - The outgoing State is wiped away in the given `direction`.
+* `Phaser.StateTransition.IRIS` - The outgoing State is masked by a circle that closes in on the center of the screen.
+* `Phaser.StateTransition.PIXELATE` - The outgoing State dissolves away in randomly ordered blocks of `blockSize` pixels.
+*
+* The properties of this object are used as the defaults for every transition, and can be overridden per transition
+* by the config object given to `StateManager.startTransition`.
+*
+* Transitions require RenderTexture support. The WIPE, IRIS and PIXELATE types also require Graphics support, for masking,
+* and fall back to FADE if it has been excluded from the build.
+*
+* @class Phaser.StateTransition
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.StateTransition = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * @property {string} type - The default transition type, such as `Phaser.StateTransition.FADE`.
+    * @default
+    */
+    this.type = Phaser.StateTransition.FADE;
+
+    /**
+    * @property {number} duration - The default duration of the transition animation, in milliseconds.
+    * It doesn't include the time spent by the new State loading.
+    * @default
+    */
+    this.duration = 500;
+
+    /**
+    * The default easing function, such as `Phaser.Easing.Quadratic.Out`. You can also give the name of an ease,
+    * such as 'Quad.easeOut', if the Tween Manager is available. If null a linear ease is used.
+    *
+    * @property {function|string} ease
+    * @default
+    */
+    this.ease = null;
+
+    /**
+    * @property {integer} direction - The default direction of SLIDE and WIPE transitions: `Phaser.LEFT`, `Phaser.RIGHT`, `Phaser.UP` or `Phaser.DOWN`.
+    * @default
+    */
+    this.direction = Phaser.LEFT;
+
+    /**
+    * @property {integer} blockSize - The default size, in pixels, of the blocks used by the PIXELATE transition.
+    * @default
+    */
+    this.blockSize = 16;
+
+    /**
+    * This signal is dispatched when a transition begins, after the outgoing State has been captured but before it is shut down.
+    * It is sent two arguments: the key of the incoming State and the key of the outgoing State.
+    *
+    * @property {Phaser.Signal} onTransitionStart
+    */
+    this.onTransitionStart = new Phaser.Signal();
+
+    /**
+    * This signal is dispatched when the transition animation has finished and the incoming State is fully visible.
+    * It is sent one argument: the key of the incoming State.
+    *
+    * @property {Phaser.Signal} onTransitionComplete
+    */
+    this.onTransitionComplete = new Phaser.Signal();
+
+    /**
+    * @property {boolean} isRunning - True while a transition is in progress, including the time spent waiting for the incoming State to load.
+    * @readonly
+    */
+    this.isRunning = false;
+
+    /**
+    * @property {Phaser.RenderTexture} texture - The RenderTexture the outgoing State is captured to.
+    * @readonly
+    */
+    this.texture = null;
+
+    /**
+    * @property {Phaser.Group} container - The Group, added to the Stage above the World, that holds the capture while transitioning.
+    * @readonly
+    */
+    this.container = null;
+
+    /**
+    * @property {Phaser.Image} image - The Image that displays the capture.
+    * @readonly
+    */
+    this.image = null;
+
+    /**
+    * @property {Phaser.Graphics} mask - The Graphics object used to mask the capture during WIPE, IRIS and PIXELATE transitions.
+    * @readonly
+    */
+    this.mask = null;
+
+    /**
+    * @property {object} _settings - The settings of the transition in progress.
+    * @private
+    */
+    this._settings = null;
+
+    /**
+    * @property {string} _key - The key of the incoming State.
+    * @private
+    */
+    this._key = '';
+
+    /**
+    * @property {boolean} _waiting - Is the transition waiting for the incoming State to be created?
+    * @private
+    */
+    this._waiting = false;
+
+    /**
+    * @property {number} _elapsed - The time elapsed since the animation began, in milliseconds.
+    * @private
+    */
+    this._elapsed = 0;
+
+    /**
+    * @property {integer[]} _blocks - The block indexes of the PIXELATE transition, in the order they dissolve.
+    * @private
+    */
+    this._blocks = [];
+
+};
+
+/**
+* @constant
+* @type {string}
+*/
+Phaser.StateTransition.FADE = 'fade';
+
+/**
+* @constant
+* @type {string}
+*/
+Phaser.StateTransition.SLIDE = 'slide';
+
+/**
+* @constant
+* @type {string}
+*/
+Phaser.StateTransition.WIPE = 'wipe';
+
+/**
+* @constant
+* @type {string}
+*/
+Phaser.StateTransition.IRIS = 'iris';
+
+/**
+* @constant
+* @type {string}
+*/
+Phaser.StateTransition.PIXELATE = 'pixelate';
+
+Phaser.StateTransition.prototype = {
+
+    /**
+    * Captures the World of the outgoing State and displays it on top of the World, ready to be animated
+    * once the incoming State has been created. This is called automatically by the StateManager.
+    *
+    * @method Phaser.StateTransition#capture
+    * @protected
+    * @param {string} key - The key of the incoming State.
+    * @param {string} previousKey - The key of the outgoing State.
+    * @param {string|object} [config] - The transition type, or an object that overrides any of the default properties: `type`, `duration`, `ease`, `direction` and `blockSize`.
+    */
+    capture: function (key, previousKey, config) {
+
+        if (this.isRunning)
+        {
+            this.complete();
+        }
+
+        this._settings = this.getSettings(config);
+
+        var width = this.game.width;
+        var height = this.game.height;
+
+        if (!this.texture)
+        {
+            this.texture = new Phaser.RenderTexture(this.game, width, height, '__transition');
+            this.container = new Phaser.Group(this.game, null, '__transition');
+            this.image = new Phaser.Image(this.game, 0, 0, this.texture);
+            this.container.add(this.image);
+        }
+        else if (this.texture.width !== width || this.texture.height !== height)
+        {
+            this.texture.resize(width, height, true);
+            this.image.loadTexture(this.texture);
+        }
+
+        this.texture.render(this.game.world, null, true);
+
+        this.image.position.set(0, 0);
+        this.image.alpha = 1;
+        this.image.mask = null;
+
+        if (this._settings.type === Phaser.StateTransition.WIPE || this._settings.type === Phaser.StateTransition.IRIS || this._settings.type === Phaser.StateTransition.PIXELATE)
+        {
+            if (!this.mask)
+            {
+                this.mask = new Phaser.Graphics(this.game);
+                this.container.add(this.mask);
+            }
+
+            this.image.mask = this.mask;
+        }
+
+        if (this._settings.type === Phaser.StateTransition.PIXELATE)
+        {
+            var total = Math.ceil(width / this._settings.blockSize) * Math.ceil(height / this._settings.blockSize);
+
+            this._blocks.length = 0;
+
+            for (var i = 0; i < total; i++)
+            {
+                this._blocks.push(i);
+            }
+
+            Phaser.ArrayUtils.shuffle(this._blocks);
+        }
+
+        //  Move the container to the top of the Stage (addChild will remove it from the Stage first if needed)
+        this.game.stage.addChild(this.container);
+
+        this.container.visible = true;
+
+        this._key = key;
+        this._elapsed = 0;
+        this._waiting = true;
+
+        this.isRunning = true;
+
+        this.step(0);
+
+        this.onTransitionStart.dispatch(key, previousKey);
+
+    },
+
+    /**
+    * Merges the given config with the default properties of this object.
+    *
+    * @method Phaser.StateTransition#getSettings
+    * @private
+    * @param {string|object} [config] - The transition type, or an object of transition properties.
+    * @return {object} The transition settings.
+    */
+    getSettings: function (config) {
+
+        if (typeof config === 'string')
+        {
+            config = { type: config };
+        }
+        else if (!config)
+        {
+            config = {};
+        }
+
+        var settings = {
+            type: (config.type !== undefined) ? config.type : this.type,
+            duration: (config.duration !== undefined) ? config.duration : this.duration,
+            ease: (config.ease !== undefined) ? config.ease : this.ease,
+            direction: (config.direction !== undefined) ? config.direction : this.direction,
+            blockSize: (config.blockSize !== undefined) ? config.blockSize : this.blockSize
+        };
+
+        if (typeof settings.ease === 'string')
+        {
+            settings.ease = (this.game.tweens.easeMap && this.game.tweens.easeMap[settings.ease]) || null;
+        }
+
+        if (settings.type !== Phaser.StateTransition.FADE && settings.type !== Phaser.StateTransition.SLIDE && !Phaser.Graphics)
+        {
+            settings.type = Phaser.StateTransition.FADE;
+        }
+
+        settings.blockSize = Math.max(1, settings.blockSize);
+
+        return settings;
+
+    },
+
+    /**
+    * Advances the transition. Called automatically by the StateManager every frame.
+    * The animation doesn't start until the incoming State has been created.
+    *
+    * @method Phaser.StateTransition#update
+    * @protected
+    */
+    update: function () {
+
+        if (!this.isRunning)
+        {
+            return;
+        }
+
+        if (this._waiting)
+        {
+            if (!this.game.state.created)
+            {
+                return;
+            }
+
+            this._waiting = false;
+        }
+
+        this._elapsed += this.game.time.elapsedMS;
+
+        var progress = (this._settings.duration > 0) ? Math.min(1, this._elapsed / this._settings.duration) : 1;
+
+        if (progress === 1)
+        {
+            this.complete();
+        }
+        else
+        {
+            this.step((this._settings.ease) ? this._settings.ease(progress) : progress);
+        }
+
+    },
+
+    /**
+    * Updates the capture for the given point in the animation.
+    *
+    * @method Phaser.StateTransition#step
+    * @private
+    * @param {number} progress - The eased progress of the animation, from 0 to 1.
+    */
+    step: function (progress) {
+
+        var settings = this._settings;
+        var width = this.game.width;
+        var height = this.game.height;
+        var remaining = 1 - progress;
+
+        if (settings.type === Phaser.StateTransition.FADE)
+        {
+            this.image.alpha = Phaser.Math.clamp(remaining, 0, 1);
+        }
+        else if (settings.type === Phaser.StateTransition.SLIDE)
+        {
+            this.image.x = this.getOffset(settings.direction, Phaser.LEFT, Phaser.RIGHT) * width * progress;
+            this.image.y = this.getOffset(settings.direction, Phaser.UP, Phaser.DOWN) * height * progress;
+        }
+        else
+        {
+            this.mask.clear();
+            this.mask.beginFill(0xffffff);
+
+            if (settings.type === Phaser.StateTransition.WIPE)
+            {
+                this.drawWipe(settings.direction, progress, width, height);
+            }
+            else if (settings.type === Phaser.StateTransition.IRIS)
+            {
+                this.mask.drawCircle(width / 2, height / 2, Math.max(0, remaining) * Math.sqrt(width * width + height * height));
+            }
+            else
+            {
+                this.drawBlocks(remaining, width, settings.blockSize);
+            }
+
+            this.mask.endFill();
+        }
+
+    },
+
+    /**
+    * Returns -1, 1 or 0 depending on if the direction matches the negative or positive direction given.
+    *
+    * @method Phaser.StateTransition#getOffset
+    * @private
+    * @param {integer} direction - The transition direction.
+    * @param {integer} negative - The direction that results in -1.
+    * @param {integer} positive - The direction that results in 1.
+    * @return {integer} The offset multiplier.
+    */
+    getOffset: function (direction, negative, positive) {
+
+        if (direction === negative)
+        {
+            return -1;
+        }
+        else if (direction === positive)
+        {
+            return 1;
+        }
+
+        return 0;
+
+    },
+
+    /**
+    * Draws the visible part of the capture for a WIPE transition into the mask.
+    *
+    * @method Phaser.StateTransition#drawWipe
+    * @private
+    * @param {integer} direction - The direction the capture is wiped away in.
+    * @param {number} progress - The eased progress of the animation.
+    * @param {number} width - The width of the game.
+    * @param {number} height - The height of the game.
+    */
+    drawWipe: function (direction, progress, width, height) {
+
+        var offsetX = this.getOffset(direction, Phaser.LEFT, Phaser.RIGHT);
+        var offsetY = this.getOffset(direction, Phaser.UP, Phaser.DOWN);
+
+        var x = (offsetX === 1) ? width * progress : 0;
+        var y = (offsetY === 1) ? height * progress : 0;
+        var w = (offsetX !== 0) ? width * (1 - progress) : width;
+        var h = (offsetY !== 0) ? height * (1 - progress) : height;
+
+        if (w > 0 && h > 0)
+        {
+            this.mask.drawRect(x, y, w, h);
+        }
+
+    },
+
+    /**
+    * Draws the remaining blocks of a PIXELATE transition into the mask.
+    *
+    * @method Phaser.StateTransition#drawBlocks
+    * @private
+    * @param {number} remaining - The amount of blocks still visible, from 0 to 1.
+    * @param {number} width - The width of the game.
+    * @param {integer} size - The size of each block.
+    */
+    drawBlocks: function (remaining, width, size) {
+
+        var columns = Math.ceil(width / size);
+        var total = Math.round(this._blocks.length * Phaser.Math.clamp(remaining, 0, 1));
+
+        for (var i = 0; i < total; i++)
+        {
+            var block = this._blocks[i];
+
+            this.mask.drawRect((block % columns) * size, Math.floor(block / columns) * size, size, size);
+        }
+
+    },
+
+    /**
+    * Immediately finishes the transition in progress, hiding the capture and dispatching `onTransitionComplete`.
+    *
+    * @method Phaser.StateTransition#complete
+    */
+    complete: function () {
+
+        if (!this.isRunning)
+        {
+            return;
+        }
+
+        this.isRunning = false;
+        this._waiting = false;
+
+        this.container.visible = false;
+        this.image.mask = null;
+
+        if (this.mask)
+        {
+            this.mask.clear();
+        }
+
+        this.onTransitionComplete.dispatch(this._key);
+
+    },
+
+    /**
+    * Destroys the capture and its RenderTexture and removes all signal bindings.
+    *
+    * @method Phaser.StateTransition#destroy
+    */
+    destroy: function () {
+
+        this.onTransitionStart.dispose();
+        this.onTransitionComplete.dispose();
+
+        if (this.container)
+        {
+            this.container.destroy();
+            this.texture.destroy(true);
+        }
+
+        this.container = null;
+        this.image = null;
+        this.mask = null;
+        this.texture = null;
+        this.isRunning = false;
+        this.game = null;
+
+    }
+
+};
+
+Phaser.StateTransition.prototype.constructor = Phaser.StateTransition;
@@ -91,6 +91,61 @@ Phaser.World.prototype.stateChange = function () {
 
 };
 
+/**
+* The core preUpdate - as called by Stage.
+*
+* This works like Group.preUpdate, except that children belonging to a State that has been paused via
+* {@link Phaser.StateManager#pauseState} are skipped, so their animations and physics bodies don't advance.
+*
+* @method Phaser.World#preUpdate
+* @protected
+*/
+Phaser.World.prototype.preUpdate = function () {
+
+    if (!this.exists)
+    {
+        return false;
+    }
+
+    var state = this.game.state;
+
+    for (var i = 0; i < this.children.length; i++)
+    {
+        if (!state.isPaused(state.getStateKey(this.children[i])))
+        {
+            this.children[i].preUpdate();
+        }
+    }
+
+    return true;
+
+};
+
+/**
+* The core update - as called by Stage.
+*
+* This works like Group.update, except that children belonging to a paused State are skipped.
+*
+* @method Phaser.World#update
+* @protected
+*/
+Phaser.World.prototype.update = function () {
+
+    var state = this.game.state;
+
+    //  Goes in reverse, because it's highly likely the child will destroy itself in `update`
+    var i = this.children.length;
+
+    while (i--)
+    {
+        if (!state.isPaused(state.getStateKey(this.children[i])))
+        {
+            this.children[i].update();
+        }
+    }
+
+};
+
 /**
 * Updates the size of this world and sets World.x/y to the given values
 * The Camera bounds and Physics bounds (if set) are also updated to match the new World bounds.
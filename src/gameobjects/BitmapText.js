@@ -29,6 +29,11 @@
 *
 * If you were using an older version of Phaser (< 2.4) and using the DOMish parser hack, please remove this. It isn't required any longer.
 *
+* Fonts with a signed distance field texture, such as those made by msdf-bmfont, stay crisp at any size in WebGL, and can be
+* given an outline and a glow with `setOutline` and `setGlow`. The font data must have a `distanceField` element with its
+* `fieldType` ('sdf', 'psdf' or 'msdf') and `distanceRange`. On Canvas the texture is drawn as a normal bitmap font instead,
+* without the outline and glow.
+*
 * @class Phaser.BitmapText
 * @constructor
 * @extends PIXI.DisplayObjectContainer
@@ -145,6 +150,49 @@ Phaser.BitmapText = function (game, x, y, font, text, size, align) {
     */
     this._tint = 0xFFFFFF;
 
+    /**
+    * @property {number} outlineColor - The color of the outline of a distance field font. This is a hex value.
+    * @default
+    */
+    this.outlineColor = 0x000000;
+
+    /**
+    * @property {number} outlineWidth - The width of the outline of a distance field font, in pixels at the size of the text. Zero means no outline.
+    * @default
+    */
+    this.outlineWidth = 0;
+
+    /**
+    * @property {number} outlineAlpha - The alpha of the outline of a distance field font.
+    * @default
+    */
+    this.outlineAlpha = 1;
+
+    /**
+    * @property {number} glowColor - The color of the glow around a distance field font. This is a hex value.
+    * @default
+    */
+    this.glowColor = 0xFFFFFF;
+
+    /**
+    * @property {number} glowWidth - How far the glow of a distance field font spreads out from the outline, in pixels at the size of the text. Zero means no glow.
+    * @default
+    */
+    this.glowWidth = 0;
+
+    /**
+    * @property {number} glowAlpha - The alpha of the glow of a distance field font, where it's closest to the text.
+    * @default
+    */
+    this.glowAlpha = 1;
+
+    /**
+    * @property {PIXI.AbstractFilter} _distanceFieldShader - The shader the glyphs of a distance field font are drawn with in WebGL.
+    * It holds the uniforms of this BitmapText, while the compiled program is shared, see `getDistanceFieldShader`.
+    * @private
+    */
+    this._distanceFieldShader = null;
+
     this.updateText();
 
     /**
@@ -454,6 +502,7 @@ Phaser.BitmapText.prototype.updateText = function () {
 
             g.scale.set(scale);
             g.tint = this.tint;
+            g.shader = (data.distanceField) ? this._distanceFieldShader : null;
             g.texture.requiresReTint = true;
 
             if (!g.parent)
@@ -513,6 +562,128 @@ Phaser.BitmapText.prototype.purgeGlyphs = function () {
 
 };
 
+/**
+* Sets the outline drawn around the text of a distance field font. It's only drawn in WebGL.
+*
+* The outline can't be wider than half of the `distanceRange` of the font, in pixels of the font texture.
+*
+* @method Phaser.BitmapText.prototype.setOutline
+* @param {number} [color=0x000000] - The color of the outline. This is a hex value.
+* @param {number} [width=0] - The width of the outline in pixels at the size of the text. Zero removes the outline.
+* @param {number} [alpha=1] - The alpha of the outline.
+* @return {Phaser.BitmapText} This BitmapText instance.
+*/
+Phaser.BitmapText.prototype.setOutline = function (color, width, alpha) {
+
+    if (color === undefined) { color = 0x000000; }
+    if (width === undefined) { width = 0; }
+    if (alpha === undefined) { alpha = 1; }
+
+    this.outlineColor = color;
+    this.outlineWidth = width;
+    this.outlineAlpha = alpha;
+
+    return this;
+
+};
+
+/**
+* Sets the glow drawn around the text of a distance field font, outside of any outline. It's only drawn in WebGL.
+*
+* The glow fades out over `width`, and can't spread further than the `distanceRange` of the font allows.
+*
+* @method Phaser.BitmapText.prototype.setGlow
+* @param {number} [color=0xFFFFFF] - The color of the glow. This is a hex value.
+* @param {number} [width=0] - How far the glow spreads in pixels at the size of the text. Zero removes the glow.
+* @param {number} [alpha=1] - The alpha of the glow where it's closest to the text.
+* @return {Phaser.BitmapText} This BitmapText instance.
+*/
+Phaser.BitmapText.prototype.setGlow = function (color, width, alpha) {
+
+    if (color === undefined) { color = 0xFFFFFF; }
+    if (width === undefined) { width = 0; }
+    if (alpha === undefined) { alpha = 1; }
+
+    this.glowColor = color;
+    this.glowWidth = width;
+    this.glowAlpha = alpha;
+
+    return this;
+
+};
+
+/**
+* Updates the uniforms of the distance field shader for the current scale, outline and glow.
+* The edges are smoothed over about one pixel on the screen, however much the text is scaled.
+*
+* @method Phaser.BitmapText.prototype.updateDistanceField
+* @private
+* @param {number} [resolution=1] - The resolution of the renderer.
+*/
+Phaser.BitmapText.prototype.updateDistanceField = function (resolution) {
+
+    if (resolution === undefined) { resolution = 1; }
+
+    var data = this._data.font;
+    var field = data.distanceField;
+    var uniforms = this._distanceFieldShader.uniforms;
+    var wt = this.worldTransform;
+    var range = field.distanceRange || 1;
+
+    //  Screen pixels per texture pixel, and field units per pixel at the size of the text
+    var scale = (this._fontSize / data.size) * Math.sqrt(wt.a * wt.a + wt.b * wt.b) * resolution;
+    var unit = (data.size / this._fontSize) / range;
+
+    uniforms.msdf.value = (field.fieldType === 'msdf') ? 1 : 0;
+    uniforms.smoothing.value = Phaser.Math.clamp(0.5 / (range * scale), 0.001, 0.5);
+    uniforms.outlineWidth.value = Math.max(0, this.outlineWidth) * unit;
+    uniforms.glowWidth.value = Math.max(0, this.glowWidth) * unit;
+
+    Phaser.BitmapText.setShaderColor(uniforms.outlineColor.value, this.outlineColor, (this.outlineWidth > 0) ? this.outlineAlpha : 0);
+    Phaser.BitmapText.setShaderColor(uniforms.glowColor.value, this.glowColor, (this.glowWidth > 0) ? this.glowAlpha : 0);
+
+};
+
+/**
+* Renders the BitmapText in WebGL, creating the shader of a distance field font the first time it's needed.
+*
+* @method Phaser.BitmapText.prototype._renderWebGL
+* @private
+* @param {object} renderSession - The WebGL render session.
+*/
+Phaser.BitmapText.prototype._renderWebGL = function (renderSession) {
+
+    if (this._data.font && this._data.font.distanceField)
+    {
+        if (this._distanceFieldShader === null)
+        {
+            this._distanceFieldShader = new PIXI.AbstractFilter(Phaser.BitmapText.distanceFieldFragmentSrc, {
+                msdf: { type: '1f', value: 0 },
+                smoothing: { type: '1f', value: 0.1 },
+                outlineWidth: { type: '1f', value: 0 },
+                outlineColor: { type: '4fv', value: [ 0, 0, 0, 0 ] },
+                glowWidth: { type: '1f', value: 0 },
+                glowColor: { type: '4fv', value: [ 0, 0, 0, 0 ] }
+            });
+
+            this.updateText();
+        }
+
+        var gl = renderSession.gl;
+
+        //  Set before the sprite batch gets to it, which would compile a program for every BitmapText
+        if (!this._distanceFieldShader.shaders[gl.id])
+        {
+            this._distanceFieldShader.shaders[gl.id] = Phaser.BitmapText.getDistanceFieldShader(gl, this._distanceFieldShader.uniforms);
+        }
+
+        this.updateDistanceField(renderSession.resolution);
+    }
+
+    PIXI.DisplayObjectContainer.prototype._renderWebGL.call(this, renderSession);
+
+};
+
 /**
 * Updates the transform of this object.
 *
@@ -532,6 +703,19 @@ Phaser.BitmapText.prototype.updateTransform = function () {
 
 };
 
+/**
+* @name Phaser.BitmapText#distanceField
+* @property {object} distanceField - The `fieldType` and `distanceRange` of a distance field font, or null if the font isn't one.
+* @readonly
+*/
+Object.defineProperty(Phaser.BitmapText.prototype, 'distanceField', {
+
+    get: function() {
+        return (this._data.font) ? this._data.font.distanceField || null : null;
+    }
+
+});
+
 /**
 * @name Phaser.BitmapText#align
 * @property {string} align - Alignment for multi-line text ('left', 'center' or 'right'), does not affect single lines of text.
@@ -710,3 +894,295 @@ Object.defineProperty(Phaser.BitmapText.prototype, 'smoothed', {
     }
 
 });
+
+/**
+* Sets a `4fv` shader uniform to a color, premultiplied by its alpha.
+*
+* @method Phaser.BitmapText.setShaderColor
+* @private
+* @param {array} value - The value of the uniform.
+* @param {number} color - The color. This is a hex value.
+* @param {number} alpha - The alpha of the color.
+*/
+Phaser.BitmapText.setShaderColor = function (value, color, alpha) {
+
+    value[0] = ((color >> 16) & 0xFF) / 255 * alpha;
+    value[1] = ((color >> 8) & 0xFF) / 255 * alpha;
+    value[2] = (color & 0xFF) / 255 * alpha;
+    value[3] = alpha;
+
+};
+
+/**
+* The compiled distance field shader programs, by the id of their WebGL context.
+*
+* @property {object} Phaser.BitmapText._distanceFieldPrograms
+* @static
+* @private
+*/
+Phaser.BitmapText._distanceFieldPrograms = {};
+
+/**
+* Gets a shader that draws distance field glyphs with the given uniforms. All of the distance field BitmapTexts share
+* one program per WebGL context, compiled the first time it's needed, so destroying a BitmapText has no program to free.
+*
+* @method Phaser.BitmapText.getDistanceFieldShader
+* @private
+* @param {WebGLRenderingContext} gl - The WebGL context.
+* @param {object} uniforms - The uniforms of the BitmapText.
+* @return {PIXI.PixiShader} A shader that uses the shared program and syncs the given uniforms.
+*/
+Phaser.BitmapText.getDistanceFieldShader = function (gl, uniforms) {
+
+    var program = Phaser.BitmapText._distanceFieldPrograms[gl.id];
+
+    if (!program)
+    {
+        program = new PIXI.PixiShader(gl);
+
+        //  The constructor compiled the default program, which isn't needed
+        gl.deleteProgram(program.program);
+
+        program.fragmentSrc = Phaser.BitmapText.distanceFieldFragmentSrc;
+        program.uniforms = uniforms;
+        program.init();
+
+        Phaser.BitmapText._distanceFieldPrograms[gl.id] = program;
+    }
+
+    //  Has the _UID of the program too, so the shader manager doesn't switch programs between BitmapTexts
+    var shader = Object.create(program);
+
+    shader.uniforms = uniforms;
+
+    for (var key in uniforms)
+    {
+        uniforms[key].uniformLocation = program.uniforms[key].uniformLocation;
+    }
+
+    shader.initUniforms();
+
+    return shader;
+
+};
+
+/**
+* The fragment shader the glyphs of distance field fonts are drawn with in WebGL.
+*
+* The distance is read from the median of the red, green and blue channels for `msdf` fonts, and from the smaller
+* of the red and alpha channels otherwise. The glow is drawn under the outline, which is drawn under the text,
+* and all of it is premultiplied by the alpha of the BitmapText.
+*
+* @property {array} Phaser.BitmapText.distanceFieldFragmentSrc
+* @static
+*/
+Phaser.BitmapText.distanceFieldFragmentSrc = [
+
+    'precision mediump float;',
+
+    'varying vec2 vTextureCoord;',
+    'varying vec4 vColor;',
+
+    'uniform sampler2D uSampler;',
+    'uniform float msdf;',
+    'uniform float smoothing;',
+    'uniform float outlineWidth;',
+    'uniform vec4 outlineColor;',
+    'uniform float glowWidth;',
+    'uniform vec4 glowColor;',
+
+    'float median(float r, float g, float b) {',
+    '    return max(min(r, g), min(max(r, g), b));',
+    '}',
+
+    'void main(void) {',
+    '    vec4 texel = texture2D(uSampler, vTextureCoord);',
+    '    float dist = mix(min(texel.r, texel.a), median(texel.r, texel.g, texel.b), msdf);',
+
+    '    float edge = max(0.5 - outlineWidth, smoothing);',
+    '    float fill = smoothstep(0.5 - smoothing, 0.5 + smoothing, dist);',
+    '    float outline = smoothstep(edge - smoothing, edge + smoothing, dist);',
+    '    float glow = smoothstep(edge - glowWidth - smoothing, edge + smoothing, dist);',
+
+    '    vec3 tint = vColor.rgb / max(vColor.a, 0.001);',
+
+    '    vec4 color = glowColor * glow;',
+    '    color = outlineColor * outline + color * (1.0 - outlineColor.a * outline);',
+    '    color = vec4(tint, 1.0) * fill + color * (1.0 - fill);',
+
+    '    gl_FragColor = color * vColor.a;',
+    '}'
+
+];
+
+/**
+* Draws a web or system font into a texture atlas at runtime, and adds it to the Cache as a bitmap font that
+* BitmapText objects can use, saving you from loading a bitmap font for every size and style you need.
+*
+* Each character is drawn once, with its fill, stroke and shadow, into a BitmapData. The font must be available
+* to the browser before this is called, so web fonts should be loaded first.
+*
+* ```javascript
+* Phaser.BitmapText.generateFont(game, 'title', { font: 'Georgia', fontSize: 48, stroke: '#000000', strokeThickness: 4 });
+*
+* game.add.bitmapText(100, 100, 'title', 'Game Over', 48);
+* ```
+*
+* Fonts are drawn in white by default, so they can be colored with `BitmapText.tint`. This needs the BitmapData module in the build.
+*
+* @method Phaser.BitmapText.generateFont
+* @static
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {string} key - The key the bitmap font is stored in the Cache under.
+* @param {object} [config] - The settings of the font.
+* @param {string} [config.font='Arial'] - The font family.
+* @param {number} [config.fontSize=32] - The size of the font in pixels.
+* @param {string} [config.fontStyle='normal'] - The style of the font, such as 'italic'.
+* @param {string} [config.fontWeight='normal'] - The weight of the font, such as 'bold'.
+* @param {string} [config.chars] - The characters to draw. Defaults to the printable ASCII characters. A space is always added.
+* @param {string} [config.fill='#ffffff'] - The fill color of the characters.
+* @param {string} [config.stroke='#000000'] - The color of the stroke around the characters.
+* @param {number} [config.strokeThickness=0] - The thickness of the stroke. Zero means no stroke.
+* @param {string} [config.shadowColor='rgba(0,0,0,0.5)'] - The color of the shadow.
+* @param {number} [config.shadowOffsetX=0] - The horizontal offset of the shadow.
+* @param {number} [config.shadowOffsetY=0] - The vertical offset of the shadow.
+* @param {number} [config.shadowBlur=0] - The blur of the shadow. The shadow is only drawn if it's offset or blurred.
+* @param {number} [config.padding=2] - The space between the characters in the atlas.
+* @param {number} [config.width=512] - The width of the atlas. It's as tall as is needed to fit the characters.
+* @return {Phaser.BitmapData} The BitmapData the characters were drawn into.
+*/
+Phaser.BitmapText.generateFont = function (game, key, config) {
+
+    if (config === undefined) { config = {}; }
+
+    var family = config.font || 'Arial';
+    var size = config.fontSize || 32;
+    var font = (config.fontStyle || 'normal') + ' ' + (config.fontWeight || 'normal') + ' ' + size + 'px ' + family;
+    var chars = config.chars || Phaser.BitmapText.generateFontChars;
+    var strokeThickness = config.strokeThickness || 0;
+    var shadowX = config.shadowOffsetX || 0;
+    var shadowY = config.shadowOffsetY || 0;
+    var shadowBlur = config.shadowBlur || 0;
+    var hasShadow = (shadowX !== 0 || shadowY !== 0 || shadowBlur > 0);
+    var padding = (config.padding === undefined) ? 2 : config.padding;
+    var atlasWidth = config.width || 512;
+
+    if (chars.indexOf(' ') === -1)
+    {
+        //  BitmapText draws missing characters as spaces
+        chars = ' ' + chars;
+    }
+
+    var metrics;
+
+    if (Phaser.Text)
+    {
+        metrics = Phaser.Text.prototype.determineFontProperties(font);
+    }
+    else
+    {
+        metrics = { ascent: Math.ceil(size * 0.8), descent: Math.ceil(size * 0.2), fontSize: Math.ceil(size * 0.8) + Math.ceil(size * 0.2) };
+    }
+
+    //  How far the stroke and shadow spread out of the box of each character
+    var stroke = Math.ceil(strokeThickness / 2);
+    var left = stroke + ((hasShadow) ? Math.ceil(Math.max(0, shadowBlur - shadowX)) : 0);
+    var right = stroke + ((hasShadow) ? Math.ceil(Math.max(0, shadowBlur + shadowX)) : 0);
+    var top = stroke + ((hasShadow) ? Math.ceil(Math.max(0, shadowBlur - shadowY)) : 0);
+    var bottom = stroke + ((hasShadow) ? Math.ceil(Math.max(0, shadowBlur + shadowY)) : 0);
+    var cellHeight = metrics.ascent + metrics.descent + top + bottom;
+
+    var bmd = new Phaser.BitmapData(game, key, atlasWidth, 1);
+    var ctx = bmd.context;
+    var glyphs = [];
+    var x = padding;
+    var y = padding;
+    var i;
+
+    ctx.font = font;
+
+    for (i = 0; i < chars.length; i++)
+    {
+        var advance = ctx.measureText(chars[i]).width;
+        var width = Math.ceil(advance) + left + right;
+
+        if (x + width + padding > atlasWidth && x > padding)
+        {
+            x = padding;
+            y += cellHeight + padding;
+        }
+
+        glyphs.push({
+            _id: chars.charCodeAt(i),
+            _x: x,
+            _y: y,
+            _width: width,
+            _height: cellHeight,
+            _xoffset: -left,
+            _yoffset: -top,
+            _xadvance: Math.round(advance)
+        });
+
+        x += width + padding;
+    }
+
+    //  Resizing the canvas resets the context, so the font is set again
+    bmd.resize(atlasWidth, y + cellHeight + padding);
+
+    ctx.font = font;
+    ctx.textBaseline = 'alphabetic';
+    ctx.lineJoin = 'round';
+    ctx.fillStyle = config.fill || '#ffffff';
+    ctx.strokeStyle = config.stroke || '#000000';
+    ctx.lineWidth = strokeThickness;
+
+    for (i = 0; i < glyphs.length; i++)
+    {
+        var glyph = glyphs[i];
+        var letter = String.fromCharCode(glyph._id);
+        var drawX = glyph._x + left;
+        var drawY = glyph._y + top + metrics.ascent;
+
+        //  The shadow goes under the stroke if there is one, otherwise under the fill
+        if (hasShadow)
+        {
+            ctx.shadowColor = config.shadowColor || 'rgba(0,0,0,0.5)';
+            ctx.shadowOffsetX = shadowX;
+            ctx.shadowOffsetY = shadowY;
+            ctx.shadowBlur = shadowBlur;
+        }
+
+        if (strokeThickness > 0)
+        {
+            ctx.strokeText(letter, drawX, drawY);
+
+            ctx.shadowColor = 'rgba(0,0,0,0)';
+            ctx.shadowOffsetX = 0;
+            ctx.shadowOffsetY = 0;
+            ctx.shadowBlur = 0;
+        }
+
+        ctx.fillText(letter, drawX, drawY);
+    }
+
+    bmd.dirty = true;
+
+    game.cache.addBitmapFont(key, null, bmd.canvas, {
+        font: {
+            info: { _face: family, _size: size },
+            common: { _lineHeight: metrics.fontSize },
+            chars: { 'char': glyphs }
+        }
+    }, 'json');
+
+    return bmd;
+
+};
+
+/**
+* The characters Phaser.BitmapText.generateFont draws by default, the printable ASCII characters.
+*
+* @property {string} Phaser.BitmapText.generateFontChars
+* @static
+*/
+Phaser.BitmapText.generateFontChars = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
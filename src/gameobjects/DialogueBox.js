@@ -0,0 +1,987 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Dialogue Box shows conversations one character at a time, like the text boxes of an RPG.
+*
+* The text is drawn with a Phaser.Text, or a Phaser.BitmapText if a bitmap font is given. It's word wrapped to fit the
+* box and split into pages of as many lines as fit. Each character is revealed after `characterDelay` ms, with a longer
+* pause after punctuation, and `onCharacter` is dispatched for each one so you can play a blip sound.
+*
+* The advance control, Enter, Space or the A button by default, or pressing the box, shows the rest of the page if it's
+* still being revealed, and otherwise moves on to the next page. After the last page the box moves on to the next node
+* of the script, or closes.
+*
+* A script is an object, usually loaded with `game.load.json`, holding a set of named nodes:
+*
+* ```javascript
+* {
+*     "start": "greeting",
+*     "nodes": {
+*         "greeting": { "speaker": "Old Man", "text": "It's dangerous to go alone!", "next": "offer" },
+*         "offer": { "speaker": "Old Man", "text": "Take this?", "choices": [
+*             { "text": "Yes please", "next": "thanks", "event": "giveSword" },
+*             { "text": "No thanks" }
+*         ] },
+*         "thanks": { "text": ["You got the sword!", "Now go."] }
+*     }
+* }
+* ```
+*
+* Each node has the `text` to show, which can be an array to start each entry on a new page, and optionally a `speaker`
+* whose name is drawn above it. A node with `choices` lists them under the text of its last page, where they're picked
+* with the up and down controls and the advance control, or by pressing them. The dialogue then moves on to the `next`
+* node of the choice, or of the node if it has no choices, and closes when there isn't one. A node or choice can also
+* have an `event`, which is sent to `onEvent` when the node is shown or the choice is picked, and can use a `key` to be
+* looked up with `game.i18n.get` instead of giving the `text`.
+*
+* ```javascript
+* var box = game.add.dialogueBox(20, 340, { width: 760, height: 120, style: { font: '20px Arial', fill: '#ffffff' } });
+*
+* box.onCharacter.add(function () { blip.play(); });
+* box.onEvent.add(function (event) { if (event === 'giveSword') { player.hasSword = true; } });
+*
+* box.start('oldManScript');
+* ```
+*
+* The controls are Phaser.InputActions named `advance`, `up` and `down`, so they can be rebound with `box.actions.advance.bind(Phaser.KeyCode.Z)`.
+*
+* @class Phaser.DialogueBox
+* @extends Phaser.Group
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {number} x - The x coordinate of the Dialogue Box.
+* @param {number} y - The y coordinate of the Dialogue Box.
+* @param {object} [config] - The settings of the Dialogue Box.
+* @param {number} [config.width=400] - The width of the box.
+* @param {number} [config.height=120] - The height of the box.
+* @param {number} [config.padding=12] - The space between the edge of the box and the text.
+* @param {object} [config.style] - The style of the Phaser.Text, see {@link Phaser.Text#setStyle}. Word wrapping is always on.
+* @param {object} [config.nameStyle] - The style of the Phaser.Text the speaker is drawn with. Defaults to `style`.
+* @param {string} [config.font] - The key of a bitmap font in the Cache. If given Phaser.BitmapTexts are used instead of Phaser.Texts.
+* @param {number} [config.fontSize=32] - The size of the bitmap font.
+* @param {number} [config.backgroundColor=0x000000] - The color of the box.
+* @param {number} [config.backgroundAlpha=0.8] - The alpha of the box.
+* @param {number} [config.characterDelay=30] - The time between each character being revealed, in ms. Zero shows whole pages at once.
+* @param {number} [config.choiceAlpha=0.5] - The alpha of the choices that aren't selected.
+*/
+Phaser.DialogueBox = function (game, x, y, config) {
+
+    if (config === undefined) { config = {}; }
+
+    Phaser.Group.call(this, game, null, 'dialogueBox');
+
+    this.x = x;
+    this.y = y;
+
+    /**
+    * @property {boolean} enabled - The controls are ignored while this is false.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {number} boxWidth - The width of the box.
+    * @readonly
+    */
+    this.boxWidth = config.width || 400;
+
+    /**
+    * @property {number} boxHeight - The height of the box.
+    * @readonly
+    */
+    this.boxHeight = config.height || 120;
+
+    /**
+    * @property {number} padding - The space between the edge of the box and the text.
+    * @readonly
+    */
+    this.padding = (config.padding === undefined) ? 12 : config.padding;
+
+    /**
+    * @property {number} characterDelay - The time between each character being revealed, in ms. Zero shows whole pages at once.
+    * @default
+    */
+    this.characterDelay = (config.characterDelay === undefined) ? 30 : config.characterDelay;
+
+    /**
+    * The extra time to wait after each of these characters, in ms. The pause is only made when the character is followed
+    * by white space or is the last on the page, so "3.14" or "..." don't stutter.
+    * @property {object} punctuationDelays
+    */
+    this.punctuationDelays = { '.': 300, '!': 300, '?': 300, ',': 150, ';': 150, ':': 150 };
+
+    /**
+    * @property {number} autoAdvance - If greater than zero, pages without choices move on by themselves this long after being fully shown, in ms.
+    * @default
+    */
+    this.autoAdvance = 0;
+
+    /**
+    * @property {number} choiceAlpha - The alpha of the choices that aren't selected.
+    * @default
+    */
+    this.choiceAlpha = (config.choiceAlpha === undefined) ? 0.5 : config.choiceAlpha;
+
+    /**
+    * @property {object} script - The script being shown, or null.
+    * @readonly
+    */
+    this.script = null;
+
+    /**
+    * @property {string} nodeName - The name of the node being shown, or null.
+    * @readonly
+    */
+    this.nodeName = null;
+
+    /**
+    * @property {object} node - The node being shown, or null.
+    * @readonly
+    */
+    this.node = null;
+
+    /**
+    * @property {array<string>} pages - The pages of the node being shown, already word wrapped.
+    * @readonly
+    */
+    this.pages = [];
+
+    /**
+    * @property {integer} page - The index of the page being shown.
+    * @readonly
+    */
+    this.page = 0;
+
+    /**
+    * @property {boolean} isOpen - Is a dialogue being shown?
+    * @readonly
+    */
+    this.isOpen = false;
+
+    /**
+    * @property {boolean} isTyping - Is the page still being revealed?
+    * @readonly
+    */
+    this.isTyping = false;
+
+    /**
+    * @property {integer} selectedChoice - The index of the selected choice, or -1 if there aren't any choices shown.
+    * @readonly
+    */
+    this.selectedChoice = -1;
+
+    /**
+    * @property {Phaser.Image} background - The background of the box, which is pressed to advance the dialogue.
+    */
+    this.background = this.add(new Phaser.Image(game, 0, 0, game.cache.getWhiteKey()));
+    this.background.width = this.boxWidth;
+    this.background.height = this.boxHeight;
+    this.background.tint = (config.backgroundColor === undefined) ? 0x000000 : config.backgroundColor;
+    this.background.alpha = (config.backgroundAlpha === undefined) ? 0.8 : config.backgroundAlpha;
+
+    this.background.inputEnabled = true;
+    this.background.input.useHandCursor = false;
+    this.background.events.onInputDown.add(this.onInputDown, this);
+
+    /**
+    * @property {object} _config - The settings used to create the text objects.
+    * @private
+    */
+    this._config = config;
+
+    /**
+    * @property {Phaser.Text|Phaser.BitmapText} nameDisplay - The Text or BitmapText the speaker is drawn with.
+    */
+    this.nameDisplay = this.add(this.createText(config.nameStyle || config.style));
+    this.nameDisplay.x = this.padding;
+    this.nameDisplay.y = this.padding;
+
+    /**
+    * @property {Phaser.Text|Phaser.BitmapText} display - The Text or BitmapText the dialogue is drawn with.
+    */
+    this.display = this.add(this.createText(config.style));
+    this.display.x = this.padding;
+
+    /**
+    * @property {array<Phaser.Text|Phaser.BitmapText>} choiceDisplays - The Texts or BitmapTexts the choices are drawn with.
+    * @readonly
+    */
+    this.choiceDisplays = [];
+
+    /**
+    * The controls, as Phaser.InputActions named `advance`, `up` and `down`.
+    * @property {object} actions
+    */
+    this.actions = {
+        advance: new Phaser.InputAction(game.input.actions, 'advance', [ 13, 32, { button: 0 } ]),
+        up: new Phaser.InputAction(game.input.actions, 'up', [ 38, { button: 12 }, { axis: 1, direction: -1 } ]),
+        down: new Phaser.InputAction(game.input.actions, 'down', [ 40, { button: 13 }, { axis: 1, direction: 1 } ])
+    };
+
+    /**
+    * @property {Phaser.Signal} onCharacter - This Signal is dispatched as each character other than white space is revealed. It's sent the character, its index in the page and this Dialogue Box.
+    */
+    this.onCharacter = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onPageComplete - This Signal is dispatched when a page has been fully revealed. It's sent the index of the page and this Dialogue Box.
+    */
+    this.onPageComplete = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onNode - This Signal is dispatched when a node of the script is shown. It's sent the name of the node, the node and this Dialogue Box.
+    */
+    this.onNode = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onChoice - This Signal is dispatched when a choice is picked. It's sent the choice, its index and this Dialogue Box.
+    */
+    this.onChoice = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onEvent - This Signal is dispatched for the `event` of a node when it's shown, or of a choice when it's picked. It's sent the event, the node or choice and this Dialogue Box.
+    */
+    this.onEvent = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onComplete - This Signal is dispatched when the dialogue closes. It's sent this Dialogue Box.
+    */
+    this.onComplete = new Phaser.Signal();
+
+    /**
+    * @property {number} _timer - The time until the next character is revealed, or the page auto advances.
+    * @private
+    */
+    this._timer = 0;
+
+    /**
+    * @property {integer} _revealed - The number of characters of the page that have been revealed.
+    * @private
+    */
+    this._revealed = 0;
+
+    this.visible = false;
+
+};
+
+Phaser.DialogueBox.prototype = Object.create(Phaser.Group.prototype);
+Phaser.DialogueBox.prototype.constructor = Phaser.DialogueBox;
+
+/**
+* Creates a Text, or a BitmapText if a bitmap font was given.
+*
+* @method Phaser.DialogueBox#createText
+* @private
+* @param {object} [style] - The style of the Text.
+* @return {Phaser.Text|Phaser.BitmapText} The new text object.
+*/
+Phaser.DialogueBox.prototype.createText = function (style) {
+
+    var config = this._config;
+
+    if (config.font)
+    {
+        return new Phaser.BitmapText(this.game, 0, 0, config.font, '', config.fontSize);
+    }
+
+    return new Phaser.Text(this.game, 0, 0, '', style);
+
+};
+
+/**
+* Starts showing a script.
+*
+* @method Phaser.DialogueBox#start
+* @param {object|string} script - The script, or the key of a script in the JSON Cache.
+* @param {string} [node] - The name of the node to start at. Defaults to the `start` node of the script, or else its first node.
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.start = function (script, node) {
+
+    if (typeof script === 'string')
+    {
+        script = this.game.cache.getJSON(script);
+    }
+
+    if (!script || !script.nodes)
+    {
+        console.warn('Phaser.DialogueBox.start: Invalid script');
+        return this;
+    }
+
+    if (node === undefined)
+    {
+        node = script.start || Object.keys(script.nodes)[0];
+    }
+
+    this.script = script;
+
+    this.showNode(node);
+
+    return this;
+
+};
+
+/**
+* Shows a single node on its own, without a script, such as a sign being read.
+*
+* @method Phaser.DialogueBox#say
+* @param {string|array<string>} text - The text to show. If an array each entry starts on a new page.
+* @param {string} [speaker] - The name of the speaker.
+* @param {array<object>} [choices] - The choices to show under the text. They can't have a `next` node.
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.say = function (text, speaker, choices) {
+
+    this.script = null;
+    this.nodeName = null;
+
+    this.setNode({ text: text, speaker: speaker, choices: choices });
+
+    return this;
+
+};
+
+/**
+* Shows a node of the script. If the node doesn't exist the dialogue closes.
+*
+* @method Phaser.DialogueBox#showNode
+* @param {string} name - The name of the node.
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.showNode = function (name) {
+
+    var node = (this.script) ? this.script.nodes[name] : undefined;
+
+    if (!node)
+    {
+        console.warn('Phaser.DialogueBox.showNode: Node "' + name + '" not found');
+        this.close();
+        return this;
+    }
+
+    this.nodeName = name;
+
+    this.setNode(node);
+
+    this.onNode.dispatch(name, node, this);
+
+    if (node.event && this.node === node)
+    {
+        this.onEvent.dispatch(node.event, node, this);
+    }
+
+    return this;
+
+};
+
+/**
+* Opens the box if it's closed and shows a node, splitting its text into pages and starting the first one.
+*
+* @method Phaser.DialogueBox#setNode
+* @private
+* @param {object} node - The node to show.
+*/
+Phaser.DialogueBox.prototype.setNode = function (node) {
+
+    this.isOpen = true;
+    this.visible = true;
+    this.node = node;
+
+    var speaker = this.getNodeText(node, 'speaker');
+
+    this.nameDisplay.text = speaker;
+    this.nameDisplay.visible = (speaker !== '');
+
+    var top = this.padding + ((speaker !== '') ? this.getLineHeight(this.nameDisplay) : 0);
+
+    this.display.y = top;
+
+    var choices = node.choices || [];
+    var lineHeight = this.getLineHeight(this.display);
+    var perPage = Math.max(1, Math.floor((this.boxHeight - top - this.padding) / lineHeight));
+    var lastPage = Math.max(1, perPage - choices.length);
+    var text = this.getNodeText(node, 'text');
+    var parts = Array.isArray(text) ? text : [text];
+    var lines;
+
+    this.pages = [];
+
+    for (var i = 0; i < parts.length; i++)
+    {
+        lines = this.wrap(String(parts[i]));
+
+        while (lines.length > 0)
+        {
+            var count = perPage;
+
+            //  Leave room for the choices under the last page
+            if (i === parts.length - 1 && choices.length > 0)
+            {
+                count = (lines.length <= lastPage) ? lines.length : Math.min(perPage, lines.length - 1);
+            }
+
+            this.pages.push(lines.splice(0, count).join('\n'));
+        }
+    }
+
+    if (this.pages.length === 0)
+    {
+        this.pages.push('');
+    }
+
+    this.showPage(0);
+
+};
+
+/**
+* Shows a page of the node, starting to reveal it one character at a time.
+*
+* @method Phaser.DialogueBox#showPage
+* @private
+* @param {integer} index - The index of the page.
+*/
+Phaser.DialogueBox.prototype.showPage = function (index) {
+
+    this.page = index;
+    this.display.text = '';
+
+    this.clearChoices();
+
+    this._revealed = 0;
+    this._timer = this.characterDelay;
+    this.isTyping = true;
+
+    if (this.characterDelay <= 0)
+    {
+        this.skip();
+    }
+
+};
+
+/**
+* Reveals the next character of the page, and works out how long to wait before the one after.
+*
+* @method Phaser.DialogueBox#revealCharacter
+* @private
+*/
+Phaser.DialogueBox.prototype.revealCharacter = function () {
+
+    var text = this.pages[this.page];
+    var index = this._revealed;
+    var character = text.charAt(index);
+    var next = text.charAt(index + 1);
+
+    this._revealed++;
+
+    this.display.text = text.substr(0, this._revealed);
+
+    this._timer += this.characterDelay;
+
+    if (this.punctuationDelays[character] && (next === '' || /\s/.test(next)))
+    {
+        this._timer += this.punctuationDelays[character];
+    }
+
+    if (!/\s/.test(character))
+    {
+        this.onCharacter.dispatch(character, index, this);
+    }
+
+    if (this._revealed >= text.length)
+    {
+        this.completePage();
+    }
+
+};
+
+/**
+* Shows all of the page at once, if it's still being revealed.
+*
+* @method Phaser.DialogueBox#skip
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.skip = function () {
+
+    if (this.isTyping)
+    {
+        this._revealed = this.pages[this.page].length;
+
+        this.display.text = this.pages[this.page];
+
+        this.completePage();
+    }
+
+    return this;
+
+};
+
+/**
+* Called when all of the page has been revealed. Shows the choices under the last page of a node.
+*
+* @method Phaser.DialogueBox#completePage
+* @private
+*/
+Phaser.DialogueBox.prototype.completePage = function () {
+
+    this.isTyping = false;
+    this._timer = this.autoAdvance;
+
+    if (this.page === this.pages.length - 1 && this.node.choices && this.node.choices.length > 0)
+    {
+        this.showChoices();
+    }
+
+    this.onPageComplete.dispatch(this.page, this);
+
+};
+
+/**
+* Moves the dialogue on. If the page is still being revealed all of it is shown. Otherwise the next page is shown,
+* the selected choice is picked, or the dialogue moves on to the next node or closes.
+*
+* @method Phaser.DialogueBox#advance
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.advance = function () {
+
+    if (!this.isOpen)
+    {
+        return this;
+    }
+
+    if (this.isTyping)
+    {
+        this.skip();
+    }
+    else if (this.page < this.pages.length - 1)
+    {
+        this.showPage(this.page + 1);
+    }
+    else if (this.selectedChoice > -1)
+    {
+        this.choose(this.selectedChoice);
+    }
+    else
+    {
+        this.follow(this.node.next);
+    }
+
+    return this;
+
+};
+
+/**
+* Picks one of the choices being shown, and moves on to its `next` node.
+*
+* @method Phaser.DialogueBox#choose
+* @param {integer} index - The index of the choice.
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.choose = function (index) {
+
+    if (this.selectedChoice === -1 || !this.node.choices[index])
+    {
+        return this;
+    }
+
+    var node = this.node;
+    var choice = node.choices[index];
+
+    this.onChoice.dispatch(choice, index, this);
+
+    if (choice.event)
+    {
+        this.onEvent.dispatch(choice.event, choice, this);
+    }
+
+    //  A listener may have moved the dialogue on already
+    if (this.node === node && this.isOpen)
+    {
+        this.follow(choice.next);
+    }
+
+    return this;
+
+};
+
+/**
+* Moves on to a node of the script, or closes the dialogue if there isn't one.
+*
+* @method Phaser.DialogueBox#follow
+* @private
+* @param {string} [next] - The name of the node.
+*/
+Phaser.DialogueBox.prototype.follow = function (next) {
+
+    if (next !== undefined && next !== null && this.script)
+    {
+        this.showNode(next);
+    }
+    else
+    {
+        this.close();
+    }
+
+};
+
+/**
+* Hides the box and dispatches `onComplete`.
+*
+* @method Phaser.DialogueBox#close
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.close = function () {
+
+    if (!this.isOpen)
+    {
+        return this;
+    }
+
+    this.isOpen = false;
+    this.isTyping = false;
+    this.visible = false;
+    this.node = null;
+    this.nodeName = null;
+    this.pages = [];
+
+    this.display.text = '';
+
+    this.clearChoices();
+
+    this.onComplete.dispatch(this);
+
+    return this;
+
+};
+
+/**
+* Creates the text objects of the choices of the node, under the text of the last page.
+*
+* @method Phaser.DialogueBox#showChoices
+* @private
+*/
+Phaser.DialogueBox.prototype.showChoices = function () {
+
+    var choices = this.node.choices;
+    var lineHeight = this.getLineHeight(this.display);
+    var y = this.display.y + this.pages[this.page].split('\n').length * lineHeight;
+
+    for (var i = 0; i < choices.length; i++)
+    {
+        var display = this.add(this.createText(this._config.style));
+
+        display.x = this.padding;
+        display.y = y + i * lineHeight;
+        display.text = this.getNodeText(choices[i], 'text');
+
+        display.inputEnabled = true;
+        display.events.onInputOver.add(this.onChoiceOver, this, 0, i);
+        display.events.onInputDown.add(this.onChoiceDown, this, 0, i);
+
+        this.choiceDisplays.push(display);
+    }
+
+    this.select(0);
+
+};
+
+/**
+* Destroys the text objects of the choices.
+*
+* @method Phaser.DialogueBox#clearChoices
+* @private
+*/
+Phaser.DialogueBox.prototype.clearChoices = function () {
+
+    for (var i = 0; i < this.choiceDisplays.length; i++)
+    {
+        this.choiceDisplays[i].destroy();
+    }
+
+    this.choiceDisplays.length = 0;
+    this.selectedChoice = -1;
+
+};
+
+/**
+* Selects one of the choices being shown, so it's picked when the dialogue is advanced.
+*
+* @method Phaser.DialogueBox#select
+* @param {integer} index - The index of the choice. It's wrapped around if it's outside of the choices.
+* @return {Phaser.DialogueBox} This Dialogue Box.
+*/
+Phaser.DialogueBox.prototype.select = function (index) {
+
+    var total = this.choiceDisplays.length;
+
+    if (total === 0)
+    {
+        return this;
+    }
+
+    this.selectedChoice = Phaser.Math.wrap(index, 0, total);
+
+    for (var i = 0; i < total; i++)
+    {
+        this.choiceDisplays[i].alpha = (i === this.selectedChoice) ? 1 : this.choiceAlpha;
+    }
+
+    return this;
+
+};
+
+/**
+* Gets the text of a node or choice, looked up with `game.i18n` if it has a `key`.
+*
+* @method Phaser.DialogueBox#getNodeText
+* @private
+* @param {object} node - The node or choice.
+* @param {string} property - The property to get, 'text' or 'speaker'.
+* @return {string|array<string>} The text, or an empty string if there isn't one.
+*/
+Phaser.DialogueBox.prototype.getNodeText = function (node, property) {
+
+    var key = (property === 'text') ? node.key : node.speakerKey;
+
+    if (key !== undefined && this.game.i18n)
+    {
+        return this.game.i18n.get(key);
+    }
+
+    var text = node[property];
+
+    return (text === undefined || text === null) ? '' : text;
+
+};
+
+/**
+* Word wraps some text to the width of the box.
+*
+* @method Phaser.DialogueBox#wrap
+* @private
+* @param {string} text - The text to wrap.
+* @return {array<string>} The wrapped lines.
+*/
+Phaser.DialogueBox.prototype.wrap = function (text) {
+
+    var display = this.display;
+    var width = this.boxWidth - this.padding * 2;
+
+    if (display.type !== Phaser.BITMAPTEXT)
+    {
+        display.style.wordWrapWidth = width;
+
+        //  The pages are wrapped here, so they're not wrapped again as they're revealed
+        display.style.wordWrap = false;
+
+        var wrapped = display.precalculateWordWrap(text);
+
+        //  Word wrapping leaves a space at the end of the lines, which would take time to reveal
+        for (var i = 0; i < wrapped.length; i++)
+        {
+            wrapped[i] = wrapped[i].replace(/\s+$/, '');
+        }
+
+        return wrapped;
+    }
+
+    var data = display._data.font;
+    var scale = display.fontSize / data.size;
+    var maxWidth = display._maxWidth;
+    var lines = [];
+
+    display._maxWidth = width;
+
+    do
+    {
+        var line = display.scanLine(data, scale, text);
+
+        lines.push(line.text);
+
+        //  Skip the space or line break the line ended at
+        text = text.substr(line.text.length + 1);
+    }
+    while (text.length > 0);
+
+    display._maxWidth = maxWidth;
+
+    return lines;
+
+};
+
+/**
+* Gets the height of a line of a text object.
+*
+* @method Phaser.DialogueBox#getLineHeight
+* @private
+* @param {Phaser.Text|Phaser.BitmapText} display - The text object.
+* @return {number} The height of a line.
+*/
+Phaser.DialogueBox.prototype.getLineHeight = function (display) {
+
+    if (display.type === Phaser.BITMAPTEXT)
+    {
+        return display._data.font.lineHeight * (display.fontSize / display._data.font.size);
+    }
+
+    var fontProperties = display.determineFontProperties(display.style.font);
+
+    return fontProperties.fontSize + display.style.strokeThickness + display.padding.y + display.lineSpacing;
+
+};
+
+/**
+* Reveals the characters of the page and reads the controls. Called automatically by the parent Group.
+*
+* @method Phaser.DialogueBox#update
+* @protected
+*/
+Phaser.DialogueBox.prototype.update = function () {
+
+    Phaser.Group.prototype.update.call(this);
+
+    var actions = this.actions;
+
+    for (var name in actions)
+    {
+        actions[name].update();
+    }
+
+    if (!this.isOpen)
+    {
+        return;
+    }
+
+    if (this.isTyping)
+    {
+        this._timer -= this.game.time.elapsedMS;
+
+        while (this.isTyping && this._timer <= 0)
+        {
+            this.revealCharacter();
+        }
+    }
+    else if (this.autoAdvance > 0 && this.selectedChoice === -1)
+    {
+        this._timer -= this.game.time.elapsedMS;
+
+        if (this._timer <= 0)
+        {
+            this.advance();
+            return;
+        }
+    }
+
+    if (!this.enabled || !this.visible)
+    {
+        return;
+    }
+
+    if (actions.advance.justPressed)
+    {
+        this.advance();
+    }
+    else if (this.selectedChoice > -1)
+    {
+        if (actions.up.justPressed)
+        {
+            this.select(this.selectedChoice - 1);
+        }
+        else if (actions.down.justPressed)
+        {
+            this.select(this.selectedChoice + 1);
+        }
+    }
+
+};
+
+/**
+* Advances the dialogue when the box is pressed, unless choices are being shown.
+*
+* @method Phaser.DialogueBox#onInputDown
+* @private
+*/
+Phaser.DialogueBox.prototype.onInputDown = function () {
+
+    if (this.enabled && this.selectedChoice === -1)
+    {
+        this.advance();
+    }
+
+};
+
+/**
+* Selects a choice when the pointer moves over it.
+*
+* @method Phaser.DialogueBox#onChoiceOver
+* @private
+* @param {Phaser.Text|Phaser.BitmapText} display - The text object of the choice.
+* @param {Phaser.Pointer} pointer - The Pointer.
+* @param {integer} index - The index of the choice.
+*/
+Phaser.DialogueBox.prototype.onChoiceOver = function (display, pointer, index) {
+
+    if (this.enabled)
+    {
+        this.select(index);
+    }
+
+};
+
+/**
+* Picks a choice when it's pressed.
+*
+* @method Phaser.DialogueBox#onChoiceDown
+* @private
+* @param {Phaser.Text|Phaser.BitmapText} display - The text object of the choice.
+* @param {Phaser.Pointer} pointer - The Pointer.
+* @param {integer} index - The index of the choice.
+*/
+Phaser.DialogueBox.prototype.onChoiceDown = function (display, pointer, index) {
+
+    if (this.enabled)
+    {
+        this.choose(index);
+    }
+
+};
+
+/**
+* Destroys the Dialogue Box, its controls and Signals.
+*
+* @method Phaser.DialogueBox#destroy
+* @param {boolean} [destroyChildren=true] - If true `destroy` will be invoked on each removed child.
+* @param {boolean} [soft=false] - A 'soft destroy' (set to true) doesn't remove this group from its parent or null the game reference. Set to false and it does.
+*/
+Phaser.DialogueBox.prototype.destroy = function (destroyChildren, soft) {
+
+    if (this.game === null || this.ignoreDestroy)
+    {
+        return;
+    }
+
+    for (var name in this.actions)
+    {
+        this.actions[name].destroy();
+    }
+
+    this.choiceDisplays.length = 0;
+
+    this.onCharacter.dispose();
+    this.onPageComplete.dispose();
+    this.onNode.dispose();
+    this.onChoice.dispose();
+    this.onEvent.dispose();
+    this.onComplete.dispose();
+
+    this.script = null;
+    this.node = null;
+
+    Phaser.Group.prototype.destroy.call(this, destroyChildren, soft);
+
+};
@@ -328,6 +328,21 @@ Phaser.GameObjectCreator.prototype = {
 
     },
 
+    /**
+    * Draws a web or system font into a texture at runtime, and adds it to the Cache as a bitmap font that BitmapText objects can use.
+    * See {@link Phaser.BitmapText.generateFont} for the settings.
+    *
+    * @method Phaser.GameObjectCreator#bitmapFont
+    * @param {string} key - The key the bitmap font is stored in the Cache under.
+    * @param {object} [config] - The settings of the font, such as its `font`, `fontSize`, `stroke` and `shadowColor`.
+    * @return {Phaser.BitmapData} The BitmapData the characters were drawn into.
+    */
+    bitmapFont: function (key, config) {
+
+        return Phaser.BitmapText.generateFont(this.game, key, config);
+
+    },
+
     /**
     * Creates a new Phaser.Tilemap object.
     *
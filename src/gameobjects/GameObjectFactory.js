@@ -23,7 +23,7 @@ Phaser.GameObjectFactory = function (game) {
     this.game = game;
 
     /**
-    * @property {Phaser.World} world - A reference to the game world.
+    * @property {Phaser.World|Phaser.Group} world - The Group that objects are added to by default: the game world, or the World Group of a State started with `StateManager.launch`.
     * @protected
     */
     this.world = this.game.world;
@@ -174,7 +174,7 @@ Phaser.GameObjectFactory.prototype = {
     * A Group is a container for display objects that allows for fast pooling, recycling and collision checks.
     *
     * @method Phaser.GameObjectFactory#group
-    * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this group, if any. If set to null the Group won't be added to the display list. If undefined it will be added to World by default.
+    * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this group, if any. If set to null the Group won't be added to the display list. If undefined it will be added to the `world` of this factory by default.
     * @param {string} [name='group'] - A name for this Group. Not used internally but useful for debugging.
     * @param {boolean} [addToStage=false] - If set to true this Group will be added directly to the Game.Stage instead of Game.World.
     * @param {boolean} [enableBody=false] - If true all Sprites created with `Group.create` or `Group.createMulitple` will have a physics body created on them. Change the body type with physicsBodyType.
@@ -183,6 +183,8 @@ Phaser.GameObjectFactory.prototype = {
     */
     group: function (parent, name, addToStage, enableBody, physicsBodyType) {
 
+        if (parent === undefined) { parent = this.world; }
+
         return new Phaser.Group(this.game, parent, name, addToStage, enableBody, physicsBodyType);
 
     },
@@ -195,13 +197,15 @@ Phaser.GameObjectFactory.prototype = {
     *
     * @method Phaser.GameObjectFactory#physicsGroup
     * @param {number} [physicsBodyType=Phaser.Physics.ARCADE] - If enableBody is true this is the type of physics body that is created on new Sprites. Phaser.Physics.ARCADE, Phaser.Physics.P2JS, Phaser.Physics.NINJA, etc.
-    * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this group, if any. If set to null the Group won't be added to the display list. If undefined it will be added to World by default.
+    * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this group, if any. If set to null the Group won't be added to the display list. If undefined it will be added to the `world` of this factory by default.
     * @param {string} [name='group'] - A name for this Group. Not used internally but useful for debugging.
     * @param {boolean} [addToStage=false] - If set to true this Group will be added directly to the Game.Stage instead of Game.World.
     * @return {Phaser.Group} The newly created Group.
     */
     physicsGroup: function (physicsBodyType, parent, name, addToStage) {
 
+        if (parent === undefined) { parent = this.world; }
+
         return new Phaser.Group(this.game, parent, name, addToStage, true, physicsBodyType);
 
     },
@@ -212,14 +216,14 @@ Phaser.GameObjectFactory.prototype = {
     * The speed gains are specifically for WebGL. In Canvas mode you won't see any real difference.
     *
     * @method Phaser.GameObjectFactory#spriteBatch
-    * @param {Phaser.Group|null} parent - The parent Group that will hold this Sprite Batch. Set to `undefined` or `null` to add directly to game.world.
+    * @param {Phaser.Group|null} parent - The parent Group that will hold this Sprite Batch. Set to `undefined` or `null` to add directly to the `world` of this factory.
     * @param {string} [name='group'] - A name for this Sprite Batch. Not used internally but useful for debugging.
     * @param {boolean} [addToStage=false] - If set to true this Sprite Batch will be added directly to the Game.Stage instead of the parent.
     * @return {Phaser.SpriteBatch} The newly created Sprite Batch.
     */
     spriteBatch: function (parent, name, addToStage) {
 
-        if (parent === undefined) { parent = null; }
+        if (parent === undefined || parent === null) { parent = this.world; }
         if (name === undefined) { name = 'group'; }
         if (addToStage === undefined) { addToStage = false; }
 
@@ -227,6 +231,21 @@ Phaser.GameObjectFactory.prototype = {
 
     },
 
+    /**
+    * Creates a new Virtual Pad, for adding an on-screen joystick and buttons to.
+    *
+    * @method Phaser.GameObjectFactory#virtualPad
+    * @param {Phaser.Group|null} [parent] - The parent Group that will hold this Virtual Pad. Set to `undefined` or `null` to add directly to the `world` of this factory.
+    * @return {Phaser.VirtualPad} The newly created Virtual Pad.
+    */
+    virtualPad: function (parent) {
+
+        if (parent === undefined || parent === null) { parent = this.world; }
+
+        return new Phaser.VirtualPad(this.game, parent);
+
+    },
+
     /**
     * Creates a new Sound object.
     *
@@ -334,6 +353,46 @@ Phaser.GameObjectFactory.prototype = {
 
     },
 
+    /**
+    * Creates a new Text Input, an editable text field.
+    *
+    * @method Phaser.GameObjectFactory#textInput
+    * @param {number} [x=0] - The x coordinate of the Text Input. The coordinate is relative to any parent container it may be in.
+    * @param {number} [y=0] - The y coordinate of the Text Input. The coordinate is relative to any parent container it may be in.
+    * @param {object} [config] - The settings of the Text Input, see {@link Phaser.TextInput}.
+    * @param {Phaser.Group} [group] - Optional Group to add the object to. If not specified it will be added to the World group.
+    * @return {Phaser.TextInput} The newly created Text Input.
+    */
+    textInput: function (x, y, config, group) {
+
+        if (x === undefined) { x = 0; }
+        if (y === undefined) { y = 0; }
+        if (group === undefined) { group = this.world; }
+
+        return group.add(new Phaser.TextInput(this.game, x, y, config));
+
+    },
+
+    /**
+    * Creates a new Dialogue Box, which reveals conversations one character at a time.
+    *
+    * @method Phaser.GameObjectFactory#dialogueBox
+    * @param {number} [x=0] - The x coordinate of the Dialogue Box. The coordinate is relative to any parent container it may be in.
+    * @param {number} [y=0] - The y coordinate of the Dialogue Box. The coordinate is relative to any parent container it may be in.
+    * @param {object} [config] - The settings of the Dialogue Box, see {@link Phaser.DialogueBox}.
+    * @param {Phaser.Group} [group] - Optional Group to add the object to. If not specified it will be added to the World group.
+    * @return {Phaser.DialogueBox} The newly created Dialogue Box.
+    */
+    dialogueBox: function (x, y, config, group) {
+
+        if (x === undefined) { x = 0; }
+        if (y === undefined) { y = 0; }
+        if (group === undefined) { group = this.world; }
+
+        return group.add(new Phaser.DialogueBox(this.game, x, y, config));
+
+    },
+
     /**
     * Creates a new Button object.
     *
@@ -386,11 +445,18 @@ Phaser.GameObjectFactory.prototype = {
     * @param {number} [x=0] - The x coordinate within the Emitter that the particles are emitted from.
     * @param {number} [y=0] - The y coordinate within the Emitter that the particles are emitted from.
     * @param {number} [maxParticles=50] - The total number of particles in this emitter.
+    * @param {Phaser.Group} [group] - Optional Group to add the emitter to. If not specified it will be added to the `world` of this factory.
     * @return {Phaser.Particles.Arcade.Emitter} The newly created emitter object.
     */
-    emitter: function (x, y, maxParticles) {
+    emitter: function (x, y, maxParticles, group) {
+
+        if (group === undefined) { group = this.world; }
+
+        var emitter = new Phaser.Particles.Arcade.Emitter(this.game, x, y, maxParticles);
+
+        group.add(emitter);
 
-        return this.game.particles.add(new Phaser.Particles.Arcade.Emitter(this.game, x, y, maxParticles));
+        return this.game.particles.add(emitter);
 
     },
 
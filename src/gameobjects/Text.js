@@ -12,6 +12,9 @@
 *
 * See {@link http://www.jordanm.co.uk/tinytype this compatibility table} for the available default fonts across mobile browsers.
 *
+* If `style.markup` is true the text can be styled with inline tags, such as `Press [color=#ffff00][b]Fire[/b][/color] to [img=icons:bomb] bomb`,
+* which is easier to translate than setting colors by character index. See {@link Phaser.Text#parseMarkup parseMarkup} for the tags.
+*
 * @class Phaser.Text
 * @extends Phaser.Sprite
 * @constructor
@@ -36,6 +39,7 @@
 * @param {number} [style.wordWrapWidth=100] - The width in pixels at which text will wrap.
 * @param {number} [style.maxLines=0] - The maximum number of lines to be shown for wrapped text.
 * @param {number} [style.tabs=0] - The size (in pixels) of the tabs, for when text includes tab characters. 0 disables. Can be an array of varying tab sizes, one per tab stop.
+* @param {boolean} [style.markup=false] - Parse the text for markup tags, see {@link Phaser.Text#parseMarkup parseMarkup}.
 */
 Phaser.Text = function (game, x, y, text, style) {
 
@@ -110,6 +114,16 @@ Phaser.Text = function (game, x, y, text, style) {
     */
     this.fontWeights = [];
 
+    /**
+    * @property {array} fontSizes - An array of the font size values as specified by {@link Phaser.Text#addFontSize addFontSize}.
+    */
+    this.fontSizes = [];
+
+    /**
+    * @property {array} images - The images drawn in place of characters, set by the `[img]` markup tag. Each is an object with the `key` of the image in the Cache and its `frame`.
+    */
+    this.images = [];
+
     /**
     * Should the linePositionX and Y values be automatically rounded before rendering the Text?
     * You may wish to enable this if you want to remove the effect of sub-pixel aliasing from text.
@@ -143,6 +157,12 @@ Phaser.Text = function (game, x, y, text, style) {
     */
     this._text = text;
 
+    /**
+    * @property {string} _plainText - The text that is drawn, which is `_text` without its markup tags.
+    * @private
+    */
+    this._plainText = text;
+
     /**
     * @property {object} _fontComponents - The font, broken down into components, set in `setStyle`.
     * @private
@@ -285,6 +305,7 @@ Phaser.Text.prototype.setShadow = function (x, y, color, blur, shadowStroke, sha
 * @param {number} [style.wordWrapWidth=100] - The width in pixels at which text will wrap.
 * @param {number} [style.maxLines=0] - The maximum number of lines to be shown for wrapped text.
 * @param {number|array} [style.tabs=0] - The size (in pixels) of the tabs, for when text includes tab characters. 0 disables. Can be an array of varying tab sizes, one per tab stop.
+* @param {boolean} [style.markup=false] - Parse the text for markup tags, see {@link Phaser.Text#parseMarkup parseMarkup}.
 * @param {boolean} [update=false] - Immediately update the Text object after setting the new style? Or wait for the next frame.
 * @return {Phaser.Text} This Text instance.
 */
@@ -309,6 +330,7 @@ Phaser.Text.prototype.setStyle = function (style, update) {
     style.shadowColor = style.shadowColor || 'rgba(0,0,0,0)';
     style.shadowBlur = style.shadowBlur || 0;
     style.tabs = style.tabs || 0;
+    style.markup = style.markup || false;
 
     var components = this.fontToComponents(style.font);
 
@@ -342,6 +364,7 @@ Phaser.Text.prototype.setStyle = function (style, update) {
     style.font = this.componentsToFont(this._fontComponents);
 
     this.style = style;
+    this._plainText = (style.markup) ? this.parseMarkup(this._text) : this._text;
     this.dirty = true;
 
     if (update)
@@ -365,11 +388,11 @@ Phaser.Text.prototype.updateText = function () {
 
     this.context.font = this.style.font;
 
-    var outputText = this.text;
+    var outputText = this._plainText;
 
     if (this.style.wordWrap)
     {
-        outputText = this.runWordWrap(this.text);
+        outputText = this.runWordWrap(this._plainText);
     }
 
     //  Split text into lines
@@ -380,6 +403,15 @@ Phaser.Text.prototype.updateText = function () {
     var lineWidths = [];
     var maxLineWidth = 0;
     var fontProperties = this.determineFontProperties(this.style.font);
+    var lineHeight = fontProperties.fontSize + this.style.strokeThickness + this.padding.y;
+    var lineHeights = [];
+    var lineAscents = [];
+
+    var styled = (this.colors.length > 0 || this.strokeColors.length > 0 || this.fontWeights.length > 0 || this.fontStyles.length > 0 ||
+        this.fontSizes.length > 0 || this.images.length > 0);
+
+    //  Lines are only as tall as their largest font size if any are set
+    var metrics = (this.fontSizes.length > 0 && tabs === 0) ? { ascent: 0, descent: 0 } : null;
 
     var drawnLines = lines.length;
     
@@ -397,17 +429,17 @@ Phaser.Text.prototype.updateText = function () {
             //  Simple layout (no tabs)
             var lineWidth =  this.style.strokeThickness + this.padding.x;
 
-            if (this.colors.length > 0 || this.strokeColors.length > 0 || this.fontWeights.length > 0 || this.fontStyles.length > 0)
+            if (styled)
             {
-                lineWidth += this.measureLine(lines[i]);
+                lineWidth += this.measureLine(lines[i], metrics);
             }
             else
             {
                 lineWidth += this.context.measureText(lines[i]).width;
             }
 
-            // Adjust for wrapped text
-            if (this.style.wordWrap)
+            // Adjust for wrapped text. Markup wrapping only leaves a space at the end of the lines it breaks.
+            if (this.style.wordWrap && (!this.style.markup || lines[i].charAt(lines[i].length - 1) === ' '))
             {
                 lineWidth -= this.context.measureText(' ').width;
             }
@@ -426,7 +458,7 @@ Phaser.Text.prototype.updateText = function () {
                 {
                     var section = 0;
 
-                    if (this.colors.length > 0 || this.strokeColors.length > 0 || this.fontWeights.length > 0 || this.fontStyles.length > 0)
+                    if (styled)
                     {
                         section = this.measureLine(line[c]);
                     }
@@ -448,7 +480,7 @@ Phaser.Text.prototype.updateText = function () {
                 for (var c = 0; c < line.length; c++)
                 {
                     //  How far to the next tab?
-                    if (this.colors.length > 0 || this.strokeColors.length > 0 || this.fontWeights.length > 0 || this.fontStyles.length > 0)
+                    if (styled)
                     {
                         lineWidth += this.measureLine(line[c]);
                     }
@@ -466,13 +498,29 @@ Phaser.Text.prototype.updateText = function () {
 
         lineWidths[i] = Math.ceil(lineWidth);
         maxLineWidth = Math.max(maxLineWidth, lineWidths[i]);
+
+        if (metrics)
+        {
+            lineHeights[i] = metrics.ascent + metrics.descent + this.style.strokeThickness + this.padding.y;
+            lineAscents[i] = metrics.ascent;
+        }
+        else
+        {
+            lineHeights[i] = lineHeight;
+            lineAscents[i] = fontProperties.ascent;
+        }
     }
 
     this.canvas.width = maxLineWidth * this._res;
     
     //  Calculate text height
-    var lineHeight = fontProperties.fontSize + this.style.strokeThickness + this.padding.y;
-    var height = lineHeight * drawnLines;
+    var height = 0;
+
+    for (i = 0; i < drawnLines; i++)
+    {
+        height += lineHeights[i];
+    }
+
     var lineSpacing = this._lineSpacing;
 
     if (lineSpacing < 0 && Math.abs(lineSpacing) > lineHeight)
@@ -512,6 +560,7 @@ Phaser.Text.prototype.updateText = function () {
 
     var linePositionX;
     var linePositionY;
+    var lineTop = 0;
 
     this._charCount = 0;
 
@@ -521,7 +570,8 @@ Phaser.Text.prototype.updateText = function () {
         //  Split the line by
 
         linePositionX = this.style.strokeThickness / 2;
-        linePositionY = (this.style.strokeThickness / 2 + i * lineHeight) + fontProperties.ascent;
+        linePositionY = (this.style.strokeThickness / 2 + lineTop) + lineAscents[i];
+        lineTop += lineHeights[i];
 
         if (i > 0)
         {
@@ -543,7 +593,7 @@ Phaser.Text.prototype.updateText = function () {
             linePositionY = Math.round(linePositionY);
         }
 
-        if (this.colors.length > 0 || this.strokeColors.length > 0 || this.fontWeights.length > 0 || this.fontStyles.length > 0)
+        if (styled)
         {
             this.updateLine(lines[i], linePositionX, linePositionY);
         }
@@ -681,59 +731,88 @@ Phaser.Text.prototype.updateShadow = function (state) {
 * @method Phaser.Text#measureLine
 * @private
 * @param {string} line - The line of text to measure.
+* @param {object} [metrics] - If given its `ascent` and `descent` are set to the largest of the fonts used by the line.
 * @return {integer} length of the line.
 */
-Phaser.Text.prototype.measureLine = function (line) {
+Phaser.Text.prototype.measureLine = function (line, metrics) {
 
     var lineLength = 0;
+    var properties;
+
+    if (metrics)
+    {
+        metrics.ascent = 0;
+        metrics.descent = 0;
+    }
 
     for (var i = 0; i < line.length; i++)
     {
-        var letter = line[i];
+        lineLength += this.measureCharacter(line[i]);
 
-        if (this.fontWeights.length > 0 || this.fontStyles.length > 0)
+        if (metrics)
         {
-            var components = this.fontToComponents(this.context.font);
+            properties = this.determineFontProperties(this.context.font);
 
-            if (this.fontStyles[this._charCount])
-            {
-                components.fontStyle = this.fontStyles[this._charCount];
-            }
+            metrics.ascent = Math.max(metrics.ascent, properties.ascent);
+            metrics.descent = Math.max(metrics.descent, properties.descent);
+        }
 
-            if (this.fontWeights[this._charCount])
-            {
-                components.fontWeight = this.fontWeights[this._charCount];
-            }
+        this._charCount++;
+    }
 
-            this.context.font = this.componentsToFont(components);
-        }
+    if (metrics && line.length === 0)
+    {
+        properties = this.determineFontProperties(this.context.font);
 
-        if (this.style.stroke && this.style.strokeThickness)
-        {
-            if (this.strokeColors[this._charCount])
-            {
-                this.context.strokeStyle = this.strokeColors[this._charCount];
-            }
+        metrics.ascent = properties.ascent;
+        metrics.descent = properties.descent;
+    }
+
+    return Math.ceil(lineLength);
+};
+
+/**
+* Sets the font of the context for the character at `_charCount`, applying any per-character style, weight and size,
+* and measures the character. A character replaced by an image is as wide as the image when it's scaled to the ascent of the font.
+*
+* @method Phaser.Text#measureCharacter
+* @private
+* @param {string} letter - The character to measure.
+* @return {number} The width of the character.
+*/
+Phaser.Text.prototype.measureCharacter = function (letter) {
+
+    if (this.fontWeights.length > 0 || this.fontStyles.length > 0 || this.fontSizes.length > 0)
+    {
+        var components = this.fontToComponents(this.context.font);
 
-            this.updateShadow(this.style.shadowStroke);
+        if (this.fontStyles[this._charCount])
+        {
+            components.fontStyle = this.fontStyles[this._charCount];
         }
 
-        if (this.style.fill)
+        if (this.fontWeights[this._charCount])
         {
-            if (this.colors[this._charCount])
-            {
-                this.context.fillStyle = this.colors[this._charCount];
-            }
+            components.fontWeight = this.fontWeights[this._charCount];
+        }
 
-            this.updateShadow(this.style.shadowFill);
+        if (this.fontSizes[this._charCount])
+        {
+            components.fontSize = this.fontSizes[this._charCount];
         }
 
-        lineLength += this.context.measureText(letter).width;
+        this.context.font = this.componentsToFont(components);
+    }
 
-        this._charCount++;
+    var image = this.images[this._charCount];
+
+    if (image)
+    {
+        return image.frame.width * this.determineFontProperties(this.context.font).ascent / image.frame.height;
     }
 
-    return Math.ceil(lineLength);
+    return this.context.measureText(letter).width;
+
 };
 
 /**
@@ -747,47 +826,43 @@ Phaser.Text.prototype.updateLine = function (line, x, y) {
     for (var i = 0; i < line.length; i++)
     {
         var letter = line[i];
+        var width = this.measureCharacter(letter);
+        var image = this.images[this._charCount];
 
-        if (this.fontWeights.length > 0 || this.fontStyles.length > 0)
+        if (this.strokeColors[this._charCount])
         {
-            var components = this.fontToComponents(this.context.font);
+            this.context.strokeStyle = this.strokeColors[this._charCount];
+        }
 
-            if (this.fontStyles[this._charCount])
-            {
-                components.fontStyle = this.fontStyles[this._charCount];
-            }
-        
-            if (this.fontWeights[this._charCount])
-            {
-                components.fontWeight = this.fontWeights[this._charCount];
-            }
-      
-            this.context.font = this.componentsToFont(components);
+        if (this.colors[this._charCount])
+        {
+            this.context.fillStyle = this.colors[this._charCount];
         }
 
-        if (this.style.stroke && this.style.strokeThickness)
+        if (image)
         {
-            if (this.strokeColors[this._charCount])
-            {
-                this.context.strokeStyle = this.strokeColors[this._charCount];
-            }
+            var frame = image.frame;
+            var height = width * frame.height / frame.width;
 
-            this.updateShadow(this.style.shadowStroke);
-            this.context.strokeText(letter, x, y);
+            this.updateShadow(this.style.shadowFill);
+            this.context.drawImage(this.game.cache.getImage(image.key), frame.x, frame.y, frame.width, frame.height, x, y - height, width, height);
         }
-
-        if (this.style.fill)
+        else
         {
-            if (this.colors[this._charCount])
+            if (this.style.stroke && this.style.strokeThickness)
             {
-                this.context.fillStyle = this.colors[this._charCount];
+                this.updateShadow(this.style.shadowStroke);
+                this.context.strokeText(letter, x, y);
             }
 
-            this.updateShadow(this.style.shadowFill);
-            this.context.fillText(letter, x, y);
+            if (this.style.fill)
+            {
+                this.updateShadow(this.style.shadowFill);
+                this.context.fillText(letter, x, y);
+            }
         }
 
-        x += this.context.measureText(letter).width;
+        x += width;
 
         this._charCount++;
     }
@@ -811,7 +886,7 @@ Phaser.Text.prototype.clearColors = function () {
 };
 
 /**
-* Clears any text styles or weights font that were set by `addFontStyle` or `addFontWeight`.
+* Clears any text styles, weights or sizes font that were set by `addFontStyle`, `addFontWeight` or `addFontSize`.
 *
 * @method Phaser.Text#clearFontValues
 * @return {Phaser.Text} This Text instance.
@@ -820,6 +895,7 @@ Phaser.Text.prototype.clearFontValues = function () {
 
     this.fontStyles = [];
     this.fontWeights = [];
+    this.fontSizes = [];
     this.dirty = true;
 
     return this;
@@ -924,6 +1000,35 @@ Phaser.Text.prototype.addFontWeight = function (weight, position) {
 
 };
 
+/**
+* Set specific font sizes for certain characters within the Text.
+*
+* It works by taking a font size value, which is a number of pixels such as `32`, or a CSS font size string such as `32px` or `2em`.
+* The position value is the index of the character in the Text string to start applying this font size to.
+* Once set the font size remains in use until either another font size or the end of the string is encountered.
+* For example if the Text was `Photon Storm` and you did `Text.addFontSize(40, 6)` it would make the word `Storm` 40 pixels high.
+*
+* Each line of the Text is made tall enough for the largest font size it contains.
+*
+* @method Phaser.Text#addFontSize
+* @param {number|string} size - The font size, in pixels if given as a number.
+* @param {number} position - The index of the character in the string to start applying this font size value from.
+* @return {Phaser.Text} This Text instance.
+*/
+Phaser.Text.prototype.addFontSize = function (size, position) {
+
+    if (typeof size === 'number')
+    {
+        size = size + 'px';
+    }
+
+    this.fontSizes[position] = size;
+    this.dirty = true;
+
+    return this;
+
+};
+
 /**
 * Runs the given text through the Text.runWordWrap function and returns
 * the results as an array, where each element of the array corresponds to a wrapped
@@ -931,6 +1036,8 @@ Phaser.Text.prototype.addFontWeight = function (weight, position) {
 *
 * Useful if you wish to control pagination on long pieces of content.
 *
+* If `markup` is enabled the text should be free of markup tags, and is measured with the character styles of the current text.
+*
 * @method Phaser.Text#precalculateWordWrap
 * @param {string} text - The text for which the wrapping will be calculated.
 * @return {array} An array of strings with the pieces of wrapped text.
@@ -955,7 +1062,11 @@ Phaser.Text.prototype.precalculateWordWrap = function (text) {
 */
 Phaser.Text.prototype.runWordWrap = function (text) {
 
-    if (this.useAdvancedWrap)
+    if (this.style.markup)
+    {
+        return this.markupWordWrap(text);
+    }
+    else if (this.useAdvancedWrap)
     {
         return this.advancedWordWrap(text);
     }
@@ -1090,6 +1201,84 @@ Phaser.Text.prototype.advancedWordWrap = function (text) {
 
 };
 
+/**
+* Wrapping algorithm used when `markup` is enabled. Every character is measured in its own style, including images,
+* and the only change made to the text is the line breaks put after spaces, so the text stays in step with the per-character
+* colors, fonts and images. Words too long for a line are broken if `useAdvancedWrap` is set.
+*
+* @method Phaser.Text#markupWordWrap
+* @param {string} text - The text to perform word wrap detection against.
+* @private
+*/
+Phaser.Text.prototype.markupWordWrap = function (text) {
+
+    var wordWrapWidth = this.style.wordWrapWidth;
+    var font = this.context.font;
+    var output = '';
+    var lines = text.split(/(?:\r\n|\r|\n)/);
+
+    this._charCount = 0;
+
+    for (var i = 0; i < lines.length; i++)
+    {
+        var line = lines[i];
+
+        //  The start of the current line, and the width of it so far
+        var start = 0;
+        var lineWidth = 0;
+
+        //  Where the current line can be broken (after its last space), and the width of it up to there
+        var breakIndex = 0;
+        var breakWidth = 0;
+
+        for (var j = 0; j < line.length; j++)
+        {
+            var width = this.measureCharacter(line[j]);
+
+            this._charCount++;
+
+            //  Spaces are allowed to hang off the end of a line
+            if (line[j] === ' ')
+            {
+                lineWidth += width;
+                breakIndex = j + 1;
+                breakWidth = lineWidth;
+                continue;
+            }
+
+            if (lineWidth + width > wordWrapWidth && j > start)
+            {
+                if (breakIndex > start)
+                {
+                    output += line.substring(start, breakIndex) + '\n';
+                    lineWidth -= breakWidth;
+                    start = breakIndex;
+                }
+                else if (this.useAdvancedWrap)
+                {
+                    output += line.substring(start, j) + '\n';
+                    lineWidth = 0;
+                    start = j;
+                }
+            }
+
+            lineWidth += width;
+        }
+
+        output += line.substring(start);
+
+        if (i < lines.length - 1)
+        {
+            output += '\n';
+        }
+    }
+
+    this.context.font = font;
+
+    return output;
+
+};
+
 /**
 * Greedy wrapping algorithm that will wrap words as the line grows longer than its horizontal bounds.
 *
@@ -1155,6 +1344,12 @@ Phaser.Text.prototype.updateFont = function (components) {
         this.style.font = font;
         this.dirty = true;
 
+        //  Closing markup tags go back to the font values of the style
+        if (this.style.markup)
+        {
+            this._plainText = this.parseMarkup(this._text);
+        }
+
         if (this.parent)
         {
             this.updateTransform();
@@ -1254,6 +1449,8 @@ Phaser.Text.prototype.componentsToFont = function (components) {
 * Use a \n to insert a carriage return and split the text.
 * The text will be rendered with any style currently set.
 *
+* If `markup` is enabled the text is parsed for markup tags, see {@link Phaser.Text#parseMarkup parseMarkup}.
+*
 * Use the optional `immediate` argument if you need the Text display to update immediately.
 * 
 * If not it will re-create the texture of this Text object during the next time the render
@@ -1283,6 +1480,183 @@ Phaser.Text.prototype.setText = function (text, immediate) {
 
 };
 
+/**
+* Parses the markup tags out of the given text, and sets the per-character colors, font values and images from them.
+* It replaces all of the values set by `addColor`, `addStrokeColor`, `addFontStyle`, `addFontWeight` and `addFontSize`.
+*
+* This is called automatically if `style.markup` is true when the text or style is set, and when the `fill`, `stroke` or font
+* properties change, as closing tags go back to them. The tags are:
+*
+* `[color=#ff0000]text[/color]` - Fills the text with a canvas fillstyle.
+* `[stroke=#0000ff]text[/stroke]` - Strokes the text with a canvas stroke style, if the Text has a `strokeThickness`.
+* `[b]text[/b]` - Makes the text bold.
+* `[i]text[/i]` - Makes the text italic.
+* `[size=32]text[/size]` - Sets the font size of the text, in pixels if given as a number, or as a CSS font size such as `2em`.
+* `[img=key]` or `[img=key:frame]` - Draws an image from the Cache in place of a character, scaled to the ascent of the font.
+* The frame can be a frame name or index of a sprite sheet or texture atlas.
+*
+* Tags can be nested, and a closing tag goes back to the value from before its opening tag. Unknown tags are drawn as they are,
+* and `[[` draws a single `[`.
+*
+* @method Phaser.Text#parseMarkup
+* @param {string} text - The text to parse.
+* @return {string} The text without its markup tags, with a character in place of each image.
+*/
+Phaser.Text.prototype.parseMarkup = function (text) {
+
+    this.colors = [];
+    this.strokeColors = [];
+    this.fontStyles = [];
+    this.fontWeights = [];
+    this.fontSizes = [];
+    this.images = [];
+
+    var components = this._fontComponents;
+
+    //  The values in use by each tag, with the value from the style at the bottom
+    var stacks = {
+        color: [ this.style.fill ],
+        stroke: [ this.style.stroke ],
+        b: [ components.fontWeight || 'normal' ],
+        i: [ components.fontStyle || 'normal' ],
+        size: [ components.fontSize || 'medium' ]
+    };
+
+    var values = {
+        color: this.colors,
+        stroke: this.strokeColors,
+        b: this.fontWeights,
+        i: this.fontStyles,
+        size: this.fontSizes
+    };
+
+    var tags = /\[\[|\[(\/?)(color|stroke|b|i|size|img)(?:=([^\]]*))?\]/gi;
+    var output = '';
+    var last = 0;
+    var match;
+
+    //  The position of the next character, which doesn't count line breaks, the same as Text._charCount
+    var position = 0;
+
+    while ((match = tags.exec(text)) !== null)
+    {
+        var plain = text.substring(last, match.index);
+
+        output += plain;
+        position += plain.replace(/[\r\n]/g, '').length;
+        last = tags.lastIndex;
+
+        if (match[0] === '[[')
+        {
+            output += '[';
+            position++;
+            continue;
+        }
+
+        var closing = (match[1] === '/');
+        var name = match[2].toLowerCase();
+        var value = match[3];
+
+        if (name === 'img')
+        {
+            var image = (closing) ? null : this.getMarkupImage(value);
+
+            if (image)
+            {
+                this.images[position] = image;
+                output += '\uFFFC';
+                position++;
+            }
+
+            continue;
+        }
+
+        var stack = stacks[name];
+
+        if (closing)
+        {
+            if (stack.length > 1)
+            {
+                stack.pop();
+            }
+        }
+        else if (name === 'b')
+        {
+            stack.push('bold');
+        }
+        else if (name === 'i')
+        {
+            stack.push('italic');
+        }
+        else if (value)
+        {
+            stack.push((name === 'size' && /^\d+(\.\d+)?$/.test(value)) ? value + 'px' : value);
+        }
+        else
+        {
+            //  A tag that needs a value but doesn't have one is just text
+            output += match[0];
+            position += match[0].length;
+            continue;
+        }
+
+        values[name][position] = stack[stack.length - 1];
+    }
+
+    return output + text.substring(last);
+
+};
+
+/**
+* Gets the image for an `[img]` markup tag.
+*
+* @method Phaser.Text#getMarkupImage
+* @private
+* @param {string} [value] - The value of the tag, which is the key of the image in the Cache, and optionally a colon and the frame name or index.
+* @return {object} The `key` and `frame` of the image, or null if it's not in the Cache.
+*/
+Phaser.Text.prototype.getMarkupImage = function (value) {
+
+    if (!value)
+    {
+        return null;
+    }
+
+    var split = value.indexOf(':');
+    var key = (split === -1) ? value : value.substr(0, split);
+    var frameName = (split === -1) ? '' : value.substr(split + 1);
+
+    if (!this.game.cache.checkImageKey(key))
+    {
+        console.warn('Phaser.Text.parseMarkup: Image key "' + key + '" not found in Cache');
+        return null;
+    }
+
+    var frame;
+
+    if (frameName === '')
+    {
+        frame = this.game.cache.getFrameByIndex(key, 0);
+    }
+    else if (/^\d+$/.test(frameName))
+    {
+        frame = this.game.cache.getFrameByIndex(key, parseInt(frameName, 10));
+    }
+    else
+    {
+        frame = this.game.cache.getFrameByName(key, frameName);
+    }
+
+    if (!frame)
+    {
+        console.warn('Phaser.Text.parseMarkup: Frame "' + frameName + '" not found in image "' + key + '"');
+        return null;
+    }
+
+    return { key: key, frame: frame };
+
+};
+
 /**
  * Converts the given array into a tab delimited string and then updates this Text object.
  * This is mostly used when you want to display external data using tab stops.
@@ -1667,6 +2041,7 @@ Object.defineProperty(Phaser.Text.prototype, 'text', {
         if (value !== this._text)
         {
             this._text = value.toString() || '';
+            this._plainText = (this.style.markup) ? this.parseMarkup(this._text) : this._text;
             this.dirty = true;
 
             if (this.parent)
@@ -1860,6 +2235,13 @@ Object.defineProperty(Phaser.Text.prototype, 'fill', {
         if (value !== this.style.fill)
         {
             this.style.fill = value;
+
+            //  Closing markup tags go back to the fill of the style
+            if (this.style.markup)
+            {
+                this._plainText = this.parseMarkup(this._text);
+            }
+
             this.dirty = true;
         }
 
@@ -2004,6 +2386,13 @@ Object.defineProperty(Phaser.Text.prototype, 'stroke', {
         if (value !== this.style.stroke)
         {
             this.style.stroke = value;
+
+            //  Closing markup tags go back to the stroke of the style
+            if (this.style.markup)
+            {
+                this._plainText = this.parseMarkup(this._text);
+            }
+
             this.dirty = true;
         }
 
@@ -2077,6 +2466,44 @@ Object.defineProperty(Phaser.Text.prototype, 'wordWrapWidth', {
 
 });
 
+/**
+* Is the text parsed for markup tags? See {@link Phaser.Text#parseMarkup parseMarkup} for the tags.
+* Turning it off clears the per-character colors, font values and images that the markup set.
+*
+* @name Phaser.Text#markup
+* @property {boolean} markup
+*/
+Object.defineProperty(Phaser.Text.prototype, 'markup', {
+
+    get: function() {
+        return this.style.markup;
+    },
+
+    set: function(value) {
+
+        if (value !== this.style.markup)
+        {
+            this.style.markup = value;
+
+            if (value)
+            {
+                this._plainText = this.parseMarkup(this._text);
+            }
+            else
+            {
+                this.clearColors();
+                this.clearFontValues();
+                this.images = [];
+                this._plainText = this._text;
+            }
+
+            this.dirty = true;
+        }
+
+    }
+
+});
+
 /**
 * @name Phaser.Text#lineSpacing
 * @property {number} lineSpacing - Additional spacing (in pixels) between each line of text if multi-line.
@@ -0,0 +1,800 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Text Input is an editable, single line text field, such as for typing in a player name.
+*
+* The typing is done by a hidden DOM `<input>` element, so it works with every keyboard layout, IME, copy and paste,
+* and the virtual keyboards of mobile devices. The Text Input copies the value and selection of the DOM element every
+* update, and draws them with a Phaser.Text, or a Phaser.BitmapText if a bitmap font is given, along with a caret and
+* a selection box.
+*
+* Pressing the field gives it the focus, and pressing anywhere else in the game takes it away. While it has the focus the
+* key events don't reach Phaser.Keyboard, so typing doesn't move the player around.
+*
+* ```javascript
+* var nameInput = game.add.textInput(100, 100, { width: 300, placeholder: 'Your name', maxLength: 16 });
+*
+* nameInput.onSubmit.add(function (value) {
+*     startGame(value);
+* });
+* ```
+*
+* @class Phaser.TextInput
+* @extends Phaser.Group
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {number} x - The x coordinate of the Text Input.
+* @param {number} y - The y coordinate of the Text Input.
+* @param {object} [config] - The settings of the Text Input.
+* @param {number} [config.width=200] - The width of the field.
+* @param {number} [config.height] - The height of the field. Defaults to the height of a line of text plus the padding.
+* @param {number} [config.padding=4] - The space between the edge of the field and the text.
+* @param {string} [config.value=''] - The text in the field.
+* @param {string} [config.placeholder=''] - The text shown when the field is empty.
+* @param {number} [config.placeholderAlpha=0.5] - The alpha of the placeholder text.
+* @param {integer} [config.maxLength=0] - The most characters that can be typed. Zero means no limit.
+* @param {string} [config.type='text'] - The type of the DOM input, which sets the virtual keyboard shown on mobile devices: 'text', 'password', 'email', 'number', 'tel' or 'url'. A password is drawn masked. Browsers don't expose the caret of 'email' and 'number' inputs, so for those the caret is drawn where the Text Input last put it, at the end of the text after typing, and text can't be selected.
+* @param {string} [config.passwordChar='*'] - The character drawn for each character of a password.
+* @param {object} [config.style] - The style of the Phaser.Text, see {@link Phaser.Text#setStyle}.
+* @param {string} [config.font] - The key of a bitmap font in the Cache. If given a Phaser.BitmapText is used instead of a Phaser.Text.
+* @param {number} [config.fontSize=32] - The size of the bitmap font.
+* @param {number} [config.backgroundColor] - The color of the field. If not given the field is transparent.
+* @param {number} [config.caretColor=0xffffff] - The color of the caret.
+* @param {number} [config.selectionColor=0x3399ff] - The color of the selection box.
+*/
+Phaser.TextInput = function (game, x, y, config) {
+
+    if (config === undefined) { config = {}; }
+
+    Phaser.Group.call(this, game, null, 'textInput');
+
+    this.x = x;
+    this.y = y;
+
+    /**
+    * @property {boolean} enabled - A disabled Text Input can't be given the focus.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {number} fieldWidth - The width of the field.
+    * @readonly
+    */
+    this.fieldWidth = config.width || 200;
+
+    /**
+    * @property {number} padding - The space between the edge of the field and the text.
+    * @readonly
+    */
+    this.padding = (config.padding === undefined) ? 4 : config.padding;
+
+    /**
+    * @property {string} placeholder - The text shown when the field is empty.
+    */
+    this.placeholder = config.placeholder || '';
+
+    /**
+    * @property {number} placeholderAlpha - The alpha of the placeholder text.
+    * @default
+    */
+    this.placeholderAlpha = (config.placeholderAlpha === undefined) ? 0.5 : config.placeholderAlpha;
+
+    /**
+    * @property {string} passwordChar - The character drawn for each character of a password.
+    * @default
+    */
+    this.passwordChar = config.passwordChar || '*';
+
+    /**
+    * @property {number} caretBlinkRate - How long the caret is shown and then hidden for, in ms. Zero stops it blinking.
+    * @default
+    */
+    this.caretBlinkRate = 530;
+
+    /**
+    * @property {boolean} blurOnSubmit - Take the focus away from the field when Enter is pressed?
+    * @default
+    */
+    this.blurOnSubmit = true;
+
+    /**
+    * @property {boolean} focused - Does the field have the focus?
+    * @readonly
+    */
+    this.focused = false;
+
+    /**
+    * @property {integer} selectionStart - The index of the first selected character, or of the caret if nothing is selected.
+    * @readonly
+    */
+    this.selectionStart = 0;
+
+    /**
+    * @property {integer} selectionEnd - The index after the last selected character, or of the caret if nothing is selected.
+    * @readonly
+    */
+    this.selectionEnd = 0;
+
+    var white = game.cache.getWhiteKey();
+
+    /**
+    * @property {Phaser.Image} background - The background of the field, which is pressed to give it the focus.
+    */
+    this.background = this.add(new Phaser.Image(game, 0, 0, white));
+
+    if (config.backgroundColor === undefined)
+    {
+        this.background.alpha = 0;
+    }
+    else
+    {
+        this.background.tint = config.backgroundColor;
+    }
+
+    /**
+    * @property {Phaser.Image} selection - The box drawn behind the selected text.
+    */
+    this.selection = this.add(new Phaser.Image(game, 0, this.padding, white));
+    this.selection.tint = (config.selectionColor === undefined) ? 0x3399ff : config.selectionColor;
+    this.selection.visible = false;
+
+    /**
+    * @property {Phaser.Text|Phaser.BitmapText} display - The Text or BitmapText that draws the text.
+    */
+    this.display = null;
+
+    if (config.font)
+    {
+        this.display = new Phaser.BitmapText(game, this.padding, this.padding, config.font, '', config.fontSize);
+    }
+    else
+    {
+        this.display = new Phaser.Text(game, this.padding, this.padding, '', config.style);
+    }
+
+    this.add(this.display);
+
+    /**
+    * @property {number} fieldHeight - The height of the field.
+    * @readonly
+    */
+    this.fieldHeight = config.height || this.getLineHeight() + this.padding * 2;
+
+    /**
+    * @property {Phaser.Image} caret - The caret, which shows where typed text goes.
+    */
+    this.caret = this.add(new Phaser.Image(game, 0, this.padding, white));
+    this.caret.tint = (config.caretColor === undefined) ? 0xffffff : config.caretColor;
+    this.caret.visible = false;
+
+    this.background.width = this.fieldWidth;
+    this.background.height = this.fieldHeight;
+    this.selection.height = this.fieldHeight - this.padding * 2;
+    this.caret.width = 2;
+    this.caret.height = this.fieldHeight - this.padding * 2;
+
+    this.background.inputEnabled = true;
+    this.background.input.useHandCursor = false;
+    this.background.events.onInputDown.add(this.onInputDown, this);
+
+    /**
+    * @property {HTMLInputElement} domElement - The hidden DOM input that does the typing.
+    * @readonly
+    */
+    this.domElement = document.createElement('input');
+    this.domElement.type = config.type || 'text';
+    this.domElement.value = config.value || '';
+    this.domElement.style.position = 'absolute';
+    this.domElement.style.opacity = '0';
+    this.domElement.style.pointerEvents = 'none';
+    this.domElement.style.left = '-1000px';
+    this.domElement.style.top = '0px';
+    this.domElement.style.width = this.fieldWidth + 'px';
+
+    //  Smaller fonts make iOS zoom in on the page when the input is focused
+    this.domElement.style.fontSize = '16px';
+
+    this.domElement.setAttribute('autocomplete', 'off');
+    this.domElement.setAttribute('autocorrect', 'off');
+    this.domElement.setAttribute('autocapitalize', 'off');
+    this.domElement.setAttribute('spellcheck', 'false');
+
+    if (config.maxLength > 0)
+    {
+        this.domElement.maxLength = config.maxLength;
+    }
+
+    document.body.appendChild(this.domElement);
+
+    /**
+    * @property {Phaser.Signal} onChange - This Signal is dispatched when the value is changed by typing. It's sent the value and this Text Input.
+    */
+    this.onChange = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onSubmit - This Signal is dispatched when Enter is pressed. It's sent the value and this Text Input.
+    */
+    this.onSubmit = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onFocus - This Signal is dispatched when the field gets the focus. It's sent this Text Input.
+    */
+    this.onFocus = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onBlur - This Signal is dispatched when the field loses the focus. It's sent this Text Input.
+    */
+    this.onBlur = new Phaser.Signal();
+
+    /**
+    * @property {integer} _scroll - The index of the first character drawn, when the text is wider than the field.
+    * @private
+    */
+    this._scroll = 0;
+
+    /**
+    * @property {string} _drawn - The text, caret and selection last drawn, so they're only redrawn when they change.
+    * @private
+    */
+    this._drawn = null;
+
+    /**
+    * @property {number} _caretTime - The time the caret last started blinking.
+    * @private
+    */
+    this._caretTime = 0;
+
+    /**
+    * @property {integer} _caret - The caret index of input types that have no selection in the DOM, see `hasSelectionRange`.
+    * @private
+    */
+    this._caret = 0;
+
+    var _this = this;
+
+    this._onKeyDown = function (event) {
+        return _this.onKeyDown(event);
+    };
+
+    this._onDomInput = function () {
+        return _this.onDomInput();
+    };
+
+    this._onDomBlur = function () {
+        return _this.blur();
+    };
+
+    this._stopPropagation = function (event) {
+        event.stopPropagation();
+    };
+
+    this.domElement.addEventListener('keydown', this._onKeyDown, false);
+    this.domElement.addEventListener('keyup', this._stopPropagation, false);
+    this.domElement.addEventListener('keypress', this._stopPropagation, false);
+    this.domElement.addEventListener('input', this._onDomInput, false);
+    this.domElement.addEventListener('blur', this._onDomBlur, false);
+
+    game.input.onDown.add(this.onPointerDown, this);
+
+    this.refresh();
+
+};
+
+Phaser.TextInput.prototype = Object.create(Phaser.Group.prototype);
+Phaser.TextInput.prototype.constructor = Phaser.TextInput;
+
+/**
+* Gives the field the focus, showing the virtual keyboard on mobile devices.
+*
+* On mobile devices the virtual keyboard only opens if this is called from a Pointer event, such as a Button callback.
+*
+* @method Phaser.TextInput#focus
+*/
+Phaser.TextInput.prototype.focus = function () {
+
+    if (!this.enabled || this.focused)
+    {
+        return;
+    }
+
+    this.focused = true;
+    this._caretTime = this.game.time.time;
+
+    //  Move the DOM element over the field, so the page scrolls to it when a virtual keyboard opens
+    var bounds = this.game.canvas.getBoundingClientRect();
+    var scaleX = bounds.width / this.game.width;
+    var scaleY = bounds.height / this.game.height;
+    var scrollX = window.pageXOffset || 0;
+    var scrollY = window.pageYOffset || 0;
+
+    this.domElement.style.left = (bounds.left + scrollX + this.worldPosition.x * scaleX) + 'px';
+    this.domElement.style.top = (bounds.top + scrollY + this.worldPosition.y * scaleY) + 'px';
+
+    this.domElement.focus();
+
+    this.onFocus.dispatch(this);
+
+    this.refresh();
+
+};
+
+/**
+* Takes the focus away from the field.
+*
+* @method Phaser.TextInput#blur
+*/
+Phaser.TextInput.prototype.blur = function () {
+
+    if (!this.focused)
+    {
+        return;
+    }
+
+    this.focused = false;
+
+    this.domElement.blur();
+    this.domElement.style.left = '-1000px';
+
+    this.onBlur.dispatch(this);
+
+    this.refresh();
+
+};
+
+/**
+* Selects some of the text. If the start and end are the same the caret is moved there.
+*
+* @method Phaser.TextInput#setSelection
+* @param {integer} start - The index of the first character to select.
+* @param {integer} [end=start] - The index after the last character to select.
+*/
+Phaser.TextInput.prototype.setSelection = function (start, end) {
+
+    if (end === undefined) { end = start; }
+
+    var length = this.domElement.value.length;
+
+    start = Phaser.Math.clamp(start, 0, length);
+    end = Phaser.Math.clamp(end, start, length);
+
+    if (!this.hasSelectionRange())
+    {
+        this._caret = end;
+    }
+    else if (this.domElement.setSelectionRange)
+    {
+        this.domElement.setSelectionRange(start, end);
+    }
+    else
+    {
+        this.domElement.selectionStart = start;
+        this.domElement.selectionEnd = end;
+    }
+
+    this._caretTime = this.game.time.time;
+
+    this.refresh();
+
+};
+
+/**
+* Checks if the DOM element has a selection. Browsers have none for 'email' and 'number' inputs: their `selectionStart`
+* is null and `setSelectionRange` throws, so the Text Input keeps track of the caret itself.
+*
+* @method Phaser.TextInput#hasSelectionRange
+* @private
+* @return {boolean} True if the selection of the DOM element can be read and set.
+*/
+Phaser.TextInput.prototype.hasSelectionRange = function () {
+
+    var type = this.domElement.type;
+
+    return (type !== 'email' && type !== 'number');
+
+};
+
+/**
+* Selects all of the text.
+*
+* @method Phaser.TextInput#selectAll
+*/
+Phaser.TextInput.prototype.selectAll = function () {
+
+    this.setSelection(0, this.domElement.value.length);
+
+};
+
+/**
+* Copies the value and selection of the DOM element, and blinks the caret. Called automatically by the parent of this Text Input.
+*
+* @method Phaser.TextInput#update
+* @protected
+*/
+Phaser.TextInput.prototype.update = function () {
+
+    Phaser.Group.prototype.update.call(this);
+
+    this.refresh();
+
+};
+
+/**
+* Draws the text, caret and selection if they have changed.
+*
+* @method Phaser.TextInput#refresh
+* @private
+*/
+Phaser.TextInput.prototype.refresh = function () {
+
+    var value = this.domElement.value;
+    var start = this._caret;
+    var end = this._caret;
+
+    if (this.hasSelectionRange())
+    {
+        start = this.domElement.selectionStart || 0;
+        end = this.domElement.selectionEnd || 0;
+    }
+
+    if (!this.focused)
+    {
+        start = end = 0;
+    }
+
+    this.selectionStart = start;
+    this.selectionEnd = end;
+
+    this.updateCaret();
+
+    var state = value + '\n' + start + '\n' + end + '\n' + this.focused;
+
+    if (state === this._drawn)
+    {
+        return;
+    }
+
+    this._drawn = state;
+
+    if (value === '' && this.placeholder !== '')
+    {
+        this.display.text = this.placeholder;
+        this.display.alpha = this.placeholderAlpha;
+        this._scroll = 0;
+        this.selection.visible = false;
+        this.caret.x = this.padding;
+        return;
+    }
+
+    var shown = (this.domElement.type === 'password') ? new Array(value.length + 1).join(this.passwordChar) : value;
+    var width = this.fieldWidth - this.padding * 2;
+    var caret = (this.domElement.selectionDirection === 'backward') ? start : end;
+
+    //  Scroll the text so the caret is always in view
+    if (caret < this._scroll)
+    {
+        this._scroll = caret;
+    }
+
+    while (this._scroll < caret && this.measure(shown.substring(this._scroll, caret)) > width)
+    {
+        this._scroll++;
+    }
+
+    var last = this._scroll;
+
+    while (last < shown.length && this.measure(shown.substring(this._scroll, last + 1)) <= width)
+    {
+        last++;
+    }
+
+    this.display.text = shown.substring(this._scroll, last);
+    this.display.alpha = 1;
+
+    this.caret.x = this.padding + this.measure(shown.substring(this._scroll, caret));
+
+    var selectStart = Phaser.Math.clamp(start, this._scroll, last);
+    var selectEnd = Phaser.Math.clamp(end, this._scroll, last);
+
+    this.selection.visible = this.focused && selectEnd > selectStart;
+
+    if (this.selection.visible)
+    {
+        this.selection.x = this.padding + this.measure(shown.substring(this._scroll, selectStart));
+        this.selection.width = this.measure(shown.substring(selectStart, selectEnd));
+    }
+
+};
+
+/**
+* Shows or hides the caret as it blinks.
+*
+* @method Phaser.TextInput#updateCaret
+* @private
+*/
+Phaser.TextInput.prototype.updateCaret = function () {
+
+    if (!this.focused || this.selectionStart !== this.selectionEnd)
+    {
+        this.caret.visible = false;
+    }
+    else if (this.caretBlinkRate > 0)
+    {
+        this.caret.visible = Math.floor((this.game.time.time - this._caretTime) / this.caretBlinkRate) % 2 === 0;
+    }
+    else
+    {
+        this.caret.visible = true;
+    }
+
+};
+
+/**
+* Gets the width of some text when drawn with the font of this Text Input.
+*
+* @method Phaser.TextInput#measure
+* @private
+* @param {string} text - The text to measure.
+* @return {number} The width of the text, in pixels.
+*/
+Phaser.TextInput.prototype.measure = function (text) {
+
+    if (text === '')
+    {
+        return 0;
+    }
+
+    var display = this.display;
+
+    if (display.type === Phaser.BITMAPTEXT)
+    {
+        var data = display._data.font;
+
+        return display.scanLine(data, display.fontSize / data.size, text).width;
+    }
+
+    display.context.font = display.style.font;
+
+    return display.context.measureText(text).width;
+
+};
+
+/**
+* Gets the height of a line of text when drawn with the font of this Text Input.
+*
+* @method Phaser.TextInput#getLineHeight
+* @private
+* @return {number} The height of a line, in pixels.
+*/
+Phaser.TextInput.prototype.getLineHeight = function () {
+
+    var display = this.display;
+
+    if (display.type === Phaser.BITMAPTEXT)
+    {
+        return display._data.font.lineHeight * (display.fontSize / display._data.font.size);
+    }
+
+    return display.determineFontProperties(display.style.font).fontSize;
+
+};
+
+/**
+* Gets the index of the character nearest to an x coordinate of the field.
+*
+* @method Phaser.TextInput#getIndexAt
+* @private
+* @param {number} x - The x coordinate, relative to the Text Input.
+* @return {integer} The index of the character.
+*/
+Phaser.TextInput.prototype.getIndexAt = function (x) {
+
+    var value = this.domElement.value;
+    var shown = (this.domElement.type === 'password') ? new Array(value.length + 1).join(this.passwordChar) : value;
+    var previous = 0;
+
+    x -= this.padding;
+
+    for (var i = this._scroll; i < shown.length; i++)
+    {
+        var width = this.measure(shown.substring(this._scroll, i + 1));
+
+        if (x < (previous + width) / 2)
+        {
+            return i;
+        }
+
+        previous = width;
+    }
+
+    return shown.length;
+
+};
+
+/**
+* Gives the field the focus when it's pressed, and moves the caret to the Pointer.
+*
+* @method Phaser.TextInput#onInputDown
+* @private
+* @param {Phaser.Image} background - The background of the field.
+* @param {Phaser.Pointer} pointer - The Pointer that pressed it.
+*/
+Phaser.TextInput.prototype.onInputDown = function (background, pointer) {
+
+    this.focus();
+
+    if (this.focused)
+    {
+        this.setSelection(this.getIndexAt((pointer.x - this.worldPosition.x) / this.worldScale.x));
+    }
+
+};
+
+/**
+* Takes the focus away from the field when a Pointer is pressed outside of it.
+*
+* @method Phaser.TextInput#onPointerDown
+* @private
+* @param {Phaser.Pointer} pointer - The Pointer that was pressed.
+*/
+Phaser.TextInput.prototype.onPointerDown = function (pointer) {
+
+    if (this.focused && !this.background.input.checkPointerOver(pointer))
+    {
+        this.blur();
+    }
+
+};
+
+/**
+* Submits the value when Enter is pressed, and stops the key events reaching Phaser.Keyboard.
+*
+* @method Phaser.TextInput#onKeyDown
+* @private
+* @param {KeyboardEvent} event - The DOM event.
+*/
+Phaser.TextInput.prototype.onKeyDown = function (event) {
+
+    event.stopPropagation();
+
+    if (event.keyCode === 13)
+    {
+        event.preventDefault();
+
+        this.onSubmit.dispatch(this.value, this);
+
+        if (this.blurOnSubmit)
+        {
+            this.blur();
+        }
+    }
+
+    this._caretTime = this.game.time.time;
+
+};
+
+/**
+* Dispatches `onChange` when the value of the DOM element changes.
+*
+* @method Phaser.TextInput#onDomInput
+* @private
+*/
+Phaser.TextInput.prototype.onDomInput = function () {
+
+    this._caretTime = this.game.time.time;
+
+    if (!this.hasSelectionRange())
+    {
+        this._caret = this.domElement.value.length;
+    }
+
+    this.refresh();
+
+    this.onChange.dispatch(this.value, this);
+
+};
+
+/**
+* Destroys this Text Input, removing its DOM element.
+*
+* @method Phaser.TextInput#destroy
+* @param {boolean} [destroyChildren=true] - If true all the children of this Text Input will also be destroyed.
+* @param {boolean} [soft=false] - A 'soft destroy' (set to true) doesn't remove this Text Input from its parent or null the game reference.
+*/
+Phaser.TextInput.prototype.destroy = function (destroyChildren, soft) {
+
+    if (this.game === null || this.ignoreDestroy)
+    {
+        return;
+    }
+
+    this.blur();
+
+    this.domElement.removeEventListener('keydown', this._onKeyDown, false);
+    this.domElement.removeEventListener('keyup', this._stopPropagation, false);
+    this.domElement.removeEventListener('keypress', this._stopPropagation, false);
+    this.domElement.removeEventListener('input', this._onDomInput, false);
+    this.domElement.removeEventListener('blur', this._onDomBlur, false);
+
+    if (this.domElement.parentNode)
+    {
+        this.domElement.parentNode.removeChild(this.domElement);
+    }
+
+    if (this.game.input.onDown)
+    {
+        this.game.input.onDown.remove(this.onPointerDown, this);
+    }
+
+    this.onChange.dispose();
+    this.onSubmit.dispose();
+    this.onFocus.dispose();
+    this.onBlur.dispose();
+
+    Phaser.Group.prototype.destroy.call(this, destroyChildren, soft);
+
+};
+
+/**
+* The text in the field. Setting it doesn't dispatch `onChange`, and moves the caret to the end.
+*
+* @name Phaser.TextInput#value
+* @property {string} value
+*/
+Object.defineProperty(Phaser.TextInput.prototype, "value", {
+
+    get: function () {
+
+        return this.domElement.value;
+
+    },
+
+    set: function (value) {
+
+        value = String(value);
+
+        if (this.domElement.maxLength > 0)
+        {
+            value = value.substr(0, this.domElement.maxLength);
+        }
+
+        this.domElement.value = value;
+
+        this.setSelection(value.length);
+
+    }
+
+});
+
+/**
+* The most characters that can be typed. Zero means no limit.
+*
+* @name Phaser.TextInput#maxLength
+* @property {integer} maxLength
+*/
+Object.defineProperty(Phaser.TextInput.prototype, "maxLength", {
+
+    get: function () {
+
+        return Math.max(0, this.domElement.maxLength || 0);
+
+    },
+
+    set: function (value) {
+
+        if (value > 0)
+        {
+            this.domElement.maxLength = value;
+        }
+        else
+        {
+            this.domElement.removeAttribute('maxlength');
+        }
+
+    }
+
+});
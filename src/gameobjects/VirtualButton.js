@@ -0,0 +1,228 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Virtual Button is an on-screen button that presses a gamepad button code of its Virtual Pad.
+* Create them with {@link Phaser.VirtualPad#addButton}.
+*
+* Unlike Phaser.Button it doesn't use the Input Handler. It claims the pointer that presses it, and stays down until
+* that pointer is released, even if it's moved off the button, which is how players expect touch controls to behave.
+*
+* @class Phaser.VirtualButton
+* @extends Phaser.Image
+* @constructor
+* @param {Phaser.VirtualPad} pad - A reference to the Virtual Pad that owns this button.
+* @param {number} x - The x coordinate of the center of the button, relative to the Virtual Pad.
+* @param {number} y - The y coordinate of the center of the button, relative to the Virtual Pad.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - The texture of the button.
+* @param {integer} buttonCode - The button code it presses, such as Phaser.Gamepad.XBOX360_A.
+* @param {string|integer} [upFrame] - The frame shown when the button isn't pressed.
+* @param {string|integer} [downFrame] - The frame shown while the button is pressed. If not given the up frame is always shown.
+*/
+Phaser.VirtualButton = function (pad, x, y, key, buttonCode, upFrame, downFrame) {
+
+    Phaser.Image.call(this, pad.game, x, y, key, upFrame);
+
+    this.anchor.set(0.5);
+
+    /**
+    * @property {Phaser.VirtualPad} pad - A reference to the Virtual Pad that owns this button.
+    */
+    this.pad = pad;
+
+    /**
+    * @property {integer} buttonCode - The button code it presses.
+    */
+    this.buttonCode = buttonCode;
+
+    /**
+    * @property {string|integer} upFrame - The frame shown when the button isn't pressed.
+    */
+    this.upFrame = upFrame;
+
+    /**
+    * @property {string|integer} downFrame - The frame shown while the button is pressed.
+    */
+    this.downFrame = downFrame;
+
+    /**
+    * @property {number} hitPadding - How far outside of its bounds the button can be pressed, in pixels. Fingers aren't as precise as a mouse.
+    * @default
+    */
+    this.hitPadding = 0;
+
+    /**
+    * @property {Phaser.Pointer} pointer - The pointer that is holding the button, or null if it's not pressed.
+    * @readonly
+    */
+    this.pointer = null;
+
+    /**
+    * @property {boolean} isDown - Is the button being held?
+    * @readonly
+    */
+    this.isDown = false;
+
+    /**
+    * @property {Phaser.Signal} onDown - This Signal is dispatched when the button is pressed. It's sent the button as its only argument.
+    */
+    this.onDown = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onUp - This Signal is dispatched when the button is released. It's sent the button as its only argument.
+    */
+    this.onUp = new Phaser.Signal();
+
+    /**
+    * @property {boolean} _pressed - Was the button pressed since the last update? So a quick tap is held for at least one update.
+    * @private
+    */
+    this._pressed = false;
+
+};
+
+Phaser.VirtualButton.prototype = Object.create(Phaser.Image.prototype);
+Phaser.VirtualButton.prototype.constructor = Phaser.VirtualButton;
+
+/**
+* Checks if a press at the given screen position is on this button.
+*
+* @method Phaser.VirtualButton#hitTest
+* @param {number} x - The x coordinate of the press, in the same coordinates as the pointers.
+* @param {number} y - The y coordinate of the press, in the same coordinates as the pointers.
+* @return {boolean} True if the press is on the button.
+*/
+Phaser.VirtualButton.prototype.hitTest = function (x, y) {
+
+    if (!this.visible || !this.exists)
+    {
+        return false;
+    }
+
+    var topLeft = this.pad.toScreen(this.x - this.anchor.x * this.width, this.y - this.anchor.y * this.height);
+    var left = topLeft.x - this.hitPadding;
+    var top = topLeft.y - this.hitPadding;
+
+    return (x >= left && x < left + this.width + this.hitPadding * 2 && y >= top && y < top + this.height + this.hitPadding * 2);
+
+};
+
+/**
+* Gives a pointer to this button. Called by the Virtual Pad when the pointer presses it.
+*
+* @method Phaser.VirtualButton#press
+* @protected
+* @param {Phaser.Pointer} pointer - The pointer that pressed the button.
+*/
+Phaser.VirtualButton.prototype.press = function (pointer) {
+
+    this.pointer = pointer;
+    this.isDown = true;
+    this._pressed = true;
+
+    if (this.downFrame !== undefined)
+    {
+        this.setStateFrame(this.downFrame);
+    }
+
+    this.onDown.dispatch(this);
+
+};
+
+/**
+* Lets go of the pointer holding this button.
+*
+* @method Phaser.VirtualButton#release
+*/
+Phaser.VirtualButton.prototype.release = function () {
+
+    if (!this.pointer)
+    {
+        return;
+    }
+
+    this.pointer = null;
+    this.isDown = false;
+    this._pressed = false;
+
+    if (this.downFrame !== undefined)
+    {
+        this.setStateFrame(this.upFrame);
+    }
+
+    this.onUp.dispatch(this);
+
+};
+
+/**
+* Releases the button once the pointer holding it is up. Called by the Virtual Pad every logic update.
+*
+* @method Phaser.VirtualButton#updateState
+* @protected
+*/
+Phaser.VirtualButton.prototype.updateState = function () {
+
+    if (this.pointer && !this.pointer.isDown && !this._pressed)
+    {
+        this.release();
+    }
+
+    this._pressed = false;
+
+};
+
+/**
+* Shows the frame of the up or down state.
+*
+* @method Phaser.VirtualButton#setStateFrame
+* @private
+* @param {string|integer} frame - The frame name or index.
+*/
+Phaser.VirtualButton.prototype.setStateFrame = function (frame) {
+
+    if (typeof frame === 'string')
+    {
+        this.frameName = frame;
+    }
+    else if (frame !== undefined)
+    {
+        this.frame = frame;
+    }
+
+};
+
+/**
+* Destroys this button and removes all of its listeners.
+*
+* @method Phaser.VirtualButton#destroy
+* @param {boolean} [destroyChildren=true] - Should every child of this object have its destroy method called?
+* @param {boolean} [destroyTexture=false] - Destroy the BaseTexture this Game Object is using?
+*/
+Phaser.VirtualButton.prototype.destroy = function (destroyChildren, destroyTexture) {
+
+    if (this.game === null || this.destroyPhase)
+    {
+        return;
+    }
+
+    this.pointer = null;
+    this.isDown = false;
+
+    this.onDown.dispose();
+    this.onUp.dispose();
+
+    var index = this.pad.buttons.indexOf(this);
+
+    if (index !== -1)
+    {
+        this.pad.buttons.splice(index, 1);
+    }
+
+    this.pad = null;
+
+    Phaser.Image.prototype.destroy.call(this, destroyChildren, destroyTexture);
+
+};
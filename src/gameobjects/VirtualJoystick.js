@@ -0,0 +1,339 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Virtual Joystick is an on-screen analog stick, made of a base image and a thumb image that follows the pointer
+* within the radius of the base. Create them with {@link Phaser.VirtualPad#addJoystick}.
+*
+* In `Phaser.VirtualJoystick.FIXED` mode the stick stays where it was placed and must be pressed within its radius.
+* In `Phaser.VirtualJoystick.FLOATING` mode a press anywhere within its `zone` moves the stick to the pointer,
+* and it goes back to where it was placed when released.
+*
+* @class Phaser.VirtualJoystick
+* @constructor
+* @param {Phaser.VirtualPad} pad - A reference to the Virtual Pad that owns this stick.
+* @param {number} x - The x coordinate of the center of the stick, relative to the Virtual Pad.
+* @param {number} y - The y coordinate of the center of the stick, relative to the Virtual Pad.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} baseKey - The texture of the base of the stick.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} thumbKey - The texture of the thumb, which moves around the base.
+* @param {object} [config] - The settings of the stick.
+* @param {integer} [config.mode=Phaser.VirtualJoystick.FIXED] - Either Phaser.VirtualJoystick.FIXED or Phaser.VirtualJoystick.FLOATING.
+* @param {number} [config.radius] - How far the thumb can move from the center, in pixels. Defaults to half the width of the base.
+* @param {number} [config.deadZone=0.1] - The force below which the stick reads as being centered, from 0 to 1.
+* @param {Phaser.Rectangle} [config.zone] - The area of the screen that a floating stick can be pressed in. Defaults to the left half of the game.
+* @param {integer} [config.xAxis=0] - The axis code the horizontal position of the stick is given to.
+* @param {integer} [config.yAxis=1] - The axis code the vertical position of the stick is given to.
+* @param {string|integer} [config.baseFrame] - The frame of the base texture.
+* @param {string|integer} [config.thumbFrame] - The frame of the thumb texture.
+*/
+Phaser.VirtualJoystick = function (pad, x, y, baseKey, thumbKey, config) {
+
+    if (config === undefined) { config = {}; }
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = pad.game;
+
+    /**
+    * @property {Phaser.VirtualPad} pad - A reference to the Virtual Pad that owns this stick.
+    */
+    this.pad = pad;
+
+    /**
+    * @property {Phaser.Image} base - The base of the stick.
+    */
+    this.base = pad.add(new Phaser.Image(pad.game, x, y, baseKey, config.baseFrame));
+    this.base.anchor.set(0.5);
+
+    /**
+    * @property {Phaser.Image} thumb - The thumb of the stick, which is moved to follow the pointer.
+    */
+    this.thumb = pad.add(new Phaser.Image(pad.game, x, y, thumbKey, config.thumbFrame));
+    this.thumb.anchor.set(0.5);
+
+    /**
+    * @property {Phaser.Point} position - Where the stick was placed, relative to the Virtual Pad. A floating stick goes back here when released.
+    */
+    this.position = new Phaser.Point(x, y);
+
+    /**
+    * @property {integer} mode - Either Phaser.VirtualJoystick.FIXED or Phaser.VirtualJoystick.FLOATING.
+    */
+    this.mode = config.mode || Phaser.VirtualJoystick.FIXED;
+
+    /**
+    * @property {number} radius - How far the thumb can move from the center, in pixels.
+    */
+    this.radius = config.radius || this.base.width / 2;
+
+    /**
+    * @property {number} deadZone - The force below which the stick reads as being centered, from 0 to 1.
+    */
+    this.deadZone = (config.deadZone === undefined) ? 0.1 : config.deadZone;
+
+    /**
+    * @property {Phaser.Rectangle} zone - The area of the screen that a floating stick can be pressed in. If null the left half of the game is used.
+    */
+    this.zone = config.zone || null;
+
+    /**
+    * @property {integer} xAxis - The axis code the horizontal position of the stick is given to.
+    */
+    this.xAxis = (config.xAxis === undefined) ? 0 : config.xAxis;
+
+    /**
+    * @property {integer} yAxis - The axis code the vertical position of the stick is given to.
+    */
+    this.yAxis = (config.yAxis === undefined) ? 1 : config.yAxis;
+
+    /**
+    * @property {Phaser.Pointer} pointer - The pointer that is holding the stick, or null if it's not pressed.
+    * @readonly
+    */
+    this.pointer = null;
+
+    /**
+    * @property {boolean} isDown - Is the stick being held?
+    * @readonly
+    */
+    this.isDown = false;
+
+    /**
+    * @property {number} x - The horizontal position of the stick, from -1 (left) to 1 (right).
+    * @readonly
+    */
+    this.x = 0;
+
+    /**
+    * @property {number} y - The vertical position of the stick, from -1 (up) to 1 (down).
+    * @readonly
+    */
+    this.y = 0;
+
+    /**
+    * @property {number} force - How far the stick is pushed from the center, from 0 to 1.
+    * @readonly
+    */
+    this.force = 0;
+
+    /**
+    * @property {number} rotation - The direction the stick is pushed in, in radians. Zero is right, and it increases clockwise.
+    * @readonly
+    */
+    this.rotation = 0;
+
+    /**
+    * @property {Phaser.Signal} onDown - This Signal is dispatched when the stick is pressed. It's sent the stick as its only argument.
+    */
+    this.onDown = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onUp - This Signal is dispatched when the stick is released. It's sent the stick as its only argument.
+    */
+    this.onUp = new Phaser.Signal();
+
+    /**
+    * @property {boolean} _pressed - Was the stick pressed since the last update? So a quick tap is held for at least one update.
+    * @private
+    */
+    this._pressed = false;
+
+};
+
+/**
+* @constant
+* @type {integer}
+*/
+Phaser.VirtualJoystick.FIXED = 0;
+
+/**
+* @constant
+* @type {integer}
+*/
+Phaser.VirtualJoystick.FLOATING = 1;
+
+Phaser.VirtualJoystick.prototype = {
+
+    /**
+    * Checks if a press at the given screen position should be claimed by this stick.
+    *
+    * @method Phaser.VirtualJoystick#hitTest
+    * @param {number} x - The x coordinate of the press, in the same coordinates as the pointers.
+    * @param {number} y - The y coordinate of the press, in the same coordinates as the pointers.
+    * @return {boolean} True if the press is on the stick, or within the zone of a floating stick.
+    */
+    hitTest: function (x, y) {
+
+        if (!this.base.visible)
+        {
+            return false;
+        }
+
+        if (this.mode === Phaser.VirtualJoystick.FLOATING)
+        {
+            if (this.zone)
+            {
+                return this.zone.contains(x, y);
+            }
+
+            return (x >= 0 && x < this.game.width / 2 && y >= 0 && y < this.game.height);
+        }
+
+        var center = this.pad.toScreen(this.base.x, this.base.y);
+
+        return Phaser.Math.distance(center.x, center.y, x, y) <= Math.max(this.radius, this.base.width / 2);
+
+    },
+
+    /**
+    * Gives a pointer to this stick. Called by the Virtual Pad when the pointer presses it.
+    *
+    * @method Phaser.VirtualJoystick#press
+    * @protected
+    * @param {Phaser.Pointer} pointer - The pointer that pressed the stick.
+    */
+    press: function (pointer) {
+
+        this.pointer = pointer;
+        this.isDown = true;
+        this._pressed = true;
+
+        if (this.mode === Phaser.VirtualJoystick.FLOATING)
+        {
+            var offset = this.pad.toScreen(0, 0);
+
+            this.base.x = pointer.positionDown.x - offset.x;
+            this.base.y = pointer.positionDown.y - offset.y;
+        }
+
+        this.onDown.dispatch(this);
+
+    },
+
+    /**
+    * Lets go of the pointer holding this stick and centers it.
+    *
+    * @method Phaser.VirtualJoystick#release
+    */
+    release: function () {
+
+        if (!this.pointer)
+        {
+            return;
+        }
+
+        this.pointer = null;
+        this.isDown = false;
+        this._pressed = false;
+
+        this.x = 0;
+        this.y = 0;
+        this.force = 0;
+
+        if (this.mode === Phaser.VirtualJoystick.FLOATING)
+        {
+            this.base.position.copyFrom(this.position);
+        }
+
+        this.thumb.position.copyFrom(this.base.position);
+
+        this.onUp.dispatch(this);
+
+    },
+
+    /**
+    * Reads the pointer holding this stick and updates its values. Called by the Virtual Pad every logic update.
+    *
+    * @method Phaser.VirtualJoystick#updateState
+    * @protected
+    */
+    updateState: function () {
+
+        if (!this.pointer)
+        {
+            return;
+        }
+
+        if (!this.pointer.isDown && !this._pressed)
+        {
+            this.release();
+            return;
+        }
+
+        this._pressed = false;
+
+        var center = this.pad.toScreen(this.base.x, this.base.y);
+        var dx = this.pointer.x - center.x;
+        var dy = this.pointer.y - center.y;
+        var distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance > this.radius)
+        {
+            dx *= this.radius / distance;
+            dy *= this.radius / distance;
+            distance = this.radius;
+        }
+
+        this.thumb.x = this.base.x + dx;
+        this.thumb.y = this.base.y + dy;
+
+        this.force = (this.radius > 0) ? distance / this.radius : 0;
+
+        if (this.force < this.deadZone)
+        {
+            this.force = 0;
+            this.x = 0;
+            this.y = 0;
+        }
+        else
+        {
+            this.x = dx / this.radius;
+            this.y = dy / this.radius;
+            this.rotation = Math.atan2(dy, dx);
+        }
+
+    },
+
+    /**
+    * Releases this stick and removes all of its listeners. The images are destroyed with the Virtual Pad.
+    *
+    * @method Phaser.VirtualJoystick#destroy
+    * @protected
+    */
+    destroy: function () {
+
+        this.pointer = null;
+        this.isDown = false;
+
+        this.onDown.dispose();
+        this.onUp.dispose();
+
+        this.pad = null;
+        this.game = null;
+
+    }
+
+};
+
+/**
+* The direction the stick is pushed in, in degrees from -180 to 180. Zero is right, and it increases clockwise.
+*
+* @name Phaser.VirtualJoystick#angle
+* @property {number} angle
+* @readonly
+*/
+Object.defineProperty(Phaser.VirtualJoystick.prototype, "angle", {
+
+    get: function () {
+
+        return Phaser.Math.radToDeg(this.rotation);
+
+    }
+
+});
+
+Phaser.VirtualJoystick.prototype.constructor = Phaser.VirtualJoystick;
@@ -0,0 +1,454 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Virtual Pad is a set of on-screen controls for touch devices: analog sticks (Phaser.VirtualJoystick) and
+* buttons (Phaser.VirtualButton). Each control claims the pointer that presses it, and keeps it until it's released,
+* so the player can move and press buttons with different fingers at the same time.
+*
+* The Virtual Pad has the same methods as Phaser.SinglePad for reading its buttons and axes, so your gameplay code
+* can read it in exactly the same way as a real gamepad:
+*
+* ```javascript
+* var pad = game.add.virtualPad();
+* pad.addJoystick(100, 500, 'stickBase', 'stickThumb');
+* pad.addButton(700, 500, 'buttonA', Phaser.Gamepad.XBOX360_A);
+*
+* var controls = (game.device.touch) ? pad : game.input.gamepad.pad1;
+*
+* player.body.velocity.x = controls.axis(Phaser.Gamepad.XBOX360_STICK_LEFT_X) * 200;
+*
+* if (controls.justPressed(Phaser.Gamepad.XBOX360_A)) { ... }
+* ```
+*
+* The Virtual Pad is a Group that is fixed to the camera, and the controls are positioned relative to it.
+* The controls are updated at the start of each logic update, before your State.
+*
+* @class Phaser.VirtualPad
+* @extends Phaser.Group
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {Phaser.Group|Phaser.Sprite|null} [parent] - The parent Group that this Virtual Pad will be added to. If `undefined` or `null` it will use game.world.
+*/
+Phaser.VirtualPad = function (game, parent) {
+
+    Phaser.Group.call(this, game, parent, 'virtualPad');
+
+    this.fixedToCamera = true;
+
+    /**
+    * @property {boolean} enabled - A disabled Virtual Pad ignores new presses. Controls already pressed are released.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {boolean} connected - Always true. It's here so the Virtual Pad can be used in place of a Phaser.SinglePad.
+    * @readonly
+    */
+    this.connected = true;
+
+    /**
+    * @property {array<Phaser.VirtualJoystick>} sticks - The analog sticks of this Virtual Pad.
+    * @readonly
+    */
+    this.sticks = [];
+
+    /**
+    * @property {array<Phaser.VirtualButton>} buttons - The buttons of this Virtual Pad.
+    * @readonly
+    */
+    this.buttons = [];
+
+    /**
+    * @property {array<Phaser.DeviceButton>} _buttons - The state of each button code, as read by the SinglePad methods.
+    * @private
+    */
+    this._buttons = [];
+
+    /**
+    * @property {array<number>} _axes - The value of each axis code, as read by the SinglePad methods.
+    * @private
+    */
+    this._axes = [];
+
+    /**
+    * @property {object} _touches - The number of touches of each pointer during the last update, used to spot new presses.
+    * @private
+    */
+    this._touches = {};
+
+    /**
+    * @property {Phaser.Point} _screenPosition - Internal cache var.
+    * @private
+    */
+    this._screenPosition = new Phaser.Point();
+
+    //  So presses that have already happened aren't claimed
+    this.checkPointers(false);
+
+};
+
+Phaser.VirtualPad.prototype = Object.create(Phaser.Group.prototype);
+Phaser.VirtualPad.prototype.constructor = Phaser.VirtualPad;
+
+/**
+* Adds an analog stick to this Virtual Pad.
+*
+* @method Phaser.VirtualPad#addJoystick
+* @param {number} x - The x coordinate of the center of the stick, relative to the Virtual Pad.
+* @param {number} y - The y coordinate of the center of the stick, relative to the Virtual Pad.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} baseKey - The texture of the base of the stick.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} thumbKey - The texture of the thumb, which moves around the base.
+* @param {object} [config] - The settings of the stick. See {@link Phaser.VirtualJoystick}.
+* @return {Phaser.VirtualJoystick} The new stick.
+*/
+Phaser.VirtualPad.prototype.addJoystick = function (x, y, baseKey, thumbKey, config) {
+
+    var stick = new Phaser.VirtualJoystick(this, x, y, baseKey, thumbKey, config);
+
+    this.sticks.push(stick);
+
+    return stick;
+
+};
+
+/**
+* Adds a button to this Virtual Pad.
+*
+* @method Phaser.VirtualPad#addButton
+* @param {number} x - The x coordinate of the center of the button, relative to the Virtual Pad.
+* @param {number} y - The y coordinate of the center of the button, relative to the Virtual Pad.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - The texture of the button.
+* @param {integer} buttonCode - The button code it presses, such as Phaser.Gamepad.XBOX360_A.
+* @param {string|integer} [upFrame] - The frame shown when the button isn't pressed.
+* @param {string|integer} [downFrame] - The frame shown while the button is pressed. If not given the up frame is always shown.
+* @return {Phaser.VirtualButton} The new button.
+*/
+Phaser.VirtualPad.prototype.addButton = function (x, y, key, buttonCode, upFrame, downFrame) {
+
+    var button = new Phaser.VirtualButton(this, x, y, key, buttonCode, upFrame, downFrame);
+
+    this.add(button);
+
+    this.buttons.push(button);
+
+    if (!this._buttons[buttonCode])
+    {
+        this._buttons[buttonCode] = new Phaser.DeviceButton(this, buttonCode);
+    }
+
+    return button;
+
+};
+
+/**
+* Updates the controls, and then the children of this Virtual Pad. Called automatically by the World.
+*
+* @method Phaser.VirtualPad#preUpdate
+* @protected
+* @return {boolean} True if the Virtual Pad exists.
+*/
+Phaser.VirtualPad.prototype.preUpdate = function () {
+
+    if (!Phaser.Group.prototype.preUpdate.call(this))
+    {
+        return false;
+    }
+
+    this.checkPointers(this.enabled && this.visible);
+
+    var i;
+
+    for (i = 0; i < this.sticks.length; i++)
+    {
+        var stick = this.sticks[i];
+
+        if (!this.enabled)
+        {
+            stick.release();
+        }
+
+        stick.updateState();
+
+        this._axes[stick.xAxis] = stick.x;
+        this._axes[stick.yAxis] = stick.y;
+    }
+
+    var down = [];
+
+    for (i = 0; i < this.buttons.length; i++)
+    {
+        var button = this.buttons[i];
+
+        if (!this.enabled)
+        {
+            button.release();
+        }
+
+        button.updateState();
+
+        down[button.buttonCode] = down[button.buttonCode] || button.isDown;
+    }
+
+    for (i = 0; i < this._buttons.length; i++)
+    {
+        if (!this._buttons[i])
+        {
+            continue;
+        }
+
+        if (down[i])
+        {
+            this._buttons[i].start(null, 1);
+        }
+        else
+        {
+            this._buttons[i].stop(null, 0);
+        }
+    }
+
+    return true;
+
+};
+
+/**
+* Looks for new presses of the pointers, and gives each to the first control under it.
+*
+* @method Phaser.VirtualPad#checkPointers
+* @private
+* @param {boolean} claim - Give new presses to the controls? If false the presses are just recorded.
+*/
+Phaser.VirtualPad.prototype.checkPointers = function (claim) {
+
+    var input = this.game.input;
+
+    for (var i = -1; i < input.pointers.length; i++)
+    {
+        var pointer = (i === -1) ? input.mousePointer : input.pointers[i];
+        var last = this._touches[pointer.id] || 0;
+
+        this._touches[pointer.id] = pointer.totalTouches;
+
+        //  totalTouches goes back to zero when the pointer is reset
+        if (!claim || pointer.totalTouches <= last || this.isClaimed(pointer))
+        {
+            continue;
+        }
+
+        var x = pointer.positionDown.x;
+        var y = pointer.positionDown.y;
+        var j;
+
+        for (j = 0; j < this.buttons.length; j++)
+        {
+            if (!this.buttons[j].pointer && this.buttons[j].hitTest(x, y))
+            {
+                this.buttons[j].press(pointer);
+                break;
+            }
+        }
+
+        if (j < this.buttons.length)
+        {
+            continue;
+        }
+
+        for (j = 0; j < this.sticks.length; j++)
+        {
+            if (!this.sticks[j].pointer && this.sticks[j].hitTest(x, y))
+            {
+                this.sticks[j].press(pointer);
+                break;
+            }
+        }
+    }
+
+};
+
+/**
+* Checks if a pointer has been claimed by one of the controls.
+*
+* @method Phaser.VirtualPad#isClaimed
+* @param {Phaser.Pointer} pointer - The pointer to check.
+* @return {boolean} True if one of the controls is holding the pointer.
+*/
+Phaser.VirtualPad.prototype.isClaimed = function (pointer) {
+
+    var i;
+
+    for (i = 0; i < this.sticks.length; i++)
+    {
+        if (this.sticks[i].pointer === pointer)
+        {
+            return true;
+        }
+    }
+
+    for (i = 0; i < this.buttons.length; i++)
+    {
+        if (this.buttons[i].pointer === pointer)
+        {
+            return true;
+        }
+    }
+
+    return false;
+
+};
+
+/**
+* Gets the position of a point of this Virtual Pad on the screen, in the same coordinates as the pointers.
+*
+* @method Phaser.VirtualPad#toScreen
+* @param {number} x - The x coordinate, relative to the Virtual Pad.
+* @param {number} y - The y coordinate, relative to the Virtual Pad.
+* @param {Phaser.Point} [out] - The Point to store the result in. If not given an internal Point is used, which is overwritten on the next call.
+* @return {Phaser.Point} The position on the screen.
+*/
+Phaser.VirtualPad.prototype.toScreen = function (x, y, out) {
+
+    if (out === undefined) { out = this._screenPosition; }
+
+    if (this.fixedToCamera)
+    {
+        return out.setTo(this.cameraOffset.x + x, this.cameraOffset.y + y);
+    }
+
+    return out.setTo(this.x - this.game.camera.view.x + x, this.y - this.game.camera.view.y + y);
+
+};
+
+/**
+* Returns true if the button is pressed down. The same as `Phaser.SinglePad.isDown`.
+*
+* @method Phaser.VirtualPad#isDown
+* @param {integer} buttonCode - The button code of the button to check.
+* @return {boolean} True if a button with this code is down.
+*/
+Phaser.VirtualPad.prototype.isDown = function (buttonCode) {
+
+    return (this._buttons[buttonCode]) ? this._buttons[buttonCode].isDown : false;
+
+};
+
+/**
+* Returns true if the button is not pressed. The same as `Phaser.SinglePad.isUp`.
+*
+* @method Phaser.VirtualPad#isUp
+* @param {integer} buttonCode - The button code of the button to check.
+* @return {boolean} True if no button with this code is down.
+*/
+Phaser.VirtualPad.prototype.isUp = function (buttonCode) {
+
+    return (this._buttons[buttonCode]) ? this._buttons[buttonCode].isUp : false;
+
+};
+
+/**
+* Returns the "just pressed" state of a button. The same as `Phaser.SinglePad.justPressed`.
+*
+* @method Phaser.VirtualPad#justPressed
+* @param {integer} buttonCode - The button code of the button to check.
+* @param {number} [duration=250] - The duration below which the button is considered as being just pressed.
+* @return {boolean} True if the button was just pressed.
+*/
+Phaser.VirtualPad.prototype.justPressed = function (buttonCode, duration) {
+
+    return (this._buttons[buttonCode]) ? this._buttons[buttonCode].justPressed(duration) : false;
+
+};
+
+/**
+* Returns the "just released" state of a button. The same as `Phaser.SinglePad.justReleased`.
+*
+* @method Phaser.VirtualPad#justReleased
+* @param {integer} buttonCode - The button code of the button to check.
+* @param {number} [duration=250] - The duration below which the button is considered as being just released.
+* @return {boolean} True if the button was just released.
+*/
+Phaser.VirtualPad.prototype.justReleased = function (buttonCode, duration) {
+
+    return (this._buttons[buttonCode]) ? this._buttons[buttonCode].justReleased(duration) : false;
+
+};
+
+/**
+* Returns the value of a button, which is 1 when it's down and 0 when it isn't. The same as `Phaser.SinglePad.buttonValue`.
+*
+* @method Phaser.VirtualPad#buttonValue
+* @param {integer} buttonCode - The button code of the button to check.
+* @return {number} The value of the button, or null if there's no button with this code.
+*/
+Phaser.VirtualPad.prototype.buttonValue = function (buttonCode) {
+
+    return (this._buttons[buttonCode]) ? this._buttons[buttonCode].value : null;
+
+};
+
+/**
+* Gets the DeviceButton for a button code. The same as `Phaser.SinglePad.getButton`.
+*
+* @method Phaser.VirtualPad#getButton
+* @param {integer} buttonCode - The button code.
+* @return {Phaser.DeviceButton} The DeviceButton, or null if there's no button with this code.
+*/
+Phaser.VirtualPad.prototype.getButton = function (buttonCode) {
+
+    return this._buttons[buttonCode] || null;
+
+};
+
+/**
+* Returns the value of an axis, from -1 to 1. The same as `Phaser.SinglePad.axis`.
+*
+* @method Phaser.VirtualPad#axis
+* @param {integer} axisCode - The axis code, such as Phaser.Gamepad.XBOX360_STICK_LEFT_X.
+* @return {number} The value of the axis, or false if no stick uses this axis code or it's at zero.
+*/
+Phaser.VirtualPad.prototype.axis = function (axisCode) {
+
+    return this._axes[axisCode] || false;
+
+};
+
+/**
+* Destroys this Virtual Pad, its controls and its children.
+*
+* @method Phaser.VirtualPad#destroy
+* @param {boolean} [destroyChildren=true] - If true all the children of this Virtual Pad will also be destroyed.
+* @param {boolean} [soft=false] - A 'soft destroy' (set to true) doesn't remove this Virtual Pad from its parent or null the game reference.
+*/
+Phaser.VirtualPad.prototype.destroy = function (destroyChildren, soft) {
+
+    if (this.game === null || this.ignoreDestroy)
+    {
+        return;
+    }
+
+    var i;
+
+    for (i = 0; i < this.sticks.length; i++)
+    {
+        this.sticks[i].destroy();
+    }
+
+    for (i = 0; i < this._buttons.length; i++)
+    {
+        if (this._buttons[i])
+        {
+            this._buttons[i].destroy();
+        }
+    }
+
+    this.sticks.length = 0;
+    this.buttons.length = 0;
+    this._buttons.length = 0;
+    this._axes.length = 0;
+
+    Phaser.Group.prototype.destroy.call(this, destroyChildren, soft);
+
+};
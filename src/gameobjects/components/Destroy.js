@@ -118,6 +118,9 @@ Phaser.Component.Destroy.prototype = {
         if (Phaser.BitmapText && this._glyphs)
         {
             this._glyphs = [];
+
+            //  Only the uniforms are its own, the compiled program is shared by all BitmapTexts
+            this._distanceFieldShader = null;
         }
 
         this.alive = false;
@@ -0,0 +1,692 @@
+/* jshint node: true */
+
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* Runs Phaser headless under Node, with no browser, DOM or GPU, so gameplay code can be unit tested on a CI server.
+*
+* This isn't part of the Phaser build. It's a Node module that creates a minimal browser environment on the global
+* object - `window`, `document`, `navigator`, canvas elements with a 2D context that draws nothing, `Image` and
+* `XMLHttpRequest` - and then loads a Phaser build into it:
+*
+* ```javascript
+* var Phaser = require('phaser/src/headless').load();
+*
+* var game = new Phaser.Game({ width: 800, height: 600, renderer: Phaser.HEADLESS, manualClock: true, state: PlayState });
+*
+* game.tick(1000);
+*
+* Phaser.Assert.position(game.state.getCurrentState().player, 400, 300);
+* ```
+*
+* The Game boots immediately, and with `manualClock` enabled it only moves forward when you call `Game.tick`.
+* Assets are read from the file system, relative to the `baseDir` option, and load synchronously, so a State has
+* reached its `create` method after the first tick. The dimensions of PNG, JPEG, GIF and BMP images are read from
+* their headers, but no pixels are decoded. Remote URLs fail to load. Audio is disabled.
+*
+* See `Phaser.Assert` for assertions on sprite positions, collisions and signals.
+*
+* @module headless
+*/
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/**
+* Converts a URL into the data it points to: a data URI or a path on the file system.
+*
+* @param {string} url - The URL to read.
+* @param {string} baseDir - The directory relative paths are resolved from.
+* @return {Buffer} The data, or null if it couldn't be read.
+*/
+function readURL (url, baseDir) {
+
+    url = String(url);
+
+    var dataURI = url.match(/^data:[^,]*?(;base64)?,(.*)$/);
+
+    if (dataURI)
+    {
+        return (dataURI[1]) ? Buffer.from(dataURI[2], 'base64') : Buffer.from(decodeURIComponent(dataURI[2]));
+    }
+
+    if (/^(https?:)?\/\//.test(url))
+    {
+        return null;
+    }
+
+    url = url.replace(/^file:\/\//, '').replace(/[?#].*$/, '');
+
+    try
+    {
+        return fs.readFileSync(path.resolve(baseDir, decodeURIComponent(url)));
+    }
+    catch (e)
+    {
+        return null;
+    }
+
+}
+
+/**
+* Reads the dimensions of a PNG, JPEG, GIF or BMP image from its header.
+*
+* @param {Buffer} data - The image file.
+* @return {object} An object with width and height properties, or null if the format isn't recognised.
+*/
+function getImageSize (data) {
+
+    if (data.length > 24 && data.readUInt32BE(0) === 0x89504e47)
+    {
+        return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+
+    if (data.length > 10 && data.toString('ascii', 0, 4) === 'GIF8')
+    {
+        return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+
+    if (data.length > 26 && data.toString('ascii', 0, 2) === 'BM')
+    {
+        return { width: data.readInt32LE(18), height: Math.abs(data.readInt32LE(22)) };
+    }
+
+    if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8)
+    {
+        var offset = 2;
+
+        while (offset + 9 < data.length)
+        {
+            if (data[offset] !== 0xff)
+            {
+                offset++;
+                continue;
+            }
+
+            var marker = data[offset + 1];
+
+            //  Start Of Frame markers, other than DHT, JPG and DAC
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc)
+            {
+                return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+            }
+
+            offset += 2 + data.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+
+}
+
+/**
+* A 2D context that draws nothing. Pixel data reads back as transparent black, and text is measured at half the font size per character.
+*
+* @class CanvasRenderingContext2D
+* @constructor
+* @param {HTMLCanvasElement} canvas - The canvas the context belongs to.
+*/
+function CanvasRenderingContext2D (canvas) {
+
+    this.canvas = canvas;
+    this.font = '10px sans-serif';
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = 'source-over';
+    this.imageSmoothingEnabled = true;
+
+}
+
+[
+    'save', 'restore', 'scale', 'rotate', 'translate', 'transform', 'setTransform', 'resetTransform',
+    'clearRect', 'fillRect', 'strokeRect', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'bezierCurveTo',
+    'quadraticCurveTo', 'arc', 'arcTo', 'ellipse', 'rect', 'fill', 'stroke', 'clip', 'fillText', 'strokeText',
+    'drawImage', 'putImageData', 'setLineDash'
+].forEach(function (name) {
+    CanvasRenderingContext2D.prototype[name] = function () {};
+});
+
+CanvasRenderingContext2D.prototype.createImageData = function (width, height) {
+
+    if (typeof width === 'object')
+    {
+        height = width.height;
+        width = width.width;
+    }
+
+    return { width: width, height: height, data: new Uint8ClampedArray(Math.max(0, width * height * 4)) };
+
+};
+
+CanvasRenderingContext2D.prototype.getImageData = function (x, y, width, height) {
+
+    return this.createImageData(width, height);
+
+};
+
+CanvasRenderingContext2D.prototype.measureText = function (text) {
+
+    var size = String(this.font).match(/(\d+(\.\d+)?)px/);
+
+    return { width: String(text).length * ((size) ? parseFloat(size[1]) : 10) / 2 };
+
+};
+
+CanvasRenderingContext2D.prototype.isPointInPath = function () {
+
+    return false;
+
+};
+
+CanvasRenderingContext2D.prototype.getLineDash = function () {
+
+    return [];
+
+};
+
+CanvasRenderingContext2D.prototype.createPattern = function () {
+
+    return {};
+
+};
+
+CanvasRenderingContext2D.prototype.createLinearGradient = function () {
+
+    return { addColorStop: function () {} };
+
+};
+
+CanvasRenderingContext2D.prototype.createRadialGradient = CanvasRenderingContext2D.prototype.createLinearGradient;
+
+/**
+* A DOM element that can be added to the document and listened to, but does nothing.
+*
+* @class HTMLElement
+* @constructor
+* @param {string} tagName - The type of element.
+*/
+function HTMLElement (tagName) {
+
+    this.tagName = String(tagName).toUpperCase();
+    this.nodeName = this.tagName;
+    this.style = {};
+    this.children = [];
+    this.childNodes = this.children;
+    this.parentNode = null;
+    this.parentElement = null;
+    this.attributes = {};
+    this.offsetLeft = 0;
+    this.offsetTop = 0;
+    this.offsetWidth = 0;
+    this.offsetHeight = 0;
+    this.clientWidth = 0;
+    this.clientHeight = 0;
+    this.clientTop = 0;
+    this.clientLeft = 0;
+    this.scrollTop = 0;
+    this.scrollLeft = 0;
+
+}
+
+HTMLElement.prototype = {
+
+    appendChild: function (child) {
+
+        if (child.parentNode)
+        {
+            child.parentNode.removeChild(child);
+        }
+
+        this.children.push(child);
+        child.parentNode = this;
+        child.parentElement = this;
+
+        return child;
+
+    },
+
+    insertBefore: function (child) {
+
+        return this.appendChild(child);
+
+    },
+
+    removeChild: function (child) {
+
+        var index = this.children.indexOf(child);
+
+        if (index !== -1)
+        {
+            this.children.splice(index, 1);
+            child.parentNode = null;
+            child.parentElement = null;
+        }
+
+        return child;
+
+    },
+
+    contains: function (element) {
+
+        while (element)
+        {
+            if (element === this)
+            {
+                return true;
+            }
+
+            element = element.parentNode;
+        }
+
+        return false;
+
+    },
+
+    setAttribute: function (name, value) {
+
+        this.attributes[name] = String(value);
+
+    },
+
+    getAttribute: function (name) {
+
+        return (this.attributes.hasOwnProperty(name)) ? this.attributes[name] : null;
+
+    },
+
+    removeAttribute: function (name) {
+
+        delete this.attributes[name];
+
+    },
+
+    getBoundingClientRect: function () {
+
+        var width = this.width || this.offsetWidth;
+        var height = this.height || this.offsetHeight;
+
+        return { left: 0, top: 0, x: 0, y: 0, width: width, height: height, right: width, bottom: height };
+
+    },
+
+    addEventListener: function () {},
+    removeEventListener: function () {},
+    dispatchEvent: function () { return true; },
+    focus: function () {},
+    blur: function () {}
+
+};
+
+HTMLElement.prototype.constructor = HTMLElement;
+
+/**
+* A canvas element with a 2D context that draws nothing, and no WebGL context.
+*
+* @class HTMLCanvasElement
+* @constructor
+*/
+function HTMLCanvasElement () {
+
+    HTMLElement.call(this, 'canvas');
+
+    this.width = 300;
+    this.height = 150;
+    this._context = null;
+
+}
+
+HTMLCanvasElement.prototype = Object.create(HTMLElement.prototype);
+HTMLCanvasElement.prototype.constructor = HTMLCanvasElement;
+
+HTMLCanvasElement.prototype.getContext = function (type) {
+
+    if (type !== '2d')
+    {
+        return null;
+    }
+
+    if (!this._context)
+    {
+        this._context = new CanvasRenderingContext2D(this);
+    }
+
+    return this._context;
+
+};
+
+HTMLCanvasElement.prototype.toDataURL = function () {
+
+    return 'data:,';
+
+};
+
+/**
+* Creates the Image class, which reads its dimensions from the file system or a data URI, without decoding any pixels.
+*
+* Like a cached image in a browser it's `complete` as soon as `src` is set, and `onload` is called asynchronously.
+* If the image can't be read `onerror` is called straight away.
+*
+* @param {string} baseDir - The directory relative paths are resolved from.
+* @return {function} The Image class.
+*/
+function createImageClass (baseDir) {
+
+    function Image (width, height) {
+
+        HTMLElement.call(this, 'img');
+
+        this.width = width || 0;
+        this.height = height || 0;
+        this.naturalWidth = 0;
+        this.naturalHeight = 0;
+        this.complete = false;
+        this.crossOrigin = null;
+        this.onload = null;
+        this.onerror = null;
+        this._src = '';
+
+    }
+
+    Image.prototype = Object.create(HTMLElement.prototype);
+    Image.prototype.constructor = Image;
+
+    Object.defineProperty(Image.prototype, 'src', {
+
+        get: function () {
+            return this._src;
+        },
+
+        set: function (value) {
+
+            this._src = value;
+
+            var data = readURL(value, baseDir);
+            var size = (data) ? getImageSize(data) : null;
+            var _this = this;
+
+            if (!size)
+            {
+                this.complete = false;
+
+                if (this.onerror)
+                {
+                    this.onerror({ type: 'error', target: this });
+                }
+
+                return;
+            }
+
+            this.width = this.naturalWidth = size.width;
+            this.height = this.naturalHeight = size.height;
+            this.complete = true;
+
+            setImmediate(function () {
+                if (_this.onload)
+                {
+                    _this.onload({ type: 'load', target: _this });
+                }
+            });
+
+        }
+
+    });
+
+    return Image;
+
+}
+
+/**
+* Creates the XMLHttpRequest class, which reads from the file system or a data URI and completes synchronously when sent.
+*
+* @param {string} baseDir - The directory relative paths are resolved from.
+* @return {function} The XMLHttpRequest class.
+*/
+function createXMLHttpRequestClass (baseDir) {
+
+    function XMLHttpRequest () {
+
+        this.readyState = 0;
+        this.status = 0;
+        this.statusText = '';
+        this.responseType = '';
+        this.response = null;
+        this.responseText = '';
+        this.onload = null;
+        this.onerror = null;
+        this.onprogress = null;
+        this._url = null;
+
+    }
+
+    XMLHttpRequest.prototype = {
+
+        open: function (method, url) {
+
+            this._url = url;
+            this.readyState = 1;
+
+        },
+
+        send: function () {
+
+            var data = readURL(this._url, baseDir);
+
+            this.readyState = 4;
+
+            if (data === null && /^(https?:)?\/\//.test(this._url))
+            {
+                if (this.onerror)
+                {
+                    this.onerror({ type: 'error', target: this });
+                }
+
+                return;
+            }
+
+            if (data === null)
+            {
+                this.status = 404;
+                this.statusText = 'Not Found';
+            }
+            else
+            {
+                this.status = 200;
+                this.statusText = 'OK';
+
+                if (this.responseType === 'arraybuffer' || this.responseType === 'blob')
+                {
+                    this.response = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+                }
+                else if (this.responseType === 'json')
+                {
+                    try
+                    {
+                        this.response = JSON.parse(data.toString('utf8'));
+                    }
+                    catch (e)
+                    {
+                        this.response = null;
+                    }
+                }
+                else
+                {
+                    this.responseText = this.response = data.toString('utf8');
+                }
+            }
+
+            if (this.onload)
+            {
+                this.onload({ type: 'load', target: this });
+            }
+
+        },
+
+        abort: function () {},
+        setRequestHeader: function () {},
+        overrideMimeType: function () {},
+        addEventListener: function () {},
+        removeEventListener: function () {}
+
+    };
+
+    XMLHttpRequest.prototype.constructor = XMLHttpRequest;
+
+    return XMLHttpRequest;
+
+}
+
+/**
+* Creates a minimal browser environment on the global object, so that Phaser can be loaded.
+*
+* @param {object} [options] - The options.
+* @param {string} [options.baseDir=process.cwd()] - The directory that the URLs of assets are resolved from.
+* @param {number} [options.width=800] - The width of the window.
+* @param {number} [options.height=600] - The height of the window.
+* @param {string} [options.userAgent] - The user agent reported by `navigator`.
+* @return {object} The window object, which is the global object.
+*/
+function createEnvironment (options) {
+
+    options = options || {};
+
+    var baseDir = options.baseDir || process.cwd();
+    var width = options.width || 800;
+    var height = options.height || 600;
+
+    var win = global;
+
+    var documentElement = new HTMLElement('html');
+    var head = new HTMLElement('head');
+    var body = new HTMLElement('body');
+
+    documentElement.clientWidth = width;
+    documentElement.clientHeight = height;
+    documentElement.appendChild(head);
+    documentElement.appendChild(body);
+
+    var document = {
+        readyState: 'complete',
+        hidden: false,
+        visibilityState: 'visible',
+        documentElement: documentElement,
+        head: head,
+        body: body,
+        createElement: function (tagName) {
+            return (String(tagName).toLowerCase() === 'canvas') ? new HTMLCanvasElement() : new HTMLElement(tagName);
+        },
+        getElementById: function () { return null; },
+        getElementsByTagName: function () { return []; },
+        querySelector: function () { return null; },
+        addEventListener: function () {},
+        removeEventListener: function () {}
+    };
+
+    var navigator = {
+        userAgent: options.userAgent || 'Mozilla/5.0 (Node.js) Phaser Headless',
+        platform: process.platform,
+        language: 'en-US',
+        maxTouchPoints: 0,
+        getGamepads: function () { return []; }
+    };
+
+    var values = {
+        window: win,
+        self: win,
+        document: document,
+        navigator: navigator,
+        location: { href: 'file://' + baseDir + '/', protocol: 'file:', host: '', hostname: '', pathname: baseDir + '/', search: '', hash: '' },
+        screen: { width: width, height: height, availWidth: width, availHeight: height },
+        innerWidth: width,
+        innerHeight: height,
+        outerWidth: width,
+        outerHeight: height,
+        devicePixelRatio: 1,
+        pageXOffset: 0,
+        pageYOffset: 0,
+        scrollX: 0,
+        scrollY: 0,
+        HTMLElement: HTMLElement,
+        HTMLCanvasElement: HTMLCanvasElement,
+        CanvasRenderingContext2D: CanvasRenderingContext2D,
+        Image: createImageClass(baseDir),
+        XMLHttpRequest: createXMLHttpRequestClass(baseDir),
+        addEventListener: function () {},
+        removeEventListener: function () {},
+        focus: function () {},
+        scrollTo: function () {},
+        requestAnimationFrame: function (callback) {
+            return setTimeout(function () { callback(Date.now()); }, 1000 / 60);
+        },
+        cancelAnimationFrame: function (id) {
+            clearTimeout(id);
+        }
+    };
+
+    Object.keys(values).forEach(function (key) {
+        //  defineProperty, as some Node versions have a read-only global navigator
+        Object.defineProperty(win, key, { value: values[key], writable: true, configurable: true, enumerable: true });
+    });
+
+    if (!win.PhaserGlobal)
+    {
+        win.PhaserGlobal = { hideBanner: true, stopFocus: true, disableAudio: true };
+    }
+
+    return win;
+
+}
+
+/**
+* Creates the headless environment, if it doesn't exist yet, and loads a Phaser build into it.
+*
+* The Device checks are run straight away, so a Game boots as soon as it's created.
+*
+* @param {object} [options] - The options, which are also passed to `createEnvironment`.
+* @param {string} [options.phaser] - The path of the Phaser build to load. Defaults to `dist/phaser.js`, the build of the current source made by `grunt build`.
+* @return {Phaser} The Phaser namespace.
+*/
+function load (options) {
+
+    options = options || {};
+
+    if (!global.document)
+    {
+        createEnvironment(options);
+    }
+
+    if (!global.Phaser)
+    {
+        var file = path.resolve(options.phaser || path.join(__dirname, '../../dist/phaser.js'));
+
+        if (!fs.existsSync(file))
+        {
+            throw new Error('headless.load - No Phaser build found at ' + file + ', run `grunt build` first or set options.phaser');
+        }
+
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    }
+
+    var Phaser = global.Phaser;
+
+    //  The document is already complete, so run the Device checks now rather than on the next tick
+    if (Phaser.Device._readyCheck)
+    {
+        Phaser.Device.whenReady(function () {});
+        Phaser.Device._readyCheck._monitor();
+    }
+
+    return Phaser;
+
+}
+
+module.exports = {
+    createEnvironment: createEnvironment,
+    load: load
+};
@@ -0,0 +1,738 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The I18n Manager holds the translated strings of your game, one string table per locale, and looks them up by key.
+* It's created automatically as `game.i18n`.
+*
+* String tables are JSON objects, which can be nested to group the strings. A nested key is looked up with dots, such as `menu.start`.
+* Load them with {@link Phaser.Loader#strings}, or add them with `addStrings`:
+*
+* ```javascript
+* game.load.strings('en', 'lang/en.json');
+* game.load.strings('fr', 'lang/fr.json');
+* ```
+*
+* Strings can contain `{name}` placeholders, which are replaced by the params given to `get`. A string can also be an object of
+* plural forms, keyed by the categories of the locale: `zero`, `one`, `two`, `few`, `many` and `other`. The form is picked by `params.count`:
+*
+* ```javascript
+* // { "welcome": "Welcome {name}!", "coins": { "zero": "No coins", "one": "{count} coin", "other": "{count} coins" } }
+* game.i18n.get('welcome', { name: 'Ada' });    // "Welcome Ada!"
+* game.i18n.get('coins', { count: 3 });         // "3 coins"
+* ```
+*
+* If a key isn't in the table of the current locale it's looked up in the fallback locales: first the language of the locale
+* (`pt` for `pt-BR`), then the `fallbackLocale`. If it isn't found at all the key itself is returned and `onMissing` is dispatched.
+*
+* Text and BitmapText objects can be bound to a key with `bind`, and are updated automatically when the locale is changed.
+*
+* @class Phaser.I18n
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.I18n = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * The locale that strings are looked up in last, if they're not in the current locale or its language.
+    *
+    * @property {string} fallbackLocale
+    * @default
+    */
+    this.fallbackLocale = 'en';
+
+    /**
+    * The string tables, by locale.
+    *
+    * @property {object} tables
+    * @readonly
+    */
+    this.tables = {};
+
+    /**
+    * This signal is dispatched when the locale is changed, after all bound objects have been updated.
+    * It is sent two arguments: the new locale and the previous one.
+    *
+    * @property {Phaser.Signal} onLocaleChange
+    */
+    this.onLocaleChange = new Phaser.Signal();
+
+    /**
+    * This signal is dispatched when a key isn't found in any of the string tables.
+    * It is sent two arguments: the key and the locale it was looked up in.
+    *
+    * @property {Phaser.Signal} onMissing
+    */
+    this.onMissing = new Phaser.Signal();
+
+    /**
+    * @property {string} _locale - The current locale.
+    * @private
+    */
+    this._locale = 'en';
+
+    /**
+    * @property {array} _bindings - The objects bound to keys, each with its `target`, `key` and `params`.
+    * @private
+    */
+    this._bindings = [];
+
+};
+
+Phaser.I18n.prototype = {
+
+    /**
+    * Called automatically by Phaser.Game. Sets the locale to the language of the browser.
+    *
+    * @method Phaser.I18n#boot
+    * @protected
+    */
+    boot: function () {
+
+        if (typeof navigator !== 'undefined')
+        {
+            this._locale = Phaser.I18n.normalizeLocale(navigator.language || navigator.userLanguage || this.fallbackLocale);
+        }
+
+    },
+
+    /**
+    * Adds a string table for a locale. If the locale already has a table the new strings are merged into it,
+    * replacing strings with the same keys. Bound objects are updated if the locale is in use.
+    *
+    * @method Phaser.I18n#addStrings
+    * @param {string} locale - The locale of the strings, such as `en` or `pt-BR`.
+    * @param {object} strings - The string table.
+    * @return {Phaser.I18n} This I18n Manager.
+    */
+    addStrings: function (locale, strings) {
+
+        locale = Phaser.I18n.normalizeLocale(locale);
+
+        if (!this.tables[locale])
+        {
+            this.tables[locale] = {};
+        }
+
+        Phaser.Utils.extend(true, this.tables[locale], strings);
+
+        if (this.getFallbacks(this._locale).indexOf(locale) !== -1)
+        {
+            this.refresh();
+        }
+
+        return this;
+
+    },
+
+    /**
+    * Removes the string table of a locale.
+    *
+    * @method Phaser.I18n#removeStrings
+    * @param {string} locale - The locale to remove.
+    * @return {Phaser.I18n} This I18n Manager.
+    */
+    removeStrings: function (locale) {
+
+        delete this.tables[Phaser.I18n.normalizeLocale(locale)];
+
+        return this;
+
+    },
+
+    /**
+    * Gets the locales that have string tables.
+    *
+    * @method Phaser.I18n#getLocales
+    * @return {string[]} The locales.
+    */
+    getLocales: function () {
+
+        return Object.keys(this.tables);
+
+    },
+
+    /**
+    * Changes the locale, updating all of the bound objects and dispatching `onLocaleChange`.
+    *
+    * @method Phaser.I18n#setLocale
+    * @param {string} locale - The new locale, such as `en` or `pt-BR`.
+    * @return {Phaser.I18n} This I18n Manager.
+    */
+    setLocale: function (locale) {
+
+        locale = Phaser.I18n.normalizeLocale(locale);
+
+        if (locale === this._locale)
+        {
+            return this;
+        }
+
+        var previous = this._locale;
+
+        this._locale = locale;
+
+        this.refresh();
+
+        this.onLocaleChange.dispatch(locale, previous);
+
+        return this;
+
+    },
+
+    /**
+    * Picks the locale with a string table that best matches the languages preferred by the browser,
+    * such as to pick the starting locale once the string tables have loaded. It doesn't change the locale.
+    *
+    * @method Phaser.I18n#detectLocale
+    * @return {string} The best matching locale, or the `fallbackLocale` if none of them match.
+    */
+    detectLocale: function () {
+
+        var preferred = [];
+
+        if (typeof navigator !== 'undefined')
+        {
+            preferred = navigator.languages || [ navigator.language || navigator.userLanguage ];
+        }
+
+        for (var i = 0; i < preferred.length; i++)
+        {
+            if (!preferred[i])
+            {
+                continue;
+            }
+
+            var locale = Phaser.I18n.normalizeLocale(preferred[i]);
+            var language = locale.split('-')[0];
+
+            if (this.tables[locale])
+            {
+                return locale;
+            }
+            else if (this.tables[language])
+            {
+                return language;
+            }
+        }
+
+        return this.fallbackLocale;
+
+    },
+
+    /**
+    * Gets a string, with its placeholders replaced by the given params.
+    *
+    * @method Phaser.I18n#get
+    * @param {string} key - The key of the string, with dots between the keys of nested tables.
+    * @param {object} [params] - The values of the placeholders. If it has a `count` it picks the plural form.
+    * @param {string} [locale] - The locale to get the string from. If not given the current locale is used.
+    * @return {string} The string, or the key if it isn't in the string tables.
+    */
+    get: function (key, params, locale) {
+
+        if (locale === undefined) { locale = this._locale; }
+
+        locale = Phaser.I18n.normalizeLocale(locale);
+
+        var fallbacks = this.getFallbacks(locale);
+        var value;
+
+        for (var i = 0; i < fallbacks.length; i++)
+        {
+            value = this.lookup(this.tables[fallbacks[i]], key);
+
+            if (value !== undefined)
+            {
+                locale = fallbacks[i];
+                break;
+            }
+        }
+
+        if (value === undefined)
+        {
+            this.onMissing.dispatch(key, locale);
+
+            return key;
+        }
+
+        if (typeof value === 'object' && value !== null)
+        {
+            value = this.getPlural(value, (params) ? params.count : undefined, locale);
+        }
+
+        return this.format(String(value), params);
+
+    },
+
+    /**
+    * Checks if a key is in the string table of a locale, or of one of its fallbacks.
+    *
+    * @method Phaser.I18n#has
+    * @param {string} key - The key of the string.
+    * @param {string} [locale] - The locale to check. If not given the current locale is used.
+    * @return {boolean} True if the key was found.
+    */
+    has: function (key, locale) {
+
+        if (locale === undefined) { locale = this._locale; }
+
+        var fallbacks = this.getFallbacks(Phaser.I18n.normalizeLocale(locale));
+
+        for (var i = 0; i < fallbacks.length; i++)
+        {
+            if (this.lookup(this.tables[fallbacks[i]], key) !== undefined)
+            {
+                return true;
+            }
+        }
+
+        return false;
+
+    },
+
+    /**
+    * Replaces the `{name}` placeholders in a string with the given params. Placeholders without a param are left as they are.
+    *
+    * @method Phaser.I18n#format
+    * @param {string} text - The string to format.
+    * @param {object} [params] - The values of the placeholders.
+    * @return {string} The formatted string.
+    */
+    format: function (text, params) {
+
+        if (!params)
+        {
+            return text;
+        }
+
+        return text.replace(/\{(\w+)\}/g, function (match, name) {
+
+            return (params[name] === undefined) ? match : String(params[name]);
+
+        });
+
+    },
+
+    /**
+    * Binds a Text, BitmapText or any object with a `text` property to a key. Its text is set to the string now,
+    * and again whenever the locale is changed or the string tables of the locale are added to.
+    * Binding an object again replaces its key and params, such as to update a count.
+    *
+    * @method Phaser.I18n#bind
+    * @param {Phaser.Text|Phaser.BitmapText|object} target - The object to bind.
+    * @param {string} key - The key of the string.
+    * @param {object} [params] - The values of the placeholders.
+    * @return {Phaser.Text|Phaser.BitmapText|object} The bound object.
+    */
+    bind: function (target, key, params) {
+
+        var binding = this.getBinding(target);
+
+        if (!binding)
+        {
+            binding = { target: target, key: key, params: params };
+            this._bindings.push(binding);
+        }
+        else
+        {
+            binding.key = key;
+            binding.params = params;
+        }
+
+        target.text = this.get(key, params);
+
+        return target;
+
+    },
+
+    /**
+    * Removes the binding of an object, so it's no longer updated when the locale changes. Its text isn't changed.
+    *
+    * @method Phaser.I18n#unbind
+    * @param {Phaser.Text|Phaser.BitmapText|object} target - The bound object.
+    * @return {Phaser.I18n} This I18n Manager.
+    */
+    unbind: function (target) {
+
+        var binding = this.getBinding(target);
+
+        if (binding)
+        {
+            this._bindings.splice(this._bindings.indexOf(binding), 1);
+        }
+
+        return this;
+
+    },
+
+    /**
+    * Gets the binding of an object.
+    *
+    * @method Phaser.I18n#getBinding
+    * @param {Phaser.Text|Phaser.BitmapText|object} target - The bound object.
+    * @return {object} The binding, with the `target`, `key` and `params`, or null if the object isn't bound.
+    */
+    getBinding: function (target) {
+
+        for (var i = 0; i < this._bindings.length; i++)
+        {
+            if (this._bindings[i].target === target)
+            {
+                return this._bindings[i];
+            }
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Sets the text of all of the bound objects to their strings in the current locale. Bindings of destroyed
+    * Game Objects are removed. This is called automatically when the locale changes.
+    *
+    * @method Phaser.I18n#refresh
+    */
+    refresh: function () {
+
+        for (var i = this._bindings.length - 1; i >= 0; i--)
+        {
+            var binding = this._bindings[i];
+
+            if (binding.target.game === null)
+            {
+                this._bindings.splice(i, 1);
+            }
+            else
+            {
+                binding.target.text = this.get(binding.key, binding.params);
+            }
+        }
+
+    },
+
+    /**
+    * Gets the locales that a string is looked up in, in order: the locale, its language, and the `fallbackLocale`.
+    *
+    * @method Phaser.I18n#getFallbacks
+    * @param {string} locale - The locale.
+    * @return {string[]} The locales to look in.
+    */
+    getFallbacks: function (locale) {
+
+        var fallbacks = [ locale ];
+        var dash = locale.indexOf('-');
+
+        if (dash !== -1)
+        {
+            fallbacks.push(locale.substr(0, dash));
+        }
+
+        if (fallbacks.indexOf(this.fallbackLocale) === -1)
+        {
+            fallbacks.push(this.fallbackLocale);
+        }
+
+        return fallbacks;
+
+    },
+
+    /**
+    * Looks up a key in a string table, trying the whole key first and then the nested tables.
+    *
+    * @method Phaser.I18n#lookup
+    * @private
+    * @param {object} table - The string table.
+    * @param {string} key - The key.
+    * @return {string|object} The string or plural forms, or undefined if the key isn't in the table.
+    */
+    lookup: function (table, key) {
+
+        if (!table)
+        {
+            return undefined;
+        }
+
+        if (table.hasOwnProperty(key))
+        {
+            return table[key];
+        }
+
+        var parts = key.split('.');
+        var value = table;
+
+        for (var i = 0; i < parts.length; i++)
+        {
+            if (typeof value !== 'object' || value === null || !value.hasOwnProperty(parts[i]))
+            {
+                return undefined;
+            }
+
+            value = value[parts[i]];
+        }
+
+        return value;
+
+    },
+
+    /**
+    * Picks the plural form for a count. A `zero` form is used for a count of zero even if the locale has no zero category.
+    *
+    * @method Phaser.I18n#getPlural
+    * @private
+    * @param {object} forms - The plural forms, keyed by category.
+    * @param {number} [count] - The count. If not a number the `other` form is used.
+    * @param {string} locale - The locale whose plural rule is used.
+    * @return {string} The plural form.
+    */
+    getPlural: function (forms, count, locale) {
+
+        var category = 'other';
+
+        if (typeof count === 'number')
+        {
+            if (count === 0 && forms.zero !== undefined)
+            {
+                category = 'zero';
+            }
+            else
+            {
+                category = Phaser.I18n.getPluralCategory(count, locale);
+            }
+        }
+
+        if (forms[category] !== undefined)
+        {
+            return forms[category];
+        }
+
+        return (forms.other === undefined) ? '' : forms.other;
+
+    },
+
+    /**
+    * Removes all of the string tables, bindings and signal listeners.
+    *
+    * @method Phaser.I18n#destroy
+    */
+    destroy: function () {
+
+        this.tables = {};
+        this._bindings.length = 0;
+
+        this.onLocaleChange.dispose();
+        this.onMissing.dispose();
+
+        this.game = null;
+
+    }
+
+};
+
+Phaser.I18n.prototype.constructor = Phaser.I18n;
+
+/**
+* The current locale, such as `en` or `pt-BR`. Setting it calls `setLocale`.
+*
+* @name Phaser.I18n#locale
+* @property {string} locale
+*/
+Object.defineProperty(Phaser.I18n.prototype, "locale", {
+
+    get: function () {
+
+        return this._locale;
+
+    },
+
+    set: function (value) {
+
+        this.setLocale(value);
+
+    }
+
+});
+
+/**
+* The plural rules, by language. Each is a function that is given a count and returns its plural category:
+* `zero`, `one`, `two`, `few`, `many` or `other`. Languages that aren't listed use `Intl.PluralRules` if the browser has it,
+* or the English rule if not. Add to it to support other languages.
+*
+* @property {object} pluralRules
+* @static
+*/
+Phaser.I18n.pluralRules = {
+
+    en: function (n) {
+
+        return (n === 1) ? 'one' : 'other';
+
+    },
+
+    fr: function (n) {
+
+        return (n >= 0 && n < 2) ? 'one' : 'other';
+
+    },
+
+    ja: function () {
+
+        return 'other';
+
+    },
+
+    ru: function (n) {
+
+        var mod10 = n % 10;
+        var mod100 = n % 100;
+
+        if (n % 1 !== 0)
+        {
+            return 'other';
+        }
+        else if (mod10 === 1 && mod100 !== 11)
+        {
+            return 'one';
+        }
+        else if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14))
+        {
+            return 'few';
+        }
+
+        return 'many';
+
+    },
+
+    pl: function (n) {
+
+        var mod10 = n % 10;
+        var mod100 = n % 100;
+
+        if (n % 1 !== 0)
+        {
+            return 'other';
+        }
+        else if (n === 1)
+        {
+            return 'one';
+        }
+        else if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14))
+        {
+            return 'few';
+        }
+
+        return 'many';
+
+    },
+
+    ar: function (n) {
+
+        var mod100 = n % 100;
+
+        if (n === 0)
+        {
+            return 'zero';
+        }
+        else if (n === 1)
+        {
+            return 'one';
+        }
+        else if (n === 2)
+        {
+            return 'two';
+        }
+        else if (mod100 >= 3 && mod100 <= 10)
+        {
+            return 'few';
+        }
+        else if (mod100 >= 11 && mod100 <= 99)
+        {
+            return 'many';
+        }
+
+        return 'other';
+
+    }
+
+};
+
+Phaser.I18n.pluralRules.de = Phaser.I18n.pluralRules.en;
+Phaser.I18n.pluralRules.es = Phaser.I18n.pluralRules.en;
+Phaser.I18n.pluralRules.it = Phaser.I18n.pluralRules.en;
+Phaser.I18n.pluralRules.nl = Phaser.I18n.pluralRules.en;
+Phaser.I18n.pluralRules.pt = Phaser.I18n.pluralRules.fr;
+Phaser.I18n.pluralRules['pt-PT'] = Phaser.I18n.pluralRules.en;
+Phaser.I18n.pluralRules.uk = Phaser.I18n.pluralRules.ru;
+Phaser.I18n.pluralRules.ko = Phaser.I18n.pluralRules.ja;
+Phaser.I18n.pluralRules.zh = Phaser.I18n.pluralRules.ja;
+
+/**
+* Gets the plural category of a count in a locale.
+*
+* @method Phaser.I18n.getPluralCategory
+* @static
+* @param {number} count - The count.
+* @param {string} locale - The locale.
+* @return {string} The category: `zero`, `one`, `two`, `few`, `many` or `other`.
+*/
+Phaser.I18n.getPluralCategory = function (count, locale) {
+
+    var rules = Phaser.I18n.pluralRules;
+    var language = locale.split('-')[0];
+
+    if (rules[locale])
+    {
+        return rules[locale](count);
+    }
+    else if (rules[language])
+    {
+        return rules[language](count);
+    }
+    else if (typeof Intl !== 'undefined' && Intl.PluralRules)
+    {
+        try
+        {
+            return new Intl.PluralRules(locale).select(count);
+        }
+        catch (e)
+        {
+            //  Not a locale that Intl knows about
+        }
+    }
+
+    return rules.en(count);
+
+};
+
+/**
+* Normalizes a locale to the form used for the string tables: the language in lower case, and the region in upper case,
+* separated by a dash, such as `pt-BR`.
+*
+* @method Phaser.I18n.normalizeLocale
+* @static
+* @param {string} locale - The locale, such as `pt_br`.
+* @return {string} The normalized locale.
+*/
+Phaser.I18n.normalizeLocale = function (locale) {
+
+    var parts = String(locale).replace(/_/g, '-').split('-');
+
+    parts[0] = parts[0].toLowerCase();
+
+    for (var i = 1; i < parts.length; i++)
+    {
+        //  Regions are upper case, but scripts such as Hans are title case
+        parts[i] = (parts[i].length === 2) ? parts[i].toUpperCase() : parts[i].charAt(0).toUpperCase() + parts[i].substr(1).toLowerCase();
+    }
+
+    return parts.join('-');
+
+};
@@ -0,0 +1,535 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Action Manager lets your game check named actions, such as "jump" or "moveX", instead of specific keys,
+* gamepad buttons or pointers. Each action can be bound to any number of inputs, which can be changed at run-time,
+* for example from an options menu, and saved and restored as JSON. It's available via `game.input.actions`.
+*
+* ```javascript
+* game.input.actions.add('jump', [ Phaser.KeyCode.SPACEBAR, { button: Phaser.Gamepad.XBOX360_A } ]);
+* game.input.actions.add('moveX', [
+*     { key: Phaser.KeyCode.LEFT, scale: -1 },
+*     { key: Phaser.KeyCode.RIGHT },
+*     { axis: Phaser.Gamepad.XBOX360_STICK_LEFT_X }
+* ]);
+*
+* if (game.input.actions.justPressed('jump')) { ... }
+* player.body.velocity.x = game.input.actions.value('moveX') * 200;
+* ```
+*
+* See {@link Phaser.InputAction} for the different kinds of binding. The actions are updated once per logic update,
+* after the input devices. Gamepad bindings only work after the Gamepad has been started with `game.input.gamepad.start()`.
+*
+* @class Phaser.ActionManager
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.ActionManager = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * @property {boolean} enabled - When disabled every action has a value of zero, and is never down.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {Phaser.InputAction} bindingAction - The action waiting for an input to be pressed after a call to `bindNext`, or null.
+    * @readonly
+    */
+    this.bindingAction = null;
+
+    /**
+    * @property {integer} cancelKey - The key code of the key that cancels `bindNext`. The default is Phaser.KeyCode.ESC. Set to -1 to let every key be bound.
+    * @default
+    */
+    this.cancelKey = 27;
+
+    /**
+    * This Signal is dispatched when `bindNext` ends. It's sent two arguments: the action and the binding that was
+    * added to it, or null if it was cancelled.
+    * @property {Phaser.Signal} onBind
+    */
+    this.onBind = new Phaser.Signal();
+
+    /**
+    * @property {object} _actions - The actions, by name.
+    * @private
+    */
+    this._actions = {};
+
+    /**
+    * @property {integer} _bindIndex - The index of the binding `bindNext` will replace, if any.
+    * @private
+    */
+    this._bindIndex = undefined;
+
+    /**
+    * @property {object} _bindStates - The down states of each input during the last update, used by `bindNext` to spot new presses.
+    * @private
+    */
+    this._bindStates = {};
+
+};
+
+Phaser.ActionManager.prototype = {
+
+    /**
+    * Creates a new action. If an action with the same name already exists it's replaced.
+    *
+    * @method Phaser.ActionManager#add
+    * @param {string} name - The name of the action.
+    * @param {array} [bindings] - The bindings of the action. See {@link Phaser.InputAction} for the different kinds of binding.
+    * @param {number} [threshold=0.5] - How far the value of the action must be from zero for it to be down.
+    * @return {Phaser.InputAction} The new action.
+    */
+    add: function (name, bindings, threshold) {
+
+        this.remove(name);
+
+        var action = new Phaser.InputAction(this, name, bindings);
+
+        if (threshold !== undefined)
+        {
+            action.threshold = threshold;
+        }
+
+        this._actions[name] = action;
+
+        return action;
+
+    },
+
+    /**
+    * Removes an action and destroys it.
+    *
+    * @method Phaser.ActionManager#remove
+    * @param {string} name - The name of the action.
+    * @return {boolean} True if the action was removed, false if it didn't exist.
+    */
+    remove: function (name) {
+
+        var action = this.get(name);
+
+        if (!action)
+        {
+            return false;
+        }
+
+        if (this.bindingAction === action)
+        {
+            this.cancelBind();
+        }
+
+        action.destroy();
+
+        delete this._actions[name];
+
+        return true;
+
+    },
+
+    /**
+    * Removes and destroys all of the actions.
+    *
+    * @method Phaser.ActionManager#removeAll
+    */
+    removeAll: function () {
+
+        for (var name in this._actions)
+        {
+            this.remove(name);
+        }
+
+    },
+
+    /**
+    * Gets an action.
+    *
+    * @method Phaser.ActionManager#get
+    * @param {string} name - The name of the action.
+    * @return {Phaser.InputAction} The action, or null if it doesn't exist.
+    */
+    get: function (name) {
+
+        if (this._actions.hasOwnProperty(name))
+        {
+            return this._actions[name];
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Adds a binding to an action, creating the action if it doesn't exist.
+    *
+    * @method Phaser.ActionManager#bind
+    * @param {string} name - The name of the action.
+    * @param {object|integer} binding - The binding to add, or a key code.
+    * @param {integer} [index] - Replace the binding at this index with the new one. If not given the binding is added to the end.
+    * @return {object} The binding that was added, or null if it wasn't valid.
+    */
+    bind: function (name, binding, index) {
+
+        var action = this.get(name) || this.add(name);
+
+        return action.bind(binding, index);
+
+    },
+
+    /**
+    * Removes a binding from an action.
+    *
+    * @method Phaser.ActionManager#unbind
+    * @param {string} name - The name of the action.
+    * @param {object|integer} binding - The binding to remove, or a key code.
+    * @return {boolean} True if the binding was removed, false if the action didn't have it.
+    */
+    unbind: function (name, binding) {
+
+        var action = this.get(name);
+
+        return (action) ? action.unbind(binding) : false;
+
+    },
+
+    /**
+    * Waits for the next key, gamepad button or gamepad axis to be pressed, and then binds it to an action.
+    * This is ideal for letting the player change the controls from an options menu.
+    *
+    * Inputs already held down when this is called are ignored until they're released. Gamepad bindings are for the
+    * pad that was used, and axes are bound to the direction they were pushed in. When the binding is added, or the
+    * `cancelKey` is pressed, `onBind` is dispatched.
+    *
+    * @method Phaser.ActionManager#bindNext
+    * @param {string} name - The name of the action. It's created if it doesn't exist.
+    * @param {integer} [index] - Replace the binding at this index with the new one. If not given the binding is added to the end.
+    */
+    bindNext: function (name, index) {
+
+        if (this.bindingAction)
+        {
+            this.cancelBind();
+        }
+
+        this.bindingAction = this.get(name) || this.add(name);
+        this._bindIndex = index;
+        this._bindStates = {};
+
+        this.updateBind(false);
+
+    },
+
+    /**
+    * Stops waiting for an input after a call to `bindNext`, and dispatches `onBind` with a null binding.
+    *
+    * @method Phaser.ActionManager#cancelBind
+    */
+    cancelBind: function () {
+
+        var action = this.bindingAction;
+
+        if (action)
+        {
+            this.bindingAction = null;
+            this._bindStates = {};
+            this.onBind.dispatch(action, null);
+        }
+
+    },
+
+    /**
+    * Checks all of the inputs for a new press during `bindNext`.
+    *
+    * @method Phaser.ActionManager#updateBind
+    * @private
+    * @param {boolean} [capture=true] - Bind the first new press found? If false the current states are just recorded.
+    */
+    updateBind: function (capture) {
+
+        if (capture === undefined) { capture = true; }
+
+        var input = this.game.input;
+        var found = null;
+        var i;
+
+        if (input.keyboard)
+        {
+            var keys = input.keyboard._keys;
+
+            for (i = 0; i < keys.length; i++)
+            {
+                if (keys[i] && this.checkBindState('key:' + i, keys[i].isDown) && capture && !found)
+                {
+                    found = { key: i };
+                }
+            }
+        }
+
+        if (input.gamepad && input.gamepad.active)
+        {
+            var pads = input.gamepad._gamepads;
+
+            for (var p = 0; p < pads.length; p++)
+            {
+                var pad = pads[p];
+
+                if (!pad.connected)
+                {
+                    continue;
+                }
+
+                for (i = 0; i < pad._buttonsLen; i++)
+                {
+                    if (this.checkBindState('button:' + i + ':' + p, pad.isDown(i)) && capture && !found)
+                    {
+                        found = { button: i, pad: p };
+                    }
+                }
+
+                for (i = 0; i < pad._axesLen; i++)
+                {
+                    var value = pad.axis(i) || 0;
+
+                    if (this.checkBindState('axis:' + i + ':' + p, Math.abs(value) >= 0.5) && capture && !found)
+                    {
+                        found = { axis: i, pad: p, direction: (value < 0) ? -1 : 1 };
+                    }
+                }
+            }
+        }
+
+        if (!found)
+        {
+            return;
+        }
+
+        if (found.key === this.cancelKey)
+        {
+            this.cancelBind();
+        }
+        else
+        {
+            var action = this.bindingAction;
+            var binding = action.bind(found, this._bindIndex);
+
+            this.bindingAction = null;
+            this._bindStates = {};
+            this.onBind.dispatch(action, binding);
+        }
+
+    },
+
+    /**
+    * Records the down state of an input for `bindNext`, and checks if it has just been pressed.
+    *
+    * @method Phaser.ActionManager#checkBindState
+    * @private
+    * @param {string} id - The identifier of the input.
+    * @param {boolean} down - Is the input down?
+    * @return {boolean} True if the input is down, and wasn't during the last update. Inputs not seen before count as up.
+    */
+    checkBindState: function (id, down) {
+
+        var pressed = (down && this._bindStates[id] !== true);
+
+        this._bindStates[id] = !!down;
+
+        return pressed;
+
+    },
+
+    /**
+    * Checks if an action is down.
+    *
+    * @method Phaser.ActionManager#isDown
+    * @param {string} name - The name of the action.
+    * @return {boolean} True if the action was down during the last logic update, false if not or if the action doesn't exist.
+    */
+    isDown: function (name) {
+
+        var action = this.get(name);
+
+        return (action) ? action.isDown : false;
+
+    },
+
+    /**
+    * Checks if an action went down during the last logic update.
+    *
+    * @method Phaser.ActionManager#justPressed
+    * @param {string} name - The name of the action.
+    * @return {boolean} True if the action went down during the last logic update, false if not or if the action doesn't exist.
+    */
+    justPressed: function (name) {
+
+        var action = this.get(name);
+
+        return (action) ? action.justPressed : false;
+
+    },
+
+    /**
+    * Checks if an action was released during the last logic update.
+    *
+    * @method Phaser.ActionManager#justReleased
+    * @param {string} name - The name of the action.
+    * @return {boolean} True if the action was released during the last logic update, false if not or if the action doesn't exist.
+    */
+    justReleased: function (name) {
+
+        var action = this.get(name);
+
+        return (action) ? action.justReleased : false;
+
+    },
+
+    /**
+    * Gets the value of an action. Digital inputs, such as keys, have a value of 1 when down multiplied by the scale of
+    * their binding, while gamepad axes and analog buttons give values in between.
+    *
+    * @method Phaser.ActionManager#value
+    * @param {string} name - The name of the action.
+    * @return {number} The value of the action during the last logic update, or zero if the action doesn't exist.
+    */
+    value: function (name) {
+
+        var action = this.get(name);
+
+        return (action) ? action.value : 0;
+
+    },
+
+    /**
+    * Exports the bindings of every action as a JSON string, so they can be saved, for example to localStorage.
+    *
+    * @method Phaser.ActionManager#exportBindings
+    * @return {string} The bindings, as a JSON string of an object with a property per action.
+    */
+    exportBindings: function () {
+
+        var data = {};
+
+        for (var name in this._actions)
+        {
+            data[name] = this._actions[name].bindings;
+        }
+
+        return JSON.stringify(data);
+
+    },
+
+    /**
+    * Imports bindings created by `exportBindings`. Each action in the data has its bindings replaced, and any that
+    * don't exist are created. Actions not in the data are left as they are.
+    *
+    * @method Phaser.ActionManager#importBindings
+    * @param {object|string} data - The bindings, either as an object or a JSON string.
+    * @return {boolean} True if the bindings were imported, false if the data wasn't valid.
+    */
+    importBindings: function (data) {
+
+        if (typeof data === 'string')
+        {
+            try
+            {
+                data = JSON.parse(data);
+            }
+            catch (e)
+            {
+                data = null;
+            }
+        }
+
+        if (!data || typeof data !== 'object')
+        {
+            console.warn('Phaser.ActionManager.importBindings: Invalid bindings data');
+            return false;
+        }
+
+        for (var name in data)
+        {
+            if (!Array.isArray(data[name]))
+            {
+                continue;
+            }
+
+            var action = this.get(name) || this.add(name);
+
+            action.unbindAll();
+
+            for (var i = 0; i < data[name].length; i++)
+            {
+                action.bind(data[name][i]);
+            }
+        }
+
+        return true;
+
+    },
+
+    /**
+    * Updates all of the actions. Called by Phaser.Input every logic update.
+    *
+    * @method Phaser.ActionManager#update
+    * @protected
+    */
+    update: function () {
+
+        if (this.bindingAction)
+        {
+            this.updateBind();
+        }
+
+        for (var name in this._actions)
+        {
+            this._actions[name].update();
+        }
+
+    },
+
+    /**
+    * Releases all of the actions, without dispatching their `onUp` Signals. Their bindings are kept.
+    * Called automatically by Phaser.Input when it's reset, such as on a State change.
+    *
+    * @method Phaser.ActionManager#reset
+    */
+    reset: function () {
+
+        for (var name in this._actions)
+        {
+            this._actions[name].reset();
+        }
+
+        if (this.bindingAction)
+        {
+            this.updateBind(false);
+        }
+
+    },
+
+    /**
+    * Removes all of the actions and stops any `bindNext`.
+    *
+    * @method Phaser.ActionManager#destroy
+    */
+    destroy: function () {
+
+        this.cancelBind();
+        this.removeAll();
+        this.onBind.dispose();
+
+    }
+
+};
+
+Phaser.ActionManager.prototype.constructor = Phaser.ActionManager;
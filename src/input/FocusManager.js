@@ -0,0 +1,670 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Focus Manager lets the player use a set of Buttons, such as a menu, with the keyboard or a gamepad.
+* One Button at a time has the focus, which is shown with the Button's over frame. The arrow keys and the d-pad or
+* left stick move the focus to the Button in that direction, and the confirm keys or buttons press it, dispatching its
+* `onInputDown` and `onInputUp` Signals just as a Pointer would, but with `null` for the Pointer.
+*
+* It's a Plugin, so add it to your game with the Plugin Manager. You can pass it the Buttons to start with:
+*
+* ```javascript
+* var focus = game.plugins.add(Phaser.FocusManager, [ playButton, optionsButton, quitButton ]);
+*
+* //  Explicit links override the automatic ones
+* focus.link(quitButton, Phaser.DOWN, playButton);
+* ```
+*
+* The neighbour of a Button in each direction is the nearest Button in that direction on the screen, unless it has
+* been given with `link`. Buttons that don't exist, aren't visible or have input disabled are skipped.
+* Moving the mouse over a Button also gives it the focus.
+*
+* The controls are Phaser.InputActions, so they can be rebound: `focus.actions.confirm.bind(Phaser.KeyCode.Z)`.
+* By default they are the arrow keys, the d-pad and the left stick to move, Enter, Space and the A button to confirm,
+* and Escape and the B button to cancel, which dispatches `onCancel`.
+*
+* The Focus Manager stays active across State changes, and Buttons that are destroyed are removed from it. Remove it with
+* `game.plugins.remove(focus)` when you're done with it.
+*
+* @class Phaser.FocusManager
+* @extends Phaser.Plugin
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {Phaser.PluginManager} parent - The Plugin Manager which looks after this plugin.
+*/
+Phaser.FocusManager = function (game, parent) {
+
+    Phaser.Plugin.call(this, game, parent);
+
+    /**
+    * @property {boolean} enabled - The controls are ignored while this is false.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {Phaser.Button} focused - The Button with the focus, or null.
+    * @readonly
+    */
+    this.focused = null;
+
+    /**
+    * @property {boolean} wrap - If there is no Button in the direction the focus is moved, should it wrap around to the Button furthest in the other direction?
+    * @default
+    */
+    this.wrap = false;
+
+    /**
+    * @property {number} repeatDelay - How long a direction must be held before the focus keeps moving, in ms. Zero means it doesn't repeat.
+    * @default
+    */
+    this.repeatDelay = 500;
+
+    /**
+    * @property {number} repeatRate - How often the focus moves while a direction is held, in ms, after `repeatDelay`.
+    * @default
+    */
+    this.repeatRate = 150;
+
+    /**
+    * The controls, as Phaser.InputActions named `up`, `down`, `left`, `right`, `confirm` and `cancel`.
+    * @property {object} actions
+    */
+    this.actions = {
+        up: new Phaser.InputAction(game.input.actions, 'up', [ 38, { button: 12 }, { axis: 1, direction: -1 } ]),
+        down: new Phaser.InputAction(game.input.actions, 'down', [ 40, { button: 13 }, { axis: 1, direction: 1 } ]),
+        left: new Phaser.InputAction(game.input.actions, 'left', [ 37, { button: 14 }, { axis: 0, direction: -1 } ]),
+        right: new Phaser.InputAction(game.input.actions, 'right', [ 39, { button: 15 }, { axis: 0, direction: 1 } ]),
+        confirm: new Phaser.InputAction(game.input.actions, 'confirm', [ 13, 32, { button: 0 } ]),
+        cancel: new Phaser.InputAction(game.input.actions, 'cancel', [ 27, { button: 1 } ])
+    };
+
+    /**
+    * @property {Phaser.Signal} onFocus - This Signal is dispatched when a Button gets the focus. It's sent the Button and the Button that lost the focus, which may be null.
+    */
+    this.onFocus = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onBlur - This Signal is dispatched when a Button loses the focus. It's sent the Button.
+    */
+    this.onBlur = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onCancel - This Signal is dispatched when the cancel control is pressed. It's sent the focused Button, which may be null.
+    */
+    this.onCancel = new Phaser.Signal();
+
+    /**
+    * @property {array} _nodes - The Buttons, each with its explicit links.
+    * @private
+    */
+    this._nodes = [];
+
+    /**
+    * @property {Phaser.Button} _pressed - The Button being pressed with the confirm control.
+    * @private
+    */
+    this._pressed = null;
+
+    /**
+    * @property {Phaser.Button} _lastFocused - The last Button to have the focus, which the focus moves on from when nothing has it.
+    * @private
+    */
+    this._lastFocused = null;
+
+    /**
+    * @property {number} _nextRepeat - The time the held direction next moves the focus.
+    * @private
+    */
+    this._nextRepeat = 0;
+
+};
+
+Phaser.FocusManager.prototype = Object.create(Phaser.Plugin.prototype);
+Phaser.FocusManager.prototype.constructor = Phaser.FocusManager;
+
+/**
+* Called by the Plugin Manager when the plugin is added.
+*
+* @method Phaser.FocusManager#init
+* @protected
+* @param {array<Phaser.Button>} [buttons] - The Buttons to add.
+*/
+Phaser.FocusManager.prototype.init = function (buttons) {
+
+    if (buttons)
+    {
+        for (var i = 0; i < buttons.length; i++)
+        {
+            this.add(buttons[i]);
+        }
+    }
+
+};
+
+/**
+* Adds a Button. If it has already been added its links are updated.
+*
+* @method Phaser.FocusManager#add
+* @param {Phaser.Button} button - The Button to add.
+* @param {object} [links] - The explicit neighbours of the Button, in properties named `up`, `down`, `left` and `right`.
+* @return {Phaser.Button} The Button.
+*/
+Phaser.FocusManager.prototype.add = function (button, links) {
+
+    var node = this.getNode(button);
+
+    if (!node)
+    {
+        node = { button: button, links: [] };
+
+        this._nodes.push(node);
+
+        button.onInputOver.add(this.onButtonOver, this);
+        button.onInputOut.add(this.onButtonOut, this);
+    }
+
+    if (links)
+    {
+        this.link(button, Phaser.UP, links.up);
+        this.link(button, Phaser.DOWN, links.down);
+        this.link(button, Phaser.LEFT, links.left);
+        this.link(button, Phaser.RIGHT, links.right);
+    }
+
+    return button;
+
+};
+
+/**
+* Removes a Button. If it has the focus the focus is cleared.
+*
+* @method Phaser.FocusManager#remove
+* @param {Phaser.Button} button - The Button to remove.
+*/
+Phaser.FocusManager.prototype.remove = function (button) {
+
+    var node = this.getNode(button);
+
+    if (!node)
+    {
+        return;
+    }
+
+    if (this.focused === button)
+    {
+        this.blur();
+    }
+
+    if (this._pressed === button)
+    {
+        this._pressed = null;
+    }
+
+    if (this._lastFocused === button)
+    {
+        this._lastFocused = null;
+    }
+
+    if (button.onInputOver)
+    {
+        button.onInputOver.remove(this.onButtonOver, this);
+        button.onInputOut.remove(this.onButtonOut, this);
+    }
+
+    //  Links to the Button from other Buttons are skipped once it has been removed
+    this._nodes.splice(this._nodes.indexOf(node), 1);
+
+};
+
+/**
+* Removes all of the Buttons.
+*
+* @method Phaser.FocusManager#removeAll
+*/
+Phaser.FocusManager.prototype.removeAll = function () {
+
+    while (this._nodes.length)
+    {
+        this.remove(this._nodes[0].button);
+    }
+
+};
+
+/**
+* Sets the neighbour of a Button in a direction, instead of using the nearest Button on the screen.
+*
+* @method Phaser.FocusManager#link
+* @param {Phaser.Button} button - The Button to set the neighbour of. It's added if it hasn't been already.
+* @param {integer} direction - Phaser.UP, Phaser.DOWN, Phaser.LEFT or Phaser.RIGHT.
+* @param {Phaser.Button|null} target - The neighbour. If null the focus can't move from the Button in this direction. If undefined the nearest Button is used again.
+* @param {boolean} [reverse=false] - Also link the target back to the Button, in the opposite direction.
+*/
+Phaser.FocusManager.prototype.link = function (button, direction, target, reverse) {
+
+    this.add(button);
+
+    this.getNode(button).links[direction] = target;
+
+    if (reverse && target)
+    {
+        var opposite = [Phaser.NONE, Phaser.RIGHT, Phaser.LEFT, Phaser.DOWN, Phaser.UP];
+
+        this.link(target, opposite[direction], button);
+    }
+
+};
+
+/**
+* Gets the Button the focus would move to from a Button in a direction.
+*
+* @method Phaser.FocusManager#getNeighbour
+* @param {Phaser.Button} button - The Button to move from.
+* @param {integer} direction - Phaser.UP, Phaser.DOWN, Phaser.LEFT or Phaser.RIGHT.
+* @return {Phaser.Button} The neighbour, or null if there isn't one.
+*/
+Phaser.FocusManager.prototype.getNeighbour = function (button, direction) {
+
+    var node = this.getNode(button);
+
+    if (node && node.links[direction] !== undefined)
+    {
+        var target = node.links[direction];
+
+        return (target && this.getNode(target) && this.canFocus(target)) ? target : null;
+    }
+
+    var from = button.getBounds();
+    var best = null;
+    var bestScore = Number.MAX_VALUE;
+    var furthest = null;
+    var furthestDistance = 0;
+
+    for (var i = 0; i < this._nodes.length; i++)
+    {
+        var other = this._nodes[i].button;
+
+        if (other === button || !this.canFocus(other))
+        {
+            continue;
+        }
+
+        var to = other.getBounds();
+        var dx = to.centerX - from.centerX;
+        var dy = to.centerY - from.centerY;
+        var along = (direction === Phaser.LEFT || direction === Phaser.RIGHT) ? dx : dy;
+        var across = (direction === Phaser.LEFT || direction === Phaser.RIGHT) ? dy : dx;
+
+        if (direction === Phaser.LEFT || direction === Phaser.UP)
+        {
+            along = -along;
+        }
+
+        if (along > 0)
+        {
+            //  Buttons out of line are further away than they look
+            var score = along + Math.abs(across) * 2;
+
+            if (score < bestScore)
+            {
+                bestScore = score;
+                best = other;
+            }
+        }
+        else if (-along > furthestDistance || (furthest === null && along === 0 && across === 0))
+        {
+            furthestDistance = -along;
+            furthest = other;
+        }
+    }
+
+    if (best === null && this.wrap)
+    {
+        return furthest;
+    }
+
+    return best;
+
+};
+
+/**
+* Gives a Button the focus, showing its over frame.
+*
+* @method Phaser.FocusManager#focus
+* @param {Phaser.Button} button - The Button to focus. It's added if it hasn't been already.
+*/
+Phaser.FocusManager.prototype.focus = function (button) {
+
+    if (this.focused === button)
+    {
+        return;
+    }
+
+    var previous = this.focused;
+
+    this.blur();
+    this.add(button);
+
+    this.focused = button;
+    this._lastFocused = button;
+
+    button.changeStateFrame('Over');
+    button.playStateSound('Over');
+
+    this.onFocus.dispatch(button, previous);
+
+};
+
+/**
+* Takes the focus away from the focused Button, showing its out frame.
+*
+* @method Phaser.FocusManager#blur
+*/
+Phaser.FocusManager.prototype.blur = function () {
+
+    var button = this.focused;
+
+    if (!button)
+    {
+        return;
+    }
+
+    this.focused = null;
+
+    if (button.game && !(button.input && button.input.pointerOver()))
+    {
+        button.changeStateFrame('Out');
+    }
+
+    this.onBlur.dispatch(button);
+
+};
+
+/**
+* Moves the focus in a direction. If no Button has the focus, the last one to have it, or the first Button added, is focused instead.
+*
+* @method Phaser.FocusManager#move
+* @param {integer} direction - Phaser.UP, Phaser.DOWN, Phaser.LEFT or Phaser.RIGHT.
+* @return {boolean} True if the focus changed.
+*/
+Phaser.FocusManager.prototype.move = function (direction) {
+
+    if (!this.focused)
+    {
+        return this.focusDefault();
+    }
+
+    var target = this.getNeighbour(this.focused, direction);
+
+    if (target)
+    {
+        this.focus(target);
+        return true;
+    }
+
+    return false;
+
+};
+
+/**
+* Focuses the last Button to have the focus, or the first Button that can be focused.
+*
+* @method Phaser.FocusManager#focusDefault
+* @private
+* @return {boolean} True if a Button was focused.
+*/
+Phaser.FocusManager.prototype.focusDefault = function () {
+
+    if (this._lastFocused && this.canFocus(this._lastFocused))
+    {
+        this.focus(this._lastFocused);
+        return true;
+    }
+
+    for (var i = 0; i < this._nodes.length; i++)
+    {
+        if (this.canFocus(this._nodes[i].button))
+        {
+            this.focus(this._nodes[i].button);
+            return true;
+        }
+    }
+
+    return false;
+
+};
+
+/**
+* Reads the controls and moves or presses the focus. Called automatically by the Plugin Manager.
+*
+* @method Phaser.FocusManager#update
+* @protected
+*/
+Phaser.FocusManager.prototype.update = function () {
+
+    var actions = this.actions;
+    var name;
+
+    for (name in actions)
+    {
+        actions[name].update();
+    }
+
+    this.removeDestroyed();
+
+    if (!this.enabled)
+    {
+        this.release(false);
+        return;
+    }
+
+    if (this.focused && !this.canFocus(this.focused))
+    {
+        this.blur();
+    }
+
+    var time = this.game.time.time;
+    var directions = { up: Phaser.UP, down: Phaser.DOWN, left: Phaser.LEFT, right: Phaser.RIGHT };
+
+    for (name in directions)
+    {
+        var action = actions[name];
+
+        if (action.justPressed)
+        {
+            this.move(directions[name]);
+            this._nextRepeat = time + this.repeatDelay;
+            break;
+        }
+        else if (action.isDown && this.repeatDelay > 0 && time >= this._nextRepeat)
+        {
+            this.move(directions[name]);
+            this._nextRepeat = time + this.repeatRate;
+            break;
+        }
+    }
+
+    if (actions.confirm.justPressed)
+    {
+        if (this.focused)
+        {
+            this.press();
+        }
+        else
+        {
+            this.focusDefault();
+        }
+    }
+    else if (actions.confirm.justReleased)
+    {
+        this.release(true);
+    }
+
+    if (actions.cancel.justPressed)
+    {
+        this.onCancel.dispatch(this.focused);
+    }
+
+};
+
+/**
+* Presses the focused Button, showing its down frame and dispatching its `onInputDown` Signal.
+*
+* @method Phaser.FocusManager#press
+* @private
+*/
+Phaser.FocusManager.prototype.press = function () {
+
+    var button = this.focused;
+
+    this._pressed = button;
+
+    button.changeStateFrame('Down');
+    button.playStateSound('Down');
+
+    button.onInputDown.dispatch(button, null);
+
+};
+
+/**
+* Releases the Button pressed with the confirm control.
+*
+* @method Phaser.FocusManager#release
+* @private
+* @param {boolean} click - Dispatch the `onInputUp` Signal of the Button?
+*/
+Phaser.FocusManager.prototype.release = function (click) {
+
+    var button = this._pressed;
+
+    if (!button)
+    {
+        return;
+    }
+
+    this._pressed = null;
+
+    if (click)
+    {
+        button.playStateSound('Up');
+        button.onInputUp.dispatch(button, null, true);
+    }
+
+    //  The callback may have destroyed the Button, such as by changing State
+    if (button.game && !button.freezeFrames && !button.changeStateFrame('Up'))
+    {
+        button.changeStateFrame((this.focused === button) ? 'Over' : 'Out');
+    }
+
+};
+
+/**
+* Checks if a Button can be given the focus.
+*
+* @method Phaser.FocusManager#canFocus
+* @param {Phaser.Button} button - The Button to check.
+* @return {boolean} True if the Button exists, is visible and has input enabled.
+*/
+Phaser.FocusManager.prototype.canFocus = function (button) {
+
+    return !!(button.game && button.exists && button.visible && button.inputEnabled && button.input.enabled);
+
+};
+
+/**
+* Gets the node of a Button.
+*
+* @method Phaser.FocusManager#getNode
+* @private
+* @param {Phaser.Button} button - The Button.
+* @return {object} The node, or null if the Button hasn't been added.
+*/
+Phaser.FocusManager.prototype.getNode = function (button) {
+
+    for (var i = 0; i < this._nodes.length; i++)
+    {
+        if (this._nodes[i].button === button)
+        {
+            return this._nodes[i];
+        }
+    }
+
+    return null;
+
+};
+
+/**
+* Removes the Buttons that have been destroyed.
+*
+* @method Phaser.FocusManager#removeDestroyed
+* @private
+*/
+Phaser.FocusManager.prototype.removeDestroyed = function () {
+
+    for (var i = this._nodes.length - 1; i >= 0; i--)
+    {
+        if (!this._nodes[i].button.game)
+        {
+            this.remove(this._nodes[i].button);
+        }
+    }
+
+};
+
+/**
+* Gives the focus to a Button when the mouse moves over it.
+*
+* @method Phaser.FocusManager#onButtonOver
+* @private
+* @param {Phaser.Button} button - The Button.
+*/
+Phaser.FocusManager.prototype.onButtonOver = function (button) {
+
+    if (this.enabled)
+    {
+        this.focus(button);
+    }
+
+};
+
+/**
+* Takes the focus from a Button when the mouse moves off it.
+*
+* @method Phaser.FocusManager#onButtonOut
+* @private
+* @param {Phaser.Button} button - The Button.
+*/
+Phaser.FocusManager.prototype.onButtonOut = function (button) {
+
+    if (this.focused === button && this._pressed !== button)
+    {
+        this.blur();
+    }
+
+};
+
+/**
+* Removes all of the Buttons and listeners. Use `game.plugins.remove` to remove and destroy the plugin.
+*
+* @method Phaser.FocusManager#destroy
+*/
+Phaser.FocusManager.prototype.destroy = function () {
+
+    this.removeAll();
+
+    for (var name in this.actions)
+    {
+        this.actions[name].destroy();
+    }
+
+    this.onFocus.dispose();
+    this.onBlur.dispose();
+    this.onCancel.dispose();
+
+    Phaser.Plugin.prototype.destroy.call(this);
+
+};
@@ -51,6 +51,21 @@ Phaser.Gamepad = function (game) {
     */
     this.enabled = true;
 
+    /**
+    * If true, controllers the browser doesn't report in the standard gamepad layout are read through a matching
+    * Phaser.GamepadMapping, if there is one, so their buttons and axes match the standard layout.
+    * Changes take effect when a gamepad is next connected.
+    * @property {boolean} useMappings
+    * @default
+    */
+    this.useMappings = true;
+
+    /**
+    * @property {array<Phaser.GamepadMapping>} _mappings - The mappings that can be used for the controllers.
+    * @private
+    */
+    this._mappings = [];
+
     /**
     * Whether or not gamepads are supported in the current browser. Note that as of Dec. 2013 this check is actually not accurate at all due to poor implementation.
     * @property {boolean} _gamepadSupportAvailable - Are gamepads supported in this browser or not?
@@ -132,6 +147,8 @@ Phaser.Gamepad = function (game) {
         new Phaser.SinglePad(game, this)
     ];
 
+    this.addMappings(Phaser.GamepadMapping.DATABASE);
+
 };
 
 Phaser.Gamepad.prototype = {
@@ -257,7 +274,13 @@ Phaser.Gamepad.prototype = {
             return;
         }
 
-        if (navigator['getGamepads'])
+        var recorder = this.game.input.recorder;
+
+        if (recorder.isPlaying)
+        {
+            var rawGamepads = recorder.getGamepads();
+        }
+        else if (navigator['getGamepads'])
         {
             var rawGamepads = navigator.getGamepads();
         }
@@ -272,6 +295,8 @@ Phaser.Gamepad.prototype = {
 
         if (rawGamepads)
         {
+            recorder.captureGamepads(rawGamepads);
+
             this._rawPads = [];
 
             var gamepadsChanged = false;
@@ -383,6 +408,92 @@ Phaser.Gamepad.prototype = {
 
     },
 
+    /**
+    * Adds mappings from an SDL game controller database, such as the community gamecontrollerdb.txt, which you could
+    * load with `game.load.text`. Mappings added later take priority over earlier ones.
+    *
+    * @method Phaser.Gamepad#addMappings
+    * @param {string|array} data - The mappings, either as the text of a database, with one mapping per line, or an array of lines.
+    * @return {integer} The number of mappings added. Comments, and lines that aren't valid mappings, are skipped.
+    */
+    addMappings: function (data) {
+
+        var lines = (typeof data === 'string') ? data.split(/\r?\n/) : data;
+        var total = 0;
+
+        for (var i = 0; i < lines.length; i++)
+        {
+            var line = lines[i].trim();
+
+            if (line === '' || line.charAt(0) === '#')
+            {
+                continue;
+            }
+
+            var mapping = Phaser.GamepadMapping.parse(line);
+
+            if (mapping)
+            {
+                this._mappings.push(mapping);
+                total++;
+            }
+        }
+
+        return total;
+
+    },
+
+    /**
+    * Adds a custom mapping for a controller, so it's read in the standard gamepad layout. It takes priority over all
+    * other mappings, and is used even if the browser reports the controller in the standard layout already.
+    *
+    * ```javascript
+    * game.input.gamepad.addMapping('Generic USB Joystick (Vendor: 0079 Product: 0011)', 'a:b2,b:b1,x:b3,y:b0,leftx:a0,lefty:a1,start:b9');
+    * ```
+    *
+    * @method Phaser.Gamepad#addMapping
+    * @param {string} id - The id the browser reports for the controller. Use `SinglePad.id` to find it.
+    * @param {string|object} fields - The fields of the mapping, either as an SDL style string or an object. See {@link Phaser.GamepadMapping}.
+    * @return {Phaser.GamepadMapping} The new mapping.
+    */
+    addMapping: function (id, fields) {
+
+        var mapping = new Phaser.GamepadMapping(Phaser.GamepadMapping.parseId(id).name, fields);
+
+        mapping.id = id;
+
+        this._mappings.push(mapping);
+
+        return mapping;
+
+    },
+
+    /**
+    * Finds the mapping for a controller. Controllers the browser reports in the standard gamepad layout only use
+    * custom mappings added with `addMapping`.
+    *
+    * @method Phaser.Gamepad#getMapping
+    * @param {object} rawPad - The Gamepad object from the browser.
+    * @return {Phaser.GamepadMapping} The mapping, or null if the controller doesn't need one or none was found.
+    */
+    getMapping: function (rawPad) {
+
+        var standard = (rawPad.mapping === 'standard');
+
+        for (var i = this._mappings.length - 1; i >= 0; i--)
+        {
+            var mapping = this._mappings[i];
+
+            if ((!standard || mapping.id) && mapping.matches(rawPad.id))
+            {
+                return mapping;
+            }
+        }
+
+        return null;
+
+    },
+
     /**
     * Stops the Gamepad event handling.
     *
@@ -0,0 +1,620 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Gamepad Mapping describes how to read the buttons and axes of a controller in the standard gamepad layout, which
+* is the layout used by the `Phaser.Gamepad.XBOX360_*` constants: A, B, X and Y are buttons 0 to 3, the bumpers 4 and 5,
+* the triggers 6 and 7, back and start 8 and 9, the stick buttons 10 and 11, the d-pad 12 to 15 and the guide button 16,
+* with the left stick on axes 0 and 1 and the right stick on axes 2 and 3.
+*
+* Browsers already report most popular controllers in this layout. For the others Phaser.Gamepad looks for a mapping
+* with a matching vendor and product id, or name, and if it finds one the SinglePad reads the controller through it.
+*
+* Mappings use the format of the SDL game controller database, so you can add entries from community databases
+* such as gamecontrollerdb.txt with {@link Phaser.Gamepad#addMappings}. Each entry is a line like:
+*
+* `030000004c050000c405000000000000,PS4 Controller,a:b1,b:b2,x:b0,y:b3,leftx:a0,lefty:a1,dpup:h0.1,platform:Windows,`
+*
+* Each field maps a standard button or axis to a button (`b1`), an axis (`a0`) or a d-pad hat (`h0.1`) of the controller.
+* Prefix an axis with `+` or `-` to use only that half of it, or end it with `~` to invert it.
+*
+* Browsers don't report hats, they report them as axes instead: on Linux as an x and a y axis after the other axes of the
+* controller, and elsewhere as a single axis stepping through the 8 directions, which Chrome always puts at axis 9.
+* See {@link Phaser.GamepadMapping#getHatAxis} for how the axis is found, and the `hataxis` field to set it.
+*
+* @class Phaser.GamepadMapping
+* @constructor
+* @param {string} name - The name of the controller.
+* @param {string|object} [fields] - The fields of the mapping, either as an SDL style string (`'a:b1,b:b2,leftx:a0'`) or an object (`{ a: 'b1', b: 'b2', leftx: 'a0' }`).
+*/
+Phaser.GamepadMapping = function (name, fields) {
+
+    /**
+    * @property {string} name - The name of the controller.
+    */
+    this.name = name;
+
+    /**
+    * @property {string} guid - The SDL GUID of the controller, if the mapping came from a database.
+    */
+    this.guid = '';
+
+    /**
+    * @property {string} vendor - The USB vendor id of the controller as 4 hex digits, or an empty string if not known.
+    */
+    this.vendor = '';
+
+    /**
+    * @property {string} product - The USB product id of the controller as 4 hex digits, or an empty string if not known.
+    */
+    this.product = '';
+
+    /**
+    * @property {string} id - The exact id the browser reports for the controller. If set, this mapping is only used for controllers with that id.
+    */
+    this.id = '';
+
+    /**
+    * @property {string} platform - The SDL name of the platform this mapping is for, such as 'Windows', 'Mac OS X' or 'Linux'. If empty it's used on all platforms.
+    */
+    this.platform = '';
+
+    /**
+    * @property {integer} hatAxis - The axis of the controller the first hat is read from, or -1 to find it from the platform. Set it with the `hataxis` field, such as `hataxis:a6`.
+    * @default
+    */
+    this.hatAxis = -1;
+
+    /**
+    * @property {array} buttons - The sources of each standard button.
+    * @private
+    */
+    this.buttons = [];
+
+    /**
+    * @property {array} axes - The sources of each standard axis.
+    * @private
+    */
+    this.axes = [];
+
+    if (fields)
+    {
+        this.setFields(fields);
+    }
+
+};
+
+Phaser.GamepadMapping.prototype = {
+
+    /**
+    * Sets the fields of the mapping, adding to or replacing those it already has.
+    *
+    * @method Phaser.GamepadMapping#setFields
+    * @param {string|object} fields - The fields, either as an SDL style string (`'a:b1,b:b2,leftx:a0'`) or an object (`{ a: 'b1', b: 'b2', leftx: 'a0' }`).
+    * @return {Phaser.GamepadMapping} This mapping.
+    */
+    setFields: function (fields) {
+
+        var key;
+
+        if (typeof fields === 'string')
+        {
+            var list = fields.split(',');
+
+            fields = {};
+
+            for (var i = 0; i < list.length; i++)
+            {
+                var colon = list[i].indexOf(':');
+
+                if (colon !== -1)
+                {
+                    fields[list[i].substr(0, colon).trim()] = list[i].substr(colon + 1).trim();
+                }
+            }
+        }
+
+        //  Replace the targets first, so a target split into halves keeps both of them
+        for (key in fields)
+        {
+            this.clearTarget(key.replace(/^[+\-]/, ''));
+        }
+
+        for (key in fields)
+        {
+            if (key === 'platform')
+            {
+                this.platform = fields[key];
+            }
+            else if (key === 'hataxis')
+            {
+                this.hatAxis = /^a\d+$/.test(fields[key]) ? parseInt(fields[key].substr(1), 10) : -1;
+            }
+            else
+            {
+                this.setField(key, fields[key]);
+            }
+        }
+
+        return this;
+
+    },
+
+    /**
+    * Removes the sources of a standard button or axis.
+    *
+    * @method Phaser.GamepadMapping#clearTarget
+    * @private
+    * @param {string} name - The SDL name of the button or axis.
+    */
+    clearTarget: function (name) {
+
+        var index = Phaser.GamepadMapping.BUTTONS.indexOf(name);
+
+        if (index !== -1)
+        {
+            this.buttons[index] = [];
+            return;
+        }
+
+        index = Phaser.GamepadMapping.AXES.indexOf(name);
+
+        if (index !== -1)
+        {
+            this.axes[index] = [];
+        }
+
+    },
+
+    /**
+    * Adds the source of a standard button or axis.
+    *
+    * @method Phaser.GamepadMapping#setField
+    * @private
+    * @param {string} key - The SDL name of the button or axis, with a `+` or `-` prefix for half of an axis.
+    * @param {string} value - The source, such as `b1`, `a0`, `+a2`, `a3~` or `h0.1`.
+    */
+    setField: function (key, value) {
+
+        var output = 0;
+
+        if (key.charAt(0) === '+' || key.charAt(0) === '-')
+        {
+            output = (key.charAt(0) === '+') ? 1 : -1;
+            key = key.substr(1);
+        }
+
+        var buttonIndex = Phaser.GamepadMapping.BUTTONS.indexOf(key);
+        var axisIndex = Phaser.GamepadMapping.AXES.indexOf(key);
+
+        //  Unknown fields, such as SDL's misc buttons and paddles, are ignored
+        var parts = /^([+\-]?)([abh])(\d+)(?:\.(\d+))?(~?)$/.exec(value);
+
+        if ((buttonIndex === -1 && axisIndex === -1) || !parts)
+        {
+            return;
+        }
+
+        var source = {
+            type: parts[2],
+            index: parseInt(parts[3], 10),
+            hat: (parts[4]) ? parseInt(parts[4], 10) : 0,
+            range: (parts[1] === '+') ? 1 : (parts[1] === '-') ? -1 : 0,
+            invert: (parts[5] === '~'),
+            output: output
+        };
+
+        if (buttonIndex !== -1)
+        {
+            this.buttons[buttonIndex].push(source);
+        }
+        else
+        {
+            this.axes[axisIndex].push(source);
+        }
+
+    },
+
+    /**
+    * Reads a standard button from a controller.
+    *
+    * @method Phaser.GamepadMapping#getButtonValue
+    * @param {object} rawPad - The Gamepad object from the browser.
+    * @param {integer} index - The index of the standard button.
+    * @return {number} The value of the button, from 0 to 1.
+    */
+    getButtonValue: function (rawPad, index) {
+
+        var sources = this.buttons[index];
+        var value = 0;
+
+        if (!sources)
+        {
+            return 0;
+        }
+
+        for (var i = 0; i < sources.length; i++)
+        {
+            var sourceValue = this.readSource(rawPad, sources[i]);
+
+            if (sources[i].type === 'a' && sources[i].range === 0)
+            {
+                //  A whole axis used as a button, such as a trigger, goes from -1 when released to 1 when pressed
+                sourceValue = (sourceValue + 1) / 2;
+            }
+
+            value = Math.max(value, sourceValue);
+        }
+
+        return value;
+
+    },
+
+    /**
+    * Reads a standard axis from a controller.
+    *
+    * @method Phaser.GamepadMapping#getAxisValue
+    * @param {object} rawPad - The Gamepad object from the browser.
+    * @param {integer} index - The index of the standard axis.
+    * @return {number} The value of the axis, from -1 to 1.
+    */
+    getAxisValue: function (rawPad, index) {
+
+        var sources = this.axes[index];
+        var value = 0;
+
+        if (!sources)
+        {
+            return 0;
+        }
+
+        for (var i = 0; i < sources.length; i++)
+        {
+            var sourceValue = this.readSource(rawPad, sources[i]);
+
+            if (sources[i].output !== 0)
+            {
+                //  The source only drives one half of the axis
+                sourceValue = Math.abs(sourceValue) * sources[i].output;
+            }
+
+            value += sourceValue;
+        }
+
+        return Phaser.Math.clamp(value, -1, 1);
+
+    },
+
+    /**
+    * Reads a source from a controller.
+    *
+    * @method Phaser.GamepadMapping#readSource
+    * @private
+    * @param {object} rawPad - The Gamepad object from the browser.
+    * @param {object} source - The source to read.
+    * @return {number} The value of the source. Axes are from -1 to 1 and everything else from 0 to 1.
+    */
+    readSource: function (rawPad, source) {
+
+        var value = 0;
+
+        if (source.type === 'b')
+        {
+            var button = rawPad.buttons[source.index];
+
+            if (button !== undefined)
+            {
+                value = (typeof button === 'object') ? button.value : button;
+            }
+        }
+        else if (source.type === 'a')
+        {
+            value = rawPad.axes[source.index] || 0;
+
+            if (source.invert)
+            {
+                value = -value;
+            }
+
+            if (source.range !== 0)
+            {
+                value = Math.max(0, value * source.range);
+            }
+        }
+        else if ((this.platform || Phaser.GamepadMapping.getPlatform()) === 'Linux')
+        {
+            //  The hat is reported as an x and a y axis, each going from -1 to 1
+            var axis = this.getHatAxis(rawPad) + source.index * 2;
+            var x = rawPad.axes[axis] || 0;
+            var y = rawPad.axes[axis + 1] || 0;
+            var bits = ((y < -0.5) ? 1 : 0) | ((x > 0.5) ? 2 : 0) | ((y > 0.5) ? 4 : 0) | ((x < -0.5) ? 8 : 0);
+
+            value = (bits & source.hat) ? 1 : 0;
+        }
+        else
+        {
+            //  The hat is reported as an axis, stepping through the 8 directions clockwise from up, and out of range when centered
+            var hat = rawPad.axes[this.getHatAxis(rawPad) + source.index];
+            var direction = Math.round((hat + 1) * 3.5);
+
+            if (hat >= -1 && hat <= 1 && direction < 8)
+            {
+                value = (Phaser.GamepadMapping.HAT_DIRECTIONS[direction] & source.hat) ? 1 : 0;
+            }
+        }
+
+        return value;
+
+    },
+
+    /**
+    * Gets the axis of a controller that the first hat is read from.
+    *
+    * This is the `hatAxis` of the mapping if it's set. Otherwise on Linux, where each hat is an x and a y axis following
+    * the others, it's the axis after the highest one the mapping reads. Elsewhere it's axis 9, where Chrome puts the hat,
+    * or the last axis if the controller has fewer axes than that, which is where other browsers put it.
+    *
+    * @method Phaser.GamepadMapping#getHatAxis
+    * @param {object} rawPad - The Gamepad object from the browser.
+    * @return {integer} The index of the axis.
+    */
+    getHatAxis: function (rawPad) {
+
+        if (this.hatAxis >= 0)
+        {
+            return this.hatAxis;
+        }
+
+        if ((this.platform || Phaser.GamepadMapping.getPlatform()) === 'Linux')
+        {
+            var axis = 0;
+            var lists = this.buttons.concat(this.axes);
+
+            for (var i = 0; i < lists.length; i++)
+            {
+                for (var j = 0; lists[i] && j < lists[i].length; j++)
+                {
+                    if (lists[i][j].type === 'a')
+                    {
+                        axis = Math.max(axis, lists[i][j].index + 1);
+                    }
+                }
+            }
+
+            return axis;
+        }
+
+        return Math.min(Phaser.GamepadMapping.HAT_AXIS, rawPad.axes.length - 1);
+
+    },
+
+    /**
+    * Checks if this mapping is for the given controller, based on its id.
+    *
+    * @method Phaser.GamepadMapping#matches
+    * @param {string} id - The id the browser reports for the controller.
+    * @return {boolean} True if the mapping is for the controller.
+    */
+    matches: function (id) {
+
+        if (this.id)
+        {
+            return (this.id === id);
+        }
+
+        if (this.platform && this.platform !== Phaser.GamepadMapping.getPlatform())
+        {
+            return false;
+        }
+
+        var info = Phaser.GamepadMapping.parseId(id);
+
+        if (this.vendor && info.vendor)
+        {
+            return (this.vendor === info.vendor && this.product === info.product);
+        }
+
+        return (this.name.toLowerCase() === info.name.toLowerCase());
+
+    }
+
+};
+
+Phaser.GamepadMapping.prototype.constructor = Phaser.GamepadMapping;
+
+/**
+* The SDL names of the standard buttons, in the order of their index.
+*
+* @constant
+* @type {array}
+*/
+Phaser.GamepadMapping.BUTTONS = [
+    'a', 'b', 'x', 'y',
+    'leftshoulder', 'rightshoulder', 'lefttrigger', 'righttrigger',
+    'back', 'start', 'leftstick', 'rightstick',
+    'dpup', 'dpdown', 'dpleft', 'dpright',
+    'guide'
+];
+
+/**
+* The SDL names of the standard axes, in the order of their index.
+*
+* @constant
+* @type {array}
+*/
+Phaser.GamepadMapping.AXES = [ 'leftx', 'lefty', 'rightx', 'righty' ];
+
+/**
+* The SDL hat bits (1 up, 2 right, 4 down, 8 left) of each of the 8 hat directions, clockwise from up.
+*
+* @constant
+* @type {array}
+*/
+Phaser.GamepadMapping.HAT_DIRECTIONS = [ 1, 3, 2, 6, 4, 12, 8, 9 ];
+
+/**
+* The axis Chrome reports the hat of a controller on, on every platform but Linux.
+*
+* @constant
+* @type {integer}
+*/
+Phaser.GamepadMapping.HAT_AXIS = 9;
+
+/**
+* The built-in mappings, for controllers that browsers commonly don't report in the standard layout. They're taken from
+* gamecontrollerdb.txt and cover the Xbox 360 and One, DualShock 3 and 4, Switch Pro, 8BitDo and Logitech controllers on
+* Windows, Mac OS X and Linux. Use {@link Phaser.Gamepad#addMappings} to add more.
+*
+* @constant
+* @type {array}
+*/
+Phaser.GamepadMapping.DATABASE = [
+    //  Windows
+    '03000000c82d00000660000000000000,8BitDo Pro 2,a:b1,b:b0,back:b10,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b6,leftstick:b13,lefttrigger:b8,leftx:a0,lefty:a1,rightshoulder:b7,rightstick:b14,righttrigger:b9,rightx:a3,righty:a4,start:b11,x:b4,y:b3,platform:Windows,',
+    '03000000c82d00000160000000000000,8BitDo SN30 Pro,a:b1,b:b0,back:b10,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b6,leftstick:b13,lefttrigger:b8,leftx:a0,lefty:a1,rightshoulder:b7,rightstick:b14,righttrigger:b9,rightx:a2,righty:a3,start:b11,x:b4,y:b3,platform:Windows,',
+    '030000006d04000016c2000000000000,Logitech F310 Gamepad (DInput),a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b0,y:b3,platform:Windows,',
+    '030000006d04000018c2000000000000,Logitech F510 Gamepad (DInput),a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b0,y:b3,platform:Windows,',
+    '030000006d04000019c2000000000000,Logitech F710 Gamepad (DInput),a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b0,y:b3,platform:Windows,',
+    '030000007e0500000920000000000000,Nintendo Switch Pro Controller,a:b1,b:b0,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b3,y:b2,platform:Windows,',
+    '030000004c0500006802000000000000,PS3 Controller,a:b2,b:b1,back:b9,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b8,x:b3,y:b0,platform:Windows,',
+    '030000004c050000c405000000000000,PS4 Controller,a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:a3,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:a4,rightx:a2,righty:a5,start:b9,x:b0,y:b3,platform:Windows,',
+    '030000004c050000cc09000000000000,PS4 Controller,a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:a3,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:a4,rightx:a2,righty:a5,start:b9,x:b0,y:b3,platform:Windows,',
+    '030000005e0400008e02000000000000,Xbox 360 Controller,a:b0,b:b1,back:b6,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b8,lefttrigger:+a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b9,righttrigger:-a2,rightx:a3,righty:a4,start:b7,x:b2,y:b3,platform:Windows,',
+    '030000005e040000d102000000000000,Xbox One Controller,a:b0,b:b1,back:b6,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b8,lefttrigger:+a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b9,righttrigger:-a2,rightx:a3,righty:a4,start:b7,x:b2,y:b3,platform:Windows,',
+
+    //  Mac OS X
+    '03000000c82d00000660000001000000,8BitDo Pro 2,a:b1,b:b0,back:b10,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b6,leftstick:b13,lefttrigger:b8,leftx:a0,lefty:a1,rightshoulder:b7,rightstick:b14,righttrigger:b9,rightx:a3,righty:a4,start:b11,x:b4,y:b3,platform:Mac OS X,',
+    '03000000c82d00000160000001000000,8BitDo SN30 Pro,a:b1,b:b0,back:b10,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b6,leftstick:b13,lefttrigger:b8,leftx:a0,lefty:a1,rightshoulder:b7,rightstick:b14,righttrigger:b9,rightx:a2,righty:a3,start:b11,x:b4,y:b3,platform:Mac OS X,',
+    '030000006d04000016c2000000000000,Logitech F310 Gamepad (DInput),a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b0,y:b3,platform:Mac OS X,',
+    '030000006d04000019c2000005030000,Logitech F710 Gamepad (DInput),a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b0,y:b3,platform:Mac OS X,',
+    '030000007e0500000920000001000000,Nintendo Switch Pro Controller,a:b1,b:b0,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b3,y:b2,platform:Mac OS X,',
+    '030000004c0500006802000000010000,PS3 Controller,a:b14,b:b13,back:b0,dpdown:b6,dpleft:b7,dpright:b5,dpup:b4,guide:b16,leftshoulder:b10,leftstick:b1,lefttrigger:b8,leftx:a0,lefty:a1,rightshoulder:b11,rightstick:b2,righttrigger:b9,rightx:a2,righty:a3,start:b3,x:b15,y:b12,platform:Mac OS X,',
+    '030000004c050000c405000000010000,PS4 Controller,a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:a3,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:a4,rightx:a2,righty:a5,start:b9,x:b0,y:b3,platform:Mac OS X,',
+    '030000004c050000cc09000000010000,PS4 Controller,a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:a3,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:a4,rightx:a2,righty:a5,start:b9,x:b0,y:b3,platform:Mac OS X,',
+    '030000005e0400008e02000000000000,Xbox 360 Wired Controller,a:b0,b:b1,back:b9,dpdown:b12,dpleft:b13,dpright:b14,dpup:b11,guide:b10,leftshoulder:b4,leftstick:b6,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b7,righttrigger:a5,rightx:a3,righty:a4,start:b8,x:b2,y:b3,platform:Mac OS X,',
+    '030000005e040000d102000000000000,Xbox One Wired Controller,a:b0,b:b1,back:b9,dpdown:b12,dpleft:b13,dpright:b14,dpup:b11,guide:b10,leftshoulder:b4,leftstick:b6,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b7,righttrigger:a5,rightx:a3,righty:a4,start:b8,x:b2,y:b3,platform:Mac OS X,',
+
+    //  Linux
+    '03000000c82d00000660000011010000,8BitDo Pro 2,a:b1,b:b0,back:b10,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b6,leftstick:b13,lefttrigger:b8,leftx:a0,lefty:a1,rightshoulder:b7,rightstick:b14,righttrigger:b9,rightx:a3,righty:a4,start:b11,x:b4,y:b3,platform:Linux,',
+    '03000000c82d00000160000011010000,8BitDo SN30 Pro,a:b1,b:b0,back:b10,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b6,leftstick:b13,lefttrigger:b8,leftx:a0,lefty:a1,rightshoulder:b7,rightstick:b14,righttrigger:b9,rightx:a2,righty:a3,start:b11,x:b4,y:b3,platform:Linux,',
+    '030000006d04000016c2000011010000,Logitech F310 Gamepad (DInput),a:b1,b:b2,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b0,y:b3,platform:Linux,',
+    '030000006d0400001dc2000014400000,Logitech F310 Gamepad (XInput),a:b0,b:b1,back:b6,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b8,leftshoulder:b4,leftstick:b9,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b10,righttrigger:a5,rightx:a3,righty:a4,start:b7,x:b2,y:b3,platform:Linux,',
+    '030000006d0400001fc2000005030000,Logitech F710 Gamepad (XInput),a:b0,b:b1,back:b6,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b8,leftshoulder:b4,leftstick:b9,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b10,righttrigger:a5,rightx:a3,righty:a4,start:b7,x:b2,y:b3,platform:Linux,',
+    '050000007e0500000920000001000000,Nintendo Switch Pro Controller,a:b0,b:b1,back:b9,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b11,leftshoulder:b5,leftstick:b12,lefttrigger:b7,leftx:a0,lefty:a1,rightshoulder:b6,rightstick:b13,righttrigger:b8,rightx:a2,righty:a3,start:b10,x:b3,y:b2,platform:Linux,',
+    '030000004c0500006802000011010000,PS3 Controller,a:b0,b:b1,back:b8,dpdown:b14,dpleft:b15,dpright:b16,dpup:b13,guide:b10,leftshoulder:b4,leftstick:b11,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b12,righttrigger:a5,rightx:a3,righty:a4,start:b9,x:b3,y:b2,platform:Linux,',
+    '030000004c050000c405000011010000,PS4 Controller,a:b0,b:b1,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b10,leftshoulder:b4,leftstick:b11,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b12,righttrigger:a5,rightx:a3,righty:a4,start:b9,x:b3,y:b2,platform:Linux,',
+    '030000004c050000cc09000011010000,PS4 Controller,a:b0,b:b1,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b10,leftshoulder:b4,leftstick:b11,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b12,righttrigger:a5,rightx:a3,righty:a4,start:b9,x:b3,y:b2,platform:Linux,',
+    '030000005e0400008e02000014010000,Xbox 360 Controller,a:b0,b:b1,back:b6,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b8,leftshoulder:b4,leftstick:b9,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b10,righttrigger:a5,rightx:a3,righty:a4,start:b7,x:b2,y:b3,platform:Linux,',
+    '030000005e040000d102000001010000,Xbox One Controller,a:b0,b:b1,back:b6,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b8,leftshoulder:b4,leftstick:b9,lefttrigger:a2,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b10,righttrigger:a5,rightx:a3,righty:a4,start:b7,x:b2,y:b3,platform:Linux,'
+];
+
+/**
+* Parses a line from an SDL game controller database.
+*
+* @method Phaser.GamepadMapping.parse
+* @static
+* @param {string} line - The line to parse.
+* @return {Phaser.GamepadMapping} The mapping, or null if the line isn't a valid mapping.
+*/
+Phaser.GamepadMapping.parse = function (line) {
+
+    var parts = line.trim().split(',');
+
+    if (parts.length < 3 || !/^[0-9a-f]{32}$/i.test(parts[0]))
+    {
+        return null;
+    }
+
+    var mapping = new Phaser.GamepadMapping(parts[1], parts.slice(2).join(','));
+    var guid = parts[0].toLowerCase();
+
+    mapping.guid = guid;
+
+    //  Bytes 4-5 and 8-9 of the GUID are the little-endian vendor and product ids, when the following bytes are zero
+    if (guid.substr(12, 4) === '0000' && guid.substr(20, 4) === '0000')
+    {
+        mapping.vendor = guid.substr(10, 2) + guid.substr(8, 2);
+        mapping.product = guid.substr(18, 2) + guid.substr(16, 2);
+    }
+
+    return mapping;
+
+};
+
+/**
+* Gets the vendor id, product id and name of a controller from the id reported by the browser.
+* Chrome reports ids like `Name (Vendor: 054c Product: 05c4)` and Firefox `54c-5c4-Name`.
+*
+* @method Phaser.GamepadMapping.parseId
+* @static
+* @param {string} id - The id the browser reports for the controller.
+* @return {object} An object with `vendor`, `product` and `name` properties. The ids are 4 hex digits, or empty strings if not found.
+*/
+Phaser.GamepadMapping.parseId = function (id) {
+
+    var result = { vendor: '', product: '', name: id };
+    var parts = /^(.*?)\s*\((?:.*?)Vendor: ([0-9a-f]+) Product: ([0-9a-f]+)\)$/i.exec(id);
+
+    if (parts)
+    {
+        result.name = parts[1];
+    }
+    else
+    {
+        parts = /^([0-9a-f]{1,4})-([0-9a-f]{1,4})-(.*)$/i.exec(id);
+
+        if (parts)
+        {
+            parts = [ parts[0], parts[3], parts[1], parts[2] ];
+            result.name = parts[1];
+        }
+    }
+
+    if (parts)
+    {
+        result.vendor = ('0000' + parts[2].toLowerCase()).substr(-4);
+        result.product = ('0000' + parts[3].toLowerCase()).substr(-4);
+    }
+
+    return result;
+
+};
+
+/**
+* Gets the SDL name of the platform the game is running on.
+*
+* @method Phaser.GamepadMapping.getPlatform
+* @static
+* @return {string} 'Windows', 'Mac OS X', 'Linux', 'Android', 'iOS' or an empty string if not known.
+*/
+Phaser.GamepadMapping.getPlatform = function () {
+
+    var device = Phaser.Device;
+
+    if (device.windows)
+    {
+        return 'Windows';
+    }
+    else if (device.macOS)
+    {
+        return 'Mac OS X';
+    }
+    else if (device.android)
+    {
+        return 'Android';
+    }
+    else if (device.iOS)
+    {
+        return 'iOS';
+    }
+    else if (device.linux)
+    {
+        return 'Linux';
+    }
+
+    return '';
+
+};
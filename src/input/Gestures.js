@@ -0,0 +1,432 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Gestures class recognizes swipes, long presses and double taps from any Pointer, and pinches and rotations from
+* two touch Pointers held down together. It's created automatically by the Input Manager as `game.input.gestures`,
+* and dispatches these Signals of the Input Manager:
+*
+* `game.input.onSwipe` - Sent the Pointer, the direction (Phaser.LEFT, Phaser.RIGHT, Phaser.UP or Phaser.DOWN), the distance in pixels and the velocity in pixels per ms.
+* `game.input.onPinch` - Sent the scale since the two Pointers went down, the change in scale since the last update and the point between the Pointers.
+* `game.input.onRotate` - Sent the rotation since the two Pointers went down, the change since the last update, both in radians, and the point between the Pointers.
+* `game.input.onLongPress` - Sent the Pointer.
+* `game.input.onDoubleTap` - Sent the Pointer.
+*
+* For example to zoom the camera with a pinch:
+*
+* ```javascript
+* game.input.onPinch.add(function (scale, change) {
+*     game.camera.scale.multiply(change, change);
+* });
+* ```
+*
+* The thresholds are all properties of this class, and are in pixels and milliseconds, based on Game.time.time.
+* Pointers that take part in a pinch or rotation never count as a swipe, long press or tap.
+*
+* @class Phaser.Gestures
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.Gestures = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * @property {boolean} enabled - Gestures are only recognized while this is true.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {number} swipeDistance - The shortest distance a Pointer must move between going down and being released for a swipe.
+    * @default
+    */
+    this.swipeDistance = 50;
+
+    /**
+    * @property {number} swipeTime - The longest time a Pointer can be held down for a swipe.
+    * @default
+    */
+    this.swipeTime = 500;
+
+    /**
+    * @property {number} swipeVelocity - The slowest a Pointer can move for a swipe, in pixels per ms.
+    * @default
+    */
+    this.swipeVelocity = 0.3;
+
+    /**
+    * @property {number} pinchThreshold - How far the distance between two Pointers must change before a pinch starts.
+    * @default
+    */
+    this.pinchThreshold = 10;
+
+    /**
+    * @property {number} rotateThreshold - How far two Pointers must turn around each other before a rotation starts, in degrees.
+    * @default
+    */
+    this.rotateThreshold = 10;
+
+    /**
+    * @property {number} longPressTime - How long a Pointer must be held down for a long press.
+    * @default
+    */
+    this.longPressTime = 500;
+
+    /**
+    * @property {number} longPressDistance - How far a Pointer can move while being held for a long press.
+    * @default
+    */
+    this.longPressDistance = 10;
+
+    /**
+    * @property {number} tapTime - The longest time a Pointer can be held down for a tap.
+    * @default
+    */
+    this.tapTime = 200;
+
+    /**
+    * @property {number} tapDistance - How far a Pointer can move while being held for a tap.
+    * @default
+    */
+    this.tapDistance = 10;
+
+    /**
+    * @property {number} doubleTapTime - The longest time between the release of the first tap and the second one for a double tap.
+    * @default
+    */
+    this.doubleTapTime = 300;
+
+    /**
+    * @property {number} doubleTapDistance - How far apart the two taps of a double tap can be.
+    * @default
+    */
+    this.doubleTapDistance = 20;
+
+    /**
+    * @property {boolean} isPinching - Are two Pointers being pinched?
+    * @readonly
+    */
+    this.isPinching = false;
+
+    /**
+    * @property {boolean} isRotating - Are two Pointers being rotated?
+    * @readonly
+    */
+    this.isRotating = false;
+
+    /**
+    * @property {number} scale - The scale of the current pinch, or of the last one if there isn't a pinch going on.
+    * @readonly
+    */
+    this.scale = 1;
+
+    /**
+    * @property {number} rotation - The rotation of the current rotation gesture in radians, or of the last one if there isn't one going on.
+    * @readonly
+    */
+    this.rotation = 0;
+
+    /**
+    * @property {Phaser.Point} center - The point between the two Pointers of the current pinch or rotation, in game coordinates.
+    * @readonly
+    */
+    this.center = new Phaser.Point();
+
+    /**
+    * @property {array} _tracks - The down position and state of each Pointer, by Pointer id.
+    * @private
+    */
+    this._tracks = [];
+
+    /**
+    * @property {array<Phaser.Pointer>} _pair - The two Pointers of the current pinch or rotation.
+    * @private
+    */
+    this._pair = [];
+
+    /**
+    * @property {number} _startDistance - The distance between the two Pointers when they went down.
+    * @private
+    */
+    this._startDistance = 0;
+
+    /**
+    * @property {number} _startAngle - The angle between the two Pointers when they went down.
+    * @private
+    */
+    this._startAngle = 0;
+
+    /**
+    * @property {number} _lastTapTime - The time of the last tap, or -1 if it has been used in a double tap.
+    * @private
+    */
+    this._lastTapTime = -1;
+
+    /**
+    * @property {Phaser.Point} _lastTapPosition - The position of the last tap.
+    * @private
+    */
+    this._lastTapPosition = new Phaser.Point();
+
+};
+
+Phaser.Gestures.prototype = {
+
+    /**
+    * Starts tracking a Pointer. Called automatically by Phaser.Pointer when it goes down.
+    *
+    * @method Phaser.Gestures#pointerDown
+    * @protected
+    * @param {Phaser.Pointer} pointer - The Pointer that went down.
+    */
+    pointerDown: function (pointer) {
+
+        this._tracks[pointer.id] = {
+            x: pointer.x,
+            y: pointer.y,
+            time: this.game.time.time,
+            maxDistance: 0,
+            longPressSent: false,
+            multi: false
+        };
+
+    },
+
+    /**
+    * Checks a released Pointer for a swipe or tap. Called automatically by Phaser.Pointer when it's released.
+    *
+    * @method Phaser.Gestures#pointerUp
+    * @protected
+    * @param {Phaser.Pointer} pointer - The Pointer that was released.
+    */
+    pointerUp: function (pointer) {
+
+        var track = this._tracks[pointer.id];
+
+        this._tracks[pointer.id] = null;
+
+        if (!track || track.multi || track.longPressSent || !this.enabled)
+        {
+            return;
+        }
+
+        var input = this.game.input;
+        var time = this.game.time.time;
+        var duration = time - track.time;
+        var dx = pointer.x - track.x;
+        var dy = pointer.y - track.y;
+        var distance = Math.sqrt(dx * dx + dy * dy);
+
+        track.maxDistance = Math.max(track.maxDistance, distance);
+
+        if (distance >= this.swipeDistance && duration <= this.swipeTime && distance / Math.max(duration, 1) >= this.swipeVelocity)
+        {
+            var direction;
+
+            if (Math.abs(dx) > Math.abs(dy))
+            {
+                direction = (dx < 0) ? Phaser.LEFT : Phaser.RIGHT;
+            }
+            else
+            {
+                direction = (dy < 0) ? Phaser.UP : Phaser.DOWN;
+            }
+
+            input.onSwipe.dispatch(pointer, direction, distance, distance / Math.max(duration, 1));
+        }
+        else if (duration <= this.tapTime && track.maxDistance <= this.tapDistance)
+        {
+            if (this._lastTapTime >= 0 && time - this._lastTapTime <= this.doubleTapTime &&
+                this._lastTapPosition.distance(pointer.position) <= this.doubleTapDistance)
+            {
+                this._lastTapTime = -1;
+
+                input.onDoubleTap.dispatch(pointer);
+            }
+            else
+            {
+                this._lastTapTime = time;
+                this._lastTapPosition.copyFrom(pointer.position);
+            }
+        }
+
+    },
+
+    /**
+    * Checks the Pointers being held for long presses, pinches and rotations. Called automatically by the Input Manager.
+    *
+    * @method Phaser.Gestures#update
+    * @protected
+    */
+    update: function () {
+
+        var input = this.game.input;
+
+        for (var i = -1; i < input.pointers.length; i++)
+        {
+            var pointer = (i === -1) ? input.mousePointer : input.pointers[i];
+            var track = this._tracks[pointer.id];
+
+            if (!track || !pointer.isDown)
+            {
+                continue;
+            }
+
+            track.maxDistance = Math.max(track.maxDistance, Phaser.Math.distance(track.x, track.y, pointer.x, pointer.y));
+
+            if (this.enabled && !track.longPressSent && !track.multi &&
+                track.maxDistance <= this.longPressDistance && this.game.time.time - track.time >= this.longPressTime)
+            {
+                track.longPressSent = true;
+
+                input.onLongPress.dispatch(pointer);
+            }
+        }
+
+        this.updatePair();
+
+    },
+
+    /**
+    * Finds the first two touch Pointers that are down, and checks them for a pinch or rotation.
+    *
+    * @method Phaser.Gestures#updatePair
+    * @private
+    */
+    updatePair: function () {
+
+        var pointers = this.game.input.pointers;
+        var a = null;
+        var b = null;
+
+        for (var i = 0; i < pointers.length; i++)
+        {
+            if (pointers[i].isDown && this._tracks[pointers[i].id])
+            {
+                if (a === null)
+                {
+                    a = pointers[i];
+                }
+                else
+                {
+                    b = pointers[i];
+                    break;
+                }
+            }
+        }
+
+        if (b === null || !this.enabled)
+        {
+            this.endPair();
+            return;
+        }
+
+        var distance = Phaser.Math.distance(a.x, a.y, b.x, b.y);
+        var angle = Math.atan2(b.y - a.y, b.x - a.x);
+
+        this.center.setTo((a.x + b.x) / 2, (a.y + b.y) / 2);
+
+        if (this._pair[0] !== a || this._pair[1] !== b)
+        {
+            this.endPair();
+
+            this._pair[0] = a;
+            this._pair[1] = b;
+            this._startDistance = distance;
+            this._startAngle = angle;
+
+            this.scale = 1;
+            this.rotation = 0;
+
+            this._tracks[a.id].multi = true;
+            this._tracks[b.id].multi = true;
+
+            return;
+        }
+
+        var input = this.game.input;
+
+        if (this._startDistance > 0 && (this.isPinching || Math.abs(distance - this._startDistance) >= this.pinchThreshold))
+        {
+            var scale = distance / this._startDistance;
+            var scaleChange = (this.isPinching) ? scale / this.scale : scale;
+
+            this.isPinching = true;
+            this.scale = scale;
+
+            if (scaleChange !== 1)
+            {
+                input.onPinch.dispatch(scale, scaleChange, this.center);
+            }
+        }
+
+        var rotation = Phaser.Math.wrapAngle(angle - this._startAngle, true);
+
+        if (this.isRotating || Math.abs(rotation) >= Phaser.Math.degToRad(this.rotateThreshold))
+        {
+            var rotationChange = (this.isRotating) ? Phaser.Math.wrapAngle(rotation - this.rotation, true) : rotation;
+
+            this.isRotating = true;
+            this.rotation = rotation;
+
+            if (rotationChange !== 0)
+            {
+                input.onRotate.dispatch(rotation, rotationChange, this.center);
+            }
+        }
+
+    },
+
+    /**
+    * Ends the current pinch and rotation.
+    *
+    * @method Phaser.Gestures#endPair
+    * @private
+    */
+    endPair: function () {
+
+        this._pair.length = 0;
+
+        this.isPinching = false;
+        this.isRotating = false;
+
+    },
+
+    /**
+    * Stops tracking all of the Pointers, and ends the current pinch and rotation.
+    * Called automatically by the Input Manager when it's reset.
+    *
+    * @method Phaser.Gestures#reset
+    */
+    reset: function () {
+
+        this._tracks.length = 0;
+        this._lastTapTime = -1;
+
+        this.endPair();
+
+    },
+
+    /**
+    * Stops tracking all of the Pointers and removes the references this class holds.
+    *
+    * @method Phaser.Gestures#destroy
+    */
+    destroy: function () {
+
+        this.reset();
+
+        this.game = null;
+
+    }
+
+};
+
+Phaser.Gestures.prototype.constructor = Phaser.Gestures;
@@ -273,6 +273,27 @@ Phaser.Input = function (game) {
     */
     this.gamepad = null;
 
+    /**
+    * The Input Recorder, which records the events from all of the input devices and can play them back.
+    *
+    * @property {Phaser.InputRecorder} recorder
+    */
+    this.recorder = null;
+
+    /**
+    * The Action Manager, which maps named actions such as "jump" to any number of keys, gamepad buttons, gamepad axes or pointer zones.
+    *
+    * @property {Phaser.ActionManager} actions
+    */
+    this.actions = null;
+
+    /**
+    * Recognizes swipes, pinches, rotations, long presses and double taps, and dispatches the gesture Signals of the Input Manager.
+    *
+    * @property {Phaser.Gestures} gestures
+    */
+    this.gestures = null;
+
     /**
     * If the Input Manager has been reset locked then all calls made to InputManager.reset, 
     * such as from a State change, are ignored.
@@ -305,6 +326,36 @@ Phaser.Input = function (game) {
     */
     this.onHold = null;
 
+    /**
+    * A Signal that is dispatched each time a pointer is swiped. See {@link Phaser.Gestures} for its arguments.
+    * @property {Phaser.Signal} onSwipe
+    */
+    this.onSwipe = null;
+
+    /**
+    * A Signal that is dispatched each update while two pointers are pinched. See {@link Phaser.Gestures} for its arguments.
+    * @property {Phaser.Signal} onPinch
+    */
+    this.onPinch = null;
+
+    /**
+    * A Signal that is dispatched each update while two pointers are rotated around each other. See {@link Phaser.Gestures} for its arguments.
+    * @property {Phaser.Signal} onRotate
+    */
+    this.onRotate = null;
+
+    /**
+    * A Signal that is dispatched each time a pointer is long pressed. See {@link Phaser.Gestures} for its arguments.
+    * @property {Phaser.Signal} onLongPress
+    */
+    this.onLongPress = null;
+
+    /**
+    * A Signal that is dispatched each time a pointer is double tapped. See {@link Phaser.Gestures} for its arguments.
+    * @property {Phaser.Signal} onDoubleTap
+    */
+    this.onDoubleTap = null;
+
     /**
     * You can tell all Pointers to ignore any Game Object with a `priorityID` lower than this value.
     * This is useful when stacking UI layers. Set to zero to disable.
@@ -390,6 +441,10 @@ Phaser.Input.prototype = {
         this.addPointer();
         this.addPointer();
 
+        this.recorder = new Phaser.InputRecorder(this.game);
+        this.actions = new Phaser.ActionManager(this.game);
+        this.gestures = new Phaser.Gestures(this.game);
+
         this.mouse = new Phaser.Mouse(this.game);
         this.touch = new Phaser.Touch(this.game);
         this.mspointer = new Phaser.MSPointer(this.game);
@@ -408,6 +463,11 @@ Phaser.Input.prototype = {
         this.onUp = new Phaser.Signal();
         this.onTap = new Phaser.Signal();
         this.onHold = new Phaser.Signal();
+        this.onSwipe = new Phaser.Signal();
+        this.onPinch = new Phaser.Signal();
+        this.onRotate = new Phaser.Signal();
+        this.onLongPress = new Phaser.Signal();
+        this.onDoubleTap = new Phaser.Signal();
 
         this.scale = new Phaser.Point(1, 1);
         this.speed = new Phaser.Point();
@@ -462,6 +522,10 @@ Phaser.Input.prototype = {
             this.gamepad.stop();
         }
 
+        this.recorder.destroy();
+        this.actions.destroy();
+        this.gestures.destroy();
+
         this.moveCallbacks = [];
 
         PIXI.CanvasPool.remove(this);
@@ -572,6 +636,19 @@ Phaser.Input.prototype = {
 
     },
 
+    /**
+    * Called by the core Game loop at the start of each logic update, before the State is updated.
+    * During playback this is when the Input Recorder sends the recorded events to the input devices.
+    * 
+    * @method Phaser.Input#preUpdate
+    * @protected
+    */
+    preUpdate: function () {
+
+        this.recorder.preUpdate();
+
+    },
+
     /**
     * Updates the Input Manager. Called by the core Game loop.
     * 
@@ -588,6 +665,7 @@ Phaser.Input.prototype = {
         if (this.pollRate > 0 && this._pollCounter < this.pollRate)
         {
             this._pollCounter++;
+            this.actions.update();
             return;
         }
 
@@ -607,8 +685,12 @@ Phaser.Input.prototype = {
             this.pointers[i].update();
         }
 
+        this.gestures.update();
+
         this._pollCounter = 0;
 
+        this.actions.update();
+
     },
 
     /**
@@ -648,6 +730,9 @@ Phaser.Input.prototype = {
             this.pointers[i].reset();
         }
 
+        this.actions.reset();
+        this.gestures.reset();
+
         if (this.game.canvas.style.cursor !== 'none')
         {
             this.game.canvas.style.cursor = 'inherit';
@@ -659,10 +744,20 @@ Phaser.Input.prototype = {
             this.onUp.dispose();
             this.onTap.dispose();
             this.onHold.dispose();
+            this.onSwipe.dispose();
+            this.onPinch.dispose();
+            this.onRotate.dispose();
+            this.onLongPress.dispose();
+            this.onDoubleTap.dispose();
             this.onDown = new Phaser.Signal();
             this.onUp = new Phaser.Signal();
             this.onTap = new Phaser.Signal();
             this.onHold = new Phaser.Signal();
+            this.onSwipe = new Phaser.Signal();
+            this.onPinch = new Phaser.Signal();
+            this.onRotate = new Phaser.Signal();
+            this.onLongPress = new Phaser.Signal();
+            this.onDoubleTap = new Phaser.Signal();
             this.moveCallbacks = [];
         }
 
@@ -0,0 +1,485 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* An Input Action is a named action in your game, such as "jump" or "moveX", that is bound to any number of
+* keys, gamepad buttons, gamepad axes or pointer zones. They are created and updated by {@link Phaser.ActionManager}.
+*
+* Each binding is a plain object, so they can be saved as JSON, with one of these forms:
+*
+* `{ key: Phaser.KeyCode.SPACEBAR }` - A key on the keyboard. You can also just give the key code.
+* `{ button: Phaser.Gamepad.XBOX360_A, pad: 0 }` - A gamepad button. If `pad` is not given the button on any gamepad will do.
+* `{ axis: Phaser.Gamepad.XBOX360_STICK_LEFT_X, pad: 0, direction: -1 }` - A gamepad axis. If `direction` is given only that half of the axis is used, as a value from 0 to 1.
+* `{ zone: { x: 0, y: 400, width: 200, height: 200 } }` - Any pointer held down within this area of the game, in game coordinates.
+*
+* Each binding can also have a `scale`, which its value is multiplied by. For example you could bind the left
+* arrow key with a scale of -1 and the right arrow key with a scale of 1 to a "moveX" action.
+*
+* Every logic update the value of each binding is read and the one furthest from zero becomes the value of the action.
+* The action is down while its value is at least `threshold` away from zero.
+*
+* @class Phaser.InputAction
+* @constructor
+* @param {Phaser.ActionManager} manager - A reference to the Action Manager that owns this action.
+* @param {string} name - The name of the action.
+* @param {array} [bindings] - The bindings of the action.
+*/
+Phaser.InputAction = function (manager, name, bindings) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = manager.game;
+
+    /**
+    * @property {Phaser.ActionManager} manager - A reference to the Action Manager that owns this action.
+    */
+    this.manager = manager;
+
+    /**
+    * @property {string} name - The name of the action.
+    * @readonly
+    */
+    this.name = name;
+
+    /**
+    * @property {array} bindings - The bindings of the action. Use `bind` and `unbind` to change them.
+    * @readonly
+    */
+    this.bindings = [];
+
+    /**
+    * @property {boolean} enabled - A disabled action has a value of zero, and is never down.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {number} threshold - How far the value of the action must be from zero for it to be down.
+    * @default
+    */
+    this.threshold = 0.5;
+
+    /**
+    * @property {number} value - The value of the action during the last logic update, from -1 to 1 unless you use a larger binding scale.
+    * @readonly
+    */
+    this.value = 0;
+
+    /**
+    * @property {boolean} isDown - Was the action down during the last logic update?
+    * @readonly
+    */
+    this.isDown = false;
+
+    /**
+    * @property {boolean} justPressed - Did the action go down during the last logic update?
+    * @readonly
+    */
+    this.justPressed = false;
+
+    /**
+    * @property {boolean} justReleased - Was the action released during the last logic update?
+    * @readonly
+    */
+    this.justReleased = false;
+
+    /**
+    * @property {number} timeDown - The time the action last went down. This is based on Game.time.time.
+    * @readonly
+    */
+    this.timeDown = 0;
+
+    /**
+    * @property {number} timeUp - The time the action was last released. This is based on Game.time.time.
+    * @readonly
+    */
+    this.timeUp = 0;
+
+    /**
+    * @property {Phaser.Signal} onDown - This Signal is dispatched every time the action goes down. It's sent the action as its only argument.
+    */
+    this.onDown = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onUp - This Signal is dispatched every time the action is released. It's sent the action as its only argument.
+    */
+    this.onUp = new Phaser.Signal();
+
+    if (bindings)
+    {
+        for (var i = 0; i < bindings.length; i++)
+        {
+            this.bind(bindings[i]);
+        }
+    }
+
+};
+
+Phaser.InputAction.prototype = {
+
+    /**
+    * Adds a binding to this action. If the action already has the same binding it's updated instead of being added again.
+    *
+    * @method Phaser.InputAction#bind
+    * @param {object|integer} binding - The binding to add, or a key code.
+    * @param {integer} [index] - Replace the binding at this index with the new one. If not given the binding is added to the end.
+    * @return {object} The binding that was added, or null if it wasn't valid.
+    */
+    bind: function (binding, index) {
+
+        binding = Phaser.InputAction.parseBinding(binding);
+
+        if (binding === null)
+        {
+            return null;
+        }
+
+        var existing = this.indexOf(binding);
+
+        if (existing !== -1 && index === undefined)
+        {
+            //  Already bound, but the scale may have changed
+            this.bindings[existing] = binding;
+
+            return binding;
+        }
+
+        if (existing !== -1 && existing !== index)
+        {
+            this.bindings.splice(existing, 1);
+
+            if (existing < index)
+            {
+                index--;
+            }
+        }
+
+        if (index >= 0 && index < this.bindings.length)
+        {
+            this.bindings[index] = binding;
+        }
+        else
+        {
+            this.bindings.push(binding);
+        }
+
+        return binding;
+
+    },
+
+    /**
+    * Removes a binding from this action. The scale of the binding doesn't need to match.
+    *
+    * @method Phaser.InputAction#unbind
+    * @param {object|integer} binding - The binding to remove, or a key code.
+    * @return {boolean} True if the binding was removed, false if the action didn't have it.
+    */
+    unbind: function (binding) {
+
+        var index = this.indexOf(Phaser.InputAction.parseBinding(binding));
+
+        if (index === -1)
+        {
+            return false;
+        }
+
+        this.bindings.splice(index, 1);
+
+        return true;
+
+    },
+
+    /**
+    * Removes all of the bindings from this action.
+    *
+    * @method Phaser.InputAction#unbindAll
+    */
+    unbindAll: function () {
+
+        this.bindings.length = 0;
+
+    },
+
+    /**
+    * Gets the index of a binding of this action. The scale of the binding doesn't need to match.
+    *
+    * @method Phaser.InputAction#indexOf
+    * @param {object} binding - The binding to look for.
+    * @return {integer} The index of the binding, or -1 if the action doesn't have it.
+    */
+    indexOf: function (binding) {
+
+        if (!binding)
+        {
+            return -1;
+        }
+
+        var id = Phaser.InputAction.getBindingId(binding);
+
+        for (var i = 0; i < this.bindings.length; i++)
+        {
+            if (Phaser.InputAction.getBindingId(this.bindings[i]) === id)
+            {
+                return i;
+            }
+        }
+
+        return -1;
+
+    },
+
+    /**
+    * Reads the value of every binding and updates the state of the action. Called by the Action Manager every logic update.
+    *
+    * @method Phaser.InputAction#update
+    * @protected
+    */
+    update: function () {
+
+        var value = 0;
+
+        if (this.enabled && this.manager.enabled && this.game.input.enabled)
+        {
+            for (var i = 0; i < this.bindings.length; i++)
+            {
+                var bindingValue = this.getBindingValue(this.bindings[i]);
+
+                if (Math.abs(bindingValue) > Math.abs(value))
+                {
+                    value = bindingValue;
+                }
+            }
+        }
+
+        this.setValue(value);
+
+    },
+
+    /**
+    * Sets the value of the action and updates its down state, dispatching `onDown` or `onUp` if it changed.
+    *
+    * @method Phaser.InputAction#setValue
+    * @private
+    * @param {number} value - The new value.
+    */
+    setValue: function (value) {
+
+        var down = Math.abs(value) >= this.threshold && value !== 0;
+
+        this.value = value;
+        this.justPressed = (down && !this.isDown);
+        this.justReleased = (!down && this.isDown);
+        this.isDown = down;
+
+        if (this.justPressed)
+        {
+            this.timeDown = this.game.time.time;
+            this.onDown.dispatch(this);
+        }
+        else if (this.justReleased)
+        {
+            this.timeUp = this.game.time.time;
+            this.onUp.dispatch(this);
+        }
+
+    },
+
+    /**
+    * Gets the current value of a binding.
+    *
+    * @method Phaser.InputAction#getBindingValue
+    * @private
+    * @param {object} binding - The binding to read.
+    * @return {number} The value of the binding, multiplied by its scale.
+    */
+    getBindingValue: function (binding) {
+
+        var input = this.game.input;
+        var value = 0;
+        var i;
+
+        if (binding.key !== undefined)
+        {
+            if (input.keyboard && input.keyboard.isDown(binding.key))
+            {
+                value = 1;
+            }
+        }
+        else if (binding.zone)
+        {
+            var zone = binding.zone;
+
+            for (i = -1; i < input.pointers.length; i++)
+            {
+                var pointer = (i === -1) ? input.mousePointer : input.pointers[i];
+
+                if (pointer.isDown && pointer.x >= zone.x && pointer.x < zone.x + zone.width && pointer.y >= zone.y && pointer.y < zone.y + zone.height)
+                {
+                    value = 1;
+                    break;
+                }
+            }
+        }
+        else if (input.gamepad && input.gamepad.active)
+        {
+            var pads = input.gamepad._gamepads;
+
+            for (i = 0; i < pads.length; i++)
+            {
+                if (!pads[i].connected || (binding.pad !== undefined && binding.pad !== i))
+                {
+                    continue;
+                }
+
+                var padValue = (binding.button !== undefined) ? pads[i].buttonValue(binding.button) : pads[i].axis(binding.axis);
+
+                padValue = padValue || 0;
+
+                if (binding.direction)
+                {
+                    padValue = Math.max(0, padValue * binding.direction);
+                }
+
+                if (Math.abs(padValue) > Math.abs(value))
+                {
+                    value = padValue;
+                }
+            }
+        }
+
+        return (binding.scale === undefined) ? value : value * binding.scale;
+
+    },
+
+    /**
+    * Releases the action, and clears its just pressed and just released states, without dispatching `onUp`.
+    *
+    * @method Phaser.InputAction#reset
+    */
+    reset: function () {
+
+        this.value = 0;
+        this.isDown = false;
+        this.justPressed = false;
+        this.justReleased = false;
+
+    },
+
+    /**
+    * Removes all bindings and listeners from this action.
+    *
+    * @method Phaser.InputAction#destroy
+    */
+    destroy: function () {
+
+        this.unbindAll();
+
+        this.onDown.dispose();
+        this.onUp.dispose();
+
+        this.manager = null;
+        this.game = null;
+
+    }
+
+};
+
+Phaser.InputAction.prototype.constructor = Phaser.InputAction;
+
+/**
+* Checks a binding and returns a copy of it holding only the known properties, so it can be safely stored and saved as JSON.
+*
+* @method Phaser.InputAction.parseBinding
+* @static
+* @param {object|integer} binding - The binding to check, or a key code.
+* @return {object} The copy of the binding, or null if it isn't valid.
+*/
+Phaser.InputAction.parseBinding = function (binding) {
+
+    if (typeof binding === 'number')
+    {
+        binding = { key: binding };
+    }
+
+    if (!binding || typeof binding !== 'object')
+    {
+        console.warn('Phaser.InputAction.parseBinding: Invalid binding');
+        return null;
+    }
+
+    var result = {};
+
+    if (typeof binding.key === 'number')
+    {
+        result.key = binding.key;
+    }
+    else if (typeof binding.button === 'number')
+    {
+        result.button = binding.button;
+    }
+    else if (typeof binding.axis === 'number')
+    {
+        result.axis = binding.axis;
+
+        if (binding.direction)
+        {
+            result.direction = (binding.direction < 0) ? -1 : 1;
+        }
+    }
+    else if (binding.zone)
+    {
+        result.zone = { x: binding.zone.x, y: binding.zone.y, width: binding.zone.width, height: binding.zone.height };
+    }
+    else
+    {
+        console.warn('Phaser.InputAction.parseBinding: A binding needs a key, button, axis or zone');
+        return null;
+    }
+
+    if ((result.button !== undefined || result.axis !== undefined) && typeof binding.pad === 'number')
+    {
+        result.pad = binding.pad;
+    }
+
+    if (typeof binding.scale === 'number' && binding.scale !== 1)
+    {
+        result.scale = binding.scale;
+    }
+
+    return result;
+
+};
+
+/**
+* Gets a string that identifies the input a binding reads, ignoring its scale.
+*
+* @method Phaser.InputAction.getBindingId
+* @static
+* @private
+* @param {object} binding - The binding.
+* @return {string} The identifier of the binding.
+*/
+Phaser.InputAction.getBindingId = function (binding) {
+
+    if (binding.key !== undefined)
+    {
+        return 'key:' + binding.key;
+    }
+    else if (binding.zone)
+    {
+        return 'zone:' + binding.zone.x + ',' + binding.zone.y + ',' + binding.zone.width + ',' + binding.zone.height;
+    }
+    else if (binding.button !== undefined)
+    {
+        return 'button:' + binding.button + ':' + binding.pad;
+    }
+    else
+    {
+        return 'axis:' + binding.axis + ':' + binding.pad + ':' + binding.direction;
+    }
+
+};
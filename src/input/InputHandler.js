@@ -472,7 +472,8 @@ Phaser.InputHandler.prototype = {
             this.sprite.scale.x === 0 ||
             this.sprite.scale.y === 0 ||
             this.priorityID < this.game.input.minPriorityID ||
-            (this.sprite.parent && this.sprite.parent.ignoreChildInput))
+            (this.sprite.parent && this.sprite.parent.ignoreChildInput) ||
+            !this.game.state.acceptsInput(this.sprite))
         {
             return false;
         }
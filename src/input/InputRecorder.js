@@ -0,0 +1,686 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Input Recorder records the Keyboard, Mouse, Touch, MSPointer and Gamepad events your game receives, along with
+* the logic update (frame) each one arrived on, and can then play them back into the Input Manager. It's ideal for
+* attaching a reproduction to a bug report, or for driving a regression test.
+*
+* It's available via `game.input.recorder`. Call `record` to begin recording and `stop` to finish, which returns the log.
+* The log is a plain object that can be turned into compact JSON with `exportLog`, and loaded again with `importLog`.
+* Calling `play` feeds the recorded events back into the input devices at the start of the same logic updates they were
+* recorded on, in place of the DOM events. While playing, events from the browser are ignored.
+*
+* The state of `game.rnd` is stored in the log and restored when playback starts, so random values drawn from it repeat.
+* Pointer coordinates are stored in game space, so a log can be replayed in a page with a different layout or scale.
+*
+* For a replay to match the original recording the game must do the same amount of work per logic update each time.
+* Anything based on the real clock, such as time-based Tweens, Timers and Animations, or `Math.random`, can cause the
+* two to drift apart. Running the game in fixed-timestep mode (see `Game.fixedStep`) keeps the logic updates steady.
+* Start recording and playback at the same point, such as in the `create` method of a State.
+*
+* @class Phaser.InputRecorder
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.InputRecorder = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * @property {boolean} isRecording - Is the recorder currently recording events?
+    * @readonly
+    */
+    this.isRecording = false;
+
+    /**
+    * @property {boolean} isPlaying - Is the recorder currently playing back a log?
+    * @readonly
+    */
+    this.isPlaying = false;
+
+    /**
+    * @property {integer} frame - The number of logic updates since recording or playback began.
+    * @readonly
+    */
+    this.frame = 0;
+
+    /**
+    * @property {Phaser.Signal} onPlaybackComplete - This signal is dispatched when every frame of the log has been played back. It's sent the log as its only argument.
+    */
+    this.onPlaybackComplete = new Phaser.Signal();
+
+    /**
+    * @property {object} _log - The log being recorded or played back.
+    * @private
+    */
+    this._log = null;
+
+    /**
+    * @property {integer} _cursor - The index of the next event to be played back.
+    * @private
+    */
+    this._cursor = 0;
+
+    /**
+    * @property {array} _padStates - The last recorded state of each gamepad slot, as a JSON string.
+    * @private
+    */
+    this._padStates = [];
+
+    /**
+    * @property {array} _pads - The raw gamepad objects given to Phaser.Gamepad during playback.
+    * @private
+    */
+    this._pads = [];
+
+};
+
+/**
+* The version of the log format created by the recorder.
+* @constant
+* @type {integer}
+*/
+Phaser.InputRecorder.VERSION = 1;
+
+/**
+* The input device method and DOM event type for each event code used in the log.
+* The first character of each code identifies the device: `k`eyboard, `m`ouse, `t`ouch or ms`p`ointer.
+* @constant
+* @type {object}
+*/
+Phaser.InputRecorder.EVENTS = {
+    kd: ['processKeyDown', 'keydown'],
+    ku: ['processKeyUp', 'keyup'],
+    kp: ['processKeyPress', 'keypress'],
+    md: ['onMouseDown', 'mousedown'],
+    mm: ['onMouseMove', 'mousemove'],
+    mu: ['onMouseUp', 'mouseup'],
+    mug: ['onMouseUpGlobal', 'mouseup'],
+    mog: ['onMouseOutGlobal', 'mouseout'],
+    mo: ['onMouseOut', 'mouseout'],
+    mv: ['onMouseOver', 'mouseover'],
+    mw: ['onMouseWheel', 'wheel'],
+    ts: ['onTouchStart', 'touchstart'],
+    tm: ['onTouchMove', 'touchmove'],
+    te: ['onTouchEnd', 'touchend'],
+    tn: ['onTouchEnter', 'touchenter'],
+    tl: ['onTouchLeave', 'touchleave'],
+    tc: ['onTouchCancel', 'touchcancel'],
+    pd: ['onPointerDown', 'pointerdown'],
+    pm: ['onPointerMove', 'pointermove'],
+    pu: ['onPointerUp', 'pointerup'],
+    pug: ['onPointerUpGlobal', 'pointerup'],
+    po: ['onPointerOut', 'pointerout'],
+    pv: ['onPointerOver', 'pointerover']
+};
+
+Phaser.InputRecorder.prototype = {
+
+    /**
+    * Starts recording input events. Any recording or playback already in progress is stopped first.
+    *
+    * The state of `game.rnd` is stored in the log. If you give a `seed` then `game.rnd` is re-seeded with it first.
+    *
+    * @method Phaser.InputRecorder#record
+    * @param {any} [seed] - A seed to reset `game.rnd` with before recording starts.
+    * @return {Phaser.InputRecorder} This InputRecorder object.
+    */
+    record: function (seed) {
+
+        this.stop();
+
+        if (seed !== undefined)
+        {
+            this.game.rnd.sow([seed]);
+        }
+
+        this._log = {
+            version: Phaser.InputRecorder.VERSION,
+            rnd: this.game.rnd.state(),
+            frames: 0,
+            events: []
+        };
+
+        this._padStates = [];
+        this.frame = 0;
+        this.isRecording = true;
+
+        return this;
+
+    },
+
+    /**
+    * Starts playing back a log. Any recording or playback already in progress is stopped first.
+    *
+    * The state of `game.rnd` is restored from the log, and from the next logic update onwards the recorded events
+    * are sent to the input devices in place of those from the browser.
+    *
+    * @method Phaser.InputRecorder#play
+    * @param {object|string} [log] - The log to play, either as returned by `stop` or as a JSON string. If not given the last recorded or imported log is played.
+    * @return {Phaser.InputRecorder} This InputRecorder object.
+    */
+    play: function (log) {
+
+        this.stop();
+
+        if (log !== undefined)
+        {
+            this.importLog(log);
+        }
+
+        if (!this._log)
+        {
+            console.warn('Phaser.InputRecorder.play: No log to play');
+            return this;
+        }
+
+        this.game.rnd.state(this._log.rnd);
+
+        this._cursor = 0;
+        this._pads = [undefined, undefined, undefined, undefined];
+        this.frame = 0;
+        this.isPlaying = true;
+
+        return this;
+
+    },
+
+    /**
+    * Stops recording or playing back.
+    *
+    * @method Phaser.InputRecorder#stop
+    * @return {object} The log that was being recorded or played back, or null if there isn't one.
+    */
+    stop: function () {
+
+        if (this.isRecording)
+        {
+            this._log.frames = this.frame;
+            this.isRecording = false;
+        }
+
+        this.isPlaying = false;
+        this._pads = [];
+
+        return this._log;
+
+    },
+
+    /**
+    * Returns the most recent log, as recorded, played or imported.
+    *
+    * @method Phaser.InputRecorder#getLog
+    * @return {object} The log, or null if there isn't one.
+    */
+    getLog: function () {
+
+        return this._log;
+
+    },
+
+    /**
+    * Returns the most recent log as a compact JSON string, ready to be saved or attached to a bug report.
+    * If recording is in progress the log covers the frames recorded so far.
+    *
+    * @method Phaser.InputRecorder#exportLog
+    * @return {string} The log as JSON, or null if there isn't one.
+    */
+    exportLog: function () {
+
+        if (!this._log)
+        {
+            return null;
+        }
+
+        if (this.isRecording)
+        {
+            this._log.frames = this.frame;
+        }
+
+        return JSON.stringify(this._log);
+
+    },
+
+    /**
+    * Loads a log so it can be played back with `play`.
+    *
+    * @method Phaser.InputRecorder#importLog
+    * @param {object|string} log - The log, either as returned by `stop` or as a JSON string created by `exportLog`.
+    * @return {object} The imported log, or null if it couldn't be read.
+    */
+    importLog: function (log) {
+
+        if (typeof log === 'string')
+        {
+            try
+            {
+                log = JSON.parse(log);
+            }
+            catch (e)
+            {
+                log = null;
+            }
+        }
+
+        if (!log || !Array.isArray(log.events))
+        {
+            console.warn('Phaser.InputRecorder.importLog: Invalid input log');
+            return null;
+        }
+
+        if (log.version > Phaser.InputRecorder.VERSION)
+        {
+            console.warn('Phaser.InputRecorder.importLog: Log version ' + log.version + ' is newer than supported');
+        }
+
+        this._log = log;
+
+        return log;
+
+    },
+
+    /**
+    * Called by the input devices with each event they receive from the browser.
+    * While recording the event is added to the log.
+    *
+    * @method Phaser.InputRecorder#capture
+    * @protected
+    * @param {string} code - The event code, as found in `Phaser.InputRecorder.EVENTS`.
+    * @param {Event} event - The native DOM event.
+    * @return {boolean} True if the device should process the event, or false if it should be ignored because a log is being played back.
+    */
+    capture: function (code, event) {
+
+        if (this.isPlaying)
+        {
+            return false;
+        }
+
+        if (this.isRecording)
+        {
+            this._log.events.push(this.encode(code, event));
+        }
+
+        return true;
+
+    },
+
+    /**
+    * Called by Phaser.Gamepad each time it polls the browser for gamepads.
+    * While recording any changes to the state of the gamepads are added to the log.
+    *
+    * @method Phaser.InputRecorder#captureGamepads
+    * @protected
+    * @param {array} rawGamepads - The raw gamepad objects returned by the browser.
+    */
+    captureGamepads: function (rawGamepads) {
+
+        if (!this.isRecording)
+        {
+            return;
+        }
+
+        for (var i = 0; i < 4; i++)
+        {
+            var rawPad = rawGamepads[i];
+            var data = null;
+
+            if (rawPad)
+            {
+                var buttons = [];
+
+                for (var b = 0; b < rawPad.buttons.length; b++)
+                {
+                    buttons.push(isNaN(rawPad.buttons[b]) ? rawPad.buttons[b].value : rawPad.buttons[b]);
+                }
+
+                data = [rawPad.id, buttons, Array.prototype.slice.call(rawPad.axes)];
+            }
+
+            var json = JSON.stringify(data);
+
+            if (json !== (this._padStates[i] || 'null'))
+            {
+                this._padStates[i] = json;
+
+                //  The gamepads are polled during the logic update, after the frame counter was advanced
+                var event = [this.frame - 1, 'gp', i];
+
+                if (data)
+                {
+                    event.push(data[0], data[1], data[2]);
+                }
+
+                this._log.events.push(event);
+            }
+        }
+
+    },
+
+    /**
+    * Returns the raw gamepad objects for Phaser.Gamepad to poll during playback.
+    *
+    * @method Phaser.InputRecorder#getGamepads
+    * @protected
+    * @return {array} The raw gamepad objects, one per slot.
+    */
+    getGamepads: function () {
+
+        return this._pads;
+
+    },
+
+    /**
+    * Called by the Input Manager at the start of each logic update.
+    * During playback this sends the events recorded for this frame to the input devices.
+    *
+    * @method Phaser.InputRecorder#preUpdate
+    * @protected
+    */
+    preUpdate: function () {
+
+        if (this.isPlaying)
+        {
+            var events = this._log.events;
+
+            while (this._cursor < events.length && events[this._cursor][0] <= this.frame)
+            {
+                this.dispatch(events[this._cursor]);
+                this._cursor++;
+            }
+
+            if (this.frame >= this._log.frames)
+            {
+                this.stop();
+                this.onPlaybackComplete.dispatch(this._log);
+                return;
+            }
+        }
+
+        if (this.isRecording || this.isPlaying)
+        {
+            this.frame++;
+        }
+
+    },
+
+    /**
+    * Converts a DOM event into a compact log entry.
+    *
+    * @method Phaser.InputRecorder#encode
+    * @private
+    * @param {string} code - The event code.
+    * @param {Event} event - The native DOM event.
+    * @return {array} The log entry.
+    */
+    encode: function (code, event) {
+
+        var data = [this.frame, code];
+        var device = code.charAt(0);
+
+        if (device === 'k')
+        {
+            data.push(code === 'kp' ? event.charCode : event.keyCode, this.getModifiers(event));
+        }
+        else if (code === 'mw')
+        {
+            data.push(event.deltaX || 0, event.deltaY || 0, event.deltaMode || 0, event.wheelDelta || 0, event.wheelDeltaX || 0, event.detail || 0);
+        }
+        else if (device === 'm')
+        {
+            this.encodePosition(event, data);
+            data.push(event.button, event.buttons, this.getMovement(event, 'X'), this.getMovement(event, 'Y'), this.getModifiers(event));
+        }
+        else if (device === 't')
+        {
+            for (var i = 0; i < event.changedTouches.length; i++)
+            {
+                var touch = event.changedTouches[i];
+
+                data.push(touch.identifier);
+                this.encodePosition(touch, data);
+            }
+        }
+        else
+        {
+            data.push(event.pointerId, event.pointerType);
+            this.encodePosition(event, data);
+            data.push(event.button, event.buttons, this.getModifiers(event));
+        }
+
+        return data;
+
+    },
+
+    /**
+    * Adds the game space position of the given event or touch to a log entry.
+    *
+    * @method Phaser.InputRecorder#encodePosition
+    * @private
+    * @param {object} event - The native DOM event or touch.
+    * @param {array} data - The log entry.
+    */
+    encodePosition: function (event, data) {
+
+        var input = this.game.input;
+        var offset = this.game.scale.offset;
+
+        data.push((event.pageX - offset.x) * input.scale.x, (event.pageY - offset.y) * input.scale.y);
+
+    },
+
+    /**
+    * Sets the page, client and screen coordinates of a synthetic event from a game space position.
+    *
+    * @method Phaser.InputRecorder#decodePosition
+    * @private
+    * @param {object} event - The synthetic event or touch.
+    * @param {number} x - The x coordinate in game space.
+    * @param {number} y - The y coordinate in game space.
+    * @return {object} The event.
+    */
+    decodePosition: function (event, x, y) {
+
+        var input = this.game.input;
+        var offset = this.game.scale.offset;
+
+        event.pageX = event.clientX = event.screenX = x / input.scale.x + offset.x;
+        event.pageY = event.clientY = event.screenY = y / input.scale.y + offset.y;
+
+        return event;
+
+    },
+
+    /**
+    * Packs the modifier keys of an event into a bitmask: 1 = alt, 2 = ctrl, 4 = shift, 8 = meta.
+    *
+    * @method Phaser.InputRecorder#getModifiers
+    * @private
+    * @param {Event} event - The native DOM event.
+    * @return {integer} The bitmask.
+    */
+    getModifiers: function (event) {
+
+        return (event.altKey ? 1 : 0) | (event.ctrlKey ? 2 : 0) | (event.shiftKey ? 4 : 0) | (event.metaKey ? 8 : 0);
+
+    },
+
+    /**
+    * Gets the pointer lock movement of a mouse event on the given axis.
+    *
+    * @method Phaser.InputRecorder#getMovement
+    * @private
+    * @param {MouseEvent} event - The native DOM event.
+    * @param {string} axis - Either 'X' or 'Y'.
+    * @return {number} The movement.
+    */
+    getMovement: function (event, axis) {
+
+        return event['movement' + axis] || event['mozMovement' + axis] || event['webkitMovement' + axis] || 0;
+
+    },
+
+    /**
+    * Builds a synthetic event from a log entry and sends it to the input device it was recorded from.
+    *
+    * @method Phaser.InputRecorder#dispatch
+    * @private
+    * @param {array} data - The log entry.
+    */
+    dispatch: function (data) {
+
+        var code = data[1];
+
+        if (code === 'gp')
+        {
+            this.setGamepad(data);
+            return;
+        }
+
+        var handler = Phaser.InputRecorder.EVENTS[code];
+        var input = this.game.input;
+        var device = code.charAt(0);
+        var target = { k: input.keyboard, m: input.mouse, t: input.touch, p: input.mspointer }[device];
+
+        if (!handler || !target)
+        {
+            return;
+        }
+
+        var event = {
+            type: handler[1],
+            target: this.game.canvas,
+            timeStamp: this.game.time.time,
+            preventDefault: function () {},
+            stopPropagation: function () {}
+        };
+
+        if (device === 'k')
+        {
+            event.keyCode = event.which = data[2];
+            event.charCode = (code === 'kp') ? data[2] : 0;
+            this.setModifiers(event, data[3]);
+        }
+        else if (code === 'mw')
+        {
+            event.deltaX = data[2];
+            event.deltaY = data[3];
+            event.deltaMode = data[4];
+            event.wheelDelta = data[5];
+            event.wheelDeltaX = data[6];
+            event.detail = data[7];
+        }
+        else if (device === 'm')
+        {
+            this.decodePosition(event, data[2], data[3]);
+            event.button = data[4];
+            event.buttons = data[5];
+            event.movementX = data[6];
+            event.movementY = data[7];
+            this.setModifiers(event, data[8]);
+        }
+        else if (device === 't')
+        {
+            event.changedTouches = [];
+
+            for (var i = 2; i < data.length; i += 3)
+            {
+                event.changedTouches.push(this.decodePosition({ identifier: data[i], target: this.game.canvas }, data[i + 1], data[i + 2]));
+            }
+
+            event.touches = event.targetTouches = event.changedTouches;
+        }
+        else
+        {
+            event.pointerId = data[2];
+            event.pointerType = data[3];
+            this.decodePosition(event, data[4], data[5]);
+            event.button = data[6];
+            event.buttons = data[7];
+            this.setModifiers(event, data[8]);
+        }
+
+        target[handler[0]](event);
+
+    },
+
+    /**
+    * Sets the modifier key properties of a synthetic event from a bitmask created by `getModifiers`.
+    *
+    * @method Phaser.InputRecorder#setModifiers
+    * @private
+    * @param {object} event - The synthetic event.
+    * @param {integer} modifiers - The bitmask.
+    */
+    setModifiers: function (event, modifiers) {
+
+        event.altKey = (modifiers & 1) !== 0;
+        event.ctrlKey = (modifiers & 2) !== 0;
+        event.shiftKey = (modifiers & 4) !== 0;
+        event.metaKey = (modifiers & 8) !== 0;
+
+    },
+
+    /**
+    * Updates the raw gamepad object of a slot from a log entry during playback.
+    *
+    * @method Phaser.InputRecorder#setGamepad
+    * @private
+    * @param {array} data - The log entry.
+    */
+    setGamepad: function (data) {
+
+        var slot = data[2];
+
+        if (data.length < 4)
+        {
+            //  Disconnected. Phaser.Gamepad spots connections by the type of each slot changing, so this can't be null.
+            this._pads[slot] = undefined;
+            return;
+        }
+
+        var buttons = [];
+
+        for (var i = 0; i < data[4].length; i++)
+        {
+            buttons.push({ value: data[4][i], pressed: data[4][i] > 0.5 });
+        }
+
+        //  A new object each time, like the browsers, with a timestamp so SinglePad knows it has changed
+        this._pads[slot] = {
+            index: slot,
+            id: data[3],
+            connected: true,
+            mapping: '',
+            timestamp: data[0] + 1,
+            buttons: buttons,
+            axes: data[5].slice()
+        };
+
+    },
+
+    /**
+    * Stops any recording or playback and removes the signal listeners.
+    *
+    * @method Phaser.InputRecorder#destroy
+    */
+    destroy: function () {
+
+        this.stop();
+
+        this.onPlaybackComplete.dispose();
+
+        this._log = null;
+
+    }
+
+};
+
+Phaser.InputRecorder.prototype.constructor = Phaser.InputRecorder;
@@ -0,0 +1,316 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Key Combo is a sequence of keys that must be pressed in order, such as a cheat code or a fighting game special move.
+* Create them with {@link Phaser.Keyboard#createCombo}. When the whole sequence has been entered the combo dispatches
+* its `onMatch` Signal, and the Keyboard dispatches `onCombo`.
+*
+* Each step of the sequence is either a single key, or an array of keys that must be held down together (a chord).
+* A step that follows a chord can also be entered by releasing keys from the chord, so the fighting game motion
+* down, down-right, right (`[DOWN, [DOWN, RIGHT], RIGHT]`) matches when the player rolls from the down key onto the right one.
+*
+* @class Phaser.KeyCombo
+* @constructor
+* @param {Phaser.Keyboard} keyboard - A reference to the Keyboard that owns this combo.
+* @param {string|array} keys - The sequence. Either a string, where each character is the key of a letter or number, or an array of key codes, Phaser.Key objects or arrays of them for chords.
+* @param {object} [config] - The settings of the combo.
+* @param {boolean} [config.resetOnWrongKey=true] - Go back to the start of the sequence if a key that isn't the next one is pressed?
+* @param {number} [config.maxKeyDelay=0] - The most time allowed between each step, in ms, before the sequence goes back to the start. Zero means no limit.
+* @param {boolean} [config.deleteOnMatch=false] - Remove the combo from the Keyboard once it has been matched?
+*/
+Phaser.KeyCombo = function (keyboard, keys, config) {
+
+    if (config === undefined) { config = {}; }
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = keyboard.game;
+
+    /**
+    * @property {Phaser.Keyboard} keyboard - A reference to the Keyboard that owns this combo.
+    */
+    this.keyboard = keyboard;
+
+    /**
+    * @property {array} steps - The sequence, as an array with an array of key codes for each step.
+    * @readonly
+    */
+    this.steps = Phaser.KeyCombo.parseKeys(keys);
+
+    /**
+    * @property {boolean} enabled - A disabled combo ignores all key presses.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {boolean} resetOnWrongKey - Go back to the start of the sequence if a key that isn't the next one is pressed?
+    */
+    this.resetOnWrongKey = (config.resetOnWrongKey === undefined) ? true : config.resetOnWrongKey;
+
+    /**
+    * @property {number} maxKeyDelay - The most time allowed between each step, in ms, before the sequence goes back to the start. Zero means no limit.
+    */
+    this.maxKeyDelay = config.maxKeyDelay || 0;
+
+    /**
+    * @property {boolean} deleteOnMatch - Remove the combo from the Keyboard once it has been matched?
+    */
+    this.deleteOnMatch = !!config.deleteOnMatch;
+
+    /**
+    * @property {integer} index - The index of the next step to be entered.
+    * @readonly
+    */
+    this.index = 0;
+
+    /**
+    * @property {number} timeLastMatched - The time the last step was entered. This is based on Game.time.time.
+    * @readonly
+    */
+    this.timeLastMatched = 0;
+
+    /**
+    * @property {Phaser.Signal} onMatch - This Signal is dispatched when the whole sequence has been entered. It's sent the combo as its only argument.
+    */
+    this.onMatch = new Phaser.Signal();
+
+};
+
+Phaser.KeyCombo.prototype = {
+
+    /**
+    * Checks a key press against the sequence. Called automatically by Phaser.Keyboard.
+    *
+    * @method Phaser.KeyCombo#processKeyDown
+    * @protected
+    * @param {KeyboardEvent} event - The DOM event of the key press.
+    */
+    processKeyDown: function (event) {
+
+        if (!this.enabled || this.steps.length === 0)
+        {
+            return;
+        }
+
+        this.checkDelay();
+
+        var keyCode = event.keyCode;
+        var step = this.steps[this.index];
+
+        if (step.indexOf(keyCode) === -1)
+        {
+            if (this.resetOnWrongKey && this.index > 0)
+            {
+                this.reset();
+
+                //  The wrong key may start the sequence again
+                this.processKeyDown(event);
+            }
+
+            return;
+        }
+
+        //  For a chord we wait until all of its keys are down
+        if (this.isStepDown(step))
+        {
+            this.advance(event);
+        }
+
+    },
+
+    /**
+    * Checks a key release against the sequence, for the steps that follow a chord. Called automatically by Phaser.Keyboard.
+    *
+    * @method Phaser.KeyCombo#processKeyUp
+    * @protected
+    * @param {KeyboardEvent} event - The DOM event of the key release.
+    */
+    processKeyUp: function (event) {
+
+        if (!this.enabled)
+        {
+            return;
+        }
+
+        this.checkDelay();
+
+        if (this.index === 0)
+        {
+            return;
+        }
+
+        var previous = this.steps[this.index - 1];
+        var step = this.steps[this.index];
+
+        //  Releasing a key of the last chord enters the next step, if it is made up of the keys still held
+        if (previous.indexOf(event.keyCode) !== -1 && step.indexOf(event.keyCode) === -1 && this.isStepDown(step))
+        {
+            this.advance(event);
+        }
+
+    },
+
+    /**
+    * Goes back to the start of the sequence if it took too long to enter the next step.
+    *
+    * @method Phaser.KeyCombo#checkDelay
+    * @private
+    */
+    checkDelay: function () {
+
+        if (this.index > 0 && this.maxKeyDelay > 0 && this.game.time.time - this.timeLastMatched > this.maxKeyDelay)
+        {
+            this.reset();
+        }
+
+    },
+
+    /**
+    * Checks if all of the keys of a step are down.
+    *
+    * @method Phaser.KeyCombo#isStepDown
+    * @private
+    * @param {array} step - The key codes of the step.
+    * @return {boolean} True if all of the keys are down.
+    */
+    isStepDown: function (step) {
+
+        for (var i = 0; i < step.length; i++)
+        {
+            if (!this.keyboard.isDown(step[i]))
+            {
+                return false;
+            }
+        }
+
+        return true;
+
+    },
+
+    /**
+    * Moves on to the next step, dispatching the Signals if it was the last one.
+    *
+    * @method Phaser.KeyCombo#advance
+    * @private
+    * @param {KeyboardEvent} event - The DOM event that entered the step.
+    */
+    advance: function (event) {
+
+        this.index++;
+        this.timeLastMatched = this.game.time.time;
+
+        if (this.index < this.steps.length)
+        {
+            return;
+        }
+
+        var keyboard = this.keyboard;
+
+        this.index = 0;
+
+        this.onMatch.dispatch(this);
+
+        keyboard.onCombo.dispatch(this, event);
+
+        if (this.deleteOnMatch)
+        {
+            keyboard.removeCombo(this);
+        }
+
+    },
+
+    /**
+    * Goes back to the start of the sequence.
+    *
+    * @method Phaser.KeyCombo#reset
+    */
+    reset: function () {
+
+        this.index = 0;
+        this.timeLastMatched = 0;
+
+    },
+
+    /**
+    * Removes all listeners from this combo. Use `Keyboard.removeCombo` to remove and destroy a combo.
+    *
+    * @method Phaser.KeyCombo#destroy
+    * @protected
+    */
+    destroy: function () {
+
+        this.onMatch.dispose();
+
+        this.keyboard = null;
+        this.game = null;
+
+    }
+
+};
+
+/**
+* How far through the sequence the combo is, from 0 to 1.
+*
+* @name Phaser.KeyCombo#progress
+* @property {number} progress
+* @readonly
+*/
+Object.defineProperty(Phaser.KeyCombo.prototype, "progress", {
+
+    get: function () {
+
+        return (this.steps.length > 0) ? this.index / this.steps.length : 0;
+
+    }
+
+});
+
+Phaser.KeyCombo.prototype.constructor = Phaser.KeyCombo;
+
+/**
+* Converts a sequence of keys into an array with an array of key codes for each step.
+*
+* @method Phaser.KeyCombo.parseKeys
+* @static
+* @param {string|array} keys - The sequence. Either a string, where each character is the key of a letter or number, or an array of key codes, Phaser.Key objects or arrays of them for chords.
+* @return {array} The steps of the sequence.
+*/
+Phaser.KeyCombo.parseKeys = function (keys) {
+
+    var steps = [];
+    var i;
+
+    if (typeof keys === 'string')
+    {
+        keys = keys.toUpperCase();
+
+        for (i = 0; i < keys.length; i++)
+        {
+            steps.push([keys.charCodeAt(i)]);
+        }
+
+        return steps;
+    }
+
+    for (i = 0; i < keys.length; i++)
+    {
+        var step = Array.isArray(keys[i]) ? keys[i] : [keys[i]];
+        var keyCodes = [];
+
+        for (var j = 0; j < step.length; j++)
+        {
+            keyCodes.push((step[j] instanceof Phaser.Key) ? step[j].keyCode : step[j]);
+        }
+
+        steps.push(keyCodes);
+    }
+
+    return steps;
+
+};
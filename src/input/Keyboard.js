@@ -62,6 +62,13 @@ Phaser.Keyboard = function (game) {
     */
     this.onUpCallback = null;
 
+    /**
+    * This Signal is dispatched every time one of the Key Combos created with `createCombo` is matched.
+    * It's sent two arguments: the Phaser.KeyCombo and the DOM event of the key that completed it.
+    * @property {Phaser.Signal} onCombo
+    */
+    this.onCombo = new Phaser.Signal();
+
     /**
     * @property {array<Phaser.Key>} _keys - The array the Phaser.Key objects are stored in.
     * @private
@@ -74,6 +81,12 @@ Phaser.Keyboard = function (game) {
     */
     this._capture = [];
 
+    /**
+    * @property {array<Phaser.KeyCombo>} _combos - The Key Combos created with `createCombo`.
+    * @private
+    */
+    this._combos = [];
+
     /**
     * @property {function} _onKeyDown
     * @private
@@ -205,6 +218,75 @@ Phaser.Keyboard.prototype = {
 
     },
 
+    /**
+    * Creates a Key Combo, which dispatches `onCombo` when the player presses the given sequence of keys in order.
+    * Use it for cheat codes or fighting game special moves:
+    *
+    * ```javascript
+    * game.input.keyboard.createCombo('IDDQD', { deleteOnMatch: true });
+    * game.input.keyboard.createCombo([ Phaser.KeyCode.DOWN, [ Phaser.KeyCode.DOWN, Phaser.KeyCode.RIGHT ], Phaser.KeyCode.RIGHT, Phaser.KeyCode.P ], { maxKeyDelay: 250 });
+    * game.input.keyboard.createCombo([ [ Phaser.KeyCode.CONTROL, Phaser.KeyCode.S ] ]);
+    * ```
+    *
+    * An array within the sequence is a chord: keys that must be held down together. A combo of a single chord
+    * detects a key combination such as CTRL + S. See {@link Phaser.KeyCombo} for more details.
+    *
+    * @method Phaser.Keyboard#createCombo
+    * @param {string|array} keys - The sequence. Either a string, where each character is the key of a letter or number, or an array of key codes, Phaser.Key objects or arrays of them for chords.
+    * @param {object} [config] - The settings of the combo.
+    * @param {boolean} [config.resetOnWrongKey=true] - Go back to the start of the sequence if a key that isn't the next one is pressed?
+    * @param {number} [config.maxKeyDelay=0] - The most time allowed between each step, in ms, before the sequence goes back to the start. Zero means no limit.
+    * @param {boolean} [config.deleteOnMatch=false] - Remove the combo once it has been matched?
+    * @return {Phaser.KeyCombo} The new Key Combo.
+    */
+    createCombo: function (keys, config) {
+
+        var combo = new Phaser.KeyCombo(this, keys, config);
+
+        this._combos.push(combo);
+
+        return combo;
+
+    },
+
+    /**
+    * Removes a Key Combo created with `createCombo` and destroys it.
+    *
+    * @method Phaser.Keyboard#removeCombo
+    * @param {Phaser.KeyCombo} combo - The Key Combo to remove.
+    * @return {boolean} True if the combo was removed, false if it wasn't found.
+    */
+    removeCombo: function (combo) {
+
+        var index = this._combos.indexOf(combo);
+
+        if (index === -1)
+        {
+            return false;
+        }
+
+        this._combos.splice(index, 1);
+
+        combo.destroy();
+
+        return true;
+
+    },
+
+    /**
+    * Removes and destroys all of the Key Combos.
+    *
+    * @method Phaser.Keyboard#removeAllCombos
+    */
+    removeAllCombos: function () {
+
+        while (this._combos.length)
+        {
+            this.removeCombo(this._combos[0]);
+        }
+
+    },
+
     /**
     * Creates and returns an object containing 4 hotkeys for Up, Down, Left and Right.
     *
@@ -240,15 +322,24 @@ Phaser.Keyboard.prototype = {
         var _this = this;
 
         this._onKeyDown = function (event) {
-            return _this.processKeyDown(event);
+            if (_this.game.input.recorder.capture('kd', event))
+            {
+                return _this.processKeyDown(event);
+            }
         };
 
         this._onKeyUp = function (event) {
-            return _this.processKeyUp(event);
+            if (_this.game.input.recorder.capture('ku', event))
+            {
+                return _this.processKeyUp(event);
+            }
         };
 
         this._onKeyPress = function (event) {
-            return _this.processKeyPress(event);
+            if (_this.game.input.recorder.capture('kp', event))
+            {
+                return _this.processKeyPress(event);
+            }
         };
 
         window.addEventListener('keydown', this._onKeyDown, false);
@@ -289,6 +380,9 @@ Phaser.Keyboard.prototype = {
         this._keys.length = 0;
         this._i = 0;
 
+        this.removeAllCombos();
+        this.onCombo.dispose();
+
     },
 
     /**
@@ -389,10 +483,18 @@ Phaser.Keyboard.prototype = {
             this._keys[key] = new Phaser.Key(this.game, key);
         }
 
+        //  Key repeats are ignored by the Key Combos
+        var repeat = this._keys[key].isDown;
+
         this._keys[key].processKeyDown(event);
 
         this._k = key;
 
+        if (!repeat)
+        {
+            this.processCombos(event, true);
+        }
+
         if (this.onDownCallback)
         {
             this.onDownCallback.call(this.callbackContext, event);
@@ -451,8 +553,15 @@ Phaser.Keyboard.prototype = {
             this._keys[key] = new Phaser.Key(this.game, key);
         }
 
+        var wasDown = this._keys[key].isDown;
+
         this._keys[key].processKeyUp(event);
 
+        if (wasDown)
+        {
+            this.processCombos(event, false);
+        }
+
         if (this.onUpCallback)
         {
             this.onUpCallback.call(this.callbackContext, event);
@@ -461,10 +570,45 @@ Phaser.Keyboard.prototype = {
     },
 
     /**
-    * Resets all Keys.
+    * Sends a key event to all of the Key Combos.
+    *
+    * @method Phaser.Keyboard#processCombos
+    * @private
+    * @param {KeyboardEvent} event - The DOM event.
+    * @param {boolean} down - Was the key pressed or released?
+    */
+    processCombos: function (event, down) {
+
+        if (this._combos.length === 0)
+        {
+            return;
+        }
+
+        //  Combos may be removed as they're matched
+        var combos = this._combos.slice();
+
+        for (var i = 0; i < combos.length; i++)
+        {
+            if (combos[i].keyboard)
+            {
+                if (down)
+                {
+                    combos[i].processKeyDown(event);
+                }
+                else
+                {
+                    combos[i].processKeyUp(event);
+                }
+            }
+        }
+
+    },
+
+    /**
+    * Resets all Keys, and takes all Key Combos back to the start of their sequences.
     *
     * @method Phaser.Keyboard#reset
-    * @param {boolean} [hard=true] - A soft reset won't reset any events or callbacks that are bound to the Keys. A hard reset will.
+    * @param {boolean} [hard=true] - A soft reset won't reset any events or callbacks that are bound to the Keys. A hard reset will, and removes all of the Key Combos too.
     */
     reset: function (hard) {
 
@@ -482,6 +626,19 @@ Phaser.Keyboard.prototype = {
             }
         }
 
+        if (hard)
+        {
+            this.removeAllCombos();
+            this.onCombo.removeAll();
+        }
+        else
+        {
+            for (i = 0; i < this._combos.length; i++)
+            {
+                this._combos[i].reset();
+            }
+        }
+
     },
 
     /**
@@ -138,27 +138,45 @@ Phaser.MSPointer.prototype = {
         if (this.game.device.mspointer)
         {
             this._onMSPointerDown = function (event) {
-                return _this.onPointerDown(event);
+                if (_this.game.input.recorder.capture('pd', event))
+                {
+                    return _this.onPointerDown(event);
+                }
             };
 
             this._onMSPointerMove = function (event) {
-                return _this.onPointerMove(event);
+                if (_this.game.input.recorder.capture('pm', event))
+                {
+                    return _this.onPointerMove(event);
+                }
             };
 
             this._onMSPointerUp = function (event) {
-                return _this.onPointerUp(event);
+                if (_this.game.input.recorder.capture('pu', event))
+                {
+                    return _this.onPointerUp(event);
+                }
             };
 
             this._onMSPointerUpGlobal = function (event) {
-                return _this.onPointerUpGlobal(event);
+                if (_this.game.input.recorder.capture('pug', event))
+                {
+                    return _this.onPointerUpGlobal(event);
+                }
             };
 
             this._onMSPointerOut = function (event) {
-                return _this.onPointerOut(event);
+                if (_this.game.input.recorder.capture('po', event))
+                {
+                    return _this.onPointerOut(event);
+                }
             };
 
             this._onMSPointerOver = function (event) {
-                return _this.onPointerOver(event);
+                if (_this.game.input.recorder.capture('pv', event))
+                {
+                    return _this.onPointerOver(event);
+                }
             };
 
             var canvas = this.game.canvas;
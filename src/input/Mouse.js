@@ -230,35 +230,59 @@ Phaser.Mouse.prototype = {
         var _this = this;
 
         this._onMouseDown = function (event) {
-            return _this.onMouseDown(event);
+            if (_this.game.input.recorder.capture('md', event))
+            {
+                return _this.onMouseDown(event);
+            }
         };
 
         this._onMouseMove = function (event) {
-            return _this.onMouseMove(event);
+            if (_this.game.input.recorder.capture('mm', event))
+            {
+                return _this.onMouseMove(event);
+            }
         };
 
         this._onMouseUp = function (event) {
-            return _this.onMouseUp(event);
+            if (_this.game.input.recorder.capture('mu', event))
+            {
+                return _this.onMouseUp(event);
+            }
         };
 
         this._onMouseUpGlobal = function (event) {
-            return _this.onMouseUpGlobal(event);
+            if (_this.game.input.recorder.capture('mug', event))
+            {
+                return _this.onMouseUpGlobal(event);
+            }
         };
 
         this._onMouseOutGlobal = function (event) {
-            return _this.onMouseOutGlobal(event);
+            if (_this.game.input.recorder.capture('mog', event))
+            {
+                return _this.onMouseOutGlobal(event);
+            }
         };
 
         this._onMouseOut = function (event) {
-            return _this.onMouseOut(event);
+            if (_this.game.input.recorder.capture('mo', event))
+            {
+                return _this.onMouseOut(event);
+            }
         };
 
         this._onMouseOver = function (event) {
-            return _this.onMouseOver(event);
+            if (_this.game.input.recorder.capture('mv', event))
+            {
+                return _this.onMouseOver(event);
+            }
         };
 
         this._onMouseWheel = function (event) {
-            return _this.onMouseWheel(event);
+            if (_this.game.input.recorder.capture('mw', event))
+            {
+                return _this.onMouseWheel(event);
+            }
         };
 
         var canvas = this.game.canvas;
@@ -645,6 +645,8 @@ Phaser.Pointer.prototype = {
 
         this.totalTouches++;
 
+        input.gestures.pointerDown(this);
+
         if (this.targetObject !== null)
         {
             this.targetObject._touchedHandler(this);
@@ -1019,6 +1021,8 @@ Phaser.Pointer.prototype = {
         this.identifier = null;
         
         this.positionUp.setTo(this.x, this.y);
+
+        input.gestures.pointerUp(this);
         
         if (this.isMouse === false)
         {
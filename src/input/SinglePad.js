@@ -26,6 +26,20 @@ Phaser.SinglePad = function (game, padParent) {
     */
     this.index = null;
 
+    /**
+    * @property {string} id - The id the browser reports for the connected controller, such as its name and USB vendor and product ids.
+    * @readonly
+    */
+    this.id = '';
+
+    /**
+    * The mapping the controller is read through, so it matches the standard gamepad layout, or null if the browser
+    * already reports it in that layout or no mapping was found. See {@link Phaser.Gamepad#addMappings}.
+    * @property {Phaser.GamepadMapping} mapping
+    * @readonly
+    */
+    this.mapping = null;
+
     /**
     * @property {boolean} connected - Whether or not this particular gamepad is connected or not.
     * @readonly
@@ -174,9 +188,20 @@ Phaser.SinglePad.prototype = {
             return;
         }
 
+        var mapping = this.mapping;
+
         for (var i = 0; i < this._buttonsLen; i++)
         {
-            var rawButtonVal = isNaN(this._rawPad.buttons[i]) ? this._rawPad.buttons[i].value : this._rawPad.buttons[i];
+            var rawButtonVal;
+
+            if (mapping)
+            {
+                rawButtonVal = mapping.getButtonValue(this._rawPad, i);
+            }
+            else
+            {
+                rawButtonVal = isNaN(this._rawPad.buttons[i]) ? this._rawPad.buttons[i].value : this._rawPad.buttons[i];
+            }
 
             if (rawButtonVal !== this._buttons[i].value)
             {
@@ -197,7 +222,7 @@ Phaser.SinglePad.prototype = {
         
         for (var index = 0; index < this._axesLen; index++)
         {
-            var value = this._rawPad.axes[index];
+            var value = (mapping) ? mapping.getAxisValue(this._rawPad, index) : this._rawPad.axes[index];
 
             if ((value > 0 && value > this.deadZone) || (value < 0 && value < -this.deadZone))
             {
@@ -225,23 +250,24 @@ Phaser.SinglePad.prototype = {
 
         this.connected = true;
         this.index = rawPad.index;
+        this.id = rawPad.id;
+        this.mapping = (this._padParent.useMappings) ? this._padParent.getMapping(rawPad) : null;
 
         this._rawPad = rawPad;
 
         this._buttons = [];
-        this._buttonsLen = rawPad.buttons.length;
+        this._buttonsLen = (this.mapping) ? Phaser.GamepadMapping.BUTTONS.length : rawPad.buttons.length;
 
         this._axes = [];
-        this._axesLen = rawPad.axes.length;
+        this._axesLen = (this.mapping) ? Phaser.GamepadMapping.AXES.length : rawPad.axes.length;
 
         for (var a = 0; a < this._axesLen; a++)
         {
-            this._axes[a] = rawPad.axes[a];
+            this._axes[a] = (this.mapping) ? this.mapping.getAxisValue(rawPad, a) : rawPad.axes[a];
         }
 
-        for (var buttonCode in rawPad.buttons)
+        for (var buttonCode = 0; buttonCode < this._buttonsLen; buttonCode++)
         {
-            buttonCode = parseInt(buttonCode, 10);
             this._buttons[buttonCode] = new Phaser.DeviceButton(this, buttonCode);
         }
 
@@ -269,6 +295,8 @@ Phaser.SinglePad.prototype = {
 
         this.connected = false;
         this.index = null;
+        this.id = '';
+        this.mapping = null;
 
         this._rawPad = undefined;
 
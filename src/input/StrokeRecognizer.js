@@ -0,0 +1,765 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Stroke Recognizer records the path a Pointer draws between being pressed and released, and compares it against
+* a set of named templates to find out which shape the player drew. It's based on the $1 Unistroke Recognizer by
+* Wobbrock, Wilson and Li: each path is resampled to a fixed number of points, rotated, scaled and moved to a common
+* origin, and then compared point by point against each template.
+*
+* It's a Plugin, so add it to your game with the Plugin Manager. You can pass it templates to start with:
+*
+* ```javascript
+* //  In preload
+* game.load.json('spells', 'assets/spells.json');
+*
+* //  In create
+* var recognizer = game.plugins.add(Phaser.StrokeRecognizer, 'spells');
+*
+* recognizer.onRecognize.add(function (name, score) {
+*     castSpell(name);
+* });
+* ```
+*
+* Templates are an array of objects with a `name` and an array of `points`, where each point is either an `[x, y]`
+* array or an object with `x` and `y` properties. You can have as many templates with the same name as you like.
+* Use `exportTemplates` to save the shapes added with `addTemplate`, such as ones recorded from the `points` of a stroke.
+*
+* @class Phaser.StrokeRecognizer
+* @extends Phaser.Plugin
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {Phaser.PluginManager} parent - The Plugin Manager which looks after this plugin.
+*/
+Phaser.StrokeRecognizer = function (game, parent) {
+
+    Phaser.Plugin.call(this, game, parent);
+
+    /**
+    * @property {boolean} enabled - Strokes are only recorded while this is true. Disabling it cancels the current stroke.
+    * @default
+    */
+    this.enabled = true;
+
+    /**
+    * @property {Phaser.Pointer} pointer - The only Pointer that draws strokes. If null, the first Pointer to be pressed draws the stroke.
+    * @default
+    */
+    this.pointer = null;
+
+    /**
+    * @property {number} minScore - The lowest score, from 0 to 1, a stroke can have to be recognized as a shape.
+    * @default
+    */
+    this.minScore = 0.8;
+
+    /**
+    * @property {integer} minPoints - The fewest points a stroke must have to be compared against the templates.
+    * @default
+    */
+    this.minPoints = 10;
+
+    /**
+    * @property {number} minDistance - How far, in pixels, the Pointer must move before another point of the stroke is recorded.
+    * @default
+    */
+    this.minDistance = 2;
+
+    /**
+    * @property {boolean} rotationInvariant - If true a shape is recognized however it's rotated. Set to false if the direction matters, such as arrows.
+    * Templates are compared in the way that was set when they were added.
+    * @default
+    */
+    this.rotationInvariant = true;
+
+    /**
+    * @property {boolean} isDrawing - Is a stroke being drawn?
+    * @readonly
+    */
+    this.isDrawing = false;
+
+    /**
+    * @property {array<Phaser.Point>} points - The points of the stroke being drawn, or of the last one, in game coordinates.
+    * @readonly
+    */
+    this.points = [];
+
+    /**
+    * @property {array} templates - The templates strokes are compared against. Use `addTemplate` and `removeTemplate` to change them.
+    * @readonly
+    */
+    this.templates = [];
+
+    /**
+    * @property {Phaser.Signal} onRecognize - This Signal is dispatched when a stroke matches a template. It's sent the name of the template, the score and the points of the stroke.
+    */
+    this.onRecognize = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onFail - This Signal is dispatched when a stroke doesn't match any template well enough. It's sent the best result from `recognize`, which may be null, and the points of the stroke.
+    */
+    this.onFail = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Pointer} _drawPointer - The Pointer drawing the current stroke.
+    * @private
+    */
+    this._drawPointer = null;
+
+    /**
+    * @property {array<number>} _timeDown - The time each Pointer was last pressed, so a press is only used once.
+    * @private
+    */
+    this._timeDown = [];
+
+};
+
+Phaser.StrokeRecognizer.prototype = Object.create(Phaser.Plugin.prototype);
+Phaser.StrokeRecognizer.prototype.constructor = Phaser.StrokeRecognizer;
+
+/**
+* The number of points each stroke is resampled to.
+* @constant
+* @type {integer}
+*/
+Phaser.StrokeRecognizer.NUM_POINTS = 64;
+
+/**
+* The size of the square each stroke is scaled to.
+* @constant
+* @type {number}
+*/
+Phaser.StrokeRecognizer.SQUARE_SIZE = 250;
+
+/**
+* Strokes narrower than this, relative to their length, are scaled uniformly so lines aren't stretched into squares.
+* @constant
+* @type {number}
+*/
+Phaser.StrokeRecognizer.ONE_D_THRESHOLD = 0.25;
+
+/**
+* How far a stroke is rotated either way to find its best match, in radians.
+* @constant
+* @type {number}
+*/
+Phaser.StrokeRecognizer.ANGLE_RANGE = Math.PI / 4;
+
+/**
+* How precisely the best rotation is found, in radians.
+* @constant
+* @type {number}
+*/
+Phaser.StrokeRecognizer.ANGLE_PRECISION = Math.PI / 90;
+
+/**
+* Called by the Plugin Manager when the plugin is added.
+*
+* @method Phaser.StrokeRecognizer#init
+* @protected
+* @param {string|array} [templates] - The key of a JSON file in the Cache, or an array of templates, to add.
+*/
+Phaser.StrokeRecognizer.prototype.init = function (templates) {
+
+    if (templates)
+    {
+        this.addTemplates(templates);
+    }
+
+    this.ignorePressed();
+
+};
+
+/**
+* Adds a template.
+*
+* @method Phaser.StrokeRecognizer#addTemplate
+* @param {string} name - The name of the shape.
+* @param {array} points - The points of the shape, as `[x, y]` arrays or objects with `x` and `y` properties.
+* @return {object} The template that was added, or null if it has too few points.
+*/
+Phaser.StrokeRecognizer.prototype.addTemplate = function (name, points) {
+
+    points = Phaser.StrokeRecognizer.parsePoints(points);
+
+    if (points.length < 2)
+    {
+        console.warn('Phaser.StrokeRecognizer.addTemplate: Template "' + name + '" needs at least 2 points');
+        return null;
+    }
+
+    var template = {
+        name: name,
+        source: points,
+        rotationInvariant: this.rotationInvariant,
+        points: this.normalize(points, this.rotationInvariant)
+    };
+
+    this.templates.push(template);
+
+    return template;
+
+};
+
+/**
+* Adds a list of templates.
+*
+* @method Phaser.StrokeRecognizer#addTemplates
+* @param {string|array} data - The key of a JSON file in the Cache, a JSON string, or an array of objects with a `name` and `points`.
+* @return {integer} The number of templates that were added.
+*/
+Phaser.StrokeRecognizer.prototype.addTemplates = function (data) {
+
+    if (typeof data === 'string')
+    {
+        if (this.game.cache.checkJSONKey(data))
+        {
+            data = this.game.cache.getJSON(data);
+        }
+        else
+        {
+            try
+            {
+                data = JSON.parse(data);
+            }
+            catch (e)
+            {
+                console.warn('Phaser.StrokeRecognizer.addTemplates: No JSON in the Cache with key "' + data + '"');
+                return 0;
+            }
+        }
+    }
+
+    if (!Array.isArray(data))
+    {
+        console.warn('Phaser.StrokeRecognizer.addTemplates: The templates must be an array');
+        return 0;
+    }
+
+    var total = 0;
+
+    for (var i = 0; i < data.length; i++)
+    {
+        if (data[i] && data[i].name !== undefined && Array.isArray(data[i].points) && this.addTemplate(data[i].name, data[i].points))
+        {
+            total++;
+        }
+    }
+
+    return total;
+
+};
+
+/**
+* Removes all of the templates with the given name.
+*
+* @method Phaser.StrokeRecognizer#removeTemplate
+* @param {string} name - The name of the shape.
+* @return {integer} The number of templates that were removed.
+*/
+Phaser.StrokeRecognizer.prototype.removeTemplate = function (name) {
+
+    var total = 0;
+
+    for (var i = this.templates.length - 1; i >= 0; i--)
+    {
+        if (this.templates[i].name === name)
+        {
+            this.templates.splice(i, 1);
+            total++;
+        }
+    }
+
+    return total;
+
+};
+
+/**
+* Removes all of the templates.
+*
+* @method Phaser.StrokeRecognizer#removeAllTemplates
+*/
+Phaser.StrokeRecognizer.prototype.removeAllTemplates = function () {
+
+    this.templates.length = 0;
+
+};
+
+/**
+* Gets the templates as a JSON string, in the format `addTemplates` and `Loader.json` can load.
+*
+* @method Phaser.StrokeRecognizer#exportTemplates
+* @param {string} [name] - Only export the templates with this name.
+* @return {string} The templates as JSON.
+*/
+Phaser.StrokeRecognizer.prototype.exportTemplates = function (name) {
+
+    var data = [];
+
+    for (var i = 0; i < this.templates.length; i++)
+    {
+        var template = this.templates[i];
+
+        if (name !== undefined && template.name !== name)
+        {
+            continue;
+        }
+
+        var points = [];
+
+        for (var j = 0; j < template.source.length; j++)
+        {
+            points.push([Math.round(template.source[j].x), Math.round(template.source[j].y)]);
+        }
+
+        data.push({ name: template.name, points: points });
+    }
+
+    return JSON.stringify(data);
+
+};
+
+/**
+* Compares a path against all of the templates.
+*
+* @method Phaser.StrokeRecognizer#recognize
+* @param {array} points - The points of the path, as `[x, y]` arrays or objects with `x` and `y` properties.
+* @return {object} An object with the `name` of the best matching template and its `score`, from 0 to 1.
+* Null if there are no templates, or the path has fewer than `minPoints` points.
+*/
+Phaser.StrokeRecognizer.prototype.recognize = function (points) {
+
+    points = Phaser.StrokeRecognizer.parsePoints(points);
+
+    if (this.templates.length === 0 || points.length < this.minPoints)
+    {
+        return null;
+    }
+
+    var rotated = null;
+    var unrotated = null;
+    var best = null;
+    var bestDistance = Number.MAX_VALUE;
+
+    for (var i = 0; i < this.templates.length; i++)
+    {
+        var template = this.templates[i];
+        var distance;
+
+        if (template.rotationInvariant)
+        {
+            rotated = rotated || this.normalize(points, true);
+            distance = this.distanceAtBestAngle(rotated, template.points);
+        }
+        else
+        {
+            unrotated = unrotated || this.normalize(points, false);
+            distance = this.pathDistance(unrotated, template.points);
+        }
+
+        if (distance < bestDistance)
+        {
+            bestDistance = distance;
+            best = template;
+        }
+    }
+
+    var halfDiagonal = 0.5 * Math.sqrt(2) * Phaser.StrokeRecognizer.SQUARE_SIZE;
+
+    return { name: best.name, score: Math.max(0, 1 - bestDistance / halfDiagonal) };
+
+};
+
+/**
+* Records the stroke of the Pointer, and recognizes it when the Pointer is released. Called automatically by the Plugin Manager.
+*
+* @method Phaser.StrokeRecognizer#update
+* @protected
+*/
+Phaser.StrokeRecognizer.prototype.update = function () {
+
+    if (!this.enabled)
+    {
+        this.cancel();
+        return;
+    }
+
+    if (!this.isDrawing)
+    {
+        this.checkPressed();
+        return;
+    }
+
+    var pointer = this._drawPointer;
+
+    if (pointer.isDown)
+    {
+        var last = this.points[this.points.length - 1];
+
+        if (Phaser.Math.distance(last.x, last.y, pointer.x, pointer.y) >= this.minDistance)
+        {
+            this.points.push(new Phaser.Point(pointer.x, pointer.y));
+        }
+
+        return;
+    }
+
+    this.points.push(new Phaser.Point(pointer.positionUp.x, pointer.positionUp.y));
+
+    this.isDrawing = false;
+    this._drawPointer = null;
+
+    var result = this.recognize(this.points);
+
+    if (result && result.score >= this.minScore)
+    {
+        this.onRecognize.dispatch(result.name, result.score, this.points);
+    }
+    else
+    {
+        this.onFail.dispatch(result, this.points);
+    }
+
+};
+
+/**
+* Starts a stroke if a Pointer has been pressed since the last update.
+*
+* @method Phaser.StrokeRecognizer#checkPressed
+* @private
+*/
+Phaser.StrokeRecognizer.prototype.checkPressed = function () {
+
+    var input = this.game.input;
+
+    for (var i = -1; i < input.pointers.length; i++)
+    {
+        var pointer = (i === -1) ? input.mousePointer : input.pointers[i];
+
+        if (!pointer.isDown || pointer.timeDown === this._timeDown[pointer.id] || (this.pointer && this.pointer !== pointer))
+        {
+            continue;
+        }
+
+        this._timeDown[pointer.id] = pointer.timeDown;
+
+        this.isDrawing = true;
+        this._drawPointer = pointer;
+
+        this.points = [new Phaser.Point(pointer.positionDown.x, pointer.positionDown.y)];
+
+        if (pointer.x !== pointer.positionDown.x || pointer.y !== pointer.positionDown.y)
+        {
+            this.points.push(new Phaser.Point(pointer.x, pointer.y));
+        }
+
+        return;
+    }
+
+};
+
+/**
+* Marks the Pointers that are already down as used, so they don't start a stroke.
+*
+* @method Phaser.StrokeRecognizer#ignorePressed
+* @private
+*/
+Phaser.StrokeRecognizer.prototype.ignorePressed = function () {
+
+    var input = this.game.input;
+
+    for (var i = -1; i < input.pointers.length; i++)
+    {
+        var pointer = (i === -1) ? input.mousePointer : input.pointers[i];
+
+        if (pointer.isDown)
+        {
+            this._timeDown[pointer.id] = pointer.timeDown;
+        }
+    }
+
+};
+
+/**
+* Cancels the stroke being drawn, without trying to recognize it. The Pointer must be pressed again to start a new one.
+*
+* @method Phaser.StrokeRecognizer#cancel
+*/
+Phaser.StrokeRecognizer.prototype.cancel = function () {
+
+    this.isDrawing = false;
+    this._drawPointer = null;
+
+    this.ignorePressed();
+
+};
+
+/**
+* Resamples, rotates, scales and moves a path so it can be compared against the templates.
+*
+* @method Phaser.StrokeRecognizer#normalize
+* @private
+* @param {array<Phaser.Point>} points - The points of the path.
+* @param {boolean} rotate - Rotate the path so the angle from its centroid to its first point is zero?
+* @return {array<Phaser.Point>} The normalized points.
+*/
+Phaser.StrokeRecognizer.prototype.normalize = function (points, rotate) {
+
+    points = this.resample(points, Phaser.StrokeRecognizer.NUM_POINTS);
+
+    var centroid = Phaser.Point.centroid(points);
+
+    if (rotate)
+    {
+        var angle = Math.atan2(points[0].y - centroid.y, points[0].x - centroid.x);
+
+        this.rotatePoints(points, centroid, -angle);
+    }
+
+    var bounds = Phaser.Rectangle.aabb(points);
+    var size = Phaser.StrokeRecognizer.SQUARE_SIZE;
+    var scaleX;
+    var scaleY;
+
+    if (Math.min(bounds.width, bounds.height) / Math.max(bounds.width, bounds.height, 1) <= Phaser.StrokeRecognizer.ONE_D_THRESHOLD)
+    {
+        scaleX = scaleY = size / Math.max(bounds.width, bounds.height, 1);
+    }
+    else
+    {
+        scaleX = size / bounds.width;
+        scaleY = size / bounds.height;
+    }
+
+    for (var i = 0; i < points.length; i++)
+    {
+        points[i].x *= scaleX;
+        points[i].y *= scaleY;
+    }
+
+    centroid = Phaser.Point.centroid(points);
+
+    for (i = 0; i < points.length; i++)
+    {
+        points[i].subtract(centroid.x, centroid.y);
+    }
+
+    return points;
+
+};
+
+/**
+* Resamples a path to the given number of evenly spaced points.
+*
+* @method Phaser.StrokeRecognizer#resample
+* @private
+* @param {array<Phaser.Point>} points - The points of the path.
+* @param {integer} total - The number of points to resample to.
+* @return {array<Phaser.Point>} A new array of points.
+*/
+Phaser.StrokeRecognizer.prototype.resample = function (points, total) {
+
+    var length = 0;
+    var i;
+
+    for (i = 1; i < points.length; i++)
+    {
+        length += points[i - 1].distance(points[i]);
+    }
+
+    var interval = length / (total - 1);
+    var distance = 0;
+    var previous = points[0].clone();
+    var result = [previous.clone()];
+
+    for (i = 1; i < points.length; i++)
+    {
+        var current = points[i];
+        var d = previous.distance(current);
+
+        if (interval > 0 && distance + d >= interval)
+        {
+            var t = (interval - distance) / d;
+            var point = new Phaser.Point(previous.x + t * (current.x - previous.x), previous.y + t * (current.y - previous.y));
+
+            result.push(point);
+
+            //  The new point is where the next segment starts from
+            previous = point;
+            distance = 0;
+            i--;
+        }
+        else
+        {
+            distance += d;
+            previous = current;
+        }
+    }
+
+    //  Rounding errors can leave the last point out
+    while (result.length < total)
+    {
+        result.push(points[points.length - 1].clone());
+    }
+
+    result.length = total;
+
+    return result;
+
+};
+
+/**
+* Rotates points around a center.
+*
+* @method Phaser.StrokeRecognizer#rotatePoints
+* @private
+* @param {array<Phaser.Point>} points - The points to rotate. They are changed in place.
+* @param {Phaser.Point} center - The point to rotate around.
+* @param {number} angle - The angle to rotate by, in radians.
+*/
+Phaser.StrokeRecognizer.prototype.rotatePoints = function (points, center, angle) {
+
+    for (var i = 0; i < points.length; i++)
+    {
+        points[i].rotate(center.x, center.y, angle);
+    }
+
+};
+
+/**
+* Finds the rotation of a path, within `ANGLE_RANGE`, that is closest to a template, using a golden section search.
+*
+* @method Phaser.StrokeRecognizer#distanceAtBestAngle
+* @private
+* @param {array<Phaser.Point>} points - The normalized points of the path.
+* @param {array<Phaser.Point>} template - The normalized points of the template.
+* @return {number} The smallest average distance between the points of the path and the template.
+*/
+Phaser.StrokeRecognizer.prototype.distanceAtBestAngle = function (points, template) {
+
+    var phi = 0.5 * (Math.sqrt(5) - 1);
+    var a = -Phaser.StrokeRecognizer.ANGLE_RANGE;
+    var b = Phaser.StrokeRecognizer.ANGLE_RANGE;
+    var x1 = phi * a + (1 - phi) * b;
+    var x2 = (1 - phi) * a + phi * b;
+    var f1 = this.distanceAtAngle(points, template, x1);
+    var f2 = this.distanceAtAngle(points, template, x2);
+
+    while (Math.abs(b - a) > Phaser.StrokeRecognizer.ANGLE_PRECISION)
+    {
+        if (f1 < f2)
+        {
+            b = x2;
+            x2 = x1;
+            f2 = f1;
+            x1 = phi * a + (1 - phi) * b;
+            f1 = this.distanceAtAngle(points, template, x1);
+        }
+        else
+        {
+            a = x1;
+            x1 = x2;
+            f1 = f2;
+            x2 = (1 - phi) * a + phi * b;
+            f2 = this.distanceAtAngle(points, template, x2);
+        }
+    }
+
+    return Math.min(f1, f2);
+
+};
+
+/**
+* Gets the distance between a path, rotated around the origin by the given angle, and a template.
+*
+* @method Phaser.StrokeRecognizer#distanceAtAngle
+* @private
+* @param {array<Phaser.Point>} points - The normalized points of the path.
+* @param {array<Phaser.Point>} template - The normalized points of the template.
+* @param {number} angle - The angle to rotate the path by, in radians.
+* @return {number} The average distance between the points of the path and the template.
+*/
+Phaser.StrokeRecognizer.prototype.distanceAtAngle = function (points, template, angle) {
+
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    var total = 0;
+
+    for (var i = 0; i < points.length; i++)
+    {
+        var x = points[i].x * cos - points[i].y * sin;
+        var y = points[i].x * sin + points[i].y * cos;
+
+        total += Phaser.Math.distance(x, y, template[i].x, template[i].y);
+    }
+
+    return total / points.length;
+
+};
+
+/**
+* Gets the distance between a path and a template.
+*
+* @method Phaser.StrokeRecognizer#pathDistance
+* @private
+* @param {array<Phaser.Point>} points - The normalized points of the path.
+* @param {array<Phaser.Point>} template - The normalized points of the template.
+* @return {number} The average distance between the points of the path and the template.
+*/
+Phaser.StrokeRecognizer.prototype.pathDistance = function (points, template) {
+
+    return this.distanceAtAngle(points, template, 0);
+
+};
+
+/**
+* Removes all of the templates and listeners. Use `game.plugins.remove` to remove and destroy the plugin.
+*
+* @method Phaser.StrokeRecognizer#destroy
+*/
+Phaser.StrokeRecognizer.prototype.destroy = function () {
+
+    this.removeAllTemplates();
+
+    this.onRecognize.dispose();
+    this.onFail.dispose();
+
+    this.points = [];
+    this._drawPointer = null;
+
+    Phaser.Plugin.prototype.destroy.call(this);
+
+};
+
+/**
+* Converts a list of points into Phaser.Point objects.
+*
+* @method Phaser.StrokeRecognizer.parsePoints
+* @static
+* @param {array} points - The points, as `[x, y]` arrays or objects with `x` and `y` properties.
+* @return {array<Phaser.Point>} A new array of points.
+*/
+Phaser.StrokeRecognizer.parsePoints = function (points) {
+
+    var result = [];
+
+    for (var i = 0; i < points.length; i++)
+    {
+        var point = points[i];
+
+        if (Array.isArray(point))
+        {
+            result.push(new Phaser.Point(point[0], point[1]));
+        }
+        else if (point)
+        {
+            result.push(new Phaser.Point(point.x, point.y));
+        }
+    }
+
+    return result;
+
+};
@@ -146,27 +146,45 @@ Phaser.Touch.prototype = {
         if (this.game.device.touch)
         {
             this._onTouchStart = function (event) {
-                return _this.onTouchStart(event);
+                if (_this.game.input.recorder.capture('ts', event))
+                {
+                    return _this.onTouchStart(event);
+                }
             };
 
             this._onTouchMove = function (event) {
-                return _this.onTouchMove(event);
+                if (_this.game.input.recorder.capture('tm', event))
+                {
+                    return _this.onTouchMove(event);
+                }
             };
 
             this._onTouchEnd = function (event) {
-                return _this.onTouchEnd(event);
+                if (_this.game.input.recorder.capture('te', event))
+                {
+                    return _this.onTouchEnd(event);
+                }
             };
 
             this._onTouchEnter = function (event) {
-                return _this.onTouchEnter(event);
+                if (_this.game.input.recorder.capture('tn', event))
+                {
+                    return _this.onTouchEnter(event);
+                }
             };
 
             this._onTouchLeave = function (event) {
-                return _this.onTouchLeave(event);
+                if (_this.game.input.recorder.capture('tl', event))
+                {
+                    return _this.onTouchLeave(event);
+                }
             };
 
             this._onTouchCancel = function (event) {
-                return _this.onTouchCancel(event);
+                if (_this.game.input.recorder.capture('tc', event))
+                {
+                    return _this.onTouchCancel(event);
+                }
             };
 
             this.game.canvas.addEventListener('touchstart', this._onTouchStart, false);
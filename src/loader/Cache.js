@@ -335,6 +335,30 @@ Phaser.Cache.prototype = {
 
     },
 
+    /**
+    * Gets the key of a small white image, which Game Objects such as the DialogueBox and TextInput tint to draw
+    * plain rectangles. It uses the special reserved key of `__white` and is created the first time it's needed.
+    *
+    * @method Phaser.Cache#getWhiteKey
+    * @return {string} The key of the image, `__white`.
+    */
+    getWhiteKey: function () {
+
+        if (!this.checkImageKey('__white'))
+        {
+            var canvas = Phaser.Canvas.create(null, 4, 4, '', true);
+            var context = canvas.getContext('2d');
+
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, 4, 4);
+
+            this.addImage('__white', null, canvas);
+        }
+
+        return '__white';
+
+    },
+
     /**
     * Adds a Sound file into the Cache. The file must have already been loaded, typically via Phaser.Loader.
     *
@@ -410,7 +434,7 @@ Phaser.Cache.prototype = {
     * @method Phaser.Cache#addTilemap
     * @param {string} key - The key that this asset will be stored in the cache under. This should be unique within this cache.
     * @param {string} url - The URL the asset was loaded from. If the asset was not loaded externally set to `null`.
-    * @param {object} mapData - The tilemap data object (either a CSV or JSON file).
+    * @param {object} mapData - The tilemap data object (either a CSV or JSON file, or a TMX XML Document).
     * @param {number} format - The format of the tilemap data.
     */
     addTilemap: function (key, url, mapData, format) {
@@ -492,6 +516,14 @@ Phaser.Cache.prototype = {
             obj.font = Phaser.LoaderParser.xmlBitmapFont(atlasData, obj.base, xSpacing, ySpacing);
         }
 
+        //  Only WebGL can draw distance fields, so other renderers get a plain copy of the texture
+        if (obj.font.distanceField && this.game.renderType !== Phaser.WEBGL)
+        {
+            obj.base = Phaser.LoaderParser.flattenDistanceField(obj.base, obj.font.distanceField);
+
+            Phaser.LoaderParser.finalizeBitmapFont(obj.base, obj.font);
+        }
+
         this._cache.bitmapFont[key] = obj;
 
         this._resolveURL(url, obj);
@@ -1247,7 +1279,7 @@ Phaser.Cache.prototype = {
     },
 
     /**
-    * Gets a raw Tilemap data object from the cache. This will be in either CSV or JSON format.
+    * Gets a raw Tilemap data object from the cache. This will be in either CSV, JSON or TMX (XML) format.
     *
     * The object is looked-up based on the key given.
     *
@@ -1255,7 +1287,7 @@ Phaser.Cache.prototype = {
     *
     * @method Phaser.Cache#getTilemapData
     * @param {string} key - The key of the asset to retrieve from the cache.
-    * @return {object} The raw tilemap data in CSV or JSON format.
+    * @return {object} The raw tilemap data in CSV, JSON or TMX (XML) format.
     */
     getTilemapData: function (key) {
 
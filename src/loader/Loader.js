@@ -819,6 +819,35 @@ Phaser.Loader.prototype = {
 
     },
 
+    /**
+    * Adds a JSON string table to the current load queue.
+    *
+    * The file is **not** loaded immediately after calling this method. The file is added to the queue ready to be loaded when the loader starts.
+    *
+    * Once loaded the strings are added to the I18n Manager with `game.i18n.addStrings`, rather than to the Cache.
+    * A locale can have several string tables, such as one per level, by giving each its own key and the same locale.
+    *
+    * The URL can be relative or absolute. If the URL is relative the `Loader.baseURL` and `Loader.path` values will be prepended to it.
+    *
+    * If the URL isn't specified the Loader will take the key and create a filename from that. For example if the key is "fr"
+    * and no URL is given then the Loader will set the URL to be "fr.json". It will always add `.json` as the extension.
+    * If you do not desire this action then provide a URL.
+    *
+    * @method Phaser.Loader#strings
+    * @param {string} key - Unique asset key of the string table.
+    * @param {string} [url] - URL of the JSON file. If undefined or `null` the url will be set to `<key>.json`, i.e. if `key` was "fr" then the URL will be "fr.json".
+    * @param {string} [locale] - The locale of the strings, such as `fr` or `pt-BR`. If not given the key is used as the locale.
+    * @param {boolean} [overwrite=false] - If an unloaded file with a matching key already exists in the queue, this entry will overwrite it.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    strings: function (key, url, locale, overwrite) {
+
+        if (locale === undefined || locale === null) { locale = key; }
+
+        return this.addToFileList('strings', key, url, { locale: locale }, overwrite, '.json');
+
+    },
+
     /**
     * Adds a fragment shader file to the current load queue.
     *
@@ -1165,7 +1194,7 @@ Phaser.Loader.prototype = {
     /**
     * Adds a Tile Map data file to the current load queue.
     *
-    * Phaser can load data in two different formats: CSV and Tiled JSON.
+    * Phaser can load data in three different formats: CSV, Tiled JSON and Tiled TMX (XML).
     * 
     * Tiled is a free software package, specifically for creating tilemaps, and is available from http://www.mapeditor.org
     *
@@ -1173,6 +1202,10 @@ Phaser.Loader.prototype = {
     * Or you can pass in a JSON object or String via the `data` parameter.
     * If you pass a String the data is automatically run through `JSON.parse` and then immediately added to the Phaser.Cache.
     *
+    * TMX data can likewise be given as an XML Document or String. When a TMX file is loaded from a URL any external
+    * tilesets (TSX files) it references are loaded too, relative to the map URL, and merged into the map before it is
+    * added to the Cache. External tilesets can't be resolved for TMX data given directly.
+    *
     * If a URL is provided the file is **not** loaded immediately after calling this method, but is added to the load queue.
     *
     * The key must be a unique String. It is used to add the file to the Phaser.Cache upon successful load.
@@ -1184,15 +1217,15 @@ Phaser.Loader.prototype = {
     *
     * If the URL isn't specified and no data is given then the Loader will take the key and create a filename from that.
     * For example if the key is "level1" and no URL or data is given then the Loader will set the URL to be "level1.json".
-    * If you set the format to be Tilemap.CSV it will set the URL to be "level1.csv" instead.
+    * If you set the format to be Tilemap.CSV it will set the URL to be "level1.csv" instead, or "level1.tmx" for Tilemap.TILED_XML.
     *
     * If you do not desire this action then provide a URL or data object.
     *
     * @method Phaser.Loader#tilemap
     * @param {string} key - Unique asset key of the tilemap data.
     * @param {string} [url] - URL of the tile map file. If undefined or `null` and no data is given the url will be set to `<key>.json`, i.e. if `key` was "level1" then the URL will be "level1.json".
-    * @param {object|string} [data] - An optional JSON data object. If given then the url is ignored and this JSON object is used for map data instead.
-    * @param {number} [format=Phaser.Tilemap.CSV] - The format of the map data. Either Phaser.Tilemap.CSV or Phaser.Tilemap.TILED_JSON.
+    * @param {object|string} [data] - An optional JSON data object, or XML Document for TMX data. If given then the url is ignored and this object is used for map data instead.
+    * @param {number} [format=Phaser.Tilemap.CSV] - The format of the map data. Either Phaser.Tilemap.CSV, Phaser.Tilemap.TILED_JSON or Phaser.Tilemap.TILED_XML.
     * @return {Phaser.Loader} This Loader instance.
     */
     tilemap: function (key, url, data, format) {
@@ -1207,6 +1240,10 @@ Phaser.Loader.prototype = {
             {
                 url = key + '.csv';
             }
+            else if (format === Phaser.Tilemap.TILED_XML)
+            {
+                url = key + '.tmx';
+            }
             else
             {
                 url = key + '.json';
@@ -1230,6 +1267,21 @@ Phaser.Loader.prototype = {
                         data = JSON.parse(data);
                     }
                     break;
+
+                //  An xml string or object has been given
+                case Phaser.Tilemap.TILED_XML:
+
+                    if (typeof data === 'string')
+                    {
+                        data = this.parseXml(data);
+
+                        if (!data)
+                        {
+                            console.warn('Phaser.Loader.tilemap - Invalid TMX data given for key: ' + key);
+                            return this;
+                        }
+                    }
+                    break;
             }
 
             this.cache.addTilemap(key, null, data, format);
@@ -1996,6 +2048,10 @@ Phaser.Loader.prototype = {
                     this.json(file.key, file.url, file.overwrite);
                     break;
 
+                case "strings":
+                    this.strings(file.key, file.url, file.locale, file.overwrite);
+                    break;
+
                 case "xml":
                     this.xml(file.key, file.url, file.overwrite);
                     break;
@@ -2156,6 +2212,7 @@ Phaser.Loader.prototype = {
                 break;
 
             case 'json':
+            case 'strings':
 
                 this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.jsonLoadComplete);
                 break;
@@ -2175,6 +2232,10 @@ Phaser.Loader.prototype = {
                 {
                     this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.csvLoadComplete);
                 }
+                else if (file.format === Phaser.Tilemap.TILED_XML)
+                {
+                    this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.xmlLoadComplete);
+                }
                 else
                 {
                     this.asyncComplete(file, "invalid Tilemap format: " + file.format);
@@ -2843,6 +2904,10 @@ Phaser.Loader.prototype = {
         {
             this.cache.addJSON(file.key, file.url, data);
         }
+        else if (file.type === 'strings')
+        {
+            this.game.i18n.addStrings(file.locale, data);
+        }
         else
         {
             this.cache.addTextureAtlas(file.key, file.url, file.data, data, file.format);
@@ -2903,11 +2968,92 @@ Phaser.Loader.prototype = {
         {
             this.cache.addXML(file.key, file.url, xml);
         }
+        else if (file.type === 'tilemap')
+        {
+            //  Completes the file once any external tilesets have been loaded
+            this.loadTilesetSources(file, xml);
+            return;
+        }
 
         this.asyncComplete(file);
 
     },
 
+    /**
+    * Loads the external tilesets (TSX files) referenced by a TMX map, one at a time, merging each into the
+    * tileset element that refers to it. Once all are resolved the map is added to the Cache.
+    *
+    * @method Phaser.Loader#loadTilesetSources
+    * @private
+    * @param {object} file - The tilemap file.
+    * @param {XMLDocument} xml - The TMX map document.
+    */
+    loadTilesetSources: function (file, xml) {
+
+        var tilesets = xml.getElementsByTagName('tileset');
+        var tileset = null;
+
+        for (var i = 0; i < tilesets.length; i++)
+        {
+            if (tilesets[i].hasAttribute('source'))
+            {
+                tileset = tilesets[i];
+                break;
+            }
+        }
+
+        if (!tileset)
+        {
+            this.cache.addTilemap(file.key, file.url, xml, file.format);
+            this.asyncComplete(file);
+            return;
+        }
+
+        var source = tileset.getAttribute('source');
+
+        //  Sources are relative to the map, unless absolute
+        if (!source.match(/^(?:\/|[a-z]+:)/i))
+        {
+            source = file.url.substr(0, file.url.lastIndexOf('/') + 1) + source;
+        }
+
+        this.xhrLoad(file, this.transformUrl(source, file), 'text', function (file, xhr) {
+
+            var tsx = this.parseXml(xhr.responseText);
+
+            if (!tsx)
+            {
+                console.warn('Phaser.Loader - ' + file.key + ': invalid tileset XML (' + source + ')');
+                this.asyncComplete(file, "invalid XML");
+                return;
+            }
+
+            var root = tsx.documentElement;
+
+            for (var i = 0; i < root.attributes.length; i++)
+            {
+                var attribute = root.attributes[i];
+
+                if (!tileset.hasAttribute(attribute.name))
+                {
+                    tileset.setAttribute(attribute.name, attribute.value);
+                }
+            }
+
+            while (root.firstChild)
+            {
+                tileset.appendChild(xml.importNode(root.firstChild, true));
+                root.removeChild(root.firstChild);
+            }
+
+            tileset.removeAttribute('source');
+
+            this.loadTilesetSources(file, xml);
+
+        });
+
+    },
+
     /**
     * Parses string data as XML.
     *
@@ -77,6 +77,18 @@ Phaser.LoaderParser = {
             data.chars[second].kerning[first] = amount;
         }
 
+        var distanceField = xml.getElementsByTagName('distanceField')[0];
+
+        data.distanceField = null;
+
+        if (distanceField)
+        {
+            data.distanceField = {
+                fieldType: distanceField.getAttribute('fieldType'),
+                distanceRange: parseInt(distanceField.getAttribute('distanceRange'), 10)
+            };
+        }
+
         return this.finalizeBitmapFont(baseTexture, data);
 
     },
@@ -97,9 +109,18 @@ Phaser.LoaderParser = {
             font: json.font.info._face,
             size: parseInt(json.font.info._size, 10),
             lineHeight: parseInt(json.font.common._lineHeight, 10) + ySpacing,
-            chars: {}
+            chars: {},
+            distanceField: null
         };
 
+        if (json.font.distanceField)
+        {
+            data.distanceField = {
+                fieldType: json.font.distanceField._fieldType,
+                distanceRange: parseInt(json.font.distanceField._distanceRange, 10)
+            };
+        }
+
         json.font.chars["char"].forEach(
 
             function parseChar(letter) {
@@ -163,5 +184,61 @@ Phaser.LoaderParser = {
 
         return bitmapFontData;
 
+    },
+
+    /**
+    * Draws the texture of a distance field font as a plain texture, with a one pixel anti-aliased edge where
+    * the distance crosses the middle. The Canvas renderer can't use distance fields, so this is done by
+    * Phaser.Cache when such a font is added to a game that isn't using WebGL.
+    *
+    * Single channel fonts can store the distance in either the red or alpha channel. Multi-channel fonts
+    * (`msdf`) use the median of the red, green and blue channels.
+    *
+    * @method Phaser.LoaderParser.flattenDistanceField
+    * @param {PIXI.BaseTexture} baseTexture - The BaseTexture of the font.
+    * @param {object} distanceField - The `distanceField` of the parsed font data, with its `fieldType` and `distanceRange`.
+    * @return {PIXI.BaseTexture} A new BaseTexture drawing the glyphs in white, or the given BaseTexture if its pixels can't be read.
+    */
+    flattenDistanceField: function (baseTexture, distanceField) {
+
+        var source = baseTexture.source;
+        var canvas = Phaser.Canvas.create(null, source.width, source.height, '', true);
+        var context = canvas.getContext('2d');
+        var imageData;
+
+        context.drawImage(source, 0, 0);
+
+        try
+        {
+            imageData = context.getImageData(0, 0, source.width, source.height);
+        }
+        catch (e)
+        {
+            console.warn('Phaser.LoaderParser.flattenDistanceField: Unable to read the font texture', e);
+            return baseTexture;
+        }
+
+        var pixels = imageData.data;
+        var msdf = (distanceField.fieldType === 'msdf');
+        var range = distanceField.distanceRange || 1;
+
+        for (var i = 0; i < pixels.length; i += 4)
+        {
+            var r = pixels[i];
+            var g = pixels[i + 1];
+            var b = pixels[i + 2];
+            var distance = (msdf) ? Math.max(Math.min(r, g), Math.min(Math.max(r, g), b)) : Math.min(r, pixels[i + 3]);
+
+            pixels[i] = 255;
+            pixels[i + 1] = 255;
+            pixels[i + 2] = 255;
+            pixels[i + 3] = Phaser.Math.clamp((distance / 255 - 0.5) * range + 0.5, 0, 1) * 255;
+        }
+
+        context.putImageData(imageData, 0, 0);
+
+        return new PIXI.BaseTexture(canvas, baseTexture.scaleMode);
+
     }
+
 };
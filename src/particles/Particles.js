@@ -59,15 +59,18 @@ Phaser.Particles.prototype = {
     },
 
     /**
-    * Called by the core game loop. Updates all Emitters who have their exists value set to true.
+    * Called by the core game loop. Updates all Emitters who have their exists value set to true,
+    * except those in the World of a State paused with `StateManager.pauseState`.
     * @method Phaser.Particles#update
     * @protected
     */
     update: function () {
 
+        var state = this.game.state;
+
         for (var key in this.emitters)
         {
-            if (this.emitters[key].exists)
+            if (this.emitters[key].exists && !state.isPaused(state.getStateKey(this.emitters[key])))
             {
                 this.emitters[key].update();
             }
@@ -0,0 +1,89 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Storage Manager backend that saves data into the browsers `window.localStorage`.
+*
+* Any errors thrown by the browser, such as when the storage quota is exceeded or when running in a
+* private browsing mode, are passed back up to the Storage Manager which dispatches them via `Storage.onError`.
+*
+* @class Phaser.Storage.LocalStorage
+* @constructor
+* @param {Storage} [storage=window.localStorage] - The DOM Storage object to use. You could pass `window.sessionStorage` here instead.
+*/
+Phaser.Storage.LocalStorage = function (storage) {
+
+    if (storage === undefined) { storage = window.localStorage; }
+
+    /**
+    * @property {Storage} storage - The DOM Storage object the data is written to.
+    */
+    this.storage = storage;
+
+};
+
+Phaser.Storage.LocalStorage.prototype = {
+
+    /**
+    * Returns the value stored under the given key.
+    *
+    * @method Phaser.Storage.LocalStorage#getItem
+    * @param {string} key - The key to read.
+    * @return {string|null} The stored value, or null if nothing is stored under the key.
+    */
+    getItem: function (key) {
+
+        return this.storage.getItem(key);
+
+    },
+
+    /**
+    * Stores the value under the given key.
+    *
+    * @method Phaser.Storage.LocalStorage#setItem
+    * @param {string} key - The key to write.
+    * @param {string} value - The value to store.
+    */
+    setItem: function (key, value) {
+
+        this.storage.setItem(key, value);
+
+    },
+
+    /**
+    * Removes the value stored under the given key.
+    *
+    * @method Phaser.Storage.LocalStorage#removeItem
+    * @param {string} key - The key to remove.
+    */
+    removeItem: function (key) {
+
+        this.storage.removeItem(key);
+
+    },
+
+    /**
+    * Returns all of the keys currently held in storage.
+    *
+    * @method Phaser.Storage.LocalStorage#keys
+    * @return {string[]} An array of keys.
+    */
+    keys: function () {
+
+        var output = [];
+
+        for (var i = 0; i < this.storage.length; i++)
+        {
+            output.push(this.storage.key(i));
+        }
+
+        return output;
+
+    }
+
+};
+
+Phaser.Storage.LocalStorage.prototype.constructor = Phaser.Storage.LocalStorage;
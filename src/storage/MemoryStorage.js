@@ -0,0 +1,159 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A Storage Manager backend that keeps all data in memory. Nothing is persisted once the page is closed.
+*
+* It is used automatically if the Device doesn't support `localStorage`, and is useful for headless tests
+* where you want each run to start from a clean slate: `game.storage.setBackend(new Phaser.Storage.MemoryStorage())`.
+*
+* You can give it a `quota`, in characters, to simulate a full storage device.
+*
+* @class Phaser.Storage.MemoryStorage
+* @constructor
+* @param {integer} [quota=0] - The maximum total length of all stored keys and values. Zero means unlimited.
+*/
+Phaser.Storage.MemoryStorage = function (quota) {
+
+    if (quota === undefined) { quota = 0; }
+
+    /**
+    * If above zero this is the maximum total length of all stored keys and values.
+    * When a `setItem` call would exceed it an Error with the name `QuotaExceededError` is thrown, the same as browsers do.
+    * @property {integer} quota
+    */
+    this.quota = quota;
+
+    /**
+    * @property {object} _data - The stored key value pairs.
+    * @private
+    */
+    this._data = {};
+
+};
+
+Phaser.Storage.MemoryStorage.prototype = {
+
+    /**
+    * Returns the value stored under the given key.
+    *
+    * @method Phaser.Storage.MemoryStorage#getItem
+    * @param {string} key - The key to read.
+    * @return {string|null} The stored value, or null if nothing is stored under the key.
+    */
+    getItem: function (key) {
+
+        if (this._data.hasOwnProperty(key))
+        {
+            return this._data[key];
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Stores the value under the given key.
+    *
+    * @method Phaser.Storage.MemoryStorage#setItem
+    * @param {string} key - The key to write.
+    * @param {string} value - The value to store.
+    */
+    setItem: function (key, value) {
+
+        value = String(value);
+
+        if (this.quota > 0)
+        {
+            var size = this.getSize() + key.length + value.length;
+
+            if (this._data.hasOwnProperty(key))
+            {
+                size -= key.length + this._data[key].length;
+            }
+
+            if (size > this.quota)
+            {
+                var error = new Error('Phaser.Storage.MemoryStorage quota exceeded');
+                error.name = 'QuotaExceededError';
+                throw error;
+            }
+        }
+
+        this._data[key] = value;
+
+    },
+
+    /**
+    * Removes the value stored under the given key.
+    *
+    * @method Phaser.Storage.MemoryStorage#removeItem
+    * @param {string} key - The key to remove.
+    */
+    removeItem: function (key) {
+
+        delete this._data[key];
+
+    },
+
+    /**
+    * Returns all of the keys currently held in storage.
+    *
+    * @method Phaser.Storage.MemoryStorage#keys
+    * @return {string[]} An array of keys.
+    */
+    keys: function () {
+
+        var output = [];
+
+        for (var key in this._data)
+        {
+            if (this._data.hasOwnProperty(key))
+            {
+                output.push(key);
+            }
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Returns the total length of all stored keys and values.
+    *
+    * @method Phaser.Storage.MemoryStorage#getSize
+    * @return {integer} The total size, in characters.
+    */
+    getSize: function () {
+
+        var size = 0;
+
+        for (var key in this._data)
+        {
+            if (this._data.hasOwnProperty(key))
+            {
+                size += key.length + this._data[key].length;
+            }
+        }
+
+        return size;
+
+    },
+
+    /**
+    * Removes all stored data.
+    *
+    * @method Phaser.Storage.MemoryStorage#clear
+    */
+    clear: function () {
+
+        this._data = {};
+
+    }
+
+};
+
+Phaser.Storage.MemoryStorage.prototype.constructor = Phaser.Storage.MemoryStorage;
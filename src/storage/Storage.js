@@ -0,0 +1,481 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Storage Manager provides persistent storage for your game, such as save slots, high scores or settings.
+*
+* All data is saved into a named slot. Slot names are prefixed with the `namespace` before being written to the
+* storage backend, so that several games running on the same domain don't overwrite each others data.
+*
+* Each save is tagged with the current `version`. If you change the structure of your save data in a later release
+* of your game you can increase the version and register a migration callback via `addMigration`, which will be used
+* to upgrade older saves as they are loaded.
+*
+* By default the data is stored in the browsers `localStorage`, if the Device supports it, or in memory if not.
+* You can swap to a different backend at any time with `setBackend`. The in-memory backend is handy for headless tests.
+*
+* Data is serialized with `JSON.stringify`, so it must be JSON safe.
+*
+* @class Phaser.Storage
+* @constructor
+* @param {Phaser.Game} game - A reference to the currently running game.
+*/
+Phaser.Storage = function (game) {
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running game.
+    */
+    this.game = game;
+
+    /**
+    * The namespace is prefixed to all slot names when they are written to the storage backend.
+    * Set this to something unique to your game before saving or loading any data.
+    *
+    * @property {string} namespace
+    * @default
+    */
+    this.namespace = 'phaser';
+
+    /**
+    * The current version of your save data. All saves are tagged with this version.
+    * Loading a save that has a lower version will run it through any migration callbacks registered with `addMigration`.
+    * Loading a save with a higher version will fail.
+    *
+    * @property {integer} version
+    * @default
+    */
+    this.version = 1;
+
+    /**
+    * The storage backend in use. This can be any object that implements the `getItem`, `setItem`, `removeItem` and `keys` methods,
+    * such as {@link Phaser.Storage.LocalStorage} or {@link Phaser.Storage.MemoryStorage}. Change it via `setBackend`.
+    *
+    * @property {object} backend
+    * @readonly
+    */
+    this.backend = null;
+
+    /**
+    * This signal is dispatched after data has been successfully saved.
+    * It is sent two arguments: the slot name and the data that was saved.
+    *
+    * @property {Phaser.Signal} onSave
+    */
+    this.onSave = new Phaser.Signal();
+
+    /**
+    * This signal is dispatched after data has been successfully loaded (and migrated, if required).
+    * It is sent two arguments: the slot name and the loaded data.
+    *
+    * @property {Phaser.Signal} onLoad
+    */
+    this.onLoad = new Phaser.Signal();
+
+    /**
+    * This signal is dispatched if a save, load or remove operation fails.
+    * It is sent three arguments: the slot name, the reason (one of the `Phaser.Storage` error constants, such as `Phaser.Storage.QUOTA_EXCEEDED`)
+    * and the original Error object, if there was one.
+    *
+    * @property {Phaser.Signal} onError
+    */
+    this.onError = new Phaser.Signal();
+
+    /**
+    * @property {array} _migrations - The registered migration callbacks, indexed by the version they upgrade from.
+    * @private
+    */
+    this._migrations = [];
+
+};
+
+/**
+* The storage backend threw an error because it is full.
+* @constant
+* @type {string}
+*/
+Phaser.Storage.QUOTA_EXCEEDED = 'quotaExceeded';
+
+/**
+* The storage backend is unavailable or threw an unexpected error.
+* @constant
+* @type {string}
+*/
+Phaser.Storage.BACKEND_ERROR = 'backendError';
+
+/**
+* The stored data could not be parsed, or the data to save could not be serialized.
+* @constant
+* @type {string}
+*/
+Phaser.Storage.INVALID_DATA = 'invalidData';
+
+/**
+* The stored data has a higher version than `Storage.version`, or a migration callback failed.
+* @constant
+* @type {string}
+*/
+Phaser.Storage.VERSION_MISMATCH = 'versionMismatch';
+
+Phaser.Storage.prototype = {
+
+    /**
+    * Called automatically by Phaser.Game. Picks the default storage backend based on the Device capabilities.
+    *
+    * @method Phaser.Storage#boot
+    * @protected
+    */
+    boot: function () {
+
+        if (this.game.device.localStorage)
+        {
+            this.backend = new Phaser.Storage.LocalStorage();
+        }
+        else
+        {
+            this.backend = new Phaser.Storage.MemoryStorage();
+        }
+
+    },
+
+    /**
+    * Sets the storage backend. Any data saved to the previous backend stays there and is not copied across.
+    *
+    * @method Phaser.Storage#setBackend
+    * @param {object} backend - The new backend, such as `new Phaser.Storage.MemoryStorage()`.
+    * @return {Phaser.Storage} This Storage Manager.
+    */
+    setBackend: function (backend) {
+
+        this.backend = backend;
+
+        return this;
+
+    },
+
+    /**
+    * Registers a callback that upgrades saved data from one version to the next.
+    *
+    * The callback is sent the saved data and the version it is being upgraded from, and must return the upgraded data.
+    * Migrations are chained, so a save at version 1 loaded when `Storage.version` is 3 will be passed through the
+    * callbacks for version 1 and then version 2. If no callback is registered for a version the data is passed through unchanged.
+    *
+    * @method Phaser.Storage#addMigration
+    * @param {integer} fromVersion - The version this callback upgrades from. The data it returns is treated as `fromVersion + 1`.
+    * @param {function} callback - The migration callback.
+    * @param {object} [callbackContext] - The context in which the callback is called.
+    * @return {Phaser.Storage} This Storage Manager.
+    */
+    addMigration: function (fromVersion, callback, callbackContext) {
+
+        this._migrations[fromVersion] = { callback: callback, context: callbackContext };
+
+        return this;
+
+    },
+
+    /**
+    * Saves the data into the given slot, replacing anything already stored there.
+    *
+    * @method Phaser.Storage#save
+    * @param {string} slot - The name of the save slot, such as 'slot1' or 'settings'.
+    * @param {any} data - The data to save. Must be JSON safe.
+    * @return {boolean} True if the data was saved, false if not (in which case `onError` is dispatched).
+    */
+    save: function (slot, data) {
+
+        var record = {
+            version: this.version,
+            time: Date.now(),
+            data: data
+        };
+
+        var json;
+
+        try {
+            json = JSON.stringify(record);
+        } catch (error) {
+            return this.fail(slot, Phaser.Storage.INVALID_DATA, error);
+        }
+
+        try {
+            this.backend.setItem(this.getKey(slot), json);
+        } catch (error) {
+            return this.fail(slot, (this.isQuotaError(error)) ? Phaser.Storage.QUOTA_EXCEEDED : Phaser.Storage.BACKEND_ERROR, error);
+        }
+
+        this.onSave.dispatch(slot, data);
+
+        return true;
+
+    },
+
+    /**
+    * Loads the data stored in the given slot, migrating it to the current `version` if required.
+    *
+    * @method Phaser.Storage#load
+    * @param {string} slot - The name of the save slot.
+    * @param {any} [defaultValue=null] - The value returned if the slot is empty.
+    * @return {any} The loaded data, `defaultValue` if the slot is empty, or `null` if loading failed (in which case `onError` is dispatched).
+    */
+    load: function (slot, defaultValue) {
+
+        if (defaultValue === undefined) { defaultValue = null; }
+
+        var record = this.getRecord(slot);
+
+        if (record === undefined)
+        {
+            return null;
+        }
+        else if (record === null)
+        {
+            return defaultValue;
+        }
+
+        var data = record.data;
+
+        if (record.version > this.version)
+        {
+            this.fail(slot, Phaser.Storage.VERSION_MISMATCH, null);
+            return null;
+        }
+
+        for (var v = record.version; v < this.version; v++)
+        {
+            var migration = this._migrations[v];
+
+            if (migration)
+            {
+                try {
+                    data = migration.callback.call(migration.context, data, v);
+                } catch (error) {
+                    this.fail(slot, Phaser.Storage.VERSION_MISMATCH, error);
+                    return null;
+                }
+            }
+        }
+
+        this.onLoad.dispatch(slot, data);
+
+        return data;
+
+    },
+
+    /**
+    * Returns information about the save in the given slot, without migrating or returning its data.
+    *
+    * @method Phaser.Storage#getInfo
+    * @param {string} slot - The name of the save slot.
+    * @return {object|null} An object with the `version` and `time` (in ms since the epoch) of the save, or null if the slot is empty or invalid.
+    */
+    getInfo: function (slot) {
+
+        var record = this.getRecord(slot);
+
+        if (!record)
+        {
+            return null;
+        }
+
+        return { version: record.version, time: record.time };
+
+    },
+
+    /**
+    * Checks if the given slot contains any saved data.
+    *
+    * @method Phaser.Storage#exists
+    * @param {string} slot - The name of the save slot.
+    * @return {boolean} True if the slot contains data, otherwise false.
+    */
+    exists: function (slot) {
+
+        try {
+            return (this.backend.getItem(this.getKey(slot)) !== null);
+        } catch (error) {
+            return false;
+        }
+
+    },
+
+    /**
+    * Removes any data saved in the given slot.
+    *
+    * @method Phaser.Storage#remove
+    * @param {string} slot - The name of the save slot.
+    * @return {boolean} True if the slot was removed, false if the backend failed (in which case `onError` is dispatched).
+    */
+    remove: function (slot) {
+
+        try {
+            this.backend.removeItem(this.getKey(slot));
+        } catch (error) {
+            return this.fail(slot, Phaser.Storage.BACKEND_ERROR, error);
+        }
+
+        return true;
+
+    },
+
+    /**
+    * Returns the names of all the slots that contain data within the current namespace.
+    *
+    * @method Phaser.Storage#getSlots
+    * @return {string[]} An array of slot names.
+    */
+    getSlots: function () {
+
+        var output = [];
+        var prefix = this.namespace + '.';
+        var keys;
+
+        try {
+            keys = this.backend.keys();
+        } catch (error) {
+            return output;
+        }
+
+        for (var i = 0; i < keys.length; i++)
+        {
+            if (keys[i].indexOf(prefix) === 0)
+            {
+                output.push(keys[i].substr(prefix.length));
+            }
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Removes all of the slots within the current namespace. Data saved under other namespaces is left untouched.
+    *
+    * @method Phaser.Storage#clear
+    */
+    clear: function () {
+
+        var slots = this.getSlots();
+
+        for (var i = 0; i < slots.length; i++)
+        {
+            this.remove(slots[i]);
+        }
+
+    },
+
+    /**
+    * Returns the namespaced key for the given slot, as used by the storage backend.
+    *
+    * @method Phaser.Storage#getKey
+    * @param {string} slot - The name of the save slot.
+    * @return {string} The backend key.
+    */
+    getKey: function (slot) {
+
+        return this.namespace + '.' + slot;
+
+    },
+
+    /**
+    * Reads and parses the stored record for a slot.
+    *
+    * @method Phaser.Storage#getRecord
+    * @private
+    * @param {string} slot - The name of the save slot.
+    * @return {object|null|undefined} The record, `null` if the slot is empty, or `undefined` if reading it failed.
+    */
+    getRecord: function (slot) {
+
+        var json;
+
+        try {
+            json = this.backend.getItem(this.getKey(slot));
+        } catch (error) {
+            this.fail(slot, Phaser.Storage.BACKEND_ERROR, error);
+            return undefined;
+        }
+
+        if (json === null || json === undefined)
+        {
+            return null;
+        }
+
+        var record;
+
+        try {
+            record = JSON.parse(json);
+        } catch (error) {
+            this.fail(slot, Phaser.Storage.INVALID_DATA, error);
+            return undefined;
+        }
+
+        if (!record || typeof record !== 'object' || typeof record.version !== 'number')
+        {
+            this.fail(slot, Phaser.Storage.INVALID_DATA, null);
+            return undefined;
+        }
+
+        return record;
+
+    },
+
+    /**
+    * Checks if the given error was thrown because the storage quota was exceeded.
+    * Browsers don't agree on how to report this, so the name, legacy code and Firefox specific name are all checked.
+    *
+    * @method Phaser.Storage#isQuotaError
+    * @param {Error} error - The error to check.
+    * @return {boolean} True if this is a quota error.
+    */
+    isQuotaError: function (error) {
+
+        if (!error)
+        {
+            return false;
+        }
+
+        return (error.code === 22 || error.code === 1014 || error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+
+    },
+
+    /**
+    * Dispatches the onError signal.
+    *
+    * @method Phaser.Storage#fail
+    * @private
+    * @param {string} slot - The name of the save slot.
+    * @param {string} reason - The reason constant.
+    * @param {Error} error - The original error, if any.
+    * @return {boolean} Always false.
+    */
+    fail: function (slot, reason, error) {
+
+        this.onError.dispatch(slot, reason, error);
+
+        return false;
+
+    },
+
+    /**
+    * Removes all signal bindings and the backend reference.
+    *
+    * @method Phaser.Storage#destroy
+    */
+    destroy: function () {
+
+        this.onSave.dispose();
+        this.onLoad.dispose();
+        this.onError.dispose();
+
+        this._migrations = [];
+        this.backend = null;
+        this.game = null;
+
+    }
+
+};
+
+Phaser.Storage.prototype.constructor = Phaser.Storage;
@@ -0,0 +1,35 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* This is a stub for the Phaser I18n Manager.
+* It allows you to exclude the default I18n Manager from your build, without making Game crash.
+*/
+
+var i18nNoop = function () {};
+
+Phaser.I18n = i18nNoop;
+
+Phaser.I18n.prototype = {
+    isDisabled: true,
+
+    boot: i18nNoop,
+    addStrings: function () { return this; },
+    removeStrings: function () { return this; },
+    getLocales: function () { return []; },
+    setLocale: function () { return this; },
+    detectLocale: function () { return 'en'; },
+    get: function (key) { return key; },
+    has: function () { return false; },
+    format: function (text) { return text; },
+    bind: function (target) { return target; },
+    unbind: function () { return this; },
+    getBinding: function () { return null; },
+    refresh: i18nNoop,
+    destroy: i18nNoop
+};
+
+Phaser.I18n.prototype.constructor = Phaser.I18n;
@@ -0,0 +1,32 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* This is a stub for the Phaser Storage Manager.
+* It allows you to exclude the default Storage Manager from your build, without making Game crash.
+*/
+
+var storageNoop = function () {};
+
+Phaser.Storage = storageNoop;
+
+Phaser.Storage.prototype = {
+    isDisabled: true,
+
+    boot: storageNoop,
+    setBackend: storageNoop,
+    addMigration: storageNoop,
+    save: function () { return false; },
+    load: function () { return null; },
+    getInfo: function () { return null; },
+    exists: function () { return false; },
+    remove: function () { return false; },
+    getSlots: function () { return []; },
+    clear: storageNoop,
+    destroy: storageNoop
+};
+
+Phaser.Storage.prototype.constructor = Phaser.Storage;
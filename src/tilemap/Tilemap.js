@@ -5,7 +5,7 @@
 */
 
 /**
-* Creates a new Phaser.Tilemap object. The map can either be populated with data from a Tiled JSON file or from a CSV file.
+* Creates a new Phaser.Tilemap object. The map can either be populated with data from a Tiled JSON or TMX file or from a CSV file.
 *
 * Tiled is a free software package specifically for creating tile maps, and is available from http://www.mapeditor.org
 * 
@@ -65,12 +65,51 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height) {
     this.tileHeight = data.tileHeight;
 
     /**
-    * @property {string} orientation - The orientation of the map data (as specified in Tiled), usually 'orthogonal'.
+    * The orientation of the map data (as specified in Tiled): 'orthogonal', 'isometric', 'staggered' or 'hexagonal'.
+    * It controls how TilemapLayers draw the tiles and how pixel coordinates are converted to tile coordinates.
+    * @property {string} orientation
     */
     this.orientation = data.orientation;
 
     /**
-    * @property {number} format - The format of the map data, either Phaser.Tilemap.CSV or Phaser.Tilemap.TILED_JSON.
+    * @property {string} staggerAxis - For staggered and hexagonal maps, the axis that is staggered: 'x' (columns) or 'y' (rows).
+    */
+    this.staggerAxis = data.staggerAxis;
+
+    /**
+    * @property {string} staggerIndex - For staggered and hexagonal maps, whether the 'odd' or 'even' rows or columns are shifted.
+    */
+    this.staggerIndex = data.staggerIndex;
+
+    /**
+    * @property {number} hexSideLength - For hexagonal maps, the length in pixels of the flat side of a hexagon tile.
+    */
+    this.hexSideLength = data.hexSideLength;
+
+    /**
+    * For Tiled infinite maps, the Tiled coordinate of the tile at 0x0. The map is sized to fit the chunks of its layers and
+    * shifted to start at 0x0, along with its objects and images, so this is where the origin of the map in Tiled moved to.
+    * @property {integer} startX
+    */
+    this.startX = data.startX;
+
+    /**
+    * For Tiled infinite maps, the Tiled coordinate of the tile at 0x0. See `startX`.
+    * @property {integer} startY
+    */
+    this.startY = data.startY;
+
+    /**
+    * The layers of Tiled infinite maps can be streamed, see `Phaser.TilemapParser.STREAM_CHUNKS`. Their chunks are
+    * loaded while they are within this many tiles of the view of a TilemapLayer showing them, and unloaded once they
+    * are not, so physics and tile look-ups work in this range around the camera.
+    * @property {integer} streamDistance
+    * @default
+    */
+    this.streamDistance = 16;
+
+    /**
+    * @property {number} format - The format of the map data, either Phaser.Tilemap.CSV, Phaser.Tilemap.TILED_JSON or Phaser.Tilemap.TILED_XML.
     */
     this.format = data.format;
 
@@ -85,12 +124,12 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height) {
     this.properties = data.properties;
 
     /**
-    * @property {number} widthInPixels - The width of the map in pixels based on width * tileWidth.
+    * @property {number} widthInPixels - The width of the map in pixels, based on width * tileWidth for orthogonal maps.
     */
     this.widthInPixels = data.widthInPixels;
 
     /**
-    * @property {number} heightInPixels - The height of the map in pixels based on height * tileHeight.
+    * @property {number} heightInPixels - The height of the map in pixels, based on height * tileHeight for orthogonal maps.
     */
     this.heightInPixels = data.heightInPixels;
 
@@ -149,6 +188,26 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height) {
     */
     this.debugMap = [];
 
+    /**
+    * The clock that drives the tile animations of this map, in milliseconds. It is advanced by the TilemapLayers
+    * of the map during their update, so it only runs while at least one layer is in the game world.
+    * @property {number} animationTime
+    */
+    this.animationTime = 0;
+
+    /**
+    * If true the tile animations of this map are paused. Use `pauseAnimations` and `resumeAnimations` to change.
+    * @property {boolean} animationsPaused
+    * @readonly
+    */
+    this.animationsPaused = false;
+
+    /**
+    * @property {number} _animationStamp - The game time at which animationTime was last advanced.
+    * @private
+    */
+    this._animationStamp = 0;
+
     /**
     * @property {array} _results - Internal var.
     * @private
@@ -167,6 +226,28 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height) {
     */
     this._tempB = 0;
 
+    /**
+    * @property {Phaser.Point} _tilePoint - Internal var.
+    * @private
+    */
+    this._tilePoint = new Phaser.Point();
+
+    if (this.orientation !== 'orthogonal')
+    {
+        for (var i = 0; i < this.layers.length; i++)
+        {
+            for (var y = 0; y < this.layers[i].data.length; y++)
+            {
+                var row = this.layers[i].data[y];
+
+                for (var x = 0; x < row.length; x++)
+                {
+                    this.updateTileWorldXY(row[x]);
+                }
+            }
+        }
+    }
+
 };
 
 /**
@@ -181,6 +262,12 @@ Phaser.Tilemap.CSV = 0;
 */
 Phaser.Tilemap.TILED_JSON = 1;
 
+/**
+* @constant
+* @type {number}
+*/
+Phaser.Tilemap.TILED_XML = 2;
+
 /**
 * @constant
 * @type {number}
@@ -245,8 +332,11 @@ Phaser.Tilemap.prototype = {
 
         this.tileWidth = tileWidth;
         this.tileHeight = tileHeight;
-        this.widthInPixels = this.width * tileWidth;
-        this.heightInPixels = this.height * tileHeight;
+
+        var size = Phaser.TilemapParser.getPixelSize(this, this.width, this.height);
+
+        this.widthInPixels = size.width;
+        this.heightInPixels = size.height;
 
     },
 
@@ -310,9 +400,9 @@ Phaser.Tilemap.prototype = {
 
         var idx = this.getTilesetIndex(tileset);
 
-        if (idx === null && this.format === Phaser.Tilemap.TILED_JSON)
+        if (idx === null && (this.format === Phaser.Tilemap.TILED_JSON || this.format === Phaser.Tilemap.TILED_XML))
         {
-            console.warn('Phaser.Tilemap.addTilesetImage: No data found in the JSON matching the tileset name: "' + tileset + '"');
+            console.warn('Phaser.Tilemap.addTilesetImage: No data found in the map matching the tileset name: "' + tileset + '"');
             return null;
         }
 
@@ -654,6 +744,8 @@ Phaser.Tilemap.prototype = {
             return;
         }
 
+        var size = Phaser.TilemapParser.getPixelSize(this, width, height, tileWidth, tileHeight);
+
         var layer = {
 
             name: name,
@@ -661,8 +753,8 @@ Phaser.Tilemap.prototype = {
             y: 0,
             width: width,
             height: height,
-            widthInPixels: width * tileWidth,
-            heightInPixels: height * tileHeight,
+            widthInPixels: size.width,
+            heightInPixels: size.height,
             alpha: 1,
             visible: true,
             properties: {},
@@ -682,7 +774,11 @@ Phaser.Tilemap.prototype = {
 
             for (var x = 0; x < width; x++)
             {
-                row.push(new Phaser.Tile(layer, -1, x, y, tileWidth, tileHeight));
+                var tile = new Phaser.Tile(layer, -1, x, y, tileWidth, tileHeight);
+
+                this.updateTileWorldXY(tile);
+
+                row.push(tile);
             }
 
             output.push(row);
@@ -1076,23 +1172,36 @@ Phaser.Tilemap.prototype = {
     * @method Phaser.Tilemap#calculateFaces
     * @protected
     * @param {number} layer - The index of the TilemapLayer to operate on.
+    * @param {integer} [x=0] - X position of the top left of the area to calculate (given in tiles, not pixels)
+    * @param {integer} [y=0] - Y position of the top left of the area to calculate (given in tiles, not pixels)
+    * @param {integer} [width] - The width of the area to calculate (given in tiles, not pixels). Defaults to the layer width.
+    * @param {integer} [height] - The height of the area to calculate (given in tiles, not pixels). Defaults to the layer height.
     */
-    calculateFaces: function (layer) {
+    calculateFaces: function (layer, x, y, width, height) {
 
         if (this.preventingRecalculate)
         {
             this.needToRecalculate[layer] = true;
             return;
         }
-        
+
+        if (x === undefined) { x = 0; }
+        if (y === undefined) { y = 0; }
+        if (width === undefined) { width = this.layers[layer].width; }
+        if (height === undefined) { height = this.layers[layer].height; }
+
         var above = null;
         var below = null;
         var left = null;
         var right = null;
 
-        for (var y = 0, h = this.layers[layer].height; y < h; y++)
+        var w = Math.min(x + width, this.layers[layer].width);
+        var h = Math.min(y + height, this.layers[layer].height);
+        var startX = Math.max(0, x);
+
+        for (y = Math.max(0, y); y < h; y++)
         {
-            for (var x = 0, w = this.layers[layer].width; x < w; x++)
+            for (x = startX; x < w; x++)
             {
                 var tile = this.layers[layer].data[y][x];
 
@@ -1250,7 +1359,7 @@ Phaser.Tilemap.prototype = {
 
         layer = this.getLayer(layer);
 
-        if (this.layers[layer].data[y] === undefined || this.layers[layer].data[y][x] === undefined)
+        if (this.layers[layer].data[y] === undefined || !this.layers[layer].data[y][x])
         {
             return false;
         }
@@ -1280,6 +1389,8 @@ Phaser.Tilemap.prototype = {
 
                 this.layers[layer].data[y][x] = new Phaser.Tile(this.layers[layer], -1, x, y, this.tileWidth, this.tileHeight);
 
+                this.updateTileWorldXY(this.layers[layer].data[y][x]);
+
                 this.layers[layer].dirty = true;
 
                 this.calculateFaces(layer);
@@ -1296,8 +1407,8 @@ Phaser.Tilemap.prototype = {
     * @method Phaser.Tilemap#removeTileWorldXY
     * @param {number} x - X position to insert the tile (given in pixels)
     * @param {number} y - Y position to insert the tile (given in pixels)
-    * @param {number} tileWidth - The width of the tile in pixels.
-    * @param {number} tileHeight - The height of the tile in pixels.
+    * @param {number} [tileWidth] - The width of the tile in pixels. If not given the map default is used.
+    * @param {number} [tileHeight] - The height of the tile in pixels. If not given the map default is used.
     * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to modify.
     * @return {Phaser.Tile} The Tile object that was removed from this map.
     */
@@ -1305,10 +1416,9 @@ Phaser.Tilemap.prototype = {
 
         layer = this.getLayer(layer);
 
-        x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
-        y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        var point = this._worldToTile(x, y, tileWidth, tileHeight);
 
-        return this.removeTile(x, y, layer);
+        return this.removeTile(point.x, point.y, layer);
 
     },
 
@@ -1363,6 +1473,8 @@ Phaser.Tilemap.prototype = {
                 }
             }
 
+            this.updateTileWorldXY(this.layers[layer].data[y][x]);
+
             if (this.collideIndexes.indexOf(index) > -1)
             {
                 this.layers[layer].data[y][x].setCollision(true, true, true, true);
@@ -1390,8 +1502,8 @@ Phaser.Tilemap.prototype = {
     * @param {Phaser.Tile|number} tile - The index of this tile to set or a Phaser.Tile object.
     * @param {number} x - X position to insert the tile (given in pixels)
     * @param {number} y - Y position to insert the tile (given in pixels)
-    * @param {number} tileWidth - The width of the tile in pixels.
-    * @param {number} tileHeight - The height of the tile in pixels.
+    * @param {number} [tileWidth] - The width of the tile in pixels. If not given the map default is used.
+    * @param {number} [tileHeight] - The height of the tile in pixels. If not given the map default is used.
     * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to modify.
     * @return {Phaser.Tile} The Tile object that was created or added to this map.
     */
@@ -1399,10 +1511,9 @@ Phaser.Tilemap.prototype = {
 
         layer = this.getLayer(layer);
 
-        x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
-        y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        var point = this._worldToTile(x, y, tileWidth, tileHeight);
 
-        return this.putTile(tile, x, y, layer);
+        return this.putTile(tile, point.x, point.y, layer);
 
     },
 
@@ -1411,6 +1522,7 @@ Phaser.Tilemap.prototype = {
     * If no match is found it returns null.
     * The search starts from the top-left tile and continues horizontally until it hits the end of the row, then it drops down to the next column.
     * If the reverse boolean is true, it scans starting from the bottom-right corner traveling up to the top-left.
+    * Only the loaded chunks of a streamed layer are searched.
     *
     * @method Phaser.Tilemap#searchTileIndex
     * @param {number} index - The tile index value to search for.
@@ -1434,11 +1546,13 @@ Phaser.Tilemap.prototype = {
             {
                 for (var x = this.layers[layer].width - 1; x >= 0; x--)
                 {
-                    if (this.layers[layer].data[y][x].index === index)
+                    var tile = this.layers[layer].data[y][x];
+
+                    if (tile && tile.index === index)
                     {
                         if (c === skip)
                         {
-                            return this.layers[layer].data[y][x];
+                            return tile;
                         }
                         else
                         {
@@ -1454,11 +1568,13 @@ Phaser.Tilemap.prototype = {
             {
                 for (var x = 0; x < this.layers[layer].width; x++)
                 {
-                    if (this.layers[layer].data[y][x].index === index)
+                    var tile = this.layers[layer].data[y][x];
+
+                    if (tile && tile.index === index)
                     {
                         if (c === skip)
                         {
-                            return this.layers[layer].data[y][x];
+                            return tile;
                         }
                         else
                         {
@@ -1491,6 +1607,12 @@ Phaser.Tilemap.prototype = {
 
         if (x >= 0 && x < this.layers[layer].width && y >= 0 && y < this.layers[layer].height)
         {
+            //  Streamed layers have no Tiles outside of their loaded chunks
+            if (!this.layers[layer].data[y][x])
+            {
+                return null;
+            }
+
             if (this.layers[layer].data[y][x].index === -1)
             {
                 if (nonNull)
@@ -1528,21 +1650,218 @@ Phaser.Tilemap.prototype = {
     */
     getTileWorldXY: function (x, y, tileWidth, tileHeight, layer, nonNull) {
 
+        layer = this.getLayer(layer);
+
+        var point = this._worldToTile(x, y, tileWidth, tileHeight);
+
+        return this.getTile(point.x, point.y, layer, nonNull);
+
+    },
+
+    /**
+    * Converts a tile coordinate into the pixel position of the top-left of the tile, relative to the top-left of the map.
+    *
+    * This is the corner of the bounding box of the tile shape: the diamond of an isometric or staggered tile,
+    * or the hexagon of a hexagonal one. Tile images taller than the map tiles are drawn bottom-aligned to this box.
+    *
+    * @method Phaser.Tilemap#tileToWorldXY
+    * @param {integer} x - X position of the tile (given in tiles, not pixels)
+    * @param {integer} y - Y position of the tile (given in tiles, not pixels)
+    * @param {Phaser.Point|object} [point] - The Point/object to update. If not given a new Phaser.Point is created.
+    * @return {Phaser.Point|object} The Point/object with its `x` and `y` properties set to the pixel position.
+    */
+    tileToWorldXY: function (x, y, point) {
+
+        if (point === undefined) { point = new Phaser.Point(); }
+
+        var tw = this.tileWidth;
+        var th = this.tileHeight;
+
+        if (this.orientation === 'isometric')
+        {
+            point.x = (x - y + this.height - 1) * tw / 2;
+            point.y = (x + y) * th / 2;
+        }
+        else if (this.orientation === 'staggered' || this.orientation === 'hexagonal')
+        {
+            var sideLength = (this.orientation === 'hexagonal') ? this.hexSideLength : 0;
+            var odd = (this.staggerIndex === 'even') ? 0 : 1;
+
+            if (this.staggerAxis === 'x')
+            {
+                point.x = x * (Math.floor((tw - sideLength) / 2) + sideLength);
+                point.y = y * th + (((x & 1) === odd) ? Math.floor(th / 2) : 0);
+            }
+            else
+            {
+                point.x = x * tw + (((y & 1) === odd) ? Math.floor(tw / 2) : 0);
+                point.y = y * (Math.floor((th - sideLength) / 2) + sideLength);
+            }
+        }
+        else
+        {
+            point.x = x * tw;
+            point.y = y * th;
+        }
+
+        return point;
+
+    },
+
+    /**
+    * Converts a pixel position, relative to the top-left of the map, into the coordinate of the tile that contains it.
+    *
+    * For isometric, staggered and hexagonal maps this is the tile whose diamond or hexagon contains the point,
+    * rather than the tile whose bounding box does. The tile coordinate returned may be outside of the map.
+    *
+    * @method Phaser.Tilemap#worldToTileXY
+    * @param {number} x - X position of the point (given in pixels)
+    * @param {number} y - Y position of the point (given in pixels)
+    * @param {Phaser.Point|object} [point] - The Point/object to update. If not given a new Phaser.Point is created.
+    * @return {Phaser.Point|object} The Point/object with its `x` and `y` properties set to the tile coordinate.
+    */
+    worldToTileXY: function (x, y, point) {
+
+        if (point === undefined) { point = new Phaser.Point(); }
+
+        var tw = this.tileWidth;
+        var th = this.tileHeight;
+
+        if (this.orientation === 'isometric')
+        {
+            var ix = (x - this.height * tw / 2) / tw;
+            var iy = y / th;
+
+            point.x = Math.floor(iy + ix);
+            point.y = Math.floor(iy - ix);
+        }
+        else if (this.orientation === 'staggered' || this.orientation === 'hexagonal')
+        {
+            var sideLength = (this.orientation === 'hexagonal') ? this.hexSideLength : 0;
+            var cx;
+            var cy;
+
+            //  The tile bounding boxes overlap, so start from the box grid and pick the nearest tile center around it
+            if (this.staggerAxis === 'x')
+            {
+                cx = Math.floor(x / (Math.floor((tw - sideLength) / 2) + sideLength));
+                cy = Math.floor(y / th);
+            }
+            else
+            {
+                cx = Math.floor(x / tw);
+                cy = Math.floor(y / (Math.floor((th - sideLength) / 2) + sideLength));
+            }
+
+            var center = { x: 0, y: 0 };
+            var nearest = Number.MAX_VALUE;
+            var tx = cx;
+            var ty = cy;
+
+            for (var ny = cy - 1; ny <= cy + 1; ny++)
+            {
+                for (var nx = cx - 1; nx <= cx + 1; nx++)
+                {
+                    this.tileToWorldXY(nx, ny, center);
+
+                    var dx = x - (center.x + tw / 2);
+                    var dy = y - (center.y + th / 2);
+                    var distance;
+
+                    if (sideLength === 0)
+                    {
+                        //  Diamonds: the tile whose center is nearest in this metric is the one containing the point
+                        distance = Math.abs(dx) / tw + Math.abs(dy) / th;
+                    }
+                    else
+                    {
+                        distance = dx * dx + dy * dy;
+                    }
+
+                    if (distance < nearest)
+                    {
+                        nearest = distance;
+                        tx = nx;
+                        ty = ny;
+                    }
+                }
+            }
+
+            point.x = tx;
+            point.y = ty;
+        }
+        else
+        {
+            point.x = Math.floor(x / tw);
+            point.y = Math.floor(y / th);
+        }
+
+        return point;
+
+    },
+
+    /**
+    * Sets the `worldX` and `worldY` of a Tile to the top-left of its bounding box, see `tileToWorldXY`.
+    * Tiles are created on an orthogonal grid, so this is needed for the Tiles of isometric, staggered and hexagonal maps,
+    * which physics then treats as their bounding boxes. The size of the Tile is taken into account, for scaled layers.
+    *
+    * @method Phaser.Tilemap#updateTileWorldXY
+    * @protected
+    * @param {Phaser.Tile} tile - The Tile to update.
+    */
+    updateTileWorldXY: function (tile) {
+
+        if (!tile || this.orientation === 'orthogonal')
+        {
+            return;
+        }
+
+        var point = this.tileToWorldXY(tile.x, tile.y, this._tilePoint);
+
+        tile.worldX = point.x * tile.width / this.tileWidth;
+        tile.worldY = point.y * tile.height / this.tileHeight;
+
+    },
+
+    /**
+    * Converts a pixel position into a tile coordinate for the WorldXY methods, stored in `_tilePoint`.
+    *
+    * @method Phaser.Tilemap#_worldToTile
+    * @private
+    * @param {number} x - X position of the point (given in pixels)
+    * @param {number} y - Y position of the point (given in pixels)
+    * @param {number} [tileWidth] - The width of the tiles. If not given the map default is used.
+    * @param {number} [tileHeight] - The height of the tiles. If not given the map default is used.
+    * @return {Phaser.Point} The tile coordinate.
+    */
+    _worldToTile: function (x, y, tileWidth, tileHeight) {
+
         if (tileWidth === undefined) { tileWidth = this.tileWidth; }
         if (tileHeight === undefined) { tileHeight = this.tileHeight; }
 
-        layer = this.getLayer(layer);
+        var point = this._tilePoint;
 
-        x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
-        y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        if (this.orientation === 'orthogonal')
+        {
+            point.x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
+            point.y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        }
+        else
+        {
+            //  A different tile size scales the map, such as for a scaled TilemapLayer
+            this.worldToTileXY(x * this.tileWidth / tileWidth, y * this.tileHeight / tileHeight, point);
+        }
 
-        return this.getTile(x, y, layer, nonNull);
+        return point;
 
     },
 
     /**
     * Copies all of the tiles in the given rectangular block into the tilemap data buffer.
     *
+    * Streamed layers only have Tiles in their loaded chunks, so the other cells are left out. The first entry of
+    * the buffer describes the area copied.
+    *
     * @method Phaser.Tilemap#copy
     * @param {integer} x - X position of the top left of the area to copy (given in tiles, not pixels)
     * @param {integer} y - Y position of the top left of the area to copy (given in tiles, not pixels)
@@ -1594,7 +1913,13 @@ Phaser.Tilemap.prototype = {
         {
             for (var tx = x; tx < x + width; tx++)
             {
-                this._results.push(this.layers[layer].data[ty][tx]);
+                var tile = this.layers[layer].data[ty][tx];
+
+                //  Streamed layers have no Tiles outside of their loaded chunks
+                if (tile)
+                {
+                    this._results.push(tile);
+                }
             }
         }
 
@@ -1623,13 +1948,20 @@ Phaser.Tilemap.prototype = {
             return;
         }
 
-        //  Find out the difference between tileblock[1].x/y and x/y and use it as an offset, as it's the top left of the block to paste
-        var diffX = x - tileblock[1].x;
-        var diffY = y - tileblock[1].y;
+        //  Find out the difference between tileblock[0].x/y and x/y and use it as an offset, as it's the top left of the block to paste
+        var diffX = x - tileblock[0].x;
+        var diffY = y - tileblock[0].y;
 
         for (var i = 1; i < tileblock.length; i++)
         {
-            this.layers[layer].data[ diffY + tileblock[i].y ][ diffX + tileblock[i].x ].copy(tileblock[i]);
+            var row = this.layers[layer].data[diffY + tileblock[i].y];
+            var tile = row && row[diffX + tileblock[i].x];
+
+            //  Skips the cells outside of the layer, or outside of the loaded chunks of a streamed layer
+            if (tile)
+            {
+                tile.copy(tileblock[i]);
+            }
         }
 
 		this.layers[layer].dirty = true;
@@ -1873,6 +2205,298 @@ Phaser.Tilemap.prototype = {
 
     },
 
+    /**
+    * Pauses the tile animations of this map. Every TilemapLayer of the map keeps showing the current frames.
+    *
+    * @method Phaser.Tilemap#pauseAnimations
+    */
+    pauseAnimations: function () {
+
+        this.animationsPaused = true;
+
+    },
+
+    /**
+    * Resumes the tile animations of this map from where they were paused.
+    *
+    * @method Phaser.Tilemap#resumeAnimations
+    */
+    resumeAnimations: function () {
+
+        this.animationsPaused = false;
+
+    },
+
+    /**
+    * Advances the tile animation clock by the time elapsed since the last frame. Called automatically by each TilemapLayer
+    * of the map, but the clock is only advanced once per frame.
+    *
+    * @method Phaser.Tilemap#updateAnimations
+    * @protected
+    */
+    updateAnimations: function () {
+
+        var time = this.game.time;
+
+        if (this._animationStamp === time.time)
+        {
+            return;
+        }
+
+        this._animationStamp = time.time;
+
+        if (!this.animationsPaused)
+        {
+            this.animationTime += time.elapsedMS;
+        }
+
+    },
+
+    /**
+    * Loads and unloads the chunks of a streamed layer so that those near the given area have Tiles. The chunks within
+    * `streamDistance` tiles of the area are loaded, and the chunks that no call has needed since the previous frame
+    * are unloaded, so that several TilemapLayers can show the same layer. Called automatically by the TilemapLayers
+    * of streamed layers in their preUpdate and postUpdate, for the view of the camera.
+    *
+    * @method Phaser.Tilemap#updateChunks
+    * @param {integer} left - The leftmost column of the area (given in tiles, not pixels)
+    * @param {integer} top - The topmost row of the area (given in tiles, not pixels)
+    * @param {integer} right - The rightmost column of the area (given in tiles, not pixels)
+    * @param {integer} bottom - The bottommost row of the area (given in tiles, not pixels)
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to update.
+    * @return {boolean} True if any chunk was loaded or unloaded.
+    */
+    updateChunks: function (left, top, right, bottom, layer) {
+
+        layer = this.getLayer(layer);
+
+        var data = this.layers[layer];
+
+        if (!data.chunks)
+        {
+            return false;
+        }
+
+        var time = this.game.time.time;
+
+        if (data.streamStamp !== time)
+        {
+            data.lastStreamStamp = data.streamStamp;
+            data.streamStamp = time;
+        }
+
+        left -= this.streamDistance;
+        top -= this.streamDistance;
+        right += this.streamDistance;
+        bottom += this.streamDistance;
+
+        var changed = false;
+
+        for (var i = 0; i < data.chunks.length; i++)
+        {
+            var chunk = data.chunks[i];
+
+            if (chunk.x <= right && chunk.x + chunk.width > left && chunk.y <= bottom && chunk.y + chunk.height > top)
+            {
+                chunk.stamp = time;
+
+                if (!chunk.loaded)
+                {
+                    this.loadChunk(chunk, layer);
+                    changed = true;
+                }
+            }
+            else if (chunk.loaded && chunk.stamp < data.lastStreamStamp)
+            {
+                this.unloadChunk(chunk, layer);
+                changed = true;
+            }
+        }
+
+        return changed;
+
+    },
+
+    /**
+    * Creates the Tiles of a chunk of a streamed layer, along with their tileset properties and collision.
+    * Tiles put into the area of the chunk while it wasn't loaded are kept.
+    *
+    * @method Phaser.Tilemap#loadChunk
+    * @param {object} chunk - The chunk to load, from the `chunks` of the layer data.
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer the chunk belongs to.
+    */
+    loadChunk: function (chunk, layer) {
+
+        if (chunk.loaded)
+        {
+            return;
+        }
+
+        layer = this.getLayer(layer);
+
+        var data = this.layers[layer];
+        var gids = chunk.data;
+
+        if (typeof gids === 'string')
+        {
+            gids = Phaser.TilemapParser.decodeLayerData(gids, data.compression);
+
+            if (gids === null)
+            {
+                console.warn('Tilemap.loadChunk - Unable to decode the data of the chunk at ' + chunk.x + 'x' + chunk.y);
+                gids = [];
+            }
+        }
+
+        chunk.loaded = true;
+
+        for (var y = 0; y < chunk.height; y++)
+        {
+            var row = data.data[chunk.y + y];
+
+            for (var x = 0; x < chunk.width; x++)
+            {
+                var tx = chunk.x + x;
+
+                if (!row || tx < 0 || tx >= data.width || row[tx])
+                {
+                    continue;
+                }
+
+                var tile = Phaser.TilemapParser.createTile(data, gids[y * chunk.width + x] || 0, tx, chunk.y + y, this.tileWidth, this.tileHeight);
+
+                this.updateTileWorldXY(tile);
+
+                if (tile && tile.index > -1)
+                {
+                    var set = this.tiles[tile.index] && this.tilesets[this.tiles[tile.index][2]];
+
+                    if (set && set.tileProperties && set.tileProperties[tile.index - set.firstgid])
+                    {
+                        tile.properties = Phaser.Utils.mixin(set.tileProperties[tile.index - set.firstgid], tile.properties);
+                    }
+
+                    if (this.collideIndexes.indexOf(tile.index) > -1)
+                    {
+                        tile.setCollision(true, true, true, true);
+                    }
+                }
+
+                row[tx] = tile;
+            }
+        }
+
+        data.dirty = true;
+
+        //  Include the tiles around the chunk, whose faces may now be next to a colliding tile
+        this.calculateFaces(layer, chunk.x - 1, chunk.y - 1, chunk.width + 2, chunk.height + 2);
+
+    },
+
+    /**
+    * Removes the Tiles of a chunk of a streamed layer. The index and Tiled flip flags of each Tile are stored back
+    * into the chunk, so tiles changed with `putTile` and the like are kept, but other Tile properties are not.
+    *
+    * @method Phaser.Tilemap#unloadChunk
+    * @param {object} chunk - The chunk to unload, from the `chunks` of the layer data.
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer the chunk belongs to.
+    */
+    unloadChunk: function (chunk, layer) {
+
+        if (!chunk.loaded)
+        {
+            return;
+        }
+
+        layer = this.getLayer(layer);
+
+        var data = this.layers[layer];
+        var gids = [];
+
+        for (var y = 0; y < chunk.height; y++)
+        {
+            var row = data.data[chunk.y + y];
+
+            for (var x = 0; x < chunk.width; x++)
+            {
+                var tile = row && row[chunk.x + x];
+                var gid = 0;
+
+                if (tile && tile.index > -1)
+                {
+                    gid = tile.index;
+
+                    if (tile.flippedVal)
+                    {
+                        gid += ((tile.flippedVal & 4) ? 0x80000000 : 0) + ((tile.flippedVal & 2) ? 0x40000000 : 0) + ((tile.flippedVal & 1) ? 0x20000000 : 0);
+                    }
+                }
+
+                gids.push(gid);
+
+                if (row && chunk.x + x < data.width)
+                {
+                    row[chunk.x + x] = undefined;
+                }
+            }
+        }
+
+        chunk.data = gids;
+        chunk.loaded = false;
+
+        //  The tiles around the chunk are no longer next to its colliding tiles
+        this.calculateFaces(layer, chunk.x - 1, chunk.y - 1, chunk.width + 2, chunk.height + 2);
+
+    },
+
+    /**
+    * Loads the chunks of a streamed layer that overlap the given area, such as the spawn point of a sprite that is
+    * away from the camera. Unlike `updateChunks` no chunks are unloaded, but once the area is no longer near the view
+    * of a TilemapLayer showing the layer, its chunks are unloaded by the next update of that TilemapLayer.
+    *
+    * @method Phaser.Tilemap#loadChunks
+    * @param {integer} x - X position of the top left of the area (given in tiles, not pixels)
+    * @param {integer} y - Y position of the top left of the area (given in tiles, not pixels)
+    * @param {integer} width - The width of the area in tiles.
+    * @param {integer} height - The height of the area in tiles.
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to load the chunks of.
+    * @return {boolean} True if any chunk was loaded.
+    */
+    loadChunks: function (x, y, width, height, layer) {
+
+        layer = this.getLayer(layer);
+
+        var data = this.layers[layer];
+
+        if (!data.chunks)
+        {
+            return false;
+        }
+
+        var time = this.game.time.time;
+        var loaded = false;
+
+        for (var i = 0; i < data.chunks.length; i++)
+        {
+            var chunk = data.chunks[i];
+
+            if (chunk.x < x + width && chunk.x + chunk.width > x && chunk.y < y + height && chunk.y + chunk.height > y)
+            {
+                //  Counts as needed this frame, so a TilemapLayer updating later in the frame keeps it
+                chunk.stamp = time;
+
+                if (!chunk.loaded)
+                {
+                    this.loadChunk(chunk, layer);
+                    loaded = true;
+                }
+            }
+        }
+
+        return loaded;
+
+    },
+
     /**
     * Removes all layers from this tile map.
     *
@@ -121,7 +121,7 @@ Phaser.TilemapLayer = function (game, tilemap, index, width, height) {
     *
     * @property {?string} debuggedTileOverfill - If a Tile has `Tile#debug` true then, after normal tile image rendering, a rectangle with the following fill is drawn above/over it. _This takes effect even when debug rendering for the layer is not enabled._
     *
-    * @property {boolean} forceFullRedraw - When debug rendering (`debug` is true), and this option is enabled, the a full redraw is forced and rendering optimization is suppressed.
+    * @property {boolean} forceFullRedraw - When debug rendering (`debug` is true), and this option is enabled, the a full redraw is forced and rendering optimization is suppressed. Animated tiles always force a full redraw while debug rendering.
     *
     * @property {number} debugAlpha - When debug rendering (`debug` is true), the tileset is initially rendered with this alpha level. This can make the tile edges clearer.
     *
@@ -203,7 +203,16 @@ Phaser.TilemapLayer = function (game, tilemap, index, width, height) {
         ch: tilemap.tileHeight,
 
         // Cached tilesets from index -> Tileset
-        tilesets: []
+        tilesets: [],
+
+        // The map animation time the canvas was last drawn at
+        animationTime: 0,
+
+        // Animated tiles grouped by index: { index, set, cells: [x0, y0, x1, y1 ..] }, rebuilt when null
+        animatedTiles: null,
+
+        // Reused for the tile positions of isometric, staggered and hexagonal maps
+        cell: { x: 0, y: 0 }
 
     };
 
@@ -277,6 +286,14 @@ Phaser.TilemapLayer.ensureSharedCopyCanvas = function () {
 */
 Phaser.TilemapLayer.prototype.preUpdate = function() {
 
+    this.map.updateAnimations();
+
+    //  Load the chunks in view before physics runs, which matters on the first frame
+    if (this.layer.chunks)
+    {
+        this.streamChunks();
+    }
+
     return this.preUpdateCore();
 
 };
@@ -298,6 +315,11 @@ Phaser.TilemapLayer.prototype.postUpdate = function () {
     this._scrollX = this.game.camera.view.x * this.scrollFactorX / this.scale.x;
     this._scrollY = this.game.camera.view.y * this.scrollFactorY / this.scale.y;
 
+    if (this.layer.chunks)
+    {
+        this.streamChunks();
+    }
+
 };
 
 /**
@@ -502,6 +524,8 @@ Phaser.TilemapLayer.prototype._unfixY = function (y) {
 /**
 * Convert a pixel value to a tile coordinate.
 *
+* This only applies to orthogonal maps, use `getTileXY` for the other orientations.
+*
 * @method Phaser.TilemapLayer#getTileX
 * @public
 * @param {number} x - X position of the point in target tile (in pixels).
@@ -517,6 +541,8 @@ Phaser.TilemapLayer.prototype.getTileX = function (x) {
 /**
 * Convert a pixel value to a tile coordinate.
 *
+* This only applies to orthogonal maps, use `getTileXY` for the other orientations.
+*
 * @method Phaser.TilemapLayer#getTileY
 * @public
 * @param {number} y - Y position of the point in target tile (in pixels).
@@ -532,6 +558,8 @@ Phaser.TilemapLayer.prototype.getTileY = function (y) {
 /**
 * Convert a pixel coordinate to a tile coordinate.
 *
+* For isometric, staggered and hexagonal maps this is the tile whose shape contains the point, see `Tilemap.worldToTileXY`.
+*
 * @method Phaser.TilemapLayer#getTileXY
 * @public
 * @param {number} x - X position of the point in target tile (in pixels).
@@ -541,6 +569,11 @@ Phaser.TilemapLayer.prototype.getTileY = function (y) {
 */
 Phaser.TilemapLayer.prototype.getTileXY = function (x, y, point) {
 
+    if (this.map.orientation !== 'orthogonal')
+    {
+        return this.map.worldToTileXY(this._fixX(x), this._fixY(y), point);
+    }
+
     point.x = this.getTileX(x);
     point.y = this.getTileY(y);
 
@@ -620,6 +653,11 @@ Phaser.TilemapLayer.prototype.getTiles = function (x, y, width, height, collides
     x = this._fixX(x);
     y = this._fixY(y);
 
+    if (this.map.orientation !== 'orthogonal')
+    {
+        return this.getProjectedTiles(x / this.scale.x, y / this.scale.y, width / this.scale.x, height / this.scale.y, collides, interestingFace);
+    }
+
     //  Convert the pixel values into tile coordinates
     var tx = Math.floor(x / (this._mc.cw * this.scale.x));
     var ty = Math.floor(y / (this._mc.ch * this.scale.y));
@@ -652,6 +690,109 @@ Phaser.TilemapLayer.prototype.getTiles = function (x, y, width, height, collides
 
 };
 
+/**
+* Gets the tiles of an isometric, staggered or hexagonal map whose shape bounds intersect with the given area.
+*
+* @method Phaser.TilemapLayer#getProjectedTiles
+* @private
+* @param {number} x - X position of the top left corner, in unscaled layer pixels.
+* @param {number} y - Y position of the top left corner, in unscaled layer pixels.
+* @param {number} width - Width of the area to get, in unscaled layer pixels.
+* @param {number} height - Height of the area to get, in unscaled layer pixels.
+* @param {boolean} collides - If true, _only_ return tiles that collide on one or more faces.
+* @param {boolean} interestingFace - If true, _only_ return tiles that have interesting faces.
+* @return {array<Phaser.Tile>} An array of Tiles.
+*/
+Phaser.TilemapLayer.prototype.getProjectedTiles = function (x, y, width, height, collides, interestingFace) {
+
+    var fetchAll = !(collides || interestingFace);
+    var range = this.getProjectedRange(x, y, width, height);
+    var cell = this._mc.cell;
+    var tw = this._mc.tileWidth;
+    var th = this._mc.tileHeight;
+    var results = [];
+
+    for (var ty = range.top; ty <= range.bottom; ty++)
+    {
+        var row = this.layer.data[ty];
+
+        for (var tx = range.left; tx <= range.right; tx++)
+        {
+            var tile = row[tx];
+
+            if (!tile || !(fetchAll || tile.isInteresting(collides, interestingFace)))
+            {
+                continue;
+            }
+
+            this.map.tileToWorldXY(tx, ty, cell);
+
+            if (cell.x < x + width && cell.y < y + height && cell.x + tw > x && cell.y + th > y)
+            {
+                results.push(tile);
+            }
+        }
+    }
+
+    return results;
+
+};
+
+/**
+* Works out the range of tile coordinates that an area of an isometric, staggered or hexagonal map can show, including
+* the tiles whose images are larger than the map tiles and reach into the area. The range is clamped to the layer.
+*
+* @method Phaser.TilemapLayer#getProjectedRange
+* @private
+* @param {number} x - X position of the top left corner, in unscaled layer pixels.
+* @param {number} y - Y position of the top left corner, in unscaled layer pixels.
+* @param {number} width - Width of the area, in unscaled layer pixels.
+* @param {number} height - Height of the area, in unscaled layer pixels.
+* @return {object} The inclusive `left`, `top`, `right` and `bottom` tile coordinates. Empty when `left > right` or `top > bottom`.
+*/
+Phaser.TilemapLayer.prototype.getProjectedRange = function (x, y, width, height) {
+
+    var map = this.map;
+    var corner = this._mc.cell;
+    var tw = this._mc.tileWidth;
+    var th = this._mc.tileHeight;
+
+    var left = Infinity;
+    var right = -Infinity;
+    var top = Infinity;
+    var bottom = -Infinity;
+
+    for (var i = 0; i < 4; i++)
+    {
+        map.worldToTileXY(x + ((i & 1) ? width : 0), y + ((i & 2) ? height : 0), corner);
+
+        left = Math.min(left, corner.x);
+        right = Math.max(right, corner.x);
+        top = Math.min(top, corner.y);
+        bottom = Math.max(bottom, corner.y);
+    }
+
+    //  Neighbouring tiles are at least half a tile apart, so widen the range by however far the largest image overhangs
+    var overhang = 0;
+
+    for (var s = 0; s < map.tilesets.length; s++)
+    {
+        var set = map.tilesets[s];
+
+        overhang = Math.max(overhang, (set.tileWidth - tw) / (tw / 2), (set.tileHeight - th) / (th / 2));
+    }
+
+    var margin = 1 + Math.ceil(overhang);
+
+    return {
+        left: Math.max(0, left - margin),
+        top: Math.max(0, top - margin),
+        right: Math.min(this.layer.width - 1, right + margin),
+        bottom: Math.min(this.layer.height - 1, bottom + margin)
+    };
+
+};
+
 /**
 * Returns the appropriate tileset for the index, updating the internal cache as required.
 * This should only be called if `tilesets[index]` evaluates to undefined.
@@ -707,6 +848,9 @@ Phaser.TilemapLayer.prototype.resetTilesetCache = function () {
         tilesets.pop();
     }
 
+    this._mc.animatedTiles = null;
+    this.dirty = true;
+
 };
 
 /**
@@ -729,11 +873,19 @@ Phaser.TilemapLayer.prototype.setScale = function (xScale, yScale) {
         {
             var tile = row[x];
 
+            //  Streamed layers have no Tiles outside of their loaded chunks
+            if (!tile)
+            {
+                continue;
+            }
+
             tile.width = this.map.tileWidth * xScale;
             tile.height = this.map.tileHeight * yScale;
 
             tile.worldX = tile.x * tile.width;
             tile.worldY = tile.y * tile.height;
+
+            this.map.updateTileWorldXY(tile);
         }
     }
 
@@ -831,6 +983,7 @@ Phaser.TilemapLayer.prototype.renderRegion = function (scrollX, scrollY, left, t
 
     var tilesets = this._mc.tilesets;
     var lastAlpha = NaN;
+    var time = this.map.animationTime;
 
     if (!this._wrap)
     {
@@ -891,6 +1044,11 @@ Phaser.TilemapLayer.prototype.renderRegion = function (scrollX, scrollY, left, t
                 set = this.resolveTileset(index);
             }
 
+            if (set && set.animations !== null)
+            {
+                index = set.getAnimatedIndex(index, time);
+            }
+
             //  Setting the globalAlpha is "surprisingly expensive" in Chrome (38)
             if (tile.alpha !== lastAlpha && !this.debug)
             {
@@ -937,6 +1095,162 @@ Phaser.TilemapLayer.prototype.renderRegion = function (scrollX, scrollY, left, t
 
 };
 
+/**
+* Renders the tiles in view of an isometric, staggered or hexagonal map.
+*
+* The tiles of these maps overlap, so they are drawn back to front in the same order Tiled uses. Tile images larger
+* than the map tiles are drawn bottom-aligned to the tile, which is how tall isometric objects are usually made.
+* Wrapping is not supported.
+*
+* @method Phaser.TilemapLayer#renderProjected
+* @private
+* @param {integer} scrollX - Render x offset/scroll.
+* @param {integer} scrollY - Render y offset/scroll.
+*/
+Phaser.TilemapLayer.prototype.renderProjected = function (scrollX, scrollY) {
+
+    var map = this.map;
+    var range = this.getProjectedRange(scrollX, scrollY, this.canvas.width, this.canvas.height);
+    var x, y;
+
+    if (range.left > range.right || range.top > range.bottom)
+    {
+        return;
+    }
+
+    if (map.orientation === 'isometric')
+    {
+        //  Diagonal by diagonal, from the top corner of the map down
+        for (var d = range.left + range.top; d <= range.right + range.bottom; d++)
+        {
+            for (x = Math.max(range.left, d - range.bottom); x <= Math.min(range.right, d - range.top); x++)
+            {
+                this.renderProjectedTile(x, d - x, scrollX, scrollY);
+            }
+        }
+    }
+    else if (map.staggerAxis === 'x')
+    {
+        //  Row by row, the raised columns of a row before the lowered ones
+        var odd = (map.staggerIndex === 'even') ? 0 : 1;
+
+        for (y = range.top; y <= range.bottom; y++)
+        {
+            for (var lowered = 0; lowered < 2; lowered++)
+            {
+                for (x = range.left; x <= range.right; x++)
+                {
+                    if (((x & 1) === odd) === (lowered === 1))
+                    {
+                        this.renderProjectedTile(x, y, scrollX, scrollY);
+                    }
+                }
+            }
+        }
+    }
+    else
+    {
+        for (y = range.top; y <= range.bottom; y++)
+        {
+            for (x = range.left; x <= range.right; x++)
+            {
+                this.renderProjectedTile(x, y, scrollX, scrollY);
+            }
+        }
+    }
+
+};
+
+/**
+* Renders a single tile of an isometric, staggered or hexagonal map, if it is in view.
+*
+* @method Phaser.TilemapLayer#renderProjectedTile
+* @private
+* @param {integer} x - X position of the tile (given in tiles).
+* @param {integer} y - Y position of the tile (given in tiles).
+* @param {integer} scrollX - Render x offset/scroll.
+* @param {integer} scrollY - Render y offset/scroll.
+*/
+Phaser.TilemapLayer.prototype.renderProjectedTile = function (x, y, scrollX, scrollY) {
+
+    var tile = this.layer.data[y][x];
+
+    if (!tile || tile.index < 0)
+    {
+        return;
+    }
+
+    var context = this.context;
+    var index = tile.index;
+    var set = this._mc.tilesets[index];
+
+    if (set === undefined)
+    {
+        set = this.resolveTileset(index);
+    }
+
+    var tw = this._mc.tileWidth;
+    var th = this._mc.tileHeight;
+    var width = (set) ? set.tileWidth : tw;
+    var height = (set) ? set.tileHeight : th;
+
+    var cell = this.map.tileToWorldXY(x, y, this._mc.cell);
+    var tx = cell.x - scrollX;
+    var ty = cell.y - scrollY;
+
+    //  Align the image to the bottom-left of the tile
+    var iy = ty + th - height;
+
+    if (tx >= this.canvas.width || iy >= this.canvas.height || tx + width <= 0 || iy + height <= 0)
+    {
+        return;
+    }
+
+    if (tile.alpha !== context.globalAlpha && !this.debug)
+    {
+        context.globalAlpha = tile.alpha;
+    }
+
+    if (set)
+    {
+        if (set.animations !== null)
+        {
+            index = set.getAnimatedIndex(index, this.map.animationTime);
+        }
+
+        if (tile.rotation || tile.flipped)
+        {
+            context.save();
+            context.translate(tx + width / 2, iy + height / 2);
+            context.rotate(tile.rotation);
+
+            if (tile.flipped)
+            {
+                context.scale(-1, 1);
+            }
+
+            set.draw(context, -width / 2, -height / 2, index);
+            context.restore();
+        }
+        else
+        {
+            set.draw(context, tx, iy, index);
+        }
+    }
+    else if (this.debugSettings.missingImageFill)
+    {
+        context.fillStyle = this.debugSettings.missingImageFill;
+        context.fillRect(tx, ty, tw, th);
+    }
+
+    if (tile.debug && this.debugSettings.debuggedTileOverfill)
+    {
+        context.fillStyle = this.debugSettings.debuggedTileOverfill;
+        context.fillRect(tx, ty, tw, th);
+    }
+
+};
+
 /**
 * Shifts the canvas and render damaged edge tiles.
 *
@@ -1014,6 +1328,171 @@ Phaser.TilemapLayer.prototype.renderDeltaScroll = function (shiftX, shiftY) {
 
 };
 
+/**
+* Groups the animated tiles of the layer by tile index, so that changed animation frames can be found without
+* scanning the whole layer each frame.
+*
+* @method Phaser.TilemapLayer#getAnimatedTiles
+* @private
+* @return {object[]} The groups of animated tiles, each with the tile `index`, its Tileset `set` and the interlaced tile `cells`.
+*/
+Phaser.TilemapLayer.prototype.getAnimatedTiles = function () {
+
+    if (this._mc.animatedTiles)
+    {
+        return this._mc.animatedTiles;
+    }
+
+    var tilesets = this._mc.tilesets;
+    var groups = [];
+    var lookup = {};
+
+    for (var y = 0; y < this.layer.data.length; y++)
+    {
+        var row = this.layer.data[y];
+
+        for (var x = 0; x < row.length; x++)
+        {
+            var tile = row[x];
+
+            if (!tile || tile.index < 0)
+            {
+                continue;
+            }
+
+            var index = tile.index;
+            var set = tilesets[index];
+
+            if (set === undefined)
+            {
+                set = this.resolveTileset(index);
+            }
+
+            if (!set || set.animations === null || !set.animations[index])
+            {
+                continue;
+            }
+
+            if (!lookup[index])
+            {
+                lookup[index] = { index: index, set: set, cells: [] };
+                groups.push(lookup[index]);
+            }
+
+            lookup[index].cells.push(x, y);
+        }
+    }
+
+    this._mc.animatedTiles = groups;
+
+    return groups;
+
+};
+
+/**
+* Checks if any animated tile of the layer shows a different frame at the two given animation times.
+*
+* @method Phaser.TilemapLayer#hasAnimationChanged
+* @private
+* @param {number} from - The animation time the canvas was drawn at.
+* @param {number} to - The current animation time.
+* @return {boolean} True if at least one animated tile needs redrawing.
+*/
+Phaser.TilemapLayer.prototype.hasAnimationChanged = function (from, to) {
+
+    var groups = this.getAnimatedTiles();
+
+    for (var i = 0; i < groups.length; i++)
+    {
+        var group = groups[i];
+
+        if (group.set.getAnimatedIndex(group.index, from) !== group.set.getAnimatedIndex(group.index, to))
+        {
+            return true;
+        }
+    }
+
+    return false;
+
+};
+
+/**
+* Redraws only the animated tiles in view whose frame differs between the two given animation times.
+*
+* @method Phaser.TilemapLayer#renderAnimatedTiles
+* @private
+* @param {number} from - The animation time the canvas was drawn at.
+* @param {number} to - The current animation time.
+* @return {boolean} True if any tile was redrawn.
+*/
+Phaser.TilemapLayer.prototype.renderAnimatedTiles = function (from, to) {
+
+    //  A wrapped tile can appear more than once in view, so just redraw everything
+    if (this._wrap)
+    {
+        this.renderFull();
+        return true;
+    }
+
+    var scrollX = this._mc.scrollX;
+    var scrollY = this._mc.scrollY;
+
+    var tw = this._mc.tileWidth;
+    var th = this._mc.tileHeight;
+
+    var left = Math.floor(scrollX / tw);
+    var right = Math.floor((this.canvas.width - 1 + scrollX) / tw);
+    var top = Math.floor(scrollY / th);
+    var bottom = Math.floor((this.canvas.height - 1 + scrollY) / th);
+
+    var groups = this.getAnimatedTiles();
+    var drawn = false;
+    var projected = (this.map.orientation !== 'orthogonal');
+    var cell = this._mc.cell;
+
+    for (var i = 0; i < groups.length; i++)
+    {
+        var group = groups[i];
+
+        if (group.set.getAnimatedIndex(group.index, from) === group.set.getAnimatedIndex(group.index, to))
+        {
+            continue;
+        }
+
+        var cells = group.cells;
+
+        for (var c = 0; c < cells.length; c += 2)
+        {
+            var x = cells[c];
+            var y = cells[c + 1];
+
+            if (projected)
+            {
+                //  Projected tiles overlap their neighbours, so one changed tile in view means drawing them all again in order
+                this.map.tileToWorldXY(x, y, cell);
+
+                var tx = cell.x - scrollX;
+                var ty = cell.y + th - group.set.tileHeight - scrollY;
+
+                if (tx < this.canvas.width && ty < this.canvas.height && tx + group.set.tileWidth > 0 && ty + group.set.tileHeight > 0)
+                {
+                    this.renderFull();
+                    return true;
+                }
+            }
+            else if (x >= left && x <= right && y >= top && y <= bottom)
+            {
+                this.context.clearRect((x * tw) - scrollX, (y * th) - scrollY, tw, th);
+                this.renderRegion(scrollX, scrollY, x, y, x, y);
+                drawn = true;
+            }
+        }
+    }
+
+    return drawn;
+
+};
+
 /**
 * Clear and render the entire canvas.
 *
@@ -1038,7 +1517,14 @@ Phaser.TilemapLayer.prototype.renderFull = function () {
 
     this.context.clearRect(0, 0, renderW, renderH);
 
-    this.renderRegion(scrollX, scrollY, left, top, right, bottom);
+    if (this.map.orientation !== 'orthogonal')
+    {
+        this.renderProjected(scrollX, scrollY);
+    }
+    else
+    {
+        this.renderRegion(scrollX, scrollY, left, top, right, bottom);
+    }
 
 };
 
@@ -1060,6 +1546,7 @@ Phaser.TilemapLayer.prototype.render = function () {
     if (this.dirty || this.layer.dirty)
     {
         this.layer.dirty = false;
+        this._mc.animatedTiles = null;
         redrawAll = true;
     }
 
@@ -1074,11 +1561,16 @@ Phaser.TilemapLayer.prototype.render = function () {
     var shiftX = mc.scrollX - scrollX; // Negative when scrolling right/down
     var shiftY = mc.scrollY - scrollY;
 
-    if (!redrawAll &&
+    var animationTime = this.map.animationTime;
+
+    var unchanged = (!redrawAll &&
         shiftX === 0 && shiftY === 0 &&
-        mc.renderWidth === renderWidth && mc.renderHeight === renderHeight)
+        mc.renderWidth === renderWidth && mc.renderHeight === renderHeight);
+
+    if (unchanged && (mc.animationTime === animationTime || !this.hasAnimationChanged(mc.animationTime, animationTime)))
     {
         //  No reason to redraw map, looking at same thing and not invalidated.
+        mc.animationTime = animationTime;
         return;
     }
 
@@ -1098,17 +1590,35 @@ Phaser.TilemapLayer.prototype.render = function () {
     {
         this.context.globalAlpha = this.debugSettings.debugAlpha;
 
-        if (this.debugSettings.forceFullRedraw)
+        //  Redrawing only the changed animated tiles would draw the overlay over itself everywhere else
+        if (this.debugSettings.forceFullRedraw || (mc.animationTime !== animationTime && this.hasAnimationChanged(mc.animationTime, animationTime)))
         {
             redrawAll = true;
         }
     }
 
-    if (!redrawAll &&
+    if (!redrawAll && unchanged)
+    {
+        //  Only animated tiles have changed, which may all be out of view
+        if (!this.renderAnimatedTiles(mc.animationTime, animationTime))
+        {
+            mc.animationTime = animationTime;
+            this.context.restore();
+            return;
+        }
+    }
+    else if (!redrawAll &&
         this.renderSettings.enableScrollDelta &&
+        this.map.orientation === 'orthogonal' &&
         (Math.abs(shiftX) + Math.abs(shiftY)) < Math.min(renderWidth, renderHeight))
     {
         this.renderDeltaScroll(shiftX, shiftY);
+
+        //  The part of the canvas that was shifted still shows the old animation frames
+        if (mc.animationTime !== animationTime)
+        {
+            this.renderAnimatedTiles(mc.animationTime, animationTime);
+        }
     }
     else
     {
@@ -1116,6 +1626,8 @@ Phaser.TilemapLayer.prototype.render = function () {
         this.renderFull();
     }
 
+    mc.animationTime = animationTime;
+
     if (this.debug)
     {
         this.context.globalAlpha = 1;
@@ -1132,6 +1644,38 @@ Phaser.TilemapLayer.prototype.render = function () {
 
 };
 
+/**
+* Loads the chunks of a streamed layer that are in or near the view of the camera, and unloads those that are not.
+* Called from preUpdate and postUpdate, so that the tiles are there for physics even in a HEADLESS game.
+* See `Tilemap.updateChunks`.
+*
+* @method Phaser.TilemapLayer#streamChunks
+* @private
+*/
+Phaser.TilemapLayer.prototype.streamChunks = function () {
+
+    var scrollX = (this.game.camera.view.x * this.scrollFactorX / this.scale.x) | 0;
+    var scrollY = (this.game.camera.view.y * this.scrollFactorY / this.scale.y) | 0;
+
+    var renderW = this.canvas.width;
+    var renderH = this.canvas.height;
+
+    if (this.map.orientation !== 'orthogonal')
+    {
+        var range = this.getProjectedRange(scrollX, scrollY, renderW, renderH);
+
+        this.map.updateChunks(range.left, range.top, range.right, range.bottom, this.index);
+    }
+    else
+    {
+        var tw = this._mc.tileWidth;
+        var th = this._mc.tileHeight;
+
+        this.map.updateChunks(Math.floor(scrollX / tw), Math.floor(scrollY / th), Math.floor((renderW - 1 + scrollX) / tw), Math.floor((renderH - 1 + scrollY) / th), this.index);
+    }
+
+};
+
 /**
 * Renders a debug overlay on-top of the canvas. Called automatically by render when `debug` is true.
 *
@@ -1142,6 +1686,12 @@ Phaser.TilemapLayer.prototype.render = function () {
 */
 Phaser.TilemapLayer.prototype.renderDebug = function () {
 
+    if (this.map.orientation !== 'orthogonal')
+    {
+        this.renderProjectedDebug();
+        return;
+    }
+
     var scrollX = this._mc.scrollX;
     var scrollY = this._mc.scrollY;
 
@@ -1236,8 +1786,88 @@ Phaser.TilemapLayer.prototype.renderDebug = function () {
 
 };
 
+/**
+* Renders the debug overlay of an isometric, staggered or hexagonal map, outlining the shape of each colliding tile.
+*
+* @method Phaser.TilemapLayer#renderProjectedDebug
+* @private
+*/
+Phaser.TilemapLayer.prototype.renderProjectedDebug = function () {
+
+    var scrollX = this._mc.scrollX;
+    var scrollY = this._mc.scrollY;
+
+    var context = this.context;
+    var map = this.map;
+    var tw = this._mc.tileWidth;
+    var th = this._mc.tileHeight;
+
+    var sideLength = (map.orientation === 'hexagonal') ? map.hexSideLength : 0;
+    var shape;
+
+    //  The tile outline as x/y pairs. Without a side length both of these are the isometric diamond
+    if (map.orientation !== 'isometric' && map.staggerAxis === 'x')
+    {
+        var sideOffsetX = Math.floor((tw - sideLength) / 2);
+        shape = [ sideOffsetX, 0, sideOffsetX + sideLength, 0, tw, th / 2, sideOffsetX + sideLength, th, sideOffsetX, th, 0, th / 2 ];
+    }
+    else
+    {
+        var sideOffsetY = Math.floor((th - sideLength) / 2);
+        shape = [ tw / 2, 0, tw, sideOffsetY, tw, sideOffsetY + sideLength, tw / 2, th, 0, sideOffsetY + sideLength, 0, sideOffsetY ];
+    }
+
+    var range = this.getProjectedRange(scrollX, scrollY, this.canvas.width, this.canvas.height);
+    var cell = this._mc.cell;
+
+    context.strokeStyle = this.debugSettings.facingEdgeStroke;
+
+    for (var y = range.top; y <= range.bottom; y++)
+    {
+        var row = this.layer.data[y];
+
+        for (var x = range.left; x <= range.right; x++)
+        {
+            var tile = row[x];
+
+            if (!tile || tile.index < 0 || !tile.collides)
+            {
+                continue;
+            }
+
+            map.tileToWorldXY(x, y, cell);
+
+            var tx = cell.x - scrollX;
+            var ty = cell.y - scrollY;
+
+            context.beginPath();
+            context.moveTo(tx + shape[0], ty + shape[1]);
+
+            for (var i = 2; i < shape.length; i += 2)
+            {
+                context.lineTo(tx + shape[i], ty + shape[i + 1]);
+            }
+
+            context.closePath();
+
+            if (this.debugSettings.collidingTileOverfill)
+            {
+                context.fillStyle = this.debugSettings.collidingTileOverfill;
+                context.fill();
+            }
+
+            if (this.debugSettings.facingEdgeStroke)
+            {
+                context.stroke();
+            }
+        }
+    }
+
+};
+
 /**
 * Flag controlling if the layer tiles wrap at the edges. Only works if the World size matches the Map size.
+* Wrapping is not supported by isometric, staggered or hexagonal maps.
 *
 * @property {boolean} wrap
 * @memberof Phaser.TilemapLayer
@@ -25,6 +25,18 @@ Phaser.TilemapParser = {
      */
     INSERT_NULL: false,
 
+    /**
+     * The tile layers of Tiled infinite maps are stored in chunks. By default (false) the TilemapParser creates the
+     * Tiles of all chunks, so the layers work like those of any other map. If true the layers are streamed instead:
+     * they keep the chunk data and only have Tiles for the chunks near the TilemapLayers showing them, which are
+     * loaded and unloaded as the camera moves. This keeps memory use down on very large maps. Set it before
+     * creating the Tilemap. See `Tilemap.streamDistance` and `Tilemap.updateChunks`.
+     *
+     * @constant
+     * @type {boolean}
+     */
+    STREAM_CHUNKS: false,
+
     /**
     * Parse tilemap data from the cache and creates data for a Tilemap object.
     *
@@ -66,6 +78,10 @@ Phaser.TilemapParser = {
             {
                 return this.parseTiledJSON(map.data);
             }
+            else if (map.format === Phaser.Tilemap.TILED_XML)
+            {
+                return this.parseTiledXML(map.data);
+            }
         }
         else
         {
@@ -119,8 +135,11 @@ Phaser.TilemapParser = {
         map.height = height;
         map.tileWidth = tileWidth;
         map.tileHeight = tileHeight;
-        map.widthInPixels = width * tileWidth;
-        map.heightInPixels = height * tileHeight;
+
+        var size = this.getPixelSize(map, width, height);
+
+        map.widthInPixels = size.width;
+        map.heightInPixels = size.height;
 
         map.layers[0].width = width;
         map.layers[0].height = height;
@@ -146,6 +165,11 @@ Phaser.TilemapParser = {
             tileWidth: (tileWidth !== undefined && tileWidth !== null) ? tileWidth : 0,
             tileHeight: (tileHeight !== undefined && tileHeight !== null) ? tileHeight : 0,
             orientation: 'orthogonal',
+            staggerAxis: 'y',
+            staggerIndex: 'odd',
+            hexSideLength: 0,
+            startX: 0,
+            startY: 0,
             version: '1',
             properties: {},
             widthInPixels: 0,
@@ -177,6 +201,182 @@ Phaser.TilemapParser = {
 
     },
 
+    /**
+    * Calculates the size in pixels of a map, or of a layer within it, of the given size in tiles.
+    *
+    * Orthogonal maps are simply tiles wide and high, the other orientations use the same bounding box that Tiled does,
+    * so that a layer created at 0x0 lines up with the map as shown in the editor.
+    *
+    * @method Phaser.TilemapParser.getPixelSize
+    * @param {Phaser.Tilemap|object} map - The Tilemap, or parsed map data, providing the orientation, tile size and stagger settings.
+    * @param {integer} width - The width in tiles.
+    * @param {integer} height - The height in tiles.
+    * @param {number} [tileWidth] - The width of the tiles. If not given the map tileWidth is used.
+    * @param {number} [tileHeight] - The height of the tiles. If not given the map tileHeight is used.
+    * @return {object} An object with the `width` and `height` in pixels.
+    */
+    getPixelSize: function (map, width, height, tileWidth, tileHeight) {
+
+        if (tileWidth === undefined) { tileWidth = map.tileWidth; }
+        if (tileHeight === undefined) { tileHeight = map.tileHeight; }
+
+        if (map.orientation === 'isometric')
+        {
+            return { width: (width + height) * tileWidth / 2, height: (width + height) * tileHeight / 2 };
+        }
+        else if (map.orientation === 'staggered' || map.orientation === 'hexagonal')
+        {
+            var sideLength = (map.orientation === 'hexagonal') ? map.hexSideLength : 0;
+
+            if (map.staggerAxis === 'x')
+            {
+                var columnWidth = Math.floor((tileWidth - sideLength) / 2) + sideLength;
+
+                return {
+                    width: width * columnWidth + Math.floor((tileWidth - sideLength) / 2),
+                    height: height * tileHeight + ((width > 1) ? Math.floor(tileHeight / 2) : 0)
+                };
+            }
+            else
+            {
+                var rowHeight = Math.floor((tileHeight - sideLength) / 2) + sideLength;
+
+                return {
+                    width: width * tileWidth + ((height > 1) ? Math.floor(tileWidth / 2) : 0),
+                    height: height * rowHeight + Math.floor((tileHeight - sideLength) / 2)
+                };
+            }
+        }
+
+        return { width: width * tileWidth, height: height * tileHeight };
+
+    },
+
+    /**
+    * Decodes the base64 encoded, and optionally compressed, data of a Tiled tile layer into an Array of global tile IDs.
+    *
+    * Tiled stores each tile ID as a little-endian unsigned 32-bit integer, before compressing the whole buffer with
+    * `zlib`, `gzip` or `zstd` if the map asks for it. See {@link Phaser.Decompress} for the decoders used.
+    *
+    * @method Phaser.TilemapParser.decodeLayerData
+    * @param {string} data - The base64 encoded layer data.
+    * @param {string} [compression] - The compression used by the layer: `zlib`, `gzip`, `zstd` or empty for none.
+    * @return {number[]} The tile IDs, including any flip flags, or null if the data couldn't be decoded.
+    */
+    decodeLayerData: function (data, compression) {
+
+        var bytes;
+
+        try
+        {
+            bytes = Phaser.Decompress.base64(data);
+
+            if (compression === 'zlib' || compression === 'gzip' || compression === 'zstd')
+            {
+                bytes = Phaser.Decompress[compression](bytes);
+            }
+            else if (compression)
+            {
+                console.warn('TilemapParser.decodeLayerData - Unsupported compression: ' + compression);
+                return null;
+            }
+        }
+        catch (e)
+        {
+            console.warn('TilemapParser.decodeLayerData - ' + e.message);
+            return null;
+        }
+
+        var len = bytes.length;
+        var ids = new Array(len >> 2);
+
+        // Interpret the bytes as little-endian encoded uint32 values.
+        for (var i = 0; i < len; i += 4)
+        {
+            ids[i / 4] = (
+                bytes[i] |
+                bytes[i + 1] << 8 |
+                bytes[i + 2] << 16 |
+                bytes[i + 3] << 24
+            ) >>> 0;
+        }
+
+        return ids;
+
+    },
+
+    /**
+    * Parses a Tiled TMX (XML) map into valid map data.
+    *
+    * The map is first converted into the structure Tiled uses for its JSON export and then handed to `parseTiledJSON`,
+    * so both formats produce identical map data. Layer data may use the CSV, base64 (optionally compressed) or
+    * plain XML encodings.
+    *
+    * External tilesets (TSX files) are fetched and merged into the map by `Loader.tilemap`. If the map was given
+    * to the Loader as data instead of a URL they can't be resolved, and are skipped with a warning.
+    *
+    * @method Phaser.TilemapParser.parseTiledXML
+    * @param {XMLDocument} xml - The TMX map document.
+    * @return {object} Generated and parsed map data.
+    */
+    parseTiledXML: function (xml) {
+
+        var root = xml.documentElement;
+
+        if (!root || root.nodeName !== 'map')
+        {
+            console.warn('TilemapParser.parseTiledXML - Invalid TMX data, missing map element');
+            return null;
+        }
+
+        var json = {
+            orientation: root.getAttribute('orientation'),
+            renderorder: root.getAttribute('renderorder'),
+            width: this._xmlNumber(root, 'width', 0),
+            height: this._xmlNumber(root, 'height', 0),
+            tilewidth: this._xmlNumber(root, 'tilewidth', 0),
+            tileheight: this._xmlNumber(root, 'tileheight', 0),
+            infinite: this._xmlNumber(root, 'infinite', 0) === 1,
+            version: root.getAttribute('version'),
+            properties: this._xmlProperties(root),
+            layers: this._xmlLayers(root),
+            tilesets: []
+        };
+
+        if (root.hasAttribute('staggeraxis'))
+        {
+            json.staggeraxis = root.getAttribute('staggeraxis');
+            json.staggerindex = root.getAttribute('staggerindex');
+        }
+
+        if (root.hasAttribute('hexsidelength'))
+        {
+            json.hexsidelength = this._xmlNumber(root, 'hexsidelength', 0);
+        }
+
+        var tilesets = this._xmlChildren(root, 'tileset');
+
+        for (var i = 0; i < tilesets.length; i++)
+        {
+            var set = this._xmlTileset(tilesets[i]);
+
+            if (set)
+            {
+                json.tilesets.push(set);
+            }
+        }
+
+        var map = this.parseTiledJSON(json);
+
+        if (map)
+        {
+            map.format = Phaser.Tilemap.TILED_XML;
+        }
+
+        return map;
+
+    },
+
     /**
     * Parses a Tiled JSON file into valid map data.
     * @method Phaser.TilemapParser.parseJSON
@@ -185,12 +385,15 @@ Phaser.TilemapParser = {
     */
     parseTiledJSON: function (json) {
 
-        if (json.orientation !== 'orthogonal')
+        if (['orthogonal', 'isometric', 'staggered', 'hexagonal'].indexOf(json.orientation) === -1)
         {
-            console.warn('TilemapParser.parseTiledJSON - Only orthogonal map types are supported in this version of Phaser');
+            console.warn('TilemapParser.parseTiledJSON - Unsupported map orientation: ' + json.orientation);
             return null;
         }
 
+        //  Layers inside of group layers are parsed as if they were at the top level
+        var jsonLayers = this._flattenGroups(json.layers);
+
         //  Map data will consist of: layers, objects, images, tilesets, sizes
         var map = {
             width: json.width,
@@ -198,56 +401,90 @@ Phaser.TilemapParser = {
             tileWidth: json.tilewidth,
             tileHeight: json.tileheight,
             orientation: json.orientation,
+            staggerAxis: (json.staggeraxis === 'x') ? 'x' : 'y',
+            staggerIndex: (json.staggerindex === 'even') ? 'even' : 'odd',
+            hexSideLength: json.hexsidelength || 0,
+            startX: 0,
+            startY: 0,
             format: Phaser.Tilemap.TILED_JSON,
             version: json.version,
-            properties: json.properties,
-            widthInPixels: json.width * json.tilewidth,
-            heightInPixels: json.height * json.tileheight
+            properties: json.properties
         };
 
+        if (json.infinite)
+        {
+            //  The chunks can be anywhere around the origin, so size the map to fit them and shift it to start at 0x0
+            var bounds = this._chunkBounds(jsonLayers);
+
+            //  Shifting a staggered map by an odd number of tiles would swap its staggered rows or columns
+            if (map.orientation === 'staggered' || map.orientation === 'hexagonal')
+            {
+                bounds.width += bounds.x & 1;
+                bounds.height += bounds.y & 1;
+                bounds.x -= bounds.x & 1;
+                bounds.y -= bounds.y & 1;
+            }
+
+            map.width = bounds.width;
+            map.height = bounds.height;
+            map.startX = bounds.x;
+            map.startY = bounds.y;
+        }
+
+        var size = this.getPixelSize(map, map.width, map.height);
+
+        map.widthInPixels = size.width;
+        map.heightInPixels = size.height;
+
         //  Tile Layers
         var layers = [];
 
-        for (var i = 0; i < json.layers.length; i++)
+        for (var i = 0; i < jsonLayers.length; i++)
         {
-            if (json.layers[i].type !== 'tilelayer')
+            if (jsonLayers[i].type !== 'tilelayer')
             {
                 continue;
             }
 
-            var curl = json.layers[i];
-
-            // Base64 decode data if necessary
-            // NOTE: uncompressed base64 only.
+            var curl = jsonLayers[i];
+            var chunks = null;
 
-            if (!curl.compression && curl.encoding && curl.encoding === 'base64')
+            if (curl.chunks)
             {
-                var binaryString = window.atob(curl.data);
-                var len = binaryString.length;
-                var bytes = new Array(len);
+                chunks = this._layerChunks(curl, map);
 
-                // Interpret binaryString as an array of bytes representing
-                // little-endian encoded uint32 values.
-                for (var j = 0; j < len; j+=4)
+                if (this.STREAM_CHUNKS)
                 {
-                    bytes[j / 4] = (
-                        binaryString.charCodeAt(j) |
-                        binaryString.charCodeAt(j + 1) << 8 |
-                        binaryString.charCodeAt(j + 2) << 16 |
-                        binaryString.charCodeAt(j + 3) << 24
-                    ) >>> 0;
+                    layers.push(this._streamedLayer(curl, map, chunks));
+                    continue;
                 }
 
-                curl.data = bytes;
+                curl = this._flattenChunks(curl, map, chunks);
 
-                delete curl.encoding;
+                if (curl === null)
+                {
+                    console.warn('TilemapParser.parseTiledJSON - Unable to decode layer data, skipping layer \'' + jsonLayers[i].name + '\'');
+                    continue;
+                }
             }
-            else if (curl.compression)
+            else if (curl.encoding && curl.encoding === 'base64')
             {
-                console.warn('TilemapParser.parseTiledJSON - Layer compression is unsupported, skipping layer \'' + curl.name + '\'');
-                continue;
+                var data = this.decodeLayerData(curl.data, curl.compression);
+
+                if (data === null)
+                {
+                    console.warn('TilemapParser.parseTiledJSON - Unable to decode layer data, skipping layer \'' + curl.name + '\'');
+                    continue;
+                }
+
+                curl.data = data;
+
+                delete curl.encoding;
+                delete curl.compression;
             }
 
+            size = this.getPixelSize(map, curl.width, curl.height);
+
             var layer = {
 
                 name: curl.name,
@@ -255,8 +492,8 @@ Phaser.TilemapParser = {
                 y: curl.y,
                 width: curl.width,
                 height: curl.height,
-                widthInPixels: curl.width * json.tilewidth,
-                heightInPixels: curl.height * json.tileheight,
+                widthInPixels: size.width,
+                heightInPixels: size.height,
                 alpha: curl.opacity,
                 visible: curl.visible,
                 properties: {},
@@ -274,7 +511,6 @@ Phaser.TilemapParser = {
             var x = 0;
             var row = [];
             var output = [];
-            var rotation, flipped, flippedVal, gid;
 
             //  Loop through the data field in the JSON.
 
@@ -284,98 +520,7 @@ Phaser.TilemapParser = {
 
             for (var t = 0, len = curl.data.length; t < len; t++)
             {
-                rotation = 0;
-                flipped = false;
-                gid = curl.data[t];
-                flippedVal = 0;
-
-                //  If true the current tile is flipped or rotated (Tiled TMX format)
-                if (gid > 0x20000000)
-                {
-                    // FlippedX
-                    if (gid > 0x80000000)
-                    {
-                        gid -= 0x80000000;
-                        flippedVal += 4;
-                    }
-
-                    // FlippedY
-                    if (gid > 0x40000000)
-                    {
-                        gid -= 0x40000000;
-                        flippedVal += 2;
-                    }
-
-                    // FlippedAD (anti-diagonal = top-right is swapped with bottom-left corners)
-                    if (gid > 0x20000000)
-                    {
-                        gid -= 0x20000000;
-                        flippedVal += 1;
-                    }
-
-                    switch (flippedVal)
-                    {
-                        case 5:
-                            rotation = Math.PI / 2;
-                            break;
-
-                        case 6:
-                            rotation = Math.PI;
-                            break;
-
-                        case 3:
-                            rotation = 3 * Math.PI / 2;
-                            break;
-
-                        case 4:
-                            rotation = 0;
-                            flipped = true;
-                            break;
-
-                        case 7:
-                            rotation = Math.PI / 2;
-                            flipped = true;
-                            break;
-
-                        case 2:
-                            rotation = Math.PI;
-                            flipped = true;
-                            break;
-
-                        case 1:
-                            rotation = 3 * Math.PI / 2;
-                            flipped = true;
-                            break;
-                    }
-                }
-
-                //  index, x, y, width, height
-                if (gid > 0)
-                {
-                    var tile = new Phaser.Tile(layer, gid, x, output.length, json.tilewidth, json.tileheight);
-
-                    tile.rotation = rotation;
-                    tile.flipped = flipped;
-
-                    if (flippedVal !== 0)
-                    {
-                        //  The WebGL renderer uses this to flip UV coordinates before drawing
-                        tile.flippedVal = flippedVal;
-                    }
-
-                    row.push(tile);
-                }
-                else
-                {
-                    if (Phaser.TilemapParser.INSERT_NULL)
-                    {
-                        row.push(null);
-                    }
-                    else
-                    {
-                        row.push(new Phaser.Tile(layer, -1, x, output.length, json.tilewidth, json.tileheight));
-                    }
-                }
+                row.push(this.createTile(layer, curl.data[t], x, output.length, json.tilewidth, json.tileheight));
 
                 x++;
 
@@ -397,14 +542,14 @@ Phaser.TilemapParser = {
         //  Images
         var images = [];
 
-        for (var i = 0; i < json.layers.length; i++)
+        for (var i = 0; i < jsonLayers.length; i++)
         {
-            if (json.layers[i].type !== 'imagelayer')
+            if (jsonLayers[i].type !== 'imagelayer')
             {
                 continue;
             }
 
-            var curi = json.layers[i];
+            var curi = jsonLayers[i];
 
             var image = {
 
@@ -448,6 +593,17 @@ Phaser.TilemapParser = {
                     newSet.tileProperties = set.tileproperties;
                 }
 
+                //  Tile animations, keyed by tile id (or an array of tiles with an id each since Tiled 1.2)
+                for (var ti in set.tiles)
+                {
+                    var tileData = set.tiles[ti];
+
+                    if (tileData.animation)
+                    {
+                        newSet.setAnimation((tileData.id !== undefined) ? tileData.id : parseInt(ti, 10), tileData.animation);
+                    }
+                }
+
                 // For a normal sliced tileset the row/count/size information is computed when updated.
                 // This is done (again) after the image is set.
                 newSet.updateTileData(set.imagewidth, set.imageheight);
@@ -501,14 +657,14 @@ Phaser.TilemapParser = {
             return sliced;
         }
 
-        for (var i = 0; i < json.layers.length; i++)
+        for (var i = 0; i < jsonLayers.length; i++)
         {
-            if (json.layers[i].type !== 'objectgroup')
+            if (jsonLayers[i].type !== 'objectgroup')
             {
                 continue;
             }
 
-            var curo = json.layers[i];
+            var curo = jsonLayers[i];
 
             objects[curo.name] = [];
             collision[curo.name] = [];
@@ -603,6 +759,12 @@ Phaser.TilemapParser = {
         map.objects = objects;
         map.collision = collision;
 
+        //  Infinite maps were shifted to start at 0x0, so move their objects and images along with the tiles
+        if (map.startX !== 0 || map.startY !== 0)
+        {
+            this._shiftObjects(map);
+        }
+
         map.tiles = [];
 
         //  Finally lets build our super tileset index
@@ -674,7 +836,8 @@ Phaser.TilemapParser = {
                 {
                     tile = row[k];
 
-                    if (tile === null || tile.index < 0)
+                    //  Skip empty tiles and those from tilesets that weren't loaded
+                    if (tile === null || tile.index < 0 || !map.tiles[tile.index])
                     {
                         continue;
                     }
@@ -698,6 +861,804 @@ Phaser.TilemapParser = {
 
         return map;
 
+    },
+
+    /**
+    * Creates the Tile for a global tile ID of Tiled layer data. The ID can carry the Tiled flags of a flipped or
+    * rotated tile, which are turned into the `rotation` and `flipped` properties of the Tile.
+    *
+    * @method Phaser.TilemapParser.createTile
+    * @param {object} layer - The layer data the Tile belongs to.
+    * @param {integer} gid - The global tile ID, 0 for an empty cell.
+    * @param {integer} x - The x coordinate of the Tile (in tiles).
+    * @param {integer} y - The y coordinate of the Tile (in tiles).
+    * @param {number} width - The width of the Tile in pixels.
+    * @param {number} height - The height of the Tile in pixels.
+    * @return {Phaser.Tile} The Tile. Empty cells get a Tile with an index of -1, or null if `INSERT_NULL` is set.
+    */
+    createTile: function (layer, gid, x, y, width, height) {
+
+        var rotation = 0;
+        var flipped = false;
+        var flippedVal = 0;
+
+        //  If true the current tile is flipped or rotated (Tiled TMX format)
+        if (gid > 0x20000000)
+        {
+            // FlippedX
+            if (gid > 0x80000000)
+            {
+                gid -= 0x80000000;
+                flippedVal += 4;
+            }
+
+            // FlippedY
+            if (gid > 0x40000000)
+            {
+                gid -= 0x40000000;
+                flippedVal += 2;
+            }
+
+            // FlippedAD (anti-diagonal = top-right is swapped with bottom-left corners)
+            if (gid > 0x20000000)
+            {
+                gid -= 0x20000000;
+                flippedVal += 1;
+            }
+
+            switch (flippedVal)
+            {
+                case 5:
+                    rotation = Math.PI / 2;
+                    break;
+
+                case 6:
+                    rotation = Math.PI;
+                    break;
+
+                case 3:
+                    rotation = 3 * Math.PI / 2;
+                    break;
+
+                case 4:
+                    rotation = 0;
+                    flipped = true;
+                    break;
+
+                case 7:
+                    rotation = Math.PI / 2;
+                    flipped = true;
+                    break;
+
+                case 2:
+                    rotation = Math.PI;
+                    flipped = true;
+                    break;
+
+                case 1:
+                    rotation = 3 * Math.PI / 2;
+                    flipped = true;
+                    break;
+            }
+        }
+
+        //  index, x, y, width, height
+        if (gid > 0)
+        {
+            var tile = new Phaser.Tile(layer, gid, x, y, width, height);
+
+            tile.rotation = rotation;
+            tile.flipped = flipped;
+
+            if (flippedVal !== 0)
+            {
+                //  The WebGL renderer uses this to flip UV coordinates before drawing
+                tile.flippedVal = flippedVal;
+            }
+
+            return tile;
+        }
+        else if (Phaser.TilemapParser.INSERT_NULL)
+        {
+            return null;
+        }
+        else
+        {
+            return new Phaser.Tile(layer, -1, x, y, width, height);
+        }
+
+    },
+
+    /**
+    * Flattens the group layers of a Tiled map into a list of the layers within them, in the order they are drawn.
+    * Each layer takes the name of its group as a prefix, such as 'group/layer', and combines its offset, opacity and visibility
+    * with those of the group.
+    *
+    * @method Phaser.TilemapParser._flattenGroups
+    * @private
+    * @param {array} layers - The Tiled JSON layers of the map or group.
+    * @param {object} [group] - The group the layers are in.
+    * @param {array} [output] - The array to add the layers to.
+    * @return {array} The layers, without any groups.
+    */
+    _flattenGroups: function (layers, group, output) {
+
+        if (output === undefined) { output = []; }
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            var layer = layers[i];
+
+            if (group)
+            {
+                //  A copy, so that parsing the same map data again doesn't combine the group twice
+                layer = Phaser.Utils.extend({}, layer);
+
+                layer.name = group.name + '/' + layer.name;
+                layer.offsetx = (layer.offsetx || 0) + (group.offsetx || 0);
+                layer.offsety = (layer.offsety || 0) + (group.offsety || 0);
+                layer.opacity = ((layer.opacity === undefined) ? 1 : layer.opacity) * ((group.opacity === undefined) ? 1 : group.opacity);
+                layer.visible = (layer.visible !== false && group.visible !== false);
+            }
+
+            if (layer.type === 'group')
+            {
+                this._flattenGroups(layer.layers || [], layer, output);
+            }
+            else
+            {
+                output.push(layer);
+            }
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Returns the area, in Tiled tile coordinates, covered by the chunks of the tile layers of an infinite map.
+    *
+    * @method Phaser.TilemapParser._chunkBounds
+    * @private
+    * @param {array} layers - The Tiled JSON layers.
+    * @return {object} The `x`, `y`, `width` and `height` of the area.
+    */
+    _chunkBounds: function (layers) {
+
+        var left = Infinity;
+        var top = Infinity;
+        var right = -Infinity;
+        var bottom = -Infinity;
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            var chunks = layers[i].chunks;
+
+            if (layers[i].type !== 'tilelayer' || !chunks)
+            {
+                continue;
+            }
+
+            for (var c = 0; c < chunks.length; c++)
+            {
+                left = Math.min(left, chunks[c].x);
+                top = Math.min(top, chunks[c].y);
+                right = Math.max(right, chunks[c].x + chunks[c].width);
+                bottom = Math.max(bottom, chunks[c].y + chunks[c].height);
+            }
+        }
+
+        if (left === Infinity)
+        {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+
+        return { x: left, y: top, width: right - left, height: bottom - top };
+
+    },
+
+    /**
+    * Copies the chunks of a Tiled JSON layer, moved into the tile coordinates of the shifted map.
+    * The chunk data is kept as it is, so base64 encoded chunks stay encoded.
+    *
+    * @method Phaser.TilemapParser._layerChunks
+    * @private
+    * @param {object} json - The Tiled JSON layer.
+    * @param {object} map - The map data, with its `startX` and `startY` set.
+    * @return {array} The chunks, each with an `x`, `y`, `width`, `height`, `data` and `loaded` flag.
+    */
+    _layerChunks: function (json, map) {
+
+        var chunks = [];
+
+        for (var i = 0; i < json.chunks.length; i++)
+        {
+            var chunk = json.chunks[i];
+
+            chunks.push({
+                x: chunk.x - map.startX,
+                y: chunk.y - map.startY,
+                width: chunk.width,
+                height: chunk.height,
+                data: chunk.data,
+                loaded: false,
+                stamp: -1
+            });
+        }
+
+        return chunks;
+
+    },
+
+    /**
+    * Combines the chunks of a Tiled JSON layer into a layer with the size of the map and a single array of tile IDs.
+    *
+    * @method Phaser.TilemapParser._flattenChunks
+    * @private
+    * @param {object} json - The Tiled JSON layer.
+    * @param {object} map - The map data.
+    * @param {array} chunks - The chunks of the layer, from `_layerChunks`.
+    * @return {object} A Tiled JSON layer without chunks, or null if the data of a chunk could not be decoded.
+    */
+    _flattenChunks: function (json, map, chunks) {
+
+        var data = [];
+
+        for (var i = 0; i < map.width * map.height; i++)
+        {
+            data.push(0);
+        }
+
+        for (var c = 0; c < chunks.length; c++)
+        {
+            var chunk = chunks[c];
+            var gids = chunk.data;
+
+            if (typeof gids === 'string')
+            {
+                gids = this.decodeLayerData(gids, json.compression);
+
+                if (gids === null)
+                {
+                    return null;
+                }
+            }
+
+            for (var y = 0; y < chunk.height; y++)
+            {
+                for (var x = 0; x < chunk.width; x++)
+                {
+                    data[(chunk.y + y) * map.width + chunk.x + x] = gids[y * chunk.width + x];
+                }
+            }
+        }
+
+        return {
+            name: json.name,
+            x: json.x,
+            y: json.y,
+            width: map.width,
+            height: map.height,
+            opacity: json.opacity,
+            visible: json.visible,
+            properties: json.properties,
+            data: data
+        };
+
+    },
+
+    /**
+    * Creates the layer data of a streamed Tiled JSON layer. It has a row for each row of the map, which stay empty
+    * until the Tilemap loads the chunks holding the Tiles.
+    *
+    * @method Phaser.TilemapParser._streamedLayer
+    * @private
+    * @param {object} json - The Tiled JSON layer.
+    * @param {object} map - The map data.
+    * @param {array} chunks - The chunks of the layer, from `_layerChunks`.
+    * @return {object} The layer data.
+    */
+    _streamedLayer: function (json, map, chunks) {
+
+        var size = this.getPixelSize(map, map.width, map.height);
+
+        var layer = {
+
+            name: json.name,
+            x: json.x,
+            y: json.y,
+            width: map.width,
+            height: map.height,
+            widthInPixels: size.width,
+            heightInPixels: size.height,
+            alpha: json.opacity,
+            visible: json.visible,
+            properties: json.properties || {},
+            indexes: [],
+            callbacks: [],
+            bodies: [],
+            chunks: chunks,
+            compression: (json.encoding === 'base64') ? (json.compression || '') : null,
+            streamStamp: -1,
+            lastStreamStamp: -1,
+            data: []
+
+        };
+
+        for (var y = 0; y < map.height; y++)
+        {
+            layer.data.push([]);
+        }
+
+        return layer;
+
+    },
+
+    /**
+    * Moves the objects and image layers of an infinite map by the same amount as its tiles were shifted.
+    *
+    * @method Phaser.TilemapParser._shiftObjects
+    * @private
+    * @param {object} map - The map data.
+    */
+    _shiftObjects: function (map) {
+
+        var tw = map.tileWidth;
+        var th = map.tileHeight;
+        var dx = -map.startX * tw;
+        var dy = -map.startY * th;
+
+        if (map.orientation === 'isometric')
+        {
+            //  Tiled positions isometric objects as if the tiles were squares of tileHeight
+            dx = -map.startX * th;
+            dy = -map.startY * th;
+        }
+        else if (map.orientation === 'staggered' || map.orientation === 'hexagonal')
+        {
+            var sideLength = (map.orientation === 'hexagonal') ? map.hexSideLength : 0;
+
+            if (map.staggerAxis === 'x')
+            {
+                dx = -map.startX * (Math.floor((tw - sideLength) / 2) + sideLength);
+            }
+            else
+            {
+                dy = -map.startY * (Math.floor((th - sideLength) / 2) + sideLength);
+            }
+        }
+
+        for (var name in map.objects)
+        {
+            var objects = map.objects[name];
+
+            for (var i = 0; i < objects.length; i++)
+            {
+                objects[i].x += dx;
+                objects[i].y += dy;
+            }
+        }
+
+        for (var j = 0; j < map.images.length; j++)
+        {
+            map.images[j].x += dx;
+            map.images[j].y += dy;
+        }
+
+    },
+
+    /**
+    * Returns the child elements of a TMX element with the given node name.
+    *
+    * @method Phaser.TilemapParser._xmlChildren
+    * @private
+    * @param {Element} element - The parent element.
+    * @param {string} [name] - The node name to match. If not given all child elements are returned.
+    * @return {Element[]} The matching child elements, in document order.
+    */
+    _xmlChildren: function (element, name) {
+
+        var children = [];
+
+        for (var i = 0; i < element.childNodes.length; i++)
+        {
+            var child = element.childNodes[i];
+
+            if (child.nodeType === 1 && (name === undefined || child.nodeName === name))
+            {
+                children.push(child);
+            }
+        }
+
+        return children;
+
+    },
+
+    /**
+    * Reads a numeric attribute from a TMX element.
+    *
+    * @method Phaser.TilemapParser._xmlNumber
+    * @private
+    * @param {Element} element - The element to read from.
+    * @param {string} name - The name of the attribute.
+    * @param {number} defaultValue - The value returned if the attribute is missing.
+    * @return {number} The attribute value.
+    */
+    _xmlNumber: function (element, name, defaultValue) {
+
+        if (!element.hasAttribute(name))
+        {
+            return defaultValue;
+        }
+
+        return parseFloat(element.getAttribute(name));
+
+    },
+
+    /**
+    * Reads the `properties` child of a TMX element into an object, converting `int`, `float` and `bool` typed values.
+    *
+    * @method Phaser.TilemapParser._xmlProperties
+    * @private
+    * @param {Element} element - The element that owns the properties.
+    * @return {object} The properties, keyed by name, or undefined if the element has none.
+    */
+    _xmlProperties: function (element) {
+
+        var list = this._xmlChildren(element, 'properties');
+
+        if (list.length === 0)
+        {
+            return undefined;
+        }
+
+        var properties = {};
+        var nodes = this._xmlChildren(list[0], 'property');
+
+        for (var i = 0; i < nodes.length; i++)
+        {
+            var node = nodes[i];
+            var type = node.getAttribute('type');
+
+            //  Multi-line strings are stored as the element text instead of the value attribute
+            var value = node.hasAttribute('value') ? node.getAttribute('value') : node.textContent;
+
+            if (type === 'int' || type === 'float')
+            {
+                value = parseFloat(value);
+            }
+            else if (type === 'bool')
+            {
+                value = (value === 'true');
+            }
+
+            properties[node.getAttribute('name')] = value;
+        }
+
+        return properties;
+
+    },
+
+    /**
+    * Converts the layer elements of a TMX map or group into Tiled JSON layer objects.
+    *
+    * @method Phaser.TilemapParser._xmlLayers
+    * @private
+    * @param {Element} parent - The map or group element.
+    * @return {object[]} The layers, in the order they appear in the document.
+    */
+    _xmlLayers: function (parent) {
+
+        var layers = [];
+        var elements = this._xmlChildren(parent);
+
+        for (var i = 0; i < elements.length; i++)
+        {
+            var element = elements[i];
+            var type = { layer: 'tilelayer', objectgroup: 'objectgroup', imagelayer: 'imagelayer', group: 'group' }[element.nodeName];
+
+            if (!type)
+            {
+                continue;
+            }
+
+            var layer = {
+                type: type,
+                name: element.getAttribute('name') || '',
+                x: this._xmlNumber(element, 'x', 0),
+                y: this._xmlNumber(element, 'y', 0),
+                offsetx: this._xmlNumber(element, 'offsetx', 0),
+                offsety: this._xmlNumber(element, 'offsety', 0),
+                opacity: this._xmlNumber(element, 'opacity', 1),
+                visible: this._xmlNumber(element, 'visible', 1) === 1
+            };
+
+            var properties = this._xmlProperties(element);
+
+            if (properties)
+            {
+                layer.properties = properties;
+            }
+
+            if (type === 'tilelayer')
+            {
+                layer.width = this._xmlNumber(element, 'width', 0);
+                layer.height = this._xmlNumber(element, 'height', 0);
+                this._xmlLayerData(this._xmlChildren(element, 'data')[0], layer);
+            }
+            else if (type === 'objectgroup')
+            {
+                layer.objects = [];
+
+                var objects = this._xmlChildren(element, 'object');
+
+                for (var j = 0; j < objects.length; j++)
+                {
+                    layer.objects.push(this._xmlObject(objects[j]));
+                }
+            }
+            else if (type === 'imagelayer')
+            {
+                var image = this._xmlChildren(element, 'image')[0];
+
+                layer.image = (image) ? image.getAttribute('source') : '';
+            }
+            else
+            {
+                layer.layers = this._xmlLayers(element);
+            }
+
+            layers.push(layer);
+        }
+
+        return layers;
+
+    },
+
+    /**
+    * Reads the `data` element of a TMX tile layer into the given Tiled JSON layer object.
+    * Base64 data is left encoded, to be decoded by `parseTiledJSON`. The data of infinite maps is read into `chunks`.
+    *
+    * @method Phaser.TilemapParser._xmlLayerData
+    * @private
+    * @param {Element} element - The data element.
+    * @param {object} layer - The layer object to populate.
+    */
+    _xmlLayerData: function (element, layer) {
+
+        layer.data = [];
+
+        if (!element)
+        {
+            return;
+        }
+
+        var encoding = element.getAttribute('encoding');
+
+        if (encoding === 'base64')
+        {
+            layer.encoding = encoding;
+            layer.compression = element.getAttribute('compression') || '';
+        }
+
+        var chunks = this._xmlChildren(element, 'chunk');
+
+        if (chunks.length > 0)
+        {
+            layer.chunks = [];
+
+            for (var i = 0; i < chunks.length; i++)
+            {
+                layer.chunks.push({
+                    x: this._xmlNumber(chunks[i], 'x', 0),
+                    y: this._xmlNumber(chunks[i], 'y', 0),
+                    width: this._xmlNumber(chunks[i], 'width', 0),
+                    height: this._xmlNumber(chunks[i], 'height', 0),
+                    data: this._xmlTileData(chunks[i], encoding)
+                });
+            }
+
+            delete layer.data;
+        }
+        else
+        {
+            layer.data = this._xmlTileData(element, encoding);
+        }
+
+    },
+
+    /**
+    * Reads the tile IDs of a TMX `data` or `chunk` element.
+    *
+    * @method Phaser.TilemapParser._xmlTileData
+    * @private
+    * @param {Element} element - The data or chunk element.
+    * @param {string} encoding - The encoding of the data: 'base64', 'csv' or null for tile elements.
+    * @return {number[]|string} The tile IDs, or the base64 encoded data.
+    */
+    _xmlTileData: function (element, encoding) {
+
+        if (encoding === 'base64')
+        {
+            return element.textContent.replace(/\s/g, '');
+        }
+
+        var data = [];
+
+        if (encoding === 'csv')
+        {
+            var values = element.textContent.split(',');
+
+            for (var i = 0; i < values.length; i++)
+            {
+                var value = values[i].trim();
+
+                if (value !== '')
+                {
+                    data.push(parseInt(value, 10));
+                }
+            }
+        }
+        else
+        {
+            var tiles = this._xmlChildren(element, 'tile');
+
+            for (var j = 0; j < tiles.length; j++)
+            {
+                data.push(this._xmlNumber(tiles[j], 'gid', 0));
+            }
+        }
+
+        return data;
+
+    },
+
+    /**
+    * Converts a TMX object element into a Tiled JSON object.
+    *
+    * @method Phaser.TilemapParser._xmlObject
+    * @private
+    * @param {Element} element - The object element.
+    * @return {object} The object.
+    */
+    _xmlObject: function (element) {
+
+        var object = {
+            id: this._xmlNumber(element, 'id', 0),
+            name: element.getAttribute('name') || '',
+            type: element.getAttribute('type') || element.getAttribute('class') || '',
+            x: this._xmlNumber(element, 'x', 0),
+            y: this._xmlNumber(element, 'y', 0),
+            width: this._xmlNumber(element, 'width', 0),
+            height: this._xmlNumber(element, 'height', 0),
+            rotation: this._xmlNumber(element, 'rotation', 0),
+            visible: this._xmlNumber(element, 'visible', 1) === 1
+        };
+
+        if (element.hasAttribute('gid'))
+        {
+            object.gid = this._xmlNumber(element, 'gid', 0);
+        }
+
+        var properties = this._xmlProperties(element);
+
+        if (properties)
+        {
+            object.properties = properties;
+        }
+
+        var children = this._xmlChildren(element);
+
+        for (var i = 0; i < children.length; i++)
+        {
+            var name = children[i].nodeName;
+
+            if (name === 'ellipse' || name === 'point')
+            {
+                object[name] = true;
+            }
+            else if (name === 'polygon' || name === 'polyline')
+            {
+                var points = children[i].getAttribute('points').split(' ');
+
+                object[name] = [];
+
+                for (var p = 0; p < points.length; p++)
+                {
+                    var point = points[p].split(',');
+
+                    object[name].push({ x: parseFloat(point[0]), y: parseFloat(point[1]) });
+                }
+            }
+        }
+
+        return object;
+
+    },
+
+    /**
+    * Converts a TMX tileset element into a Tiled JSON tileset object.
+    *
+    * @method Phaser.TilemapParser._xmlTileset
+    * @private
+    * @param {Element} element - The tileset element.
+    * @return {object} The tileset, or null if it refers to an external tileset that wasn't loaded.
+    */
+    _xmlTileset: function (element) {
+
+        if (element.hasAttribute('source'))
+        {
+            console.warn('TilemapParser.parseTiledXML - External tileset \'' + element.getAttribute('source') + '\' was not loaded, skipping it');
+            return null;
+        }
+
+        var set = {
+            name: element.getAttribute('name') || '',
+            firstgid: this._xmlNumber(element, 'firstgid', 1),
+            tilewidth: this._xmlNumber(element, 'tilewidth', 0),
+            tileheight: this._xmlNumber(element, 'tileheight', 0),
+            spacing: this._xmlNumber(element, 'spacing', 0),
+            margin: this._xmlNumber(element, 'margin', 0),
+            tilecount: this._xmlNumber(element, 'tilecount', 0),
+            columns: this._xmlNumber(element, 'columns', 0),
+            properties: this._xmlProperties(element) || {}
+        };
+
+        var image = this._xmlChildren(element, 'image')[0];
+
+        if (image)
+        {
+            set.image = image.getAttribute('source');
+            set.imagewidth = this._xmlNumber(image, 'width', 0);
+            set.imageheight = this._xmlNumber(image, 'height', 0);
+        }
+
+        var tiles = this._xmlChildren(element, 'tile');
+
+        for (var i = 0; i < tiles.length; i++)
+        {
+            var id = this._xmlNumber(tiles[i], 'id', 0);
+            var properties = this._xmlProperties(tiles[i]);
+            var tile = {};
+
+            if (properties)
+            {
+                set.tileproperties = set.tileproperties || {};
+                set.tileproperties[id] = properties;
+            }
+
+            var tileImage = this._xmlChildren(tiles[i], 'image')[0];
+
+            if (tileImage)
+            {
+                tile.image = tileImage.getAttribute('source');
+                tile.imagewidth = this._xmlNumber(tileImage, 'width', 0);
+                tile.imageheight = this._xmlNumber(tileImage, 'height', 0);
+            }
+
+            var animation = this._xmlChildren(tiles[i], 'animation')[0];
+
+            if (animation)
+            {
+                var frames = this._xmlChildren(animation, 'frame');
+
+                tile.animation = [];
+
+                for (var f = 0; f < frames.length; f++)
+                {
+                    tile.animation.push({ tileid: this._xmlNumber(frames[f], 'tileid', 0), duration: this._xmlNumber(frames[f], 'duration', 0) });
+                }
+            }
+
+            if (tile.image || tile.animation)
+            {
+                set.tiles = set.tiles || {};
+                set.tiles[id] = tile;
+            }
+        }
+
+        return set;
+
     }
 
 };
@@ -116,6 +116,15 @@ Phaser.Tileset = function (name, firstgid, width, height, margin, spacing, prope
     */
     this.drawCoords = [];
 
+    /**
+    * The tile animations of this Tileset, keyed by tile index. Each animation has the `frames` (tile indexes) and
+    * `durations` (in milliseconds) to play in turn, and the total `duration` of one loop.
+    * Use {@link Phaser.Tileset#setAnimation setAnimation} to change. Null if no tile is animated.
+    * @property {?object} animations
+    * @readonly
+    */
+    this.animations = null;
+
 };
 
 Phaser.Tileset.prototype = {
@@ -152,6 +161,84 @@ Phaser.Tileset.prototype = {
 
     },
 
+    /**
+    * Sets or removes the animation of a tile, in the same form Tiled exports it. Animated tiles are played
+    * automatically by every TilemapLayer that displays them, using the clock of the Tilemap.
+    *
+    * Animations are normally set when Tiled data is parsed. If you change them after a TilemapLayer has rendered
+    * the tileset, call its `resetTilesetCache` method so it picks up the change.
+    *
+    * @method Phaser.Tileset#setAnimation
+    * @public
+    * @param {integer} id - The id of the tile within this tileset, starting at 0.
+    * @param {object[]} [frames] - The frames to play, each an object with the `tileid` to show (relative to this tileset) and its `duration` in milliseconds. Leave out to remove the animation.
+    */
+    setAnimation: function (id, frames) {
+
+        var index = this.firstgid + id;
+
+        if (!frames || frames.length === 0)
+        {
+            if (this.animations)
+            {
+                delete this.animations[index];
+            }
+
+            return;
+        }
+
+        var animation = { frames: [], durations: [], duration: 0 };
+
+        for (var i = 0; i < frames.length; i++)
+        {
+            animation.frames.push(this.firstgid + frames[i].tileid);
+            animation.durations.push(frames[i].duration);
+            animation.duration += frames[i].duration;
+        }
+
+        if (this.animations === null)
+        {
+            this.animations = {};
+        }
+
+        this.animations[index] = animation;
+
+    },
+
+    /**
+    * Returns the tile index to draw for the given tile index at the given point of its animation.
+    *
+    * @method Phaser.Tileset#getAnimatedIndex
+    * @public
+    * @param {integer} index - The index of the tile.
+    * @param {number} time - The animation time, in milliseconds.
+    * @return {integer} The index of the current animation frame, or the given index if the tile isn't animated.
+    */
+    getAnimatedIndex: function (index, time) {
+
+        var animation = this.animations && this.animations[index];
+
+        if (!animation || animation.duration <= 0)
+        {
+            return index;
+        }
+
+        time %= animation.duration;
+
+        for (var i = 0; i < animation.frames.length; i++)
+        {
+            time -= animation.durations[i];
+
+            if (time < 0)
+            {
+                return animation.frames[i];
+            }
+        }
+
+        return animation.frames[animation.frames.length - 1];
+
+    },
+
     /**
     * Returns true if and only if this tileset contains the given tile index.
     *
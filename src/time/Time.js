@@ -44,7 +44,7 @@ Phaser.Time = function (game) {
     this.game = game;
 
     /**
-    * The `Date.now()` value when the time was last updated.
+    * The `Date.now()` value when the time was last updated, or the time of the manual clock if `Game.manualClock` is enabled.
     * @property {integer} time
     * @protected
     */
@@ -274,6 +274,18 @@ Phaser.Time = function (game) {
     */
     this._pauseStarted = 0;
 
+    /**
+    * @property {number} _manualTime - The time of the manual clock, used instead of `Date.now()` if `Game.manualClock` is enabled.
+    * @private
+    */
+    this._manualTime = Date.now();
+
+    /**
+    * @property {number} _manualStep - The amount the manual clock was last moved forward by.
+    * @private
+    */
+    this._manualStep = 0;
+
     /**
     * @property {boolean} _justResumed - Internal value used to recover from the game pause state.
     * @private
@@ -298,8 +310,8 @@ Phaser.Time.prototype = {
     */
     boot: function () {
 
-        this._started = Date.now();
-        this.time = Date.now();
+        this._started = this.dateNow();
+        this.time = this.dateNow();
         this.events.start();
         this.timeExpected = this.time;
 
@@ -368,13 +380,39 @@ Phaser.Time.prototype = {
         var previousDateNow = this.time;
 
         // this.time always holds a Date.now value
-        this.time = Date.now();
+        this.time = this.dateNow();
 
         //  Adjust accordingly.
         this.elapsedMS = this.time - previousDateNow;
 
     },
 
+    /**
+    * Returns the current time of the clock used by the game: `Date.now()`, or the manual clock if `Game.manualClock` is enabled.
+    *
+    * @method Phaser.Time#dateNow
+    * @return {number} The current time, in milliseconds.
+    */
+    dateNow: function () {
+
+        return (this.game.manualClock) ? this._manualTime : Date.now();
+
+    },
+
+    /**
+    * Moves the manual clock forward. This is called automatically by `Game.tick`.
+    *
+    * @method Phaser.Time#advance
+    * @protected
+    * @param {number} ms - The number of milliseconds to move the clock forward by.
+    */
+    advance: function (ms) {
+
+        this._manualTime += ms;
+        this._manualStep = ms;
+
+    },
+
     /**
     * Updates the game clock and if enabled the advanced timing data. This is called automatically by Phaser.Game.
     *
@@ -388,7 +426,7 @@ Phaser.Time.prototype = {
         var previousDateNow = this.time;
 
         // this.time always holds a Date.now value
-        this.time = Date.now();
+        this.time = this.dateNow();
 
         //  Adjust accordingly.
         this.elapsedMS = this.time - previousDateNow;
@@ -403,6 +441,13 @@ Phaser.Time.prototype = {
         // elapsed time between previous call and now - this could be a high resolution value
         this.elapsed = this.now - this.prevTime;
 
+        if (this.game.manualClock)
+        {
+            //  Use the exact step given to Game.tick, as the difference between the clock values can lose precision
+            this.elapsedMS = this._manualStep;
+            this.elapsed = this._manualStep;
+        }
+
         if (this.game.raf._isSetTimeOut)
         {
             // console.log('Time isSet', this._desiredFps, 'te', this.timeExpected, 'time', time);
@@ -510,7 +555,7 @@ Phaser.Time.prototype = {
     */
     gamePaused: function () {
 
-        this._pauseStarted = Date.now();
+        this._pauseStarted = this.dateNow();
 
         this.events.pause();
 
@@ -532,7 +577,7 @@ Phaser.Time.prototype = {
     gameResumed: function () {
 
         // Set the parameter which stores Date.now() to make sure it's correct on resume
-        this.time = Date.now();
+        this.time = this.dateNow();
 
         this.pauseDuration = this.time - this._pauseStarted;
 
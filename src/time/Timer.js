@@ -119,7 +119,7 @@ Phaser.Timer = function (game, autoDestroy) {
     * @property {number} _now - The current start-time adjusted time.
     * @private
     */
-    this._now = Date.now();
+    this._now = (game.time) ? game.time.dateNow() : Date.now();
 
     /**
     * @property {number} _len - Temp. array length variable.
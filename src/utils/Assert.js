@@ -0,0 +1,272 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* Assertions for testing gameplay code, such as in unit tests run against a headless game under Node.
+*
+* Each assertion throws an Error describing what went wrong if it fails, so they work with any test runner.
+* Combine them with a game created with `manualClock` enabled, and `Game.tick` to move it forward:
+*
+* ```javascript
+* var jumped = Phaser.Assert.spy(player.events.onJump);
+* game.tick(500);
+* Phaser.Assert.position(player, 100, 300, 0.5);
+* Phaser.Assert.dispatched(jumped, 1);
+* ```
+*
+* @class Phaser.Assert
+* @static
+*/
+Phaser.Assert = {
+
+    /**
+    * Throws an Error for a failed assertion. All of the assertions call this, so you can replace it to integrate with your own test framework.
+    *
+    * @method
+    * @param {string} name - The name of the assertion that failed.
+    * @param {string} details - What went wrong.
+    * @param {string} [message] - The message given to the assertion, if any.
+    */
+    fail: function (name, details, message) {
+
+        throw new Error('Phaser.Assert.' + name + ': ' + (message ? message + ' - ' : '') + details);
+
+    },
+
+    /**
+    * Asserts that the given value is truthy.
+    *
+    * @method
+    * @param {any} value - The value to check.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    ok: function (value, message) {
+
+        if (!value)
+        {
+            Phaser.Assert.fail('ok', 'expected a truthy value but got ' + value, message);
+        }
+
+    },
+
+    /**
+    * Asserts that two values are strictly equal.
+    *
+    * @method
+    * @param {any} actual - The value to check.
+    * @param {any} expected - The value it should be.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    equal: function (actual, expected, message) {
+
+        if (actual !== expected)
+        {
+            Phaser.Assert.fail('equal', 'expected ' + expected + ' but got ' + actual, message);
+        }
+
+    },
+
+    /**
+    * Asserts that a display object, such as a Sprite, is at the given position.
+    * The position checked is `x` and `y`, which is relative to the parent of the object.
+    *
+    * @method
+    * @param {DisplayObject} displayObject - The display object to check.
+    * @param {number} x - The expected x coordinate.
+    * @param {number} y - The expected y coordinate.
+    * @param {number} [tolerance=0] - How far each coordinate may be from the expected value and still pass.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    position: function (displayObject, x, y, tolerance, message) {
+
+        if (tolerance === undefined) { tolerance = 0; }
+
+        if (Math.abs(displayObject.x - x) > tolerance || Math.abs(displayObject.y - y) > tolerance)
+        {
+            Phaser.Assert.fail('position', 'expected ' + x + ',' + y + ' but got ' + displayObject.x + ',' + displayObject.y, message);
+        }
+
+    },
+
+    /**
+    * Asserts that two game objects overlap.
+    *
+    * If both have Arcade Physics bodies then the bodies are checked, otherwise the bounds of the objects are.
+    *
+    * @method
+    * @param {Phaser.Sprite|Phaser.Image|Phaser.Text|Phaser.Group} object1 - The first object to check.
+    * @param {Phaser.Sprite|Phaser.Image|Phaser.Text|Phaser.Group} object2 - The second object to check.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    overlap: function (object1, object2, message) {
+
+        if (!Phaser.Assert.intersects(object1, object2))
+        {
+            Phaser.Assert.fail('overlap', 'expected ' + (object1.name || 'object1') + ' to overlap ' + (object2.name || 'object2'), message);
+        }
+
+    },
+
+    /**
+    * Asserts that two game objects don't overlap.
+    *
+    * If both have Arcade Physics bodies then the bodies are checked, otherwise the bounds of the objects are.
+    *
+    * @method
+    * @param {Phaser.Sprite|Phaser.Image|Phaser.Text|Phaser.Group} object1 - The first object to check.
+    * @param {Phaser.Sprite|Phaser.Image|Phaser.Text|Phaser.Group} object2 - The second object to check.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    notOverlap: function (object1, object2, message) {
+
+        if (Phaser.Assert.intersects(object1, object2))
+        {
+            Phaser.Assert.fail('notOverlap', 'expected ' + (object1.name || 'object1') + ' not to overlap ' + (object2.name || 'object2'), message);
+        }
+
+    },
+
+    /**
+    * Checks if two game objects overlap, using their Arcade Physics bodies if they both have one, or their bounds if not.
+    *
+    * @method
+    * @param {Phaser.Sprite|Phaser.Image|Phaser.Text|Phaser.Group} object1 - The first object to check.
+    * @param {Phaser.Sprite|Phaser.Image|Phaser.Text|Phaser.Group} object2 - The second object to check.
+    * @return {boolean} True if the objects overlap.
+    */
+    intersects: function (object1, object2) {
+
+        var body1 = object1.body;
+        var body2 = object2.body;
+
+        if (body1 && body2 && body1.type === Phaser.Physics.ARCADE && body2.type === Phaser.Physics.ARCADE)
+        {
+            return object1.game.physics.arcade.intersects(body1, body2);
+        }
+
+        return Phaser.Rectangle.intersects(object1.getBounds(), object2.getBounds());
+
+    },
+
+    /**
+    * Asserts that the Arcade Physics body of a game object collided during the last logic update, either with another
+    * body or with something that blocks it, such as a tile or the world bounds.
+    *
+    * @method
+    * @param {Phaser.Sprite} sprite - The sprite to check. It must have an Arcade Physics body.
+    * @param {string} [face] - The face of the body that should have collided: 'up', 'down', 'left' or 'right'. If not given any face will do.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    collided: function (sprite, face, message) {
+
+        var body = sprite.body;
+
+        if (!body || body.type !== Phaser.Physics.ARCADE)
+        {
+            Phaser.Assert.fail('collided', 'expected ' + (sprite.name || 'sprite') + ' to have an Arcade Physics body', message);
+            return;
+        }
+
+        var faces = (face) ? [face] : ['up', 'down', 'left', 'right'];
+
+        for (var i = 0; i < faces.length; i++)
+        {
+            if (body.touching[faces[i]] || body.blocked[faces[i]])
+            {
+                return;
+            }
+        }
+
+        Phaser.Assert.fail('collided', 'expected ' + (sprite.name || 'sprite') + ' to have collided' + (face ? ' on its ' + face + ' face' : ''), message);
+
+    },
+
+    /**
+    * Creates a spy that counts the dispatches of a Signal, and stores the arguments of each, for use with `dispatched`.
+    *
+    * The spy is added to the Signal with a high priority, so it's called before any other listeners.
+    * Call `dispose` on the spy to remove it from the Signal, or `reset` to clear what it has recorded.
+    *
+    * @method
+    * @param {Phaser.Signal} signal - The Signal to watch.
+    * @return {object} The spy, with `count` and `calls` properties holding the number of dispatches and the arguments of each.
+    */
+    spy: function (signal) {
+
+        var spy = {
+
+            signal: signal,
+
+            count: 0,
+
+            calls: [],
+
+            listener: function () {
+
+                this.count++;
+                this.calls.push(Array.prototype.slice.call(arguments));
+
+            },
+
+            reset: function () {
+
+                this.count = 0;
+                this.calls.length = 0;
+
+            },
+
+            dispose: function () {
+
+                this.signal.remove(this.listener, this);
+
+            }
+
+        };
+
+        signal.add(spy.listener, spy, 1000);
+
+        return spy;
+
+    },
+
+    /**
+    * Asserts that the Signal watched by a spy has been dispatched.
+    *
+    * @method
+    * @param {object} spy - A spy created by `Phaser.Assert.spy`.
+    * @param {integer} [count] - The exact number of times the Signal should have been dispatched. If not given, any number above zero will do.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    dispatched: function (spy, count, message) {
+
+        if (count === undefined && spy.count === 0)
+        {
+            Phaser.Assert.fail('dispatched', 'expected the signal to have been dispatched', message);
+        }
+        else if (count !== undefined && spy.count !== count)
+        {
+            Phaser.Assert.fail('dispatched', 'expected the signal to have been dispatched ' + count + ' times but it was dispatched ' + spy.count + ' times', message);
+        }
+
+    },
+
+    /**
+    * Asserts that the Signal watched by a spy hasn't been dispatched.
+    *
+    * @method
+    * @param {object} spy - A spy created by `Phaser.Assert.spy`.
+    * @param {string} [message] - A message to include in the Error if the assertion fails.
+    */
+    notDispatched: function (spy, message) {
+
+        if (spy.count > 0)
+        {
+            Phaser.Assert.fail('notDispatched', 'expected the signal not to have been dispatched but it was dispatched ' + spy.count + ' times', message);
+        }
+
+    }
+
+};
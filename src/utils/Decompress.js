@@ -0,0 +1,1227 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* Phaser.Decompress contains small, dependency free decoders for the compressed data formats
+* that tools such as Tiled can export: base64, zlib and gzip (both DEFLATE based) and Zstandard.
+*
+* Every decoder takes and returns a plain Array of byte values. They are written for the modest
+* payloads found in map files, not for streaming large archives. If the data is corrupt or uses a
+* feature that isn't supported (such as a preset dictionary) an Error is thrown, so wrap calls in
+* a try / catch if the source can't be trusted.
+*
+* @class Phaser.Decompress
+* @static
+*/
+Phaser.Decompress = {
+
+    /**
+    * The fixed Huffman tables used by DEFLATE, created the first time they are needed.
+    *
+    * @property {array} _fixedHuffman
+    * @private
+    */
+    _fixedHuffman: null,
+
+    /**
+    * Decodes a base64 encoded string into an Array of bytes.
+    *
+    * @method Phaser.Decompress.base64
+    * @param {string} data - The base64 encoded string. Whitespace is ignored.
+    * @return {number[]} The decoded bytes.
+    */
+    base64: function (data) {
+
+        var binaryString = window.atob(data.replace(/\s/g, ''));
+        var len = binaryString.length;
+        var bytes = new Array(len);
+
+        for (var i = 0; i < len; i++)
+        {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+
+        return bytes;
+
+    },
+
+    /**
+    * Decompresses zlib (RFC 1950) wrapped DEFLATE data. The Adler-32 checksum is not verified.
+    *
+    * @method Phaser.Decompress.zlib
+    * @param {number[]} bytes - The compressed bytes.
+    * @return {number[]} The decompressed bytes.
+    */
+    zlib: function (bytes) {
+
+        var cmf = bytes[0];
+        var flg = bytes[1];
+
+        if ((cmf & 0x0F) !== 8 || ((cmf << 8) + flg) % 31 !== 0)
+        {
+            throw new Error('Phaser.Decompress.zlib: Invalid zlib header');
+        }
+
+        if (flg & 0x20)
+        {
+            throw new Error('Phaser.Decompress.zlib: Preset dictionaries are not supported');
+        }
+
+        return this.inflate(bytes, 2);
+
+    },
+
+    /**
+    * Decompresses gzip (RFC 1952) wrapped DEFLATE data. Only the first member is read and the CRC-32 is not verified.
+    *
+    * @method Phaser.Decompress.gzip
+    * @param {number[]} bytes - The compressed bytes.
+    * @return {number[]} The decompressed bytes.
+    */
+    gzip: function (bytes) {
+
+        if (bytes[0] !== 0x1F || bytes[1] !== 0x8B || bytes[2] !== 8)
+        {
+            throw new Error('Phaser.Decompress.gzip: Invalid gzip header');
+        }
+
+        var flags = bytes[3];
+        var pos = 10;
+
+        //  FEXTRA
+        if (flags & 4)
+        {
+            pos += 2 + (bytes[pos] | (bytes[pos + 1] << 8));
+        }
+
+        //  FNAME and FCOMMENT are zero terminated strings
+        for (var flag = 8; flag <= 16; flag *= 2)
+        {
+            if (flags & flag)
+            {
+                while (pos < bytes.length && bytes[pos] !== 0)
+                {
+                    pos++;
+                }
+
+                pos++;
+            }
+        }
+
+        //  FHCRC
+        if (flags & 2)
+        {
+            pos += 2;
+        }
+
+        return this.inflate(bytes, pos);
+
+    },
+
+    /**
+    * Decompresses a raw DEFLATE (RFC 1951) stream.
+    *
+    * @method Phaser.Decompress.inflate
+    * @param {number[]} bytes - The compressed bytes.
+    * @param {number} [offset=0] - The index in `bytes` at which the DEFLATE stream starts.
+    * @return {number[]} The decompressed bytes.
+    */
+    inflate: function (bytes, offset) {
+
+        if (offset === undefined) { offset = 0; }
+
+        var stream = { data: bytes, pos: offset * 8 };
+        var output = [];
+        var last = 0;
+
+        while (!last)
+        {
+            last = this._readBits(stream, 1);
+
+            var type = this._readBits(stream, 2);
+
+            if (type === 0)
+            {
+                //  Stored block: skip to the next byte boundary, then LEN and NLEN
+                var pos = (stream.pos + 7) >> 3;
+                var len = bytes[pos] | (bytes[pos + 1] << 8);
+
+                pos += 4;
+
+                if (pos + len > bytes.length)
+                {
+                    throw new Error('Phaser.Decompress.inflate: Stored block overruns the input');
+                }
+
+                for (var i = 0; i < len; i++)
+                {
+                    output.push(bytes[pos + i]);
+                }
+
+                stream.pos = (pos + len) * 8;
+            }
+            else if (type === 1)
+            {
+                if (!this._fixedHuffman)
+                {
+                    var lengths = [];
+
+                    for (var i = 0; i < 288; i++)
+                    {
+                        lengths[i] = (i < 144) ? 8 : (i < 256) ? 9 : (i < 280) ? 7 : 8;
+                    }
+
+                    var distances = [];
+
+                    for (var i = 0; i < 30; i++)
+                    {
+                        distances[i] = 5;
+                    }
+
+                    this._fixedHuffman = [ this._buildHuffman(lengths), this._buildHuffman(distances) ];
+                }
+
+                this._inflateBlock(stream, output, this._fixedHuffman[0], this._fixedHuffman[1]);
+            }
+            else if (type === 2)
+            {
+                var tables = this._readDynamicHuffman(stream);
+
+                this._inflateBlock(stream, output, tables[0], tables[1]);
+            }
+            else
+            {
+                throw new Error('Phaser.Decompress.inflate: Invalid block type');
+            }
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Decompresses Zstandard (RFC 8878) data. Concatenated and skippable frames are supported,
+    * dictionaries are not and checksums are not verified.
+    *
+    * @method Phaser.Decompress.zstd
+    * @param {number[]} bytes - The compressed bytes.
+    * @return {number[]} The decompressed bytes.
+    */
+    zstd: function (bytes) {
+
+        var output = [];
+        var pos = 0;
+
+        while (pos < bytes.length)
+        {
+            var magic = (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+
+            pos += 4;
+
+            if ((magic & 0xFFFFFFF0) >>> 0 === 0x184D2A50)
+            {
+                //  Skippable frame
+                pos += 4 + ((bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0);
+                continue;
+            }
+
+            if (magic !== 0xFD2FB528)
+            {
+                throw new Error('Phaser.Decompress.zstd: Invalid frame magic number');
+            }
+
+            var descriptor = bytes[pos++];
+            var singleSegment = (descriptor >> 5) & 1;
+            var sizeFlag = descriptor >> 6;
+
+            if (descriptor & 3)
+            {
+                throw new Error('Phaser.Decompress.zstd: Dictionaries are not supported');
+            }
+
+            //  Window descriptor and frame content size are not needed as the whole output is kept
+            pos += (singleSegment ? 0 : 1) + [ singleSegment, 2, 4, 8 ][sizeFlag];
+
+            var frame = { output: output, start: output.length, offsets: [ 1, 4, 8 ], huffman: null, tables: {} };
+            var last = 0;
+
+            while (!last)
+            {
+                var header = bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16);
+                var type = (header >> 1) & 3;
+                var size = header >> 3;
+
+                last = header & 1;
+                pos += 3;
+
+                if (type === 0)
+                {
+                    for (var i = 0; i < size; i++)
+                    {
+                        output.push(bytes[pos + i]);
+                    }
+
+                    pos += size;
+                }
+                else if (type === 1)
+                {
+                    for (var i = 0; i < size; i++)
+                    {
+                        output.push(bytes[pos]);
+                    }
+
+                    pos++;
+                }
+                else if (type === 2)
+                {
+                    this._zstdBlock(bytes, pos, pos + size, frame);
+                    pos += size;
+                }
+                else
+                {
+                    throw new Error('Phaser.Decompress.zstd: Invalid block type');
+                }
+
+                if (pos > bytes.length)
+                {
+                    throw new Error('Phaser.Decompress.zstd: Block overruns the input');
+                }
+            }
+
+            //  Content checksum
+            if (descriptor & 4)
+            {
+                pos += 4;
+            }
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Reads `count` bits, least significant first, from a forward bit stream.
+    *
+    * @method Phaser.Decompress._readBits
+    * @private
+    * @param {object} stream - The stream: `data` is the byte Array and `pos` the current bit position.
+    * @param {number} count - The number of bits to read, up to 24.
+    * @return {number} The bits read.
+    */
+    _readBits: function (stream, count) {
+
+        var value = 0;
+
+        for (var i = 0; i < count; i++)
+        {
+            var p = stream.pos + i;
+
+            if ((p >> 3) >= stream.data.length)
+            {
+                throw new Error('Phaser.Decompress: Unexpected end of data');
+            }
+
+            value |= ((stream.data[p >> 3] >> (p & 7)) & 1) << i;
+        }
+
+        stream.pos += count;
+
+        return value;
+
+    },
+
+    /**
+    * Builds a canonical Huffman decoding table from a list of code lengths, one per symbol.
+    *
+    * @method Phaser.Decompress._buildHuffman
+    * @private
+    * @param {number[]} lengths - The code length of each symbol, 0 if the symbol is unused.
+    * @return {object} The decoding table, with `counts` of codes per length and `symbols` sorted by code.
+    */
+    _buildHuffman: function (lengths) {
+
+        var counts = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+        var offsets = [ 0, 0 ];
+        var symbols = [];
+
+        for (var i = 0; i < lengths.length; i++)
+        {
+            counts[lengths[i]]++;
+        }
+
+        for (var i = 1; i < 15; i++)
+        {
+            offsets[i + 1] = offsets[i] + counts[i];
+        }
+
+        for (var i = 0; i < lengths.length; i++)
+        {
+            if (lengths[i] !== 0)
+            {
+                symbols[offsets[lengths[i]]++] = i;
+            }
+        }
+
+        return { counts: counts, symbols: symbols };
+
+    },
+
+    /**
+    * Decodes one symbol from a DEFLATE stream using a table created by `_buildHuffman`.
+    *
+    * @method Phaser.Decompress._decodeHuffman
+    * @private
+    * @param {object} stream - The forward bit stream.
+    * @param {object} table - The Huffman decoding table.
+    * @return {number} The decoded symbol.
+    */
+    _decodeHuffman: function (stream, table) {
+
+        var code = 0;
+        var first = 0;
+        var index = 0;
+
+        for (var len = 1; len < 16; len++)
+        {
+            code |= this._readBits(stream, 1);
+
+            var count = table.counts[len];
+
+            if (code - count < first)
+            {
+                return table.symbols[index + (code - first)];
+            }
+
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw new Error('Phaser.Decompress.inflate: Invalid Huffman code');
+
+    },
+
+    /**
+    * Reads the code length tables at the start of a dynamic DEFLATE block.
+    *
+    * @method Phaser.Decompress._readDynamicHuffman
+    * @private
+    * @param {object} stream - The forward bit stream.
+    * @return {object[]} The literal / length and the distance decoding tables.
+    */
+    _readDynamicHuffman: function (stream) {
+
+        var order = [ 16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15 ];
+        var literalCount = this._readBits(stream, 5) + 257;
+        var distanceCount = this._readBits(stream, 5) + 1;
+        var codeCount = this._readBits(stream, 4) + 4;
+        var codeLengths = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+
+        for (var i = 0; i < codeCount; i++)
+        {
+            codeLengths[order[i]] = this._readBits(stream, 3);
+        }
+
+        var codes = this._buildHuffman(codeLengths);
+        var lengths = [];
+
+        while (lengths.length < literalCount + distanceCount)
+        {
+            var symbol = this._decodeHuffman(stream, codes);
+
+            if (symbol < 16)
+            {
+                lengths.push(symbol);
+                continue;
+            }
+
+            var value = 0;
+            var repeat;
+
+            if (symbol === 16)
+            {
+                if (lengths.length === 0)
+                {
+                    throw new Error('Phaser.Decompress.inflate: Repeat with no previous length');
+                }
+
+                value = lengths[lengths.length - 1];
+                repeat = 3 + this._readBits(stream, 2);
+            }
+            else if (symbol === 17)
+            {
+                repeat = 3 + this._readBits(stream, 3);
+            }
+            else
+            {
+                repeat = 11 + this._readBits(stream, 7);
+            }
+
+            while (repeat--)
+            {
+                lengths.push(value);
+            }
+        }
+
+        return [ this._buildHuffman(lengths.slice(0, literalCount)), this._buildHuffman(lengths.slice(literalCount)) ];
+
+    },
+
+    /**
+    * Decodes the symbols of a compressed DEFLATE block into the output.
+    *
+    * @method Phaser.Decompress._inflateBlock
+    * @private
+    * @param {object} stream - The forward bit stream.
+    * @param {number[]} output - The output bytes.
+    * @param {object} literals - The literal / length decoding table.
+    * @param {object} distances - The distance decoding table.
+    */
+    _inflateBlock: function (stream, output, literals, distances) {
+
+        var lengthBase = [ 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258 ];
+        var lengthBits = [ 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0 ];
+        var distanceBase = [ 1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577 ];
+        var distanceBits = [ 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13 ];
+
+        while (true)
+        {
+            var symbol = this._decodeHuffman(stream, literals);
+
+            if (symbol < 256)
+            {
+                output.push(symbol);
+            }
+            else if (symbol === 256)
+            {
+                return;
+            }
+            else
+            {
+                symbol -= 257;
+
+                if (symbol >= 29)
+                {
+                    throw new Error('Phaser.Decompress.inflate: Invalid length code');
+                }
+
+                var length = lengthBase[symbol] + this._readBits(stream, lengthBits[symbol]);
+
+                symbol = this._decodeHuffman(stream, distances);
+
+                if (symbol >= 30)
+                {
+                    throw new Error('Phaser.Decompress.inflate: Invalid distance code');
+                }
+
+                var distance = distanceBase[symbol] + this._readBits(stream, distanceBits[symbol]);
+
+                if (distance > output.length)
+                {
+                    throw new Error('Phaser.Decompress.inflate: Distance is too far back');
+                }
+
+                for (var i = 0; i < length; i++)
+                {
+                    output.push(output[output.length - distance]);
+                }
+            }
+        }
+
+    },
+
+    /**
+    * Returns the index of the highest set bit in the given positive integer.
+    *
+    * @method Phaser.Decompress._highestBit
+    * @private
+    * @param {number} value - The value to check.
+    * @return {number} The index of the highest set bit, or -1 if the value is zero.
+    */
+    _highestBit: function (value) {
+
+        var bit = -1;
+
+        while (value)
+        {
+            value >>>= 1;
+            bit++;
+        }
+
+        return bit;
+
+    },
+
+    /**
+    * Creates a reader for a Zstandard backward bit stream, which is read from its last byte towards
+    * its first, starting just below the highest set bit of the final byte.
+    *
+    * @method Phaser.Decompress._backwardStream
+    * @private
+    * @param {number[]} data - The byte Array holding the stream.
+    * @param {number} start - The index of the first byte of the stream.
+    * @param {number} end - The index after the last byte of the stream.
+    * @return {object} The stream.
+    */
+    _backwardStream: function (data, start, end) {
+
+        if (end <= start || end > data.length || data[end - 1] === 0)
+        {
+            throw new Error('Phaser.Decompress.zstd: Invalid bit stream');
+        }
+
+        return { data: data, start: start, pos: (end - start - 1) * 8 + this._highestBit(data[end - 1]) };
+
+    },
+
+    /**
+    * Reads `count` bits from a backward bit stream. Reading past the start of the stream returns zero bits,
+    * leaving `pos` negative so callers can detect the overflow.
+    *
+    * @method Phaser.Decompress._readBackward
+    * @private
+    * @param {object} stream - The stream created by `_backwardStream`.
+    * @param {number} count - The number of bits to read, up to 31.
+    * @return {number} The bits read.
+    */
+    _readBackward: function (stream, count) {
+
+        var value = 0;
+
+        stream.pos -= count;
+
+        for (var i = count - 1; i >= 0; i--)
+        {
+            var p = stream.pos + i;
+
+            value *= 2;
+
+            if (p >= 0)
+            {
+                value += (stream.data[stream.start + (p >> 3)] >> (p & 7)) & 1;
+            }
+        }
+
+        return value;
+
+    },
+
+    /**
+    * Reads a Zstandard FSE table description and builds its decoding table.
+    *
+    * @method Phaser.Decompress._readFSETable
+    * @private
+    * @param {number[]} data - The byte Array.
+    * @param {number} pos - The index at which the description starts.
+    * @param {number} maxLog - The largest accuracy log allowed for this table.
+    * @return {object} An object containing the decoding `table` and the `size` of the description in bytes.
+    */
+    _readFSETable: function (data, pos, maxLog) {
+
+        var stream = { data: data, pos: pos * 8 };
+        var log = this._readBits(stream, 4) + 5;
+        var remaining = 1 << log;
+        var frequencies = [];
+
+        if (log > maxLog)
+        {
+            throw new Error('Phaser.Decompress.zstd: FSE accuracy log is too large');
+        }
+
+        while (remaining > 0 && frequencies.length < 256)
+        {
+            var bits = this._highestBit(remaining + 1) + 1;
+            var value = this._readBits(stream, bits);
+            var lowerMask = (1 << (bits - 1)) - 1;
+            var threshold = (1 << bits) - 1 - (remaining + 1);
+
+            if ((value & lowerMask) < threshold)
+            {
+                stream.pos--;
+                value &= lowerMask;
+            }
+            else if (value > lowerMask)
+            {
+                value -= threshold;
+            }
+
+            var probability = value - 1;
+
+            remaining -= Math.abs(probability);
+            frequencies.push(probability);
+
+            if (probability === 0)
+            {
+                var repeat;
+
+                do
+                {
+                    repeat = this._readBits(stream, 2);
+
+                    for (var i = 0; i < repeat; i++)
+                    {
+                        frequencies.push(0);
+                    }
+                }
+                while (repeat === 3);
+            }
+        }
+
+        if (remaining !== 0)
+        {
+            throw new Error('Phaser.Decompress.zstd: Invalid FSE table description');
+        }
+
+        return { table: this._buildFSETable(frequencies, log), size: ((stream.pos + 7) >> 3) - pos };
+
+    },
+
+    /**
+    * Builds a Zstandard FSE decoding table from normalized symbol frequencies.
+    *
+    * @method Phaser.Decompress._buildFSETable
+    * @private
+    * @param {number[]} frequencies - The normalized frequency of each symbol, where -1 means "less than one".
+    * @param {number} log - The accuracy log of the table.
+    * @return {object} The decoding table, with `log`, `symbols`, `bits` and `base` Arrays indexed by state.
+    */
+    _buildFSETable: function (frequencies, log) {
+
+        var size = 1 << log;
+        var table = { log: log, symbols: [], bits: [], base: [] };
+        var next = [];
+        var high = size;
+
+        for (var s = 0; s < frequencies.length; s++)
+        {
+            if (frequencies[s] === -1)
+            {
+                table.symbols[--high] = s;
+                next[s] = 1;
+            }
+        }
+
+        var step = (size >> 1) + (size >> 3) + 3;
+        var mask = size - 1;
+        var pos = 0;
+
+        for (var s = 0; s < frequencies.length; s++)
+        {
+            if (frequencies[s] <= 0)
+            {
+                continue;
+            }
+
+            next[s] = frequencies[s];
+
+            for (var i = 0; i < frequencies[s]; i++)
+            {
+                table.symbols[pos] = s;
+
+                do
+                {
+                    pos = (pos + step) & mask;
+                }
+                while (pos >= high);
+            }
+        }
+
+        if (pos !== 0)
+        {
+            throw new Error('Phaser.Decompress.zstd: Invalid FSE distribution');
+        }
+
+        for (var i = 0; i < size; i++)
+        {
+            var state = next[table.symbols[i]]++;
+
+            table.bits[i] = log - this._highestBit(state);
+            table.base[i] = (state << table.bits[i]) - size;
+        }
+
+        return table;
+
+    },
+
+    /**
+    * Reads a Zstandard Huffman tree description and builds its decoding table.
+    *
+    * @method Phaser.Decompress._readHuffmanTable
+    * @private
+    * @param {number[]} data - The byte Array.
+    * @param {number} pos - The index at which the description starts.
+    * @return {object} An object containing the decoding `table` and the `size` of the description in bytes.
+    */
+    _readHuffmanTable: function (data, pos) {
+
+        var header = data[pos];
+        var weights = [];
+        var size;
+
+        if (header >= 128)
+        {
+            //  Weights stored directly, two per byte
+            var count = header - 127;
+
+            for (var i = 0; i < count; i++)
+            {
+                var packed = data[pos + 1 + (i >> 1)];
+
+                weights.push((i & 1) ? packed & 15 : packed >> 4);
+            }
+
+            size = 1 + ((count + 1) >> 1);
+        }
+        else
+        {
+            //  Weights compressed with two interleaved FSE states
+            var fse = this._readFSETable(data, pos + 1, 6);
+            var table = fse.table;
+            var stream = this._backwardStream(data, pos + 1 + fse.size, pos + 1 + header);
+            var states = [ this._readBackward(stream, table.log), this._readBackward(stream, table.log) ];
+            var current = 0;
+
+            while (weights.length < 255)
+            {
+                var state = states[current];
+
+                weights.push(table.symbols[state]);
+                states[current] = table.base[state] + this._readBackward(stream, table.bits[state]);
+
+                if (stream.pos < 0)
+                {
+                    weights.push(table.symbols[states[1 - current]]);
+                    break;
+                }
+
+                current = 1 - current;
+            }
+
+            size = 1 + header;
+        }
+
+        //  The weight of the last symbol is implied by the others
+        var total = 0;
+
+        for (var i = 0; i < weights.length; i++)
+        {
+            if (weights[i] > 0)
+            {
+                total += 1 << (weights[i] - 1);
+            }
+        }
+
+        var maxBits = this._highestBit(total) + 1;
+        var left = (1 << maxBits) - total;
+
+        if (total === 0 || maxBits > 11 || (left & (left - 1)) !== 0)
+        {
+            throw new Error('Phaser.Decompress.zstd: Invalid Huffman weights');
+        }
+
+        weights.push(this._highestBit(left) + 1);
+
+        //  Longer codes take the lower table indexes, symbols of equal length in ascending order
+        var rankCount = [];
+        var rankIndex = [];
+
+        for (var i = 0; i <= maxBits; i++)
+        {
+            rankCount[i] = 0;
+        }
+
+        for (var i = 0; i < weights.length; i++)
+        {
+            if (weights[i] > 0)
+            {
+                rankCount[maxBits + 1 - weights[i]]++;
+            }
+        }
+
+        var result = { maxBits: maxBits, symbols: [], bits: [] };
+
+        rankIndex[maxBits] = 0;
+
+        for (var i = maxBits; i >= 1; i--)
+        {
+            rankIndex[i - 1] = rankIndex[i] + rankCount[i] * (1 << (maxBits - i));
+
+            for (var j = rankIndex[i]; j < rankIndex[i - 1]; j++)
+            {
+                result.bits[j] = i;
+            }
+        }
+
+        for (var i = 0; i < weights.length; i++)
+        {
+            if (weights[i] > 0)
+            {
+                var bits = maxBits + 1 - weights[i];
+                var len = 1 << (maxBits - bits);
+
+                for (var j = 0; j < len; j++)
+                {
+                    result.symbols[rankIndex[bits] + j] = i;
+                }
+
+                rankIndex[bits] += len;
+            }
+        }
+
+        return { table: result, size: size };
+
+    },
+
+    /**
+    * Decodes a Zstandard compressed block into the frame output.
+    *
+    * @method Phaser.Decompress._zstdBlock
+    * @private
+    * @param {number[]} data - The byte Array.
+    * @param {number} pos - The index at which the block content starts.
+    * @param {number} end - The index after the last byte of the block.
+    * @param {object} frame - The state shared by all blocks of the current frame.
+    */
+    _zstdBlock: function (data, pos, end, frame) {
+
+        var literals = [];
+
+        pos += this._zstdLiterals(data, pos, frame, literals);
+
+        var output = frame.output;
+        var count = data[pos++];
+
+        if (count >= 255)
+        {
+            count = data[pos] + (data[pos + 1] << 8) + 0x7F00;
+            pos += 2;
+        }
+        else if (count >= 128)
+        {
+            count = ((count - 128) << 8) + data[pos++];
+        }
+
+        var literal = 0;
+
+        if (count > 0)
+        {
+            var modes = data[pos++];
+            var lengths = this._zstdSequenceTable(data, pos, modes >> 6, 'literals', frame);
+
+            pos += lengths.size;
+
+            var offsets = this._zstdSequenceTable(data, pos, (modes >> 4) & 3, 'offsets', frame);
+
+            pos += offsets.size;
+
+            var matches = this._zstdSequenceTable(data, pos, (modes >> 2) & 3, 'matches', frame);
+
+            pos += matches.size;
+
+            var stream = this._backwardStream(data, pos, end);
+            var lt = lengths.table;
+            var ot = offsets.table;
+            var mt = matches.table;
+            var ls = this._readBackward(stream, lt.log);
+            var os = this._readBackward(stream, ot.log);
+            var ms = this._readBackward(stream, mt.log);
+            var history = frame.offsets;
+            var codes = Phaser.Decompress.ZSTD_CODES;
+
+            for (var i = 0; i < count; i++)
+            {
+                var offsetCode = ot.symbols[os];
+                var matchCode = mt.symbols[ms];
+                var literalCode = lt.symbols[ls];
+
+                if (offsetCode > 31 || matchCode > 52 || literalCode > 35)
+                {
+                    throw new Error('Phaser.Decompress.zstd: Invalid sequence code');
+                }
+
+                var offset = Math.pow(2, offsetCode) + this._readBackward(stream, offsetCode);
+                var matchLength = codes.matchBase[matchCode] + this._readBackward(stream, codes.matchBits[matchCode]);
+                var literalLength = codes.literalBase[literalCode] + this._readBackward(stream, codes.literalBits[literalCode]);
+
+                if (i < count - 1)
+                {
+                    ls = lt.base[ls] + this._readBackward(stream, lt.bits[ls]);
+                    ms = mt.base[ms] + this._readBackward(stream, mt.bits[ms]);
+                    os = ot.base[os] + this._readBackward(stream, ot.bits[os]);
+                }
+
+                //  Offset values of 1 to 3 refer to the repeat offset history
+                if (offset > 3)
+                {
+                    offset -= 3;
+                    history.unshift(offset);
+                    history.pop();
+                }
+                else
+                {
+                    var index = (literalLength === 0) ? offset : offset - 1;
+
+                    if (index > 0)
+                    {
+                        offset = (index < 3) ? history[index] : history[0] - 1;
+                        history.splice((index < 3) ? index : 2, 1);
+                        history.unshift(offset);
+                    }
+                    else
+                    {
+                        offset = history[0];
+                    }
+                }
+
+                if (literal + literalLength > literals.length)
+                {
+                    throw new Error('Phaser.Decompress.zstd: Literal length overruns the literals');
+                }
+
+                for (var j = 0; j < literalLength; j++)
+                {
+                    output.push(literals[literal++]);
+                }
+
+                if (offset === 0 || offset > output.length - frame.start)
+                {
+                    throw new Error('Phaser.Decompress.zstd: Offset is too far back');
+                }
+
+                for (var j = 0; j < matchLength; j++)
+                {
+                    output.push(output[output.length - offset]);
+                }
+            }
+        }
+
+        while (literal < literals.length)
+        {
+            output.push(literals[literal++]);
+        }
+
+    },
+
+    /**
+    * Decodes the literals section of a Zstandard compressed block.
+    *
+    * @method Phaser.Decompress._zstdLiterals
+    * @private
+    * @param {number[]} data - The byte Array.
+    * @param {number} pos - The index at which the literals section starts.
+    * @param {object} frame - The state shared by all blocks of the current frame.
+    * @param {number[]} literals - The Array the literals are pushed into.
+    * @return {number} The size of the literals section in bytes.
+    */
+    _zstdLiterals: function (data, pos, frame, literals) {
+
+        var b0 = data[pos];
+        var type = b0 & 3;
+        var format = (b0 >> 2) & 3;
+        var regenerated;
+
+        if (type < 2)
+        {
+            var headerSize;
+
+            if ((format & 1) === 0)
+            {
+                regenerated = b0 >> 3;
+                headerSize = 1;
+            }
+            else if (format === 1)
+            {
+                regenerated = (b0 >> 4) + (data[pos + 1] << 4);
+                headerSize = 2;
+            }
+            else
+            {
+                regenerated = (b0 >> 4) + (data[pos + 1] << 4) + (data[pos + 2] << 12);
+                headerSize = 3;
+            }
+
+            for (var i = 0; i < regenerated; i++)
+            {
+                literals.push(data[pos + headerSize + ((type === 0) ? i : 0)]);
+            }
+
+            return headerSize + ((type === 0) ? regenerated : 1);
+        }
+
+        var compressed;
+        var start;
+
+        if (format < 2)
+        {
+            var header = b0 | (data[pos + 1] << 8) | (data[pos + 2] << 16);
+
+            regenerated = (header >> 4) & 0x3FF;
+            compressed = (header >> 14) & 0x3FF;
+            start = pos + 3;
+        }
+        else if (format === 2)
+        {
+            var header = (b0 | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+
+            regenerated = (header >>> 4) & 0x3FFF;
+            compressed = (header >>> 18) & 0x3FFF;
+            start = pos + 4;
+        }
+        else
+        {
+            regenerated = (b0 >> 4) | (data[pos + 1] << 4) | ((data[pos + 2] & 0x3F) << 12);
+            compressed = (data[pos + 2] >> 6) | (data[pos + 3] << 2) | (data[pos + 4] << 10);
+            start = pos + 5;
+        }
+
+        var end = start + compressed;
+        var p = start;
+
+        if (type === 2)
+        {
+            var huffman = this._readHuffmanTable(data, p);
+
+            frame.huffman = huffman.table;
+            p += huffman.size;
+        }
+        else if (!frame.huffman)
+        {
+            throw new Error('Phaser.Decompress.zstd: Repeated Huffman table without a previous table');
+        }
+
+        if (format === 0)
+        {
+            this._zstdHuffmanStream(data, p, end, frame.huffman, regenerated, literals);
+        }
+        else
+        {
+            var size1 = data[p] | (data[p + 1] << 8);
+            var size2 = data[p + 2] | (data[p + 3] << 8);
+            var size3 = data[p + 4] | (data[p + 5] << 8);
+            var segment = (regenerated + 3) >> 2;
+
+            p += 6;
+
+            this._zstdHuffmanStream(data, p, p + size1, frame.huffman, segment, literals);
+            p += size1;
+            this._zstdHuffmanStream(data, p, p + size2, frame.huffman, segment, literals);
+            p += size2;
+            this._zstdHuffmanStream(data, p, p + size3, frame.huffman, segment, literals);
+            p += size3;
+            this._zstdHuffmanStream(data, p, end, frame.huffman, regenerated - segment * 3, literals);
+        }
+
+        return end - pos;
+
+    },
+
+    /**
+    * Decodes a single Huffman coded literals stream.
+    *
+    * @method Phaser.Decompress._zstdHuffmanStream
+    * @private
+    * @param {number[]} data - The byte Array.
+    * @param {number} start - The index of the first byte of the stream.
+    * @param {number} end - The index after the last byte of the stream.
+    * @param {object} table - The Huffman decoding table.
+    * @param {number} count - The number of literals to decode.
+    * @param {number[]} literals - The Array the literals are pushed into.
+    */
+    _zstdHuffmanStream: function (data, start, end, table, count, literals) {
+
+        var stream = this._backwardStream(data, start, end);
+        var mask = (1 << table.maxBits) - 1;
+        var state = this._readBackward(stream, table.maxBits);
+
+        for (var i = 0; i < count; i++)
+        {
+            var bits = table.bits[state];
+
+            literals.push(table.symbols[state]);
+            state = ((state << bits) + this._readBackward(stream, bits)) & mask;
+        }
+
+        if (stream.pos !== -table.maxBits)
+        {
+            throw new Error('Phaser.Decompress.zstd: Huffman stream size mismatch');
+        }
+
+    },
+
+    /**
+    * Gets the FSE decoding table for one of the three sequence fields, based on its compression mode.
+    *
+    * @method Phaser.Decompress._zstdSequenceTable
+    * @private
+    * @param {number[]} data - The byte Array.
+    * @param {number} pos - The index at which the table description (if any) starts.
+    * @param {number} mode - 0 for the predefined table, 1 for RLE, 2 for a compressed table and 3 to repeat the previous one.
+    * @param {string} kind - Either `literals`, `offsets` or `matches`.
+    * @param {object} frame - The state shared by all blocks of the current frame.
+    * @return {object} An object containing the decoding `table` and the `size` of its description in bytes.
+    */
+    _zstdSequenceTable: function (data, pos, mode, kind, frame) {
+
+        var codes = Phaser.Decompress.ZSTD_CODES;
+        var result;
+
+        if (mode === 0)
+        {
+            if (!codes.tables)
+            {
+                codes.tables = {
+                    literals: this._buildFSETable(codes.literalDistribution, 6),
+                    offsets: this._buildFSETable(codes.offsetDistribution, 5),
+                    matches: this._buildFSETable(codes.matchDistribution, 6)
+                };
+            }
+
+            result = { table: codes.tables[kind], size: 0 };
+        }
+        else if (mode === 1)
+        {
+            result = { table: { log: 0, symbols: [ data[pos] ], bits: [ 0 ], base: [ 0 ] }, size: 1 };
+        }
+        else if (mode === 2)
+        {
+            result = this._readFSETable(data, pos, (kind === 'offsets') ? 8 : 9);
+        }
+        else
+        {
+            if (!frame.tables[kind])
+            {
+                throw new Error('Phaser.Decompress.zstd: Repeated sequence table without a previous table');
+            }
+
+            result = { table: frame.tables[kind], size: 0 };
+        }
+
+        frame.tables[kind] = result.table;
+
+        return result;
+
+    }
+
+};
+
+/**
+* The Zstandard baseline values, extra bit counts and predefined distributions of the sequence codes.
+*
+* @constant
+* @type {object}
+*/
+Phaser.Decompress.ZSTD_CODES = {
+
+    literalBase: [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536 ],
+    literalBits: [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16 ],
+    matchBase: [ 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051, 4099, 8195, 16387, 32771, 65539 ],
+    matchBits: [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16 ],
+    literalDistribution: [ 4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1, -1, -1, -1, -1 ],
+    matchDistribution: [ 1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1 ],
+    offsetDistribution: [ 1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1 ],
+    tables: null
+
+};
@@ -85,6 +85,16 @@ module.exports = {
         dest: '<%= modules_dir %>/keyboard.js'
     },
 
+    strokes: {
+        src: require('../manifests/strokes'),
+        dest: '<%= modules_dir %>/strokes.js'
+    },
+
+    focus: {
+        src: require('../manifests/focus'),
+        dest: '<%= modules_dir %>/focus.js'
+    },
+
     components: {
         src: require('../manifests/components'),
         dest: '<%= modules_dir %>/components.js'
@@ -145,6 +155,26 @@ module.exports = {
         dest: '<%= modules_dir %>/net.js'
     },
 
+    storage: {
+        src: require('../manifests/storage'),
+        dest: '<%= modules_dir %>/storage.js'
+    },
+
+    storageStub: {
+        src: require('../manifests/storage.stub'),
+        dest: '<%= modules_dir %>/storage.js'
+    },
+
+    i18n: {
+        src: require('../manifests/i18n'),
+        dest: '<%= modules_dir %>/i18n.js'
+    },
+
+    i18nStub: {
+        src: require('../manifests/i18n.stub'),
+        dest: '<%= modules_dir %>/i18n.js'
+    },
+
     tweens: {
         src: require('../manifests/tweens'),
         dest: '<%= modules_dir %>/tweens.js'
@@ -190,6 +220,11 @@ module.exports = {
         dest: '<%= modules_dir %>/debug.js'
     },
 
+    assert: {
+        src: require('../manifests/assert'),
+        dest: '<%= modules_dir %>/assert.js'
+    },
+
     utils: {
         src: require('../manifests/utils'),
         dest: '<%= modules_dir %>/utils.js'
@@ -280,6 +315,21 @@ module.exports = {
         dest: '<%= modules_dir %>/rope.js'
     },
 
+    virtualpad: {
+        src: require('../manifests/virtualpad'),
+        dest: '<%= modules_dir %>/virtualpad.js'
+    },
+
+    textinput: {
+        src: require('../manifests/textinput'),
+        dest: '<%= modules_dir %>/textinput.js'
+    },
+
+    dialogue: {
+        src: require('../manifests/dialogue'),
+        dest: '<%= modules_dir %>/dialogue.js'
+    },
+
     tilesprite: {
         src: require('../manifests/tilesprite'),
         dest: '<%= modules_dir %>/tilesprite.js'
@@ -28,6 +28,11 @@ module.exports = {
         options: { jshintrc: 'tasks/.jshintrc' }
     },
 
+    test: {
+        src: ['test/**/*.js'],
+        options: { jshintrc: 'test/.jshintrc' }
+    },
+
     options: {
         force: (process.env.NODE_ENV !== 'test')
     }
@@ -0,0 +1,176 @@
+/* jshint node: true */
+
+/**
+* Generates the fixtures of the Phaser.Decompress tests: a few sample inputs, each compressed with Node's zlib module
+* and the zstd command line tool, which must be installed.
+*
+* `node test/fixtures/decompress/generate.js`
+*
+* Each compressed copy is written as `<name>.<format>-<variant>`, where the format is `zlib`, `gzip`, `deflate` or
+* `zstd`. The inputs themselves aren't kept, only their size and SHA-1 hash in `inputs.json`. They're made from a seeded
+* random number generator, so running this again only changes the files if the compressors do.
+*/
+
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+
+var seed = 0x2f6b6f2d;
+
+/**
+* A xorshift random number generator, so the inputs are the same every time.
+*/
+function random (max) {
+
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+
+    return (seed >>> 0) % max;
+
+}
+
+/**
+* The tile IDs of a 256 x 160 Tiled layer, as little-endian uint32s. At 160 KB it spans more than one zstd block.
+*/
+function tiles () {
+
+    var data = Buffer.alloc(256 * 160 * 4);
+
+    for (var i = 0; i < 256 * 160; i++)
+    {
+        var row = Math.floor(i / 256);
+
+        //  Sky, a ground line with some variation, and earth, plus the odd flipped tile
+        var id = (row < 100) ? 0 : (row === 100) ? 1 + random(4) : 5 + (i % 3);
+
+        if (id && random(50) === 0)
+        {
+            id = (id | 0x80000000) >>> 0;
+        }
+
+        data.writeUInt32LE(id, i * 4);
+    }
+
+    return data;
+
+}
+
+/**
+* Words picked at random, which compress well but not trivially.
+*/
+function text () {
+
+    var words = [ 'phaser', 'sprite', 'tilemap', 'physics', 'arcade', 'group', 'tween', 'camera', 'world', 'signal', 'the', 'a', 'and', 'of' ];
+    var out = [];
+
+    for (var i = 0; i < 2400; i++)
+    {
+        out.push(words[random(words.length)]);
+    }
+
+    return Buffer.from(out.join(' ') + '\n');
+
+}
+
+/**
+* Bytes that don't compress, so zlib falls back to stored blocks and zstd to raw blocks.
+*/
+function noise () {
+
+    var data = Buffer.alloc(1536);
+
+    for (var i = 0; i < data.length; i++)
+    {
+        data[i] = random(256);
+    }
+
+    return data;
+
+}
+
+/**
+* A gzip member with the FNAME and FCOMMENT fields set, which Node's zlib module doesn't write.
+*/
+function gzipWithName (data) {
+
+    var header = Buffer.concat([ Buffer.from([ 0x1f, 0x8b, 8, 8 | 16, 0, 0, 0, 0, 0, 3 ]), Buffer.from('level.bin\0a comment\0') ]);
+    var trailer = Buffer.alloc(8);
+
+    trailer.writeUInt32LE(zlib.crc32(data), 0);
+    trailer.writeUInt32LE(data.length, 4);
+
+    return Buffer.concat([ header, zlib.deflateRawSync(data), trailer ]);
+
+}
+
+/**
+* Compresses the data with the zstd command line tool.
+*/
+function zstd (data, args) {
+
+    return childProcess.execFileSync('zstd', [ '-q', '-c' ].concat(args), { input: data });
+
+}
+
+/**
+* The two halves of the data in separate frames, the second without a checksum, with a skippable frame between them.
+*/
+function zstdFrames (data) {
+
+    var half = data.length >> 1;
+    var skippable = Buffer.from([ 0x5a, 0x2a, 0x4d, 0x18, 3, 0, 0, 0, 1, 2, 3 ]);
+
+    return Buffer.concat([ zstd(data.slice(0, half), [ '-3' ]), skippable, zstd(data.slice(half), [ '-3', '--no-check' ]) ]);
+
+}
+
+var inputs = { empty: Buffer.alloc(0), noise: noise(), text: text(), tiles: tiles() };
+
+var variants = {
+    'zlib-0': function (data) { return zlib.deflateSync(data, { level: 0 }); },
+    'zlib-1': function (data) { return zlib.deflateSync(data, { level: 1 }); },
+    'zlib-6': function (data) { return zlib.deflateSync(data, { level: 6 }); },
+    'zlib-9': function (data) { return zlib.deflateSync(data, { level: 9 }); },
+    'zlib-fixed': function (data) { return zlib.deflateSync(data, { strategy: zlib.constants.Z_FIXED }); },
+    'gzip-6': function (data) { return zlib.gzipSync(data); },
+    'gzip-name': gzipWithName,
+    'deflate-9': function (data) { return zlib.deflateRawSync(data, { level: 9 }); },
+    'zstd-fast5': function (data) { return zstd(data, [ '--fast=5' ]); },
+    'zstd-fast1': function (data) { return zstd(data, [ '--fast=1' ]); },
+    'zstd-1': function (data) { return zstd(data, [ '-1' ]); },
+    'zstd-3': function (data) { return zstd(data, [ '-3' ]); },
+    'zstd-5': function (data) { return zstd(data, [ '-5' ]); },
+    'zstd-9': function (data) { return zstd(data, [ '-9' ]); },
+    'zstd-13': function (data) { return zstd(data, [ '-13' ]); },
+    'zstd-16': function (data) { return zstd(data, [ '-16' ]); },
+    'zstd-19': function (data) { return zstd(data, [ '-19' ]); },
+    'zstd-nocheck': function (data) { return zstd(data, [ '-19', '--no-check' ]); },
+    'zstd-frames': zstdFrames
+};
+
+var manifest = {};
+
+Object.keys(inputs).forEach(function (name) {
+
+    var data = inputs[name];
+
+    manifest[name] = { size: data.length, sha1: crypto.createHash('sha1').update(data).digest('hex') };
+
+    Object.keys(variants).forEach(function (variant) {
+
+        //  Stored blocks are as big as the input, so skip them for the large one
+        if (variant === 'zlib-0' && data.length > 65536)
+        {
+            return;
+        }
+
+        fs.writeFileSync(path.join(__dirname, name + '.' + variant), variants[variant](data));
+
+    });
+
+});
+
+fs.writeFileSync(path.join(__dirname, 'inputs.json'), JSON.stringify(manifest, null, 4) + '\n');
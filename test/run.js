@@ -0,0 +1,80 @@
+/* jshint node: true */
+
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* Runs the headless tests in `test/specs` against a Phaser build, and exits with a non-zero code if any of them fail.
+*
+* `npm test` makes the build with `grunt test` first. To run the tests against another build pass its path:
+*
+* `node test/run.js dist/phaser.js`
+*
+* Each spec is a Node module that exports a function, which is called with the Phaser namespace and a `test` function
+* to register its tests with. A test fails if it throws, such as from a failed `Phaser.Assert` assertion:
+*
+* ```javascript
+* module.exports = function (Phaser, test) {
+*
+*     test('the sprite moves', function () {
+*         Phaser.Assert.position(sprite, 100, 0);
+*     });
+*
+* };
+* ```
+*
+* Assets are loaded relative to `test/fixtures`.
+*
+* @module test
+*/
+
+var fs = require('fs');
+var path = require('path');
+
+var build = path.resolve(process.argv[2] || path.join(__dirname, '../dist/phaser-test.js'));
+
+var Phaser = require('../src/headless').load({ phaser: build, baseDir: path.join(__dirname, 'fixtures') });
+
+var specs = path.join(__dirname, 'specs');
+var tests = [];
+var failed = 0;
+
+fs.readdirSync(specs).sort().forEach(function (file) {
+
+    if (path.extname(file) !== '.js')
+    {
+        return;
+    }
+
+    var spec = path.basename(file, '.js');
+
+    require(path.join(specs, file))(Phaser, function (name, callback) {
+        tests.push({ name: spec + ' - ' + name, callback: callback });
+    });
+
+});
+
+console.log('1..' + tests.length);
+
+tests.forEach(function (test, i) {
+
+    try
+    {
+        test.callback();
+        console.log('ok ' + (i + 1) + ' ' + test.name);
+    }
+    catch (e)
+    {
+        failed++;
+        console.log('not ok ' + (i + 1) + ' ' + test.name);
+        console.log('  ' + String(e.stack || e).split('\n').join('\n  '));
+    }
+
+});
+
+console.log('# ' + (tests.length - failed) + ' of ' + tests.length + ' passed');
+
+process.exitCode = (failed) ? 1 : 0;
@@ -0,0 +1,109 @@
+/* jshint node: true */
+
+/**
+* Decompresses the fixtures in `test/fixtures/decompress` with Phaser.Decompress and checks they match their inputs.
+* See `generate.js` in that folder for how they're made.
+*/
+module.exports = function (Phaser, test) {
+
+    var crypto = require('crypto');
+    var fs = require('fs');
+    var path = require('path');
+
+    var Assert = Phaser.Assert;
+
+    var dir = path.join(__dirname, '../fixtures/decompress');
+    var inputs = JSON.parse(fs.readFileSync(path.join(dir, 'inputs.json'), 'utf8'));
+    var files = fs.readdirSync(dir).sort();
+
+    /**
+    * Decompresses every fixture of the given format, such as `zlib`, with the Phaser.Decompress method of that name.
+    */
+    function roundTrip (format, method) {
+
+        var count = 0;
+
+        files.forEach(function (file) {
+
+            var parts = /^(\w+)\.(\w+)-\w+$/.exec(file);
+
+            if (!parts || parts[2] !== format)
+            {
+                return;
+            }
+
+            var expected = inputs[parts[1]];
+            var output = Buffer.from(Phaser.Decompress[method](Array.prototype.slice.call(fs.readFileSync(path.join(dir, file)))));
+
+            Assert.equal(output.length, expected.size, file + ' size');
+            Assert.equal(crypto.createHash('sha1').update(output).digest('hex'), expected.sha1, file + ' contents');
+
+            count++;
+
+        });
+
+        Assert.ok(count > 0, 'no ' + format + ' fixtures');
+
+    }
+
+    test('zlib round trips', function () {
+
+        roundTrip('zlib', 'zlib');
+
+    });
+
+    test('gzip round trips', function () {
+
+        roundTrip('gzip', 'gzip');
+
+    });
+
+    test('raw deflate round trips', function () {
+
+        roundTrip('deflate', 'inflate');
+
+    });
+
+    test('zstd round trips', function () {
+
+        roundTrip('zstd', 'zstd');
+
+    });
+
+    test('base64 decodes Tiled layer data', function () {
+
+        var data = Buffer.from([ 1, 0, 0, 0, 2, 0, 0, 128, 255, 0, 0, 0 ]);
+
+        Assert.equal(Phaser.Decompress.base64(data.toString('base64')).join(','), '1,0,0,0,2,0,0,128,255,0,0,0');
+        Assert.equal(Phaser.Decompress.base64('\n   AQAAAAIAAIA=\n').join(','), '1,0,0,0,2,0,0,128');
+
+        var ids = Phaser.TilemapParser.decodeLayerData(fs.readFileSync(path.join(dir, 'tiles.zstd-19')).toString('base64'), 'zstd');
+
+        Assert.equal(ids.length, inputs.tiles.size / 4);
+        Assert.equal(ids[0], 0);
+        Assert.equal(ids[ids.length - 1] & 0x7fffffff, 5 + ((ids.length - 1) % 3));
+
+    });
+
+    test('throws on invalid headers', function () {
+
+        [ 'zlib', 'gzip', 'zstd' ].forEach(function (method) {
+
+            var thrown = null;
+
+            try
+            {
+                Phaser.Decompress[method]([ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ]);
+            }
+            catch (e)
+            {
+                thrown = e;
+            }
+
+            Assert.ok(thrown && thrown.message.indexOf('Phaser.Decompress.' + method) === 0, method + ' error');
+
+        });
+
+    });
+
+};
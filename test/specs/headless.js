@@ -0,0 +1,143 @@
+/* jshint node: true */
+
+/**
+* Boots headless games and checks gameplay with Phaser.Assert.
+*/
+module.exports = function (Phaser, test) {
+
+    var Assert = Phaser.Assert;
+
+    /**
+    * Creates a headless game with the manual clock and an Arcade Physics world, and runs its first frame.
+    */
+    function createGame (state) {
+
+        var create = state.create;
+
+        state.preload = function () {
+            this.load.image('block', 'block.png');
+        };
+
+        state.create = function () {
+            this.physics.startSystem(Phaser.Physics.ARCADE);
+            create.call(this);
+        };
+
+        var game = new Phaser.Game({ width: 320, height: 240, renderer: Phaser.HEADLESS, manualClock: true, state: state });
+
+        game.tick();
+
+        return game;
+
+    }
+
+    test('boots and loads assets from the file system', function () {
+
+        var game = createGame({ create: function () {} });
+
+        Assert.ok(game.isBooted, 'booted');
+        Assert.equal(game.renderType, Phaser.HEADLESS);
+        Assert.ok(game.cache.checkImageKey('block'), 'image loaded');
+        Assert.equal(game.cache.getImage('block').width, 16);
+
+        game.destroy();
+
+    });
+
+    test('moves a sprite by its velocity', function () {
+
+        var sprite;
+
+        var game = createGame({
+            create: function () {
+                sprite = this.add.sprite(10, 20, 'block');
+                this.physics.arcade.enable(sprite);
+                sprite.body.velocity.set(60, 30);
+            }
+        });
+
+        //  The first frame has already moved it
+        Assert.position(sprite, 11, 20.5);
+
+        game.tick(1000);
+
+        Assert.position(sprite, 71, 50.5, 0.01);
+
+        game.destroy();
+
+    });
+
+    test('collides with an immovable body', function () {
+
+        var player;
+        var wall;
+        var hits = 0;
+
+        var game = createGame({
+            create: function () {
+                player = this.add.sprite(0, 100, 'block');
+                wall = this.add.sprite(100, 96, 'block');
+                this.physics.arcade.enable([ player, wall ]);
+                wall.body.immovable = true;
+            },
+            update: function () {
+                player.body.velocity.x = 120;
+                this.physics.arcade.collide(player, wall, function () { hits++; });
+            }
+        });
+
+        game.tick(500);
+
+        Assert.notOverlap(player, wall);
+        Assert.equal(hits, 0);
+
+        //  Resting against the wall it only touches it every other frame, so step up to the first contact
+        for (var i = 0; i < 60 && hits === 0; i++)
+        {
+            game.tick();
+        }
+
+        Assert.collided(player, 'right');
+        Assert.equal(hits, 1);
+
+        game.tick(1000);
+
+        Assert.position(player, 84, 100);
+        Assert.position(wall, 100, 96);
+
+        game.destroy();
+
+    });
+
+    test('dispatches a Signal', function () {
+
+        var sprite;
+        var spy;
+
+        var game = createGame({
+            create: function () {
+                sprite = this.add.sprite(300, 100, 'block');
+                this.physics.arcade.enable(sprite);
+                sprite.checkWorldBounds = true;
+                sprite.events.onOutOfBounds.add(sprite.kill, sprite);
+                spy = Assert.spy(sprite.events.onOutOfBounds);
+                sprite.body.velocity.x = 60;
+            }
+        });
+
+        game.tick(100);
+
+        Assert.notDispatched(spy);
+        Assert.ok(sprite.alive, 'alive');
+
+        game.tick(1000);
+
+        Assert.dispatched(spy, 1);
+        Assert.equal(spy.calls[0][0], sprite);
+        Assert.ok(!sprite.alive, 'killed');
+
+        game.destroy();
+
+    });
+
+};
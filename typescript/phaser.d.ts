@@ -91,6 +91,36 @@ declare class Phaser {
 
 declare module Phaser {
 
+    class ActionManager {
+
+        constructor(game: Phaser.Game);
+
+        bindingAction: Phaser.InputAction;
+        cancelKey: number;
+        enabled: boolean;
+        game: Phaser.Game;
+        onBind: Phaser.Signal;
+
+        add(name: string, bindings?: any[], threshold?: number): Phaser.InputAction;
+        bind(name: string, binding: any, index?: number): any;
+        bindNext(name: string, index?: number): void;
+        cancelBind(): void;
+        destroy(): void;
+        exportBindings(): string;
+        get(name: string): Phaser.InputAction;
+        importBindings(data: any): boolean;
+        isDown(name: string): boolean;
+        justPressed(name: string): boolean;
+        justReleased(name: string): boolean;
+        remove(name: string): boolean;
+        removeAll(): void;
+        reset(): void;
+        unbind(name: string, binding: any): boolean;
+        update(): void;
+        value(name: string): number;
+
+    }
+
     class Animation {
 
         constructor(game: Phaser.Game, parent: Phaser.Sprite, name: string, frameData: Phaser.FrameData, frames: number[] | string[], frameRate?: number, loop?: boolean);
@@ -230,6 +260,33 @@ declare module Phaser {
 
     }
 
+    interface AssertSpy {
+
+        signal: Phaser.Signal;
+        count: number;
+        calls: any[][];
+
+        dispose(): void;
+        reset(): void;
+
+    }
+
+    class Assert {
+
+        static collided(sprite: Phaser.Sprite, face?: string, message?: string): void;
+        static dispatched(spy: Phaser.AssertSpy, count?: number, message?: string): void;
+        static equal(actual: any, expected: any, message?: string): void;
+        static fail(name: string, details: string, message?: string): void;
+        static intersects(object1: any, object2: any): boolean;
+        static notDispatched(spy: Phaser.AssertSpy, message?: string): void;
+        static notOverlap(object1: any, object2: any, message?: string): void;
+        static ok(value: any, message?: string): void;
+        static overlap(object1: any, object2: any, message?: string): void;
+        static position(displayObject: any, x: number, y: number, tolerance?: number, message?: string): void;
+        static spy(signal: Phaser.Signal): Phaser.AssertSpy;
+
+    }
+
     interface BitmapFont {
 
         base: PIXI.BaseTexture;
@@ -239,9 +296,29 @@ declare module Phaser {
 
     }
 
+    interface BitmapFontConfig {
+
+        font?: string;
+        fontSize?: number;
+        fontStyle?: string;
+        fontWeight?: string;
+        chars?: string;
+        fill?: string;
+        stroke?: string;
+        strokeThickness?: number;
+        shadowColor?: string;
+        shadowOffsetX?: number;
+        shadowOffsetY?: number;
+        shadowBlur?: number;
+        padding?: number;
+        width?: number;
+
+    }
+
     interface BMFont {
 
         chars: Phaser.BMFontChar[];
+        distanceField: Phaser.BMFontDistanceField;
         font: string;
         lineHeight: number;
         size: number;
@@ -262,6 +339,13 @@ declare module Phaser {
 
     }
 
+    interface BMFontDistanceField {
+
+        fieldType: string;
+        distanceRange: number;
+
+    }
+
     class BitmapData {
 
         constructor(game: Phaser.Game, key: string, width?: number, height?: number, skipPool?: boolean);
@@ -366,6 +450,11 @@ declare module Phaser {
 
         constructor(game: Phaser.Game, x: number, y: number, font: string, text?: string, size?: number, align?: string);
 
+        static distanceFieldFragmentSrc: string[];
+        static generateFontChars: string;
+
+        static generateFont(game: Phaser.Game, key: string, config?: Phaser.BitmapFontConfig): Phaser.BitmapData;
+
         align: string;
         alive: boolean;
         anchor: Phaser.Point;
@@ -380,6 +469,7 @@ declare module Phaser {
         destroyPhase: boolean;
         debug: boolean;
         dirty: boolean;
+        distanceField: Phaser.BMFontDistanceField;
         events: Phaser.Events;
         exists: boolean;
         fixedToCamera: boolean;
@@ -387,6 +477,9 @@ declare module Phaser {
         fontSize: number;
         fresh: boolean;
         game: Phaser.Game;
+        glowAlpha: number;
+        glowColor: number;
+        glowWidth: number;
         input: Phaser.InputHandler;
         inputEnabled: boolean;
         inCamera: boolean;
@@ -399,6 +492,9 @@ declare module Phaser {
         maxWidth: number;
         offsetX: number;
         offsetY: number;
+        outlineAlpha: number;
+        outlineColor: number;
+        outlineWidth: number;
         outOfBoundsKill: boolean;
         pendingDestroy: boolean;
         physicsType: number;
@@ -429,6 +525,8 @@ declare module Phaser {
         reset(x: number, y: number, health?: number): Phaser.BitmapText;
         revive(health?: number): Phaser.BitmapText;
         scanLine(data: any, scale: number, text: string): { width: number; text: string; end: boolean; chars: string[] };
+        setGlow(color?: number, width?: number, alpha?: number): Phaser.BitmapText;
+        setOutline(color?: number, width?: number, alpha?: number): Phaser.BitmapText;
         setText(text: string): void;
         update(): void;
         updateText(): void;
@@ -587,6 +685,7 @@ declare module Phaser {
         getTilemap(key: string): any;
         getTilemapData(key: string): any;
         getURL(url: string): any;
+        getWhiteKey(): string;
         getXML(key: string): any;
         getVideo(key: string): Phaser.Video;
         hasFrameData(key: string, cache?: number): boolean;
@@ -842,6 +941,16 @@ declare module Phaser {
 
     }
 
+    class Decompress {
+
+        static base64(data: string): number[];
+        static gzip(bytes: number[]): number[];
+        static inflate(bytes: number[], offset?: number): number[];
+        static zlib(bytes: number[]): number[];
+        static zstd(bytes: number[]): number[];
+
+    }
+
     class Device {
 
         static LITTLE_ENDIAN: boolean;
@@ -961,6 +1070,67 @@ declare module Phaser {
 
     }
 
+    class DialogueBox extends Phaser.Group {
+
+        constructor(game: Phaser.Game, x: number, y: number, config?: Phaser.DialogueBoxConfig);
+
+        actions: { advance: Phaser.InputAction; up: Phaser.InputAction; down: Phaser.InputAction; };
+        autoAdvance: number;
+        background: Phaser.Image;
+        boxHeight: number;
+        boxWidth: number;
+        characterDelay: number;
+        choiceAlpha: number;
+        choiceDisplays: (Phaser.Text | Phaser.BitmapText)[];
+        display: Phaser.Text | Phaser.BitmapText;
+        enabled: boolean;
+        isOpen: boolean;
+        isTyping: boolean;
+        nameDisplay: Phaser.Text | Phaser.BitmapText;
+        node: any;
+        nodeName: string;
+        onCharacter: Phaser.Signal;
+        onChoice: Phaser.Signal;
+        onComplete: Phaser.Signal;
+        onEvent: Phaser.Signal;
+        onNode: Phaser.Signal;
+        onPageComplete: Phaser.Signal;
+        padding: number;
+        page: number;
+        pages: string[];
+        punctuationDelays: { [character: string]: number; };
+        script: any;
+        selectedChoice: number;
+
+        advance(): Phaser.DialogueBox;
+        choose(index: number): Phaser.DialogueBox;
+        close(): Phaser.DialogueBox;
+        destroy(destroyChildren?: boolean, soft?: boolean): void;
+        say(text: string | string[], speaker?: string, choices?: any[]): Phaser.DialogueBox;
+        select(index: number): Phaser.DialogueBox;
+        showNode(name: string): Phaser.DialogueBox;
+        skip(): Phaser.DialogueBox;
+        start(script: any, node?: string): Phaser.DialogueBox;
+        update(): void;
+
+    }
+
+    interface DialogueBoxConfig {
+
+        width?: number;
+        height?: number;
+        padding?: number;
+        style?: Phaser.PhaserTextStyle;
+        nameStyle?: Phaser.PhaserTextStyle;
+        font?: string;
+        fontSize?: number;
+        backgroundColor?: number;
+        backgroundAlpha?: number;
+        characterDelay?: number;
+        choiceAlpha?: number;
+
+    }
+
     module Easing {
 
         var Default: Function;
@@ -1339,6 +1509,35 @@ declare module Phaser {
 
     }
 
+    class FocusManager extends Phaser.Plugin {
+
+        constructor(game: Phaser.Game, parent: Phaser.PluginManager);
+
+        actions: { up: Phaser.InputAction; down: Phaser.InputAction; left: Phaser.InputAction; right: Phaser.InputAction; confirm: Phaser.InputAction; cancel: Phaser.InputAction; };
+        enabled: boolean;
+        focused: Phaser.Button;
+        onBlur: Phaser.Signal;
+        onCancel: Phaser.Signal;
+        onFocus: Phaser.Signal;
+        repeatDelay: number;
+        repeatRate: number;
+        wrap: boolean;
+
+        add(button: Phaser.Button, links?: { up?: Phaser.Button; down?: Phaser.Button; left?: Phaser.Button; right?: Phaser.Button; }): Phaser.Button;
+        blur(): void;
+        canFocus(button: Phaser.Button): boolean;
+        destroy(): void;
+        focus(button: Phaser.Button): void;
+        getNeighbour(button: Phaser.Button, direction: number): Phaser.Button;
+        init(buttons?: Phaser.Button[]): void;
+        link(button: Phaser.Button, direction: number, target: Phaser.Button, reverse?: boolean): void;
+        move(direction: number): boolean;
+        remove(button: Phaser.Button): void;
+        removeAll(): void;
+        update(): void;
+
+    }
+
     class Frame {
 
         constructor(index: number, x: number, y: number, width: number, height: number, name: string);
@@ -1402,6 +1601,8 @@ declare module Phaser {
         seed?: string;
         state?: Phaser.State;
         forceSetTimeOut: boolean;
+        fixedStep?: boolean;
+        manualClock?: boolean;
 
     }
 
@@ -1422,17 +1623,22 @@ declare module Phaser {
         create: Phaser.Create;
         debug: Phaser.Utils.Debug;
         device: Phaser.Device;
+        fixedStep: boolean;
         forceSingleUpdate: boolean;
         fpsProblemNotifier: Phaser.Signal;
         height: number;
         id: number;
+        i18n: Phaser.I18n;
         input: Phaser.Input;
+        interpolator: Phaser.Interpolator;
         isBooted: boolean;
         isRunning: boolean;
         load: Phaser.Loader;
         lockRender: boolean;
         make: Phaser.GameObjectCreator;
+        manualClock: boolean;
         math: Phaser.Math;
+        maxFixedSteps: number;
         net: Phaser.Net;
         onBlur: Phaser.Signal;
         onFocus: Phaser.Signal;
@@ -1456,6 +1662,7 @@ declare module Phaser {
         sound: Phaser.SoundManager;
         stage: Phaser.Stage;
         state: Phaser.StateManager;
+        storage: Phaser.Storage;
         stepCount: number;
         stepping: boolean;
         time: Phaser.Time;
@@ -1479,7 +1686,9 @@ declare module Phaser {
         setUpRenderer(): void;
         showDebugHeader(): void;
         step(): void;
+        tick(ms?: number): void;
         update(time: number): void;
+        updateFixedStep(): void;
         updateLogic(timeStep: number): void;
         updateRender(timeStep: number): void;
 
@@ -1495,6 +1704,7 @@ declare module Phaser {
         audio(key: string, volume?: number, loop?: boolean, connect?: boolean): Phaser.Sound;
         audioSprite(key: string): Phaser.AudioSprite;
         bitmapData(width?: number, height?: number, key?: string, addToCache?: boolean): Phaser.BitmapData;
+        bitmapFont(key: string, config?: Phaser.BitmapFontConfig): Phaser.BitmapData;
         bitmapText(x: number, y: number, font: string, text?: string, size?: number, align?: string): Phaser.BitmapText;
         button(x?: number, y?: number, key?: string, callback?: Function, callbackContext?: any, overFrame?: any, outFrame?: any, downFrame?: any, upFrame?: any): Phaser.Button;
         emitter(x?: number, y?: number, maxParticles?: number): Phaser.Particles.Arcade.Emitter;
@@ -1520,14 +1730,15 @@ declare module Phaser {
         constructor(game: Phaser.Game);
 
         game: Phaser.Game;
-        world: Phaser.World;
+        world: Phaser.World | Phaser.Group;
 
         audio(key: string, volume?: number, loop?: boolean, connect?: boolean): Phaser.Sound;
         audioSprite(key: string): Phaser.AudioSprite;
         bitmapData(width?: number, height?: number, key?: string, addToCache?: boolean): Phaser.BitmapData;
         bitmapText(x: number, y: number, font: string, text?: string, size?: number, group?: Phaser.Group): Phaser.BitmapText;
         button(x?: number, y?: number, key?: string, callback?: Function, callbackContext?: any, overFrame?: any, outFrame?: any, downFrame?: any, upFrame?: any, group?: Phaser.Group): Phaser.Button;
-        emitter(x?: number, y?: number, maxParticles?: number): Phaser.Particles.Arcade.Emitter;
+        dialogueBox(x?: number, y?: number, config?: Phaser.DialogueBoxConfig, group?: Phaser.Group): Phaser.DialogueBox;
+        emitter(x?: number, y?: number, maxParticles?: number, group?: Phaser.Group): Phaser.Particles.Arcade.Emitter;
         existing(object: any): any;
         filter(filter: string, ...args: any[]): Phaser.Filter;
         graphics(x: number, y: number, group?: Phaser.Group): Phaser.Graphics;
@@ -1542,11 +1753,13 @@ declare module Phaser {
         sprite(x: number, y: number, key?: any, frame?: any, group?: Phaser.Group): Phaser.Sprite;
         spriteBatch(parent: any, name?: string, addToStage?: boolean): Phaser.Group;
         text(x: number, y: number, text: string, style: any, group?: Phaser.Group): Phaser.Text;
+        textInput(x?: number, y?: number, config?: Phaser.TextInputConfig, group?: Phaser.Group): Phaser.TextInput;
         tilemap(key?: string, tileWidth?: number, tileHeight?: number, width?: number, height?: number): Phaser.Tilemap;
         tileSprite(x: number, y: number, width: number, height: number, key?: any, frame?: any, group?: Phaser.Group): Phaser.TileSprite;
         tween(obj: any): Phaser.Tween;
         weapon(quantity?: number, key?: any, frame?: any, group?: Phaser.Group): Phaser.Weapon;
         video(key?: string, url?: string): Phaser.Video;
+        virtualPad(parent?: any): Phaser.VirtualPad;
 
     }
 
@@ -1640,8 +1853,12 @@ declare module Phaser {
         pad4: Phaser.SinglePad;
         padsConnected: number;
         supported: boolean;
+        useMappings: boolean;
 
         addCallbacks(context: any, callbacks: any): void;
+        addMapping(id: string, fields: string | any): Phaser.GamepadMapping;
+        addMappings(data: string | string[]): number;
+        getMapping(rawPad: any): Phaser.GamepadMapping;
         isDown(buttonCode: number): boolean;
         justPressed(buttonCode: number, duration?: number): boolean;
         justReleased(buttonCode: number, duration?: number): boolean;
@@ -1653,6 +1870,67 @@ declare module Phaser {
 
     }
 
+    class GamepadMapping {
+
+        constructor(name: string, fields?: string | any);
+
+        static AXES: string[];
+        static BUTTONS: string[];
+        static DATABASE: string[];
+        static HAT_AXIS: number;
+        static HAT_DIRECTIONS: number[];
+
+        static getPlatform(): string;
+        static parse(line: string): Phaser.GamepadMapping;
+        static parseId(id: string): { vendor: string; product: string; name: string; };
+
+        guid: string;
+        hatAxis: number;
+        id: string;
+        name: string;
+        platform: string;
+        product: string;
+        vendor: string;
+
+        getAxisValue(rawPad: any, index: number): number;
+        getButtonValue(rawPad: any, index: number): number;
+        getHatAxis(rawPad: any): number;
+        matches(id: string): boolean;
+        setFields(fields: string | any): Phaser.GamepadMapping;
+
+    }
+
+    class Gestures {
+
+        constructor(game: Phaser.Game);
+
+        center: Phaser.Point;
+        doubleTapDistance: number;
+        doubleTapTime: number;
+        enabled: boolean;
+        game: Phaser.Game;
+        isPinching: boolean;
+        isRotating: boolean;
+        longPressDistance: number;
+        longPressTime: number;
+        pinchThreshold: number;
+        rotateThreshold: number;
+        rotation: number;
+        scale: number;
+        swipeDistance: number;
+        swipeTime: number;
+        swipeVelocity: number;
+        tapDistance: number;
+        tapTime: number;
+
+        destroy(): void;
+        pointerDown(pointer: Phaser.Pointer): void;
+        pointerUp(pointer: Phaser.Pointer): void;
+        reset(): void;
+        update(): void;
+
+    }
+
     class Graphics extends PIXI.Graphics {
 
         constructor(game: Phaser.Game, x?: number, y?: number);
@@ -1833,6 +2111,42 @@ declare module Phaser {
 
     }
 
+    class I18n {
+
+        constructor(game: Phaser.Game);
+
+        static pluralRules: { [locale: string]: (count: number) => string; };
+
+        static getPluralCategory(count: number, locale?: string): string;
+        static normalizeLocale(locale: string): string;
+
+        fallbackLocale: string;
+        game: Phaser.Game;
+        locale: string;
+        onLocaleChange: Phaser.Signal;
+        onMissing: Phaser.Signal;
+        tables: any;
+
+        addStrings(locale: string, strings: any): Phaser.I18n;
+        bind(target: any, key: string, params?: any): any;
+        boot(): void;
+        destroy(): void;
+        detectLocale(): string;
+        format(text: string, params?: any): string;
+        get(key: string, params?: any, locale?: string): string;
+        getBinding(target: any): { target: any; key: string; params: any; };
+        getFallbacks(locale: string): string[];
+        getLocales(): string[];
+        getPlural(forms: any, count: number, locale: string): string;
+        has(key: string, locale?: string): boolean;
+        lookup(table: any, key: string): any;
+        refresh(): void;
+        removeStrings(locale: string): Phaser.I18n;
+        setLocale(locale: string): Phaser.I18n;
+        unbind(target: any): Phaser.I18n;
+
+    }
+
     class Image extends PIXI.Sprite {
 
         constructor(game: Phaser.Game, x: number, y: number, key: string | Phaser.RenderTexture | Phaser.BitmapData | PIXI.Texture, frame?: string | number);
@@ -1937,12 +2251,14 @@ declare module Phaser {
         static MOUSE_TOUCH_COMBINE: number;
         static TOUCH_OVERRIDES_MOUSE: number;
 
+        actions: Phaser.ActionManager;
         activePointer: Phaser.Pointer;
         circle: Phaser.Circle;
         enabled: boolean;
         doubleTapRate: number;
         game: Phaser.Game;
         gamepad: Phaser.Gamepad;
+        gestures: Phaser.Gestures;
         hitCanvas: HTMLCanvasElement;
         hitContext: CanvasRenderingContext2D;
         holdRate: number;
@@ -1957,8 +2273,13 @@ declare module Phaser {
         moveCallbacks: (pointer: Phaser.Pointer, x: number, y: number) => void[];
         mspointer: Phaser.MSPointer;
         multiInputOverride: number;
+        onDoubleTap: Phaser.Signal;
         onDown: Phaser.Signal;
         onHold: Phaser.Signal;
+        onLongPress: Phaser.Signal;
+        onPinch: Phaser.Signal;
+        onRotate: Phaser.Signal;
+        onSwipe: Phaser.Signal;
         onTap: Phaser.Signal;
         onUp: Phaser.Signal;
         pointer1: Phaser.Pointer;
@@ -1975,6 +2296,7 @@ declare module Phaser {
         pollRate: number;
         position: Phaser.Point;
         pointer: Phaser.Pointer[];
+        recorder: Phaser.InputRecorder;
         recordLimit: number;
         recordPointerHistory: boolean;
         recordRate: number;
@@ -2001,6 +2323,7 @@ declare module Phaser {
         getPointerFromId(pointerID: number): Phaser.Pointer;
         getPointerFromIdentifier(identifier: number): Phaser.Pointer;
         hitTest(displayObject: PIXI.DisplayObject, pointer: Phaser.Pointer, localPoint: Phaser.Point): void;
+        preUpdate(): void;
         reset(hard?: boolean): void;
         resetSpeed(x: number, y: number): void;
         setInteractiveCandidateHandler(callback: Function, context?: any): void;
@@ -2089,6 +2412,81 @@ declare module Phaser {
 
     }
 
+    class InputAction {
+
+        constructor(manager: Phaser.ActionManager, name: string, bindings?: any[]);
+
+        static parseBinding(binding: any): any;
+
+        bindings: any[];
+        enabled: boolean;
+        game: Phaser.Game;
+        isDown: boolean;
+        justPressed: boolean;
+        justReleased: boolean;
+        manager: Phaser.ActionManager;
+        name: string;
+        onDown: Phaser.Signal;
+        onUp: Phaser.Signal;
+        threshold: number;
+        timeDown: number;
+        timeUp: number;
+        value: number;
+
+        bind(binding: any, index?: number): any;
+        destroy(): void;
+        indexOf(binding: any): number;
+        reset(): void;
+        unbind(binding: any): boolean;
+        unbindAll(): void;
+        update(): void;
+
+    }
+
+    class InputRecorder {
+
+        constructor(game: Phaser.Game);
+
+        static EVENTS: any;
+        static VERSION: number;
+
+        frame: number;
+        game: Phaser.Game;
+        isPlaying: boolean;
+        isRecording: boolean;
+        onPlaybackComplete: Phaser.Signal;
+
+        capture(code: string, event: any): boolean;
+        captureGamepads(rawGamepads: any[]): void;
+        destroy(): void;
+        exportLog(): string;
+        getGamepads(): any[];
+        getLog(): any;
+        importLog(log: any): any;
+        play(log?: any): Phaser.InputRecorder;
+        preUpdate(): void;
+        record(seed?: any): Phaser.InputRecorder;
+        stop(): any;
+
+    }
+
+    class Interpolator {
+
+        constructor(game: Phaser.Game);
+
+        alpha: number;
+        enabled: boolean;
+        game: Phaser.Game;
+
+        apply(alpha: number): void;
+        capture(): void;
+        destroy(): void;
+        reset(): void;
+        restore(): void;
+        snap(displayObject: any): void;
+
+    }
+
     class Key {
 
         constructor(game: Phaser.Game, keycode: number);
@@ -2237,6 +2635,7 @@ declare module Phaser {
         game: Phaser.Game;
         lastChar: string;
         lastKey: Phaser.Key;
+        onCombo: Phaser.Signal;
         onDownCallback: Function;
         onPressCallback: Function;
         onUpCallback: Function;
@@ -2246,6 +2645,7 @@ declare module Phaser {
         addKey(keycode: number): Phaser.Key;
         addKeys(keys: any): any;
         addKeyCapture(keycode: any): void;
+        createCombo(keys: string | any[], config?: { resetOnWrongKey?: boolean; maxKeyDelay?: number; deleteOnMatch?: boolean; }): Phaser.KeyCombo;
         createCursorKeys(): Phaser.CursorKeys;
         clearCaptures(): void;
         destroy(): void;
@@ -2254,6 +2654,8 @@ declare module Phaser {
         processKeyDown(event: KeyboardEvent): void;
         processKeyPress(event: KeyboardEvent): void;
         processKeyUp(event: KeyboardEvent): void;
+        removeAllCombos(): void;
+        removeCombo(combo: Phaser.KeyCombo): boolean;
         removeKey(keycode: number): void;
         removeKeyCapture(keycode: number): void;
         reset(hard?: boolean): void;
@@ -2371,6 +2773,31 @@ declare module Phaser {
 
     }
 
+    class KeyCombo {
+
+        constructor(keyboard: Phaser.Keyboard, keys: string | any[], config?: { resetOnWrongKey?: boolean; maxKeyDelay?: number; deleteOnMatch?: boolean; });
+
+        static parseKeys(keys: string | any[]): number[][];
+
+        deleteOnMatch: boolean;
+        enabled: boolean;
+        game: Phaser.Game;
+        index: number;
+        keyboard: Phaser.Keyboard;
+        maxKeyDelay: number;
+        onMatch: Phaser.Signal;
+        progress: number;
+        resetOnWrongKey: boolean;
+        steps: number[][];
+        timeLastMatched: number;
+
+        destroy(): void;
+        processKeyDown(event: KeyboardEvent): void;
+        processKeyUp(event: KeyboardEvent): void;
+        reset(): void;
+
+    }
+
     class Line {
 
         constructor(x1?: number, y1?: number, x2?: number, y2?: number);
@@ -2503,6 +2930,7 @@ declare module Phaser {
         setPreloadSprite(sprite: Phaser.Sprite | Phaser.Image, direction?: number): void;
         spritesheet(key: string, url: string, frameWidth: number, frameHeight: number, frameMax?: number, margin?: number, spacing?: number): Phaser.Loader;
         start(): void;
+        strings(key: string, url?: string, locale?: string, overwrite?: boolean): Phaser.Loader;
         text(key: string, url?: string, overwrite?: boolean): Phaser.Loader;
         tilemap(key: string, url?: string, data?: any, format?: number): Phaser.Loader;
         totalLoadedFiles(): number;
@@ -2525,6 +2953,7 @@ declare module Phaser {
         static bitmapFont(xml: any, baseTexture: PIXI.BaseTexture, xSpacing?: number, ySpacing?: number): any;
         static xmlBitmapFont(xml: any, baseTexture: PIXI.BaseTexture, xSpacing?: number, ySpacing?: number): any;
         static jsonBitmapFont(json: any, baseTexture: PIXI.BaseTexture, xSpacing?: number, ySpacing?: number): any;
+        static flattenDistanceField(baseTexture: PIXI.BaseTexture, distanceField: Phaser.BMFontDistanceField): PIXI.BaseTexture;
 
     }
 
@@ -4392,7 +4821,9 @@ declare module Phaser {
         connected: boolean;
         deadZone: number;
         game: Phaser.Game;
+        id: string;
         index: number;
+        mapping: Phaser.GamepadMapping;
         onAxisCallback: Function;
         onConnectCallback: Function;
         onDisconnectCallback: Function;
@@ -4626,6 +5057,71 @@ declare module Phaser {
 
     }
 
+    class Storage {
+
+        constructor(game: Phaser.Game);
+
+        static QUOTA_EXCEEDED: string;
+        static BACKEND_ERROR: string;
+        static INVALID_DATA: string;
+        static VERSION_MISMATCH: string;
+
+        backend: any;
+        game: Phaser.Game;
+        namespace: string;
+        onError: Phaser.Signal;
+        onLoad: Phaser.Signal;
+        onSave: Phaser.Signal;
+        version: number;
+
+        addMigration(fromVersion: number, callback: (data: any, fromVersion: number) => any, callbackContext?: any): Phaser.Storage;
+        boot(): void;
+        clear(): void;
+        destroy(): void;
+        exists(slot: string): boolean;
+        getInfo(slot: string): { version: number; time: number; };
+        getKey(slot: string): string;
+        getSlots(): string[];
+        isQuotaError(error: any): boolean;
+        load(slot: string, defaultValue?: any): any;
+        remove(slot: string): boolean;
+        save(slot: string, data: any): boolean;
+        setBackend(backend: any): Phaser.Storage;
+
+    }
+
+    module Storage {
+
+        class LocalStorage {
+
+            constructor(storage?: any);
+
+            storage: any;
+
+            getItem(key: string): string;
+            keys(): string[];
+            removeItem(key: string): void;
+            setItem(key: string, value: string): void;
+
+        }
+
+        class MemoryStorage {
+
+            constructor(quota?: number);
+
+            quota: number;
+
+            clear(): void;
+            getItem(key: string): string;
+            getSize(): number;
+            keys(): string[];
+            removeItem(key: string): void;
+            setItem(key: string, value: string): void;
+
+        }
+
+    }
+
     class Stage extends PIXI.DisplayObjectContainer {
 
         constructor(game: Phaser.Game);
@@ -4823,16 +5319,26 @@ declare module Phaser {
         onResizeCallback: Function;
         onShutDownCallback: Function;
         onUpdateCallback: Function;
+        serializer: Phaser.StateSerializer;
         states: any;
+        transition: Phaser.StateTransition;
 
         onStateChange: Phaser.Signal;
         add(key: string, state: any, autoStart?: boolean): void;
+        acceptsInput(displayObject: any): boolean;
         checkState(key: string): boolean;
         clearCurrentState(): void;
         destroy(): void;
         getCurrentState(): Phaser.State;
+        getRunning(): string[];
+        getStateKey(displayObject: any): string;
+        getWorld(key: string): Phaser.Group;
+        isPaused(key: string): boolean;
+        isRunning(key: string): boolean;
+        launch(key: string, pauseBelow?: boolean, ...args: any[]): boolean;
         link(key: string): void;
         loadComplete(): void;
+        pauseState(key: string): void;
         preRender(elapsedTime: number): void;
         preUpdate(): void;
         render(): void;
@@ -4840,12 +5346,121 @@ declare module Phaser {
         resume(): void;
         restart(clearWorld?: boolean, clearCache?: boolean, ...args: any[]): void;
         resize(width: number, height: number): void;
+        restore(snapshot: any, rebuild?: boolean, root?: Phaser.Group): Phaser.Group;
+        resumeState(key: string): void;
+        serialize(properties?: string[], root?: Phaser.Group): any;
         start(key: string, clearWorld?: boolean, clearCache?: boolean, ...args: any[]): void;
+        startTransition(key: string, transition?: any, clearWorld?: boolean, clearCache?: boolean, ...args: any[]): void;
+        stop(key: string): boolean;
         update(): void;
         unlink(key: string): void;
 
     }
 
+    class StateSerializer {
+
+        constructor(game: Phaser.Game);
+
+        static VERSION: number;
+
+        creators: any;
+        game: Phaser.Game;
+        properties: string[];
+
+        applyNode(object: any, node: any, rebuild: boolean): void;
+        createNode(node: any, parent: Phaser.Group): any;
+        getType(object: any): number;
+        isSupported(object: any): boolean;
+        restore(snapshot: any, root?: Phaser.Group, rebuild?: boolean): Phaser.Group;
+        serialize(root?: Phaser.Group, properties?: string[]): any;
+        serializeAnimation(animations: Phaser.AnimationManager): any;
+        serializeBody(body: Phaser.Physics.Arcade.Body): any;
+        serializeNode(object: any, whitelist: string[]): any;
+
+    }
+
+    class StateTransition {
+
+        constructor(game: Phaser.Game);
+
+        static FADE: string;
+        static SLIDE: string;
+        static WIPE: string;
+        static IRIS: string;
+        static PIXELATE: string;
+
+        blockSize: number;
+        container: Phaser.Group;
+        direction: number;
+        duration: number;
+        ease: any;
+        game: Phaser.Game;
+        image: Phaser.Image;
+        isRunning: boolean;
+        mask: Phaser.Graphics;
+        onTransitionComplete: Phaser.Signal;
+        onTransitionStart: Phaser.Signal;
+        texture: Phaser.RenderTexture;
+        type: string;
+
+        capture(key: string, previousKey: string, config?: any): void;
+        complete(): void;
+        destroy(): void;
+        update(): void;
+
+    }
+
+    interface StrokeResult {
+
+        name: string;
+        score: number;
+
+    }
+
+    interface StrokeTemplate {
+
+        name: string;
+        points: any[];
+
+    }
+
+    class StrokeRecognizer extends Phaser.Plugin {
+
+        constructor(game: Phaser.Game, parent: Phaser.PluginManager);
+
+        static ANGLE_PRECISION: number;
+        static ANGLE_RANGE: number;
+        static NUM_POINTS: number;
+        static ONE_D_THRESHOLD: number;
+        static SQUARE_SIZE: number;
+
+        enabled: boolean;
+        isDrawing: boolean;
+        minDistance: number;
+        minPoints: number;
+        minScore: number;
+        onFail: Phaser.Signal;
+        onRecognize: Phaser.Signal;
+        pointer: Phaser.Pointer;
+        points: Phaser.Point[];
+        rotationInvariant: boolean;
+        templates: any[];
+
+        static parsePoints(points: any[]): Phaser.Point[];
+
+        addTemplate(name: string, points: any[]): any;
+        addTemplates(data: string | Phaser.StrokeTemplate[]): number;
+        cancel(): void;
+        destroy(): void;
+        exportTemplates(name?: string): string;
+        init(templates?: string | Phaser.StrokeTemplate[]): void;
+        recognize(points: any[]): Phaser.StrokeResult;
+        removeAllTemplates(): void;
+        removeTemplate(name: string): number;
+        update(): void;
+
+    }
+
     interface PhaserTextStyle {
 
         font?: string;
@@ -4871,6 +5486,7 @@ declare module Phaser {
         backgroundColor?: string;
         boundsAlignH?: string;
         boundsAlignV?: string;
+        markup?: boolean;
 
     }
 
@@ -4901,13 +5517,16 @@ declare module Phaser {
         fontSize: number | string;
         fontStyle: string;
         fontStyles: string[];
+        fontSizes: string[];
         fontVariant: string;
         fontWeight: string | number;
         fontWeights: (string | number)[];
         game: Phaser.Game;
+        images: { key: string; frame: Phaser.Frame; }[];
         input: Phaser.InputHandler;
         inputEnabled: boolean;
         lineSpacing: number;
+        markup: boolean;
         name: string;
         padding: Phaser.Point;
         pendingDestroy: boolean;
@@ -4939,6 +5558,7 @@ declare module Phaser {
         z: number;
 
         addColor(color: string, position: number): Phaser.Text;
+        addFontSize(size: number | string, position: number): Phaser.Text;
         addFontStyle(style: string, position: number): Phaser.Text;
         addFontWeight(weight: string, position: number): Phaser.Text;
         addStrokeColor(color: string, position: number): Phaser.Text;
@@ -4951,6 +5571,7 @@ declare module Phaser {
         fontToComponents(font: string): any;
         postUpdate(): void;
         parseList(list: any[]): Phaser.Text;
+        parseMarkup(text: string): string;
         precalculateWordWrap(text: string): string[];
         preUpdate(): void;
         renderTabLine(line: string, x: number, y: number, fill?: boolean): void;
@@ -4966,6 +5587,63 @@ declare module Phaser {
 
     }
 
+    class TextInput extends Phaser.Group {
+
+        constructor(game: Phaser.Game, x: number, y: number, config?: Phaser.TextInputConfig);
+
+        background: Phaser.Image;
+        blurOnSubmit: boolean;
+        caret: Phaser.Image;
+        caretBlinkRate: number;
+        display: any;
+        domElement: HTMLInputElement;
+        enabled: boolean;
+        fieldHeight: number;
+        fieldWidth: number;
+        focused: boolean;
+        maxLength: number;
+        onBlur: Phaser.Signal;
+        onChange: Phaser.Signal;
+        onFocus: Phaser.Signal;
+        onSubmit: Phaser.Signal;
+        padding: number;
+        passwordChar: string;
+        placeholder: string;
+        placeholderAlpha: number;
+        selection: Phaser.Image;
+        selectionEnd: number;
+        selectionStart: number;
+        value: string;
+
+        blur(): void;
+        destroy(destroyChildren?: boolean, soft?: boolean): void;
+        focus(): void;
+        selectAll(): void;
+        setSelection(start: number, end?: number): void;
+        update(): void;
+
+    }
+
+    interface TextInputConfig {
+
+        width?: number;
+        height?: number;
+        padding?: number;
+        value?: string;
+        placeholder?: string;
+        placeholderAlpha?: number;
+        maxLength?: number;
+        type?: string;
+        passwordChar?: string;
+        style?: Phaser.PhaserTextStyle;
+        font?: string;
+        fontSize?: number;
+        backgroundColor?: number;
+        caretColor?: number;
+        selectionColor?: number;
+
+    }
+
     class Tile {
 
         constructor(layer: any, index: number, x: number, y: Number, width: number, height: number);
@@ -5021,11 +5699,14 @@ declare module Phaser {
 
         static CSV: number;
         static TILED_JSON: number;
+        static TILED_XML: number;
         static NORTH: number;
         static EAST: number;
         static SOUTH: number;
         static WEST: number;
 
+        animationsPaused: boolean;
+        animationTime: number;
         collision: any[];
         collideIndexes: any[];
         currentLayer: number;
@@ -5035,6 +5716,7 @@ declare module Phaser {
         game: Phaser.Game;
         height: number;
         heightInPixels: number;
+        hexSideLength: number;
         images: any[];
         imagecollections: ImageCollection[];
         key: string;
@@ -5044,6 +5726,11 @@ declare module Phaser {
         orientation: string;
         properties: any;
         rayStepRate: number;
+        staggerAxis: string;
+        staggerIndex: string;
+        startX: number;
+        startY: number;
+        streamDistance: number;
         tileHeight: number;
         tiles: Phaser.Tile[];
         tilesets: Phaser.Tileset[];
@@ -5053,7 +5740,7 @@ declare module Phaser {
         widthInPixels: number;
 
         addTilesetImage(tileset: string, key?: string | Phaser.BitmapData, tileWidth?: number, tileHeight?: number, tileMargin?: number, tileSpacing?: number, gid?: number): Phaser.Tileset;
-        calculateFaces(layer: number): void;
+        calculateFaces(layer: number, x?: number, y?: number, width?: number, height?: number): void;
         copy(x: number, y: number, width: number, height: number, layer?: any): Phaser.Tile[];
         create(name: string, width: number, height: number, tileWidth: number, tileHeight: number, group?: Phaser.Group): Phaser.TilemapLayer;
         createBlankLayer(name: string, width: number, height: number, tileWidth: number, tileHeight: number, group?: Phaser.Group): Phaser.TilemapLayer;
@@ -5082,13 +5769,17 @@ declare module Phaser {
         getTilesetIndex(name: string): number;
         getTileWorldXY(x: number, y: number, tileWidth?: number, tileHeight?: number, layer?: number | string | Phaser.TilemapLayer, nonNull?: boolean): Phaser.Tile;
         hasTile(x: number, y: number, layer: Phaser.TilemapLayer): boolean;
+        loadChunk(chunk: any, layer?: number | string | Phaser.TilemapLayer): void;
+        loadChunks(x: number, y: number, width: number, height: number, layer?: number | string | Phaser.TilemapLayer): boolean;
+        pauseAnimations(): void;
         paste(x: number, y: number, tileblock: Phaser.Tile[], layer?: any): void;
         putTile(tile: any, x: number, y: number, layer?: any): Phaser.Tile;
-        putTileWorldXY(tile: any, x: number, y: number, tileWidth: number, tileHeight: number, layer?: any): void;
+        putTileWorldXY(tile: any, x: number, y: number, tileWidth?: number, tileHeight?: number, layer?: any): void;
         random(x: number, y: number, width: number, height: number, layer?: any): void;
         removeAllLayers(): void;
         removeTile(x: number, y: number, layer?: any): Phaser.Tile;
-        removeTileWorldXY(x: number, y: number, tileWidth: number, tileHeight: number, layer?: any): Phaser.Tile;
+        removeTileWorldXY(x: number, y: number, tileWidth?: number, tileHeight?: number, layer?: any): Phaser.Tile;
+        resumeAnimations(): void;
         replace(source: number, dest: number, x: number, y: number, width: number, height: number, layer?: any): void;
         searchTileIndex(index: number, skip?: number, reverse?: boolean, layer?: any): Phaser.Tile;
         setCollision(indexes: any, collides?: boolean, layer?: any, recalculate?: boolean): void;
@@ -5102,6 +5793,12 @@ declare module Phaser {
         setTileSize(tileWidth: number, tileHeight: number): void;
         shuffle(x: number, y: number, width: number, height: number, layer: any): void;
         swap(tileA: number, tileB: number, x: number, y: number, width: number, height: number, layer?: any): void;
+        tileToWorldXY(x: number, y: number, point?: Phaser.Point): Phaser.Point;
+        unloadChunk(chunk: any, layer?: number | string | Phaser.TilemapLayer): void;
+        updateAnimations(): void;
+        updateChunks(left: number, top: number, right: number, bottom: number, layer?: number | string | Phaser.TilemapLayer): boolean;
+        updateTileWorldXY(tile: Phaser.Tile): void;
+        worldToTileXY(x: number, y: number, point?: Phaser.Point): Phaser.Point;
 
     }
 
@@ -5189,11 +5886,16 @@ declare module Phaser {
     class TilemapParser {
 
         static INSERT_NULL: boolean;
+        static STREAM_CHUNKS: boolean;
 
+        static createTile(layer: any, gid: number, x: number, y: number, width: number, height: number): Phaser.Tile;
+        static decodeLayerData(data: string, compression?: string): number[];
         static getEmptyData(tileWidth?: number, tileHeight?: number, width?: number, height?: number): any;
+        static getPixelSize(map: any, width: number, height: number, tileWidth?: number, tileHeight?: number): { width: number; height: number; };
         static parse(game: Phaser.Game, key: string, tileWidth?: number, tileHeight?: number, width?: number, height?: number): any;
         static parseCSV(key: string, data: string, tileWidth?: number, tileHeight?: number): any;
         static parseJSON(json: any): any;
+        static parseTiledXML(xml: any): any;
 
     }
 
@@ -5201,6 +5903,7 @@ declare module Phaser {
 
         constructor(name: string, firstgid: number, width?: number, height?: number, margin?: number, spacing?: number, properties?: any);
 
+        animations: any;
         columns: number;
         firstgid: number;
         image: any;
@@ -5217,6 +5920,8 @@ declare module Phaser {
         containsTileIndex(tileIndex: number): boolean;
         draw(context: CanvasRenderingContext2D, x: number, y: number, index: number): void;
         drawGl(glBatch: any[], x: number, y: number, index: number, alpha: number, flippedVal: number): void;
+        getAnimatedIndex(index: number, time: number): number;
+        setAnimation(id: number, frames?: { tileid: number; duration: number; }[]): void;
         setImage(image: any): void;
         setSpacing(margin?: number, spacing?: number): void;
 
@@ -5318,8 +6023,10 @@ declare module Phaser {
         timeToCall: number;
 
         add(timer: Phaser.Timer): Phaser.Timer;
+        advance(ms: number): void;
         boot(): void;
         create(autoDestroy?: boolean): Phaser.Timer;
+        dateNow(): number;
         elapsedSecondsSince(since: number): number;
         elapsedSince(since: number): number;
         removeAll(): void;
@@ -5595,6 +6302,100 @@ declare module Phaser {
 
     }
 
+    class VirtualButton extends Phaser.Image {
+
+        constructor(pad: Phaser.VirtualPad, x: number, y: number, key: any, buttonCode: number, upFrame?: string | number, downFrame?: string | number);
+
+        buttonCode: number;
+        downFrame: string | number;
+        hitPadding: number;
+        isDown: boolean;
+        onDown: Phaser.Signal;
+        onUp: Phaser.Signal;
+        pad: Phaser.VirtualPad;
+        pointer: Phaser.Pointer;
+        upFrame: string | number;
+
+        destroy(destroyChildren?: boolean, destroyTexture?: boolean): void;
+        hitTest(x: number, y: number): boolean;
+        press(pointer: Phaser.Pointer): void;
+        release(): void;
+        updateState(): void;
+
+    }
+
+    interface VirtualJoystickConfig {
+
+        mode?: number;
+        radius?: number;
+        deadZone?: number;
+        zone?: Phaser.Rectangle;
+        xAxis?: number;
+        yAxis?: number;
+        baseFrame?: string | number;
+        thumbFrame?: string | number;
+
+    }
+
+    class VirtualJoystick {
+
+        constructor(pad: Phaser.VirtualPad, x: number, y: number, baseKey: any, thumbKey: any, config?: Phaser.VirtualJoystickConfig);
+
+        static FIXED: number;
+        static FLOATING: number;
+
+        angle: number;
+        base: Phaser.Image;
+        deadZone: number;
+        force: number;
+        game: Phaser.Game;
+        isDown: boolean;
+        mode: number;
+        onDown: Phaser.Signal;
+        onUp: Phaser.Signal;
+        pad: Phaser.VirtualPad;
+        pointer: Phaser.Pointer;
+        position: Phaser.Point;
+        radius: number;
+        rotation: number;
+        thumb: Phaser.Image;
+        x: number;
+        xAxis: number;
+        y: number;
+        yAxis: number;
+        zone: Phaser.Rectangle;
+
+        destroy(): void;
+        hitTest(x: number, y: number): boolean;
+        press(pointer: Phaser.Pointer): void;
+        release(): void;
+        updateState(): void;
+
+    }
+
+    class VirtualPad extends Phaser.Group {
+
+        constructor(game: Phaser.Game, parent?: any);
+
+        buttons: Phaser.VirtualButton[];
+        connected: boolean;
+        enabled: boolean;
+        sticks: Phaser.VirtualJoystick[];
+
+        addButton(x: number, y: number, key: any, buttonCode: number, upFrame?: string | number, downFrame?: string | number): Phaser.VirtualButton;
+        addJoystick(x: number, y: number, baseKey: any, thumbKey: any, config?: Phaser.VirtualJoystickConfig): Phaser.VirtualJoystick;
+        axis(axisCode: number): number;
+        buttonValue(buttonCode: number): number;
+        getButton(buttonCode: number): Phaser.DeviceButton;
+        isClaimed(pointer: Phaser.Pointer): boolean;
+        isDown(buttonCode: number): boolean;
+        isUp(buttonCode: number): boolean;
+        justPressed(buttonCode: number, duration?: number): boolean;
+        justReleased(buttonCode: number, duration?: number): boolean;
+        toScreen(x: number, y: number, out?: Phaser.Point): Phaser.Point;
+
+    }
+
     class Weapon extends Phaser.Plugin {
 
         constructor(game: Phaser.Game, parent: Phaser.PluginManager);